@@ -1,4 +1,5 @@
 module.exports = {
+  ignorePatterns: ['desktop-app/renderer/vendor/'],
   env: {
     browser: true,
     es2021: true,
@@ -14,4 +15,10 @@ module.exports = {
     'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
     'no-console': 'off',
   },
+  overrides: [
+    {
+      files: ['chrome-extension/**/*.js'],
+      env: { webextensions: true },
+    },
+  ],
 };
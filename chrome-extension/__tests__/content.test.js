@@ -0,0 +1,162 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://claude.ai/chat/abc-123"}
+ */
+
+const COMPLETION_URL =
+  'https://claude.ai/api/organizations/o/chat_conversations/abc-123/completion';
+
+describe('Content script page relay', () => {
+  let secret;
+
+  /**
+   * Run content.js as the extension would, noting the secret it announces
+   */
+  const load = () => {
+    const onSecret = ({ detail }) => {
+      secret = detail;
+    };
+    document.addEventListener('llm-tracker-secret', onSecret);
+    jest.isolateModules(() => require('../content'));
+    document.removeEventListener('llm-tracker-secret', onSecret);
+  };
+
+  /**
+   * Post a CONNECT on the page, as injected.js does, with a port to relay
+   * page traffic over
+   */
+  const connect = (data) => {
+    const port = { postMessage: jest.fn(), onmessage: null };
+    const event = new Event('message');
+    Object.defineProperties(event, {
+      data: { value: { source: 'llm-tracker-page', type: 'CONNECT', ...data } },
+      source: { value: window },
+      ports: { value: [port] },
+    });
+    window.dispatchEvent(event);
+    return port;
+  };
+
+  const relay = (port, type, data) =>
+    port.onmessage?.({ data: { type, data } });
+
+  const sent = (type) =>
+    chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter((message) => message.type === type);
+
+  beforeAll(() => {
+    // jsdom has no crypto.randomUUID(), which Chrome gives content scripts
+    crypto.randomUUID ??= () => require('crypto').randomUUID();
+    global.LLMTrackerPlatforms = require('../../shared/platforms');
+    global.LLMTrackerProtocol = require('../../shared/protocol');
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.chrome = {
+      runtime: {
+        sendMessage: jest.fn(() => Promise.resolve()),
+        onMessage: { addListener: jest.fn() },
+      },
+      storage: {
+        local: { get: jest.fn(() => Promise.resolve({})) },
+        onChanged: { addListener: jest.fn() },
+      },
+    };
+    load();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should announce a new secret on each page load', () => {
+    const first = secret;
+    connect({ secret: first });
+    load();
+
+    expect(typeof first).toBe('string');
+    expect(secret).not.toBe(first);
+    connect({ secret });
+  });
+
+  test('should announce the secret again when injected.js says hello', () => {
+    const announced = jest.fn();
+    document.addEventListener('llm-tracker-secret', announced);
+    document.dispatchEvent(new CustomEvent('llm-tracker-hello'));
+    document.removeEventListener('llm-tracker-secret', announced);
+
+    expect(announced).toHaveBeenCalledTimes(1);
+    expect(announced.mock.calls[0][0].detail).toBe(secret);
+  });
+
+  test('should relay page traffic from the port connected with the secret', () => {
+    const port = connect({ secret });
+
+    relay(port, 'REQUEST', {
+      requestId: 'req-1',
+      url: COMPLETION_URL,
+      method: 'POST',
+      body: JSON.stringify({ prompt: 'Hi', model: 'claude-sonnet-4' }),
+    });
+    relay(port, 'RESPONSE', {
+      requestId: 'req-1',
+      status: 200,
+      body: JSON.stringify({ completion: 'Hello' }),
+    });
+
+    expect(sent('API_REQUEST_INTERCEPTED')).toEqual([
+      expect.objectContaining({
+        data: expect.objectContaining({
+          requestId: 'req-1',
+          platform: 'claude',
+          url: COMPLETION_URL,
+        }),
+      }),
+    ]);
+    expect(sent('API_RESPONSE_COMPLETE')).toEqual([
+      expect.objectContaining({
+        data: expect.objectContaining({
+          requestId: 'req-1',
+          response: { completion: 'Hello' },
+        }),
+      }),
+    ]);
+  });
+
+  test('should refuse ports connected without the secret', () => {
+    const forged = [connect({}), connect({ secret: 'guessed' })];
+    for (const port of forged) {
+      relay(port, 'REQUEST', { requestId: 'req-1', url: COMPLETION_URL });
+    }
+
+    expect(forged.map((port) => port.onmessage)).toEqual([null, null]);
+    expect(sent('API_REQUEST_INTERCEPTED')).toEqual([]);
+    connect({ secret });
+  });
+
+  test('should listen to one port only', () => {
+    const port = connect({ secret });
+    const second = connect({ secret });
+
+    expect(port.onmessage).toEqual(expect.any(Function));
+    expect(second.onmessage).toBeNull();
+  });
+
+  test('should report responses that are not JSON', () => {
+    const port = connect({ secret });
+
+    relay(port, 'REQUEST', { requestId: 'req-1', url: COMPLETION_URL });
+    relay(port, 'RESPONSE', { requestId: 'req-1', body: '<html>' });
+
+    expect(sent('API_RESPONSE_COMPLETE')).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(
+      'LLM Tracker: Could not parse response:',
+      expect.any(SyntaxError)
+    );
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://claude.ai/chat/abc-123"}
+ */
+
+const COMPLETION_URL =
+  'https://claude.ai/api/organizations/o/chat_conversations/abc-123/completion';
+
+describe('Page script', () => {
+  let channel;
+
+  /**
+   * Run injected.js as the extension would, after lib/platforms.js
+   */
+  const load = () => {
+    global.LLMTrackerPlatforms = require('../../shared/platforms');
+    global.LLMTrackerStreamParsers = {};
+    jest.isolateModules(() => require('../injected'));
+  };
+
+  const announce = (detail) =>
+    document.dispatchEvent(new CustomEvent('llm-tracker-secret', { detail }));
+
+  const connects = () =>
+    window.postMessage.mock.calls.filter(
+      ([message]) => message.type === 'CONNECT'
+    );
+
+  beforeAll(() => {
+    // jsdom has no fetch Request, which pages have
+    window.Request ??= class Request {};
+  });
+
+  beforeEach(() => {
+    // The channel injected.js opens; port1 stays with the page script
+    window.MessageChannel = jest.fn(() => {
+      channel = { port1: { postMessage: jest.fn() }, port2: {} };
+      return channel;
+    });
+    window.fetch = jest.fn(() =>
+      Promise.resolve({
+        clone: () => ({
+          status: 200,
+          headers: { get: () => 'application/json' },
+          text: () => Promise.resolve('{"completion":"Hello"}'),
+        }),
+      })
+    );
+    jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should connect with the secret the content script announces', () => {
+    load();
+    announce('secret-1');
+
+    expect(connects()).toEqual([
+      [
+        { source: 'llm-tracker-page', type: 'CONNECT', secret: 'secret-1' },
+        'https://claude.ai',
+        [channel.port2],
+      ],
+    ]);
+  });
+
+  test('should say hello for a content script that announced first', () => {
+    const answer = () => announce('secret-2');
+    document.addEventListener('llm-tracker-hello', answer, { once: true });
+    load();
+
+    expect(connects()).toHaveLength(1);
+    expect(connects()[0][0].secret).toBe('secret-2');
+  });
+
+  test('should connect once, and only with a secret', () => {
+    load();
+    announce(null);
+    expect(connects()).toEqual([]);
+
+    announce('secret-3');
+    announce('secret-4');
+    expect(connects()).toHaveLength(1);
+    expect(connects()[0][0].secret).toBe('secret-3');
+  });
+
+  test('should not leave the platform adapters on the page', () => {
+    load();
+    announce('secret-5');
+
+    expect(globalThis.LLMTrackerPlatforms).toBeUndefined();
+    expect(globalThis.LLMTrackerStreamParsers).toBeUndefined();
+  });
+
+  test('should relay API requests and their responses over the port', async () => {
+    load();
+    announce('secret-6');
+
+    const body = JSON.stringify({ prompt: 'Hi' });
+    await window.fetch(COMPLETION_URL, { method: 'post', body });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const relayed = channel.port1.postMessage.mock.calls.map(
+      ([message]) => message
+    );
+    expect(relayed).toEqual([
+      {
+        type: 'REQUEST',
+        data: expect.objectContaining({
+          url: COMPLETION_URL,
+          method: 'POST',
+          body,
+        }),
+      },
+      {
+        type: 'RESPONSE',
+        data: expect.objectContaining({
+          status: 200,
+          body: '{"completion":"Hello"}',
+        }),
+      },
+    ]);
+  });
+});
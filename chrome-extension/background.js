@@ -2,28 +2,468 @@
 // Handles API interception, data storage, and native messaging
 
 import { v4 as uuidv4 } from './lib/uuid.js';
+import './lib/protocol.js';
+import './lib/platforms.js';
+
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MessageType,
+  ErrorCode,
+  SyncRecordKind,
+  CaptureStatus,
+  assessCapture,
+  validateMessage,
+  requiresAck,
+  createMessage
+} = globalThis.LLMTrackerProtocol;
+
+const platforms = globalThis.LLMTrackerPlatforms;
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const LLM_ENDPOINTS = {
-  chatgpt: [
-    'https://chat.openai.com/backend-api/*',
-    'https://chatgpt.com/backend-api/*',
-    'https://api.openai.com/v1/chat/completions'
-  ],
-  claude: [
-    'https://claude.ai/api/*/chat_conversations/*',
-    'https://api.anthropic.com/v1/messages'
-  ],
-  gemini: [
-    'https://gemini.google.com/api/*',
-    'https://generativelanguage.googleapis.com/*'
-  ]
+// API endpoints of every platform adapter (see shared/platforms/)
+const ALL_ENDPOINTS = platforms.endpointPatterns();
+
+// Intercepted requests that never stream or complete are dropped after this
+const PENDING_REQUEST_TTL_MS = 5 * 60 * 1000;
+
+// Unacknowledged messages are resent after 2s, 4s, 8s... up to 5 minutes
+const OUTBOX_RETRY_BASE_MS = 2000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Undelivered messages are given up after a week. The desktop app remembers
+// ingested message IDs for longer, so a late redelivery is still deduplicated.
+const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const OUTBOX_KEY_PREFIX = 'outbox_';
+
+// Cached records replayed by sync, keyed by storage key prefix. Each record
+// gets an increasing `rev` when written; the desktop app reports the highest
+// rev it has ingested, and everything up to that point is pruned here.
+const SYNC_RECORD_PREFIXES = {
+  message_: SyncRecordKind.MESSAGE,
+  api_: SyncRecordKind.API_CAPTURE
 };
 
-const ALL_ENDPOINTS = Object.values(LLM_ENDPOINTS).flat();
+// Sync pages stay well under the 1 MB native messaging limit
+const SYNC_PAGE_MAX_BYTES = 512 * 1024;
+const SYNC_INTERVAL_MINUTES = 30;
+
+// Conversations idle this long are dropped from the cache when syncing
+const CONVERSATION_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Usage sessions end after this long inactive, unless the desktop app sets
+// another timeout (sessionIdleTimeoutMs in INIT_ACK)
+const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How long without input before chrome.idle reports the user idle. Chrome
+// does not accept less than 15 seconds.
+const IDLE_DETECTION_SECONDS = 60;
+const MIN_IDLE_DETECTION_SECONDS = 15;
+
+const textEncoder = new TextEncoder();
+
+// Rejections that resending the same message cannot fix
+const PERMANENT_ERRORS = [
+  ErrorCode.INVALID_JSON,
+  ErrorCode.INVALID_ENVELOPE,
+  ErrorCode.UNKNOWN_TYPE,
+  ErrorCode.INVALID_PAYLOAD
+];
+
+// ============================================================================
+// Outbox
+// ============================================================================
+
+/**
+ * Messages awaiting an ACK from the desktop app, persisted in
+ * chrome.storage (one key per message) so they survive worker restarts
+ */
+class Outbox {
+  constructor() {
+    this.entries = new Map();
+    this.seq = 0;
+  }
+
+  async load() {
+    const data = await chrome.storage.local.get(null);
+    this.seq = Math.max(this.seq, data.outboxSeq || 0);
+
+    for (const [key, entry] of Object.entries(data)) {
+      if (key.startsWith(OUTBOX_KEY_PREFIX) && !this.entries.has(entry.message.id)) {
+        // Retry counts are not persisted: after a restart, resend right away
+        this.entries.set(entry.message.id, { message: entry.message, attempts: 0, nextAttemptAt: 0 });
+      }
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  nextSeq() {
+    return ++this.seq;
+  }
+
+  async add(message) {
+    this.entries.set(message.id, { message, attempts: 0, nextAttemptAt: 0 });
+    await chrome.storage.local.set({
+      outboxSeq: this.seq,
+      [OUTBOX_KEY_PREFIX + message.id]: { message }
+    });
+  }
+
+  get(id) {
+    return this.entries.get(id)?.message || null;
+  }
+
+  async remove(id) {
+    if (!this.entries.delete(id)) {
+      return false;
+    }
+    await chrome.storage.local.remove(OUTBOX_KEY_PREFIX + id);
+    return true;
+  }
+
+  /**
+   * Entries whose next attempt is due, oldest first
+   */
+  due(now) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.nextAttemptAt <= now)
+      .sort((a, b) => a.message.seq - b.message.seq);
+  }
+
+  markAttempted(entry, now) {
+    const delay = Math.min(
+      OUTBOX_RETRY_BASE_MS * 2 ** entry.attempts,
+      OUTBOX_RETRY_MAX_MS
+    );
+    entry.attempts++;
+    entry.nextAttemptAt = now + delay;
+  }
+
+  /**
+   * Make every entry due again, e.g. after reconnecting
+   */
+  resetBackoff() {
+    for (const entry of this.entries.values()) {
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+    }
+  }
+
+  /**
+   * Earliest time an entry becomes due, or null when empty
+   */
+  nextDueAt() {
+    let next = null;
+    for (const entry of this.entries.values()) {
+      if (next === null || entry.nextAttemptAt < next) {
+        next = entry.nextAttemptAt;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Drop entries too old to be worth delivering
+   */
+  async expire(now) {
+    const expired = Array.from(this.entries.values()).filter(
+      entry => entry.message.timestamp < now - OUTBOX_MAX_AGE_MS
+    );
+
+    for (const entry of expired) {
+      await this.remove(entry.message.id);
+    }
+    return expired.length;
+  }
+}
+
+// ============================================================================
+// Usage Sessions
+// ============================================================================
+
+/**
+ * Time spent on each platform, per tab. A session is active while its tab
+ * is the focused one, its page is visible and the user is not idle. It ends
+ * when the tab closes or leaves the platform, or once it has been inactive
+ * for the idle timeout, and is then sent to the desktop app.
+ *
+ * Open sessions are kept in chrome.storage so they outlive the worker.
+ */
+class SessionTracker {
+  constructor(state) {
+    this.state = state;
+    this.sessions = new Map();
+    this.focusedTabId = null;
+    this.idleState = 'active';
+    this.idleTimeoutMs = DEFAULT_SESSION_IDLE_TIMEOUT_MS;
+    this.loaded = null;
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    chrome.tabs.onActivated.addListener(() => this.refreshFocus());
+    chrome.windows.onFocusChanged.addListener(() => this.refreshFocus());
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.url) {
+        this.handleNavigation(tab);
+      }
+    });
+    chrome.tabs.onRemoved.addListener(tabId => this.end(tabId, 'closed'));
+    chrome.idle.onStateChanged.addListener(idleState => this.setIdleState(idleState));
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.restore().catch(error => {
+        console.error('Error restoring usage sessions:', error);
+      });
+    }
+    return this.loaded;
+  }
+
+  async restore() {
+    const data = await chrome.storage.local.get(['usageSessions', 'sessionIdleTimeoutMs']);
+    this.setIdleTimeout(data.sessionIdleTimeoutMs || DEFAULT_SESSION_IDLE_TIMEOUT_MS);
+
+    for (const session of Object.values(data.usageSessions || {})) {
+      if (!this.sessions.has(session.tabId)) {
+        this.sessions.set(session.tabId, session);
+      }
+    }
+
+    // Tabs closed while the worker was not running end when last seen
+    const openTabs = new Set((await chrome.tabs.query({})).map(tab => tab.id));
+    for (const session of Array.from(this.sessions.values())) {
+      if (!openTabs.has(session.tabId)) {
+        this.close(session, session.updatedAt, 'closed');
+      }
+    }
+
+    this.idleState = await chrome.idle.queryState(this.idleDetectionSeconds());
+    await this.queryFocus();
+    this.update();
+  }
+
+  setIdleTimeout(timeoutMs) {
+    this.idleTimeoutMs = timeoutMs;
+    chrome.idle.setDetectionInterval(this.idleDetectionSeconds());
+  }
+
+  idleDetectionSeconds() {
+    return Math.max(
+      MIN_IDLE_DETECTION_SECONDS,
+      Math.min(IDLE_DETECTION_SECONDS, Math.round(this.idleTimeoutMs / 1000))
+    );
+  }
+
+  async setIdleState(idleState) {
+    await this.load();
+    this.idleState = idleState;
+    // The user stopped before chrome.idle noticed
+    this.update(idleState === 'active' ? Date.now() : Date.now() - this.idleDetectionSeconds() * 1000);
+  }
+
+  async refreshFocus() {
+    await this.load();
+    await this.queryFocus();
+    this.update();
+  }
+
+  /**
+   * Find the tab the user is looking at, starting a session if it shows a
+   * platform
+   */
+  async queryFocus() {
+    const window = await chrome.windows.getLastFocused({ populate: true }).catch(() => null);
+    const tab = window?.focused ? window.tabs?.find(t => t.active) : null;
+
+    this.focusedTabId = tab?.id ?? null;
+    if (tab) {
+      this.open(tab);
+    }
+  }
+
+  async handleNavigation(tab) {
+    await this.load();
+    const session = this.sessions.get(tab.id);
+    if (session && session.platform !== platforms.forUrl(tab.url)?.id) {
+      this.update();
+      this.close(session, session.updatedAt, 'navigated');
+    }
+    if (tab.id === this.focusedTabId) {
+      this.open(tab);
+    }
+    this.update();
+  }
+
+  async end(tabId, endReason) {
+    await this.load();
+    this.update();
+    const session = this.sessions.get(tabId);
+    if (session) {
+      this.close(session, session.updatedAt, endReason);
+      this.save();
+    }
+  }
+
+  async setVisibility(tab, visible) {
+    await this.load();
+    const session = tab && (visible ? this.open(tab) : this.sessions.get(tab.id));
+    if (session) {
+      session.visible = visible;
+      this.update();
+    }
+  }
+
+  /**
+   * Count a message sent or received live in a tab, and the conversation
+   * it belongs to
+   */
+  async recordMessage(tab, { role, inputMethod, conversationId }) {
+    await this.load();
+    const session = tab && this.open(tab);
+    if (!session) {
+      return;
+    }
+
+    if (role === 'user') {
+      session.messagesSent++;
+      if (inputMethod) {
+        session.inputMethods[inputMethod] = (session.inputMethods[inputMethod] || 0) + 1;
+      }
+    } else if (role === 'assistant') {
+      session.messagesReceived++;
+    }
+    if (conversationId && session.conversationIds[session.conversationIds.length - 1] !== conversationId) {
+      session.conversationIds.push(conversationId);
+    }
+    this.update();
+  }
+
+  async tick() {
+    await this.load();
+    this.update();
+  }
+
+  /**
+   * Session of a tab, started if the tab shows a platform
+   */
+  open(tab, now = Date.now()) {
+    const existing = this.sessions.get(tab.id);
+    if (existing) {
+      return existing;
+    }
+
+    const adapter = tab.url ? platforms.forUrl(tab.url) : null;
+    if (!adapter) {
+      return null;
+    }
+
+    const session = {
+      id: uuidv4(),
+      tabId: tab.id,
+      platform: adapter.id,
+      pageUrl: tab.url,
+      conversationIds: [],
+      startedAt: now,
+      updatedAt: now,
+      active: false,
+      inactiveSince: now,
+      visible: true,
+      activeMs: 0,
+      inactiveMs: 0,
+      messagesSent: 0,
+      messagesReceived: 0,
+      inputMethods: {}
+    };
+    this.sessions.set(tab.id, session);
+    return session;
+  }
+
+  isActive(session) {
+    return session.tabId === this.focusedTabId &&
+      session.visible &&
+      this.idleState === 'active';
+  }
+
+  /**
+   * Add the time since each session's last update to its active or
+   * inactive time, apply focus and idle changes, and end sessions inactive
+   * for the idle timeout
+   */
+  update(at = Date.now()) {
+    for (const session of Array.from(this.sessions.values())) {
+      const now = Math.max(at, session.updatedAt);
+      const elapsed = now - session.updatedAt;
+      if (session.active) {
+        session.activeMs += elapsed;
+      } else {
+        session.inactiveMs += elapsed;
+      }
+      session.updatedAt = now;
+
+      const active = this.isActive(session);
+      if (active !== session.active) {
+        session.active = active;
+        session.inactiveSince = active ? null : now;
+      }
+
+      if (!active && now - session.inactiveSince >= this.idleTimeoutMs) {
+        this.close(session, session.inactiveSince, 'idle');
+      }
+    }
+
+    this.save();
+  }
+
+  /**
+   * End a session at a time, and send it unless nothing happened in it
+   */
+  close(session, endedAt, endReason) {
+    this.sessions.delete(session.tabId);
+    // Time after the session ended is not part of it
+    session.inactiveMs -= Math.max(session.updatedAt - endedAt, 0);
+
+    const empty = session.activeMs === 0 &&
+      session.messagesSent === 0 &&
+      session.messagesReceived === 0;
+    if (empty || !this.state.isTracking) {
+      return;
+    }
+
+    this.state.sendToNativeApp(MessageType.USAGE_SESSION, {
+      id: session.id,
+      platform: session.platform,
+      startedAt: session.startedAt,
+      endedAt,
+      activeMs: session.activeMs,
+      inactiveMs: session.inactiveMs,
+      tabId: session.tabId,
+      pageUrl: session.pageUrl,
+      conversationIds: session.conversationIds,
+      messagesSent: session.messagesSent,
+      messagesReceived: session.messagesReceived,
+      inputMethods: session.inputMethods,
+      endReason,
+      timestamp: Date.now()
+    });
+  }
+
+  save() {
+    chrome.storage.local.set({
+      usageSessions: Object.fromEntries(this.sessions)
+    }).catch(error => {
+      console.error('Error saving usage sessions:', error);
+    });
+  }
+}
 
 // ============================================================================
 // State Management
@@ -33,25 +473,42 @@ class StateManager {
   constructor() {
     this.activeConversations = new Map();
     this.pendingRequests = new Map();
+    this.tabConversations = new Map();
     this.nativePort = null;
     this.isConnected = false;
     this.isTracking = true;
     this.reconnectTimeout = null;
+    this.protocolVersion = null;
+    this.outbox = new Outbox();
+    this.flushTimeout = null;
+    this.syncRev = 0;
+    this.syncInProgress = false;
+    this.sentAttachments = new Set();
+    this.captureHealth = {};
+    this.sessions = new SessionTracker(this);
   }
 
   async init() {
     await this.loadState();
     this.connectToNativeApp();
     this.setupMessageHandlers();
+    await this.sessions.load();
   }
 
   async loadState() {
+    await this.outbox.load();
+
     const data = await chrome.storage.local.get([
       'activeConversations',
       'settings',
-      'isTracking'
+      'isTracking',
+      'syncRev',
+      'captureHealth'
     ]);
 
+    this.syncRev = Math.max(this.syncRev, data.syncRev || 0);
+    this.captureHealth = data.captureHealth || {};
+
     if (data.activeConversations) {
       this.activeConversations = new Map(
         Object.entries(data.activeConversations)
@@ -82,16 +539,19 @@ class StateManager {
       this.nativePort.onDisconnect.addListener(() => {
         console.log('Native app disconnected:', chrome.runtime.lastError);
         this.isConnected = false;
+        this.protocolVersion = null;
+        this.syncInProgress = false;
         this.scheduleReconnect();
       });
       
       this.isConnected = true;
       console.log('Connected to native app');
       
-      // Send initial sync
-      this.sendToNativeApp({
-        type: 'INIT',
-        data: { extensionVersion: chrome.runtime.getManifest().version }
+      // Handshake: the desktop app answers with INIT_ACK
+      this.sendToNativeApp(MessageType.INIT, {
+        extensionVersion: chrome.runtime.getManifest().version,
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION
       });
       
     } catch (error) {
@@ -111,29 +571,174 @@ class StateManager {
     }, 5000);
   }
 
-  sendToNativeApp(message) {
-    if (this.isConnected && this.nativePort) {
-      try {
-        this.nativePort.postMessage(message);
-      } catch (error) {
-        console.error('Error sending to native app:', error);
-        this.isConnected = false;
+  /**
+   * Send a message to the native app. Captured data goes through the
+   * outbox and is resent until the desktop app acknowledges it; control
+   * messages are sent once, and only while connected.
+   */
+  sendToNativeApp(type, data = {}) {
+    const durable = requiresAck(type);
+    const message = createMessage(type, data, {
+      protocolVersion: this.protocolVersion || PROTOCOL_VERSION,
+      ...(durable && { id: uuidv4(), seq: this.outbox.nextSeq() })
+    });
+
+    try {
+      validateMessage(message);
+    } catch (error) {
+      console.error(`Refusing to send invalid ${type}:`, error.message, error.details);
+      return;
+    }
+
+    if (durable) {
+      this.outbox.add(message).catch(error => {
+        console.error('Error persisting outbox message:', error);
+      });
+      this.flushOutbox();
+      return;
+    }
+
+    this.postToNativeApp(message);
+  }
+
+  postToNativeApp(message) {
+    if (!this.isConnected || !this.nativePort) {
+      return false;
+    }
+
+    try {
+      this.nativePort.postMessage(message);
+      return true;
+    } catch (error) {
+      console.error('Error sending to native app:', error);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Send every outbox message that is due, then wait for the next one.
+   * Nothing is sent before the handshake, so a restarted worker does not
+   * talk to the desktop app in a protocol version it has not agreed to.
+   */
+  flushOutbox() {
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+
+    if (!this.protocolVersion) {
+      return;
+    }
+
+    const now = Date.now();
+    this.outbox.expire(now).catch(error => {
+      console.error('Error expiring outbox messages:', error);
+    });
+
+    for (const entry of this.outbox.due(now)) {
+      entry.message.protocolVersion = this.protocolVersion;
+      if (!this.postToNativeApp(entry.message)) {
+        return;
       }
+      this.outbox.markAttempted(entry, now);
+    }
+
+    const nextDueAt = this.outbox.nextDueAt();
+    if (nextDueAt !== null) {
+      this.flushTimeout = setTimeout(
+        () => this.flushOutbox(),
+        Math.max(nextDueAt - Date.now(), 0)
+      );
+    }
+  }
+
+  handleAck(data) {
+    const message = this.dropFromOutbox(data.messageId);
+
+    if (message?.type === MessageType.SYNC_BATCH && message.data.final) {
+      // Ask again so the records just confirmed get pruned
+      this.syncInProgress = false;
+      this.requestSync();
     }
   }
 
+  /**
+   * Stop resending a message; returns it, or null if it was not queued
+   */
+  dropFromOutbox(messageId) {
+    const message = messageId ? this.outbox.get(messageId) : null;
+    if (!message) {
+      return null;
+    }
+
+    this.outbox.remove(messageId).catch(error => {
+      console.error('Error removing message from outbox:', error);
+    });
+
+    if (message.type === MessageType.SYNC_BATCH) {
+      this.syncInProgress = false;
+    }
+    return message;
+  }
+
   handleNativeMessage(message) {
     console.log('Received from native app:', message);
+
+    try {
+      validateMessage(message);
+    } catch (error) {
+      console.error('Invalid message from native app:', error.message, error.details);
+      return;
+    }
     
     switch (message.type) {
-      case 'SUGGESTION':
-        this.broadcastToContentScripts(message);
+      case MessageType.INIT_ACK:
+        this.protocolVersion = message.data.protocolVersion;
+        console.log(`Using protocol v${this.protocolVersion}`);
+        // Content scripts read what files to keep from storage
+        chrome.storage.local.set({
+          attachmentPolicy: message.data.attachmentPolicy || null
+        });
+        if (message.data.sessionIdleTimeoutMs) {
+          this.sessions.setIdleTimeout(message.data.sessionIdleTimeoutMs);
+          chrome.storage.local.set({
+            sessionIdleTimeoutMs: message.data.sessionIdleTimeoutMs
+          });
+        }
+        // Redeliver whatever was not acknowledged before the reconnect
+        this.outbox.resetBackoff();
+        this.flushOutbox();
+        this.requestSync();
+        for (const health of Object.values(this.captureHealth)) {
+          this.sendToNativeApp(MessageType.CAPTURE_HEALTH, health);
+        }
         break;
-      case 'REQUEST_SYNC':
-        this.syncAllData();
+      case MessageType.SYNC_CURSOR:
+        this.syncSince(message.data.highWaterMark).catch(error => {
+          console.error('Error syncing cached records:', error);
+        });
         break;
-      case 'PING':
-        this.sendToNativeApp({ type: 'PONG' });
+      case MessageType.ACK:
+        this.handleAck(message.data);
+        break;
+      case MessageType.ERROR:
+        console.error(
+          `Native app rejected ${message.data.messageType || 'message'}:`,
+          message.data.code,
+          message.data.message,
+          message.data.details
+        );
+        // Transient failures stay in the outbox and are retried
+        if (PERMANENT_ERRORS.includes(message.data.code)) {
+          this.dropFromOutbox(message.data.messageId);
+        }
+        break;
+      case MessageType.SUGGESTION:
+        this.broadcastToContentScripts(message);
+        break;
+      case MessageType.PING:
+        this.sendToNativeApp(MessageType.PONG);
         break;
     }
   }
@@ -154,13 +759,34 @@ class StateManager {
     switch (message.type) {
       case 'MESSAGE_CAPTURED':
         return await this.handleMessageCapture(message.data, sender);
+      case 'MESSAGE_UPDATED':
+        return await this.handleMessageUpdate(message.data, sender);
       case 'API_CAPTURED':
         return await this.handleApiCapture(message.data);
+      case 'API_REQUEST_INTERCEPTED':
+        return this.handleRequestIntercepted(message.data, sender);
+      case 'API_RESPONSE_COMPLETE':
+        return await this.handleResponseComplete(message.data);
+      case 'STREAM_CHUNK':
+        return this.handleStreamChunk(message.data);
+      case 'STREAM_COMPLETE':
+        return this.handleStreamComplete(message.data);
+      case 'ATTACHMENT_CAPTURED':
+        return this.handleAttachmentCaptured(message.data);
+      case 'CAPTURE_HEALTH':
+        return await this.handleCaptureHealth(message.data);
+      case 'PAGE_VISIBILITY':
+        await this.sessions.setVisibility(sender.tab, message.data.visible);
+        return { success: true };
       case 'GET_STATUS':
       case 'get_status':
         return {
           connected: this.isConnected,
-          tracking: this.isTracking !== false
+          tracking: this.isTracking !== false,
+          pending: this.outbox.size,
+          captureWarnings: Object.values(this.captureHealth).filter(
+            health => health.status !== CaptureStatus.OK
+          )
         };
       case 'GET_STATS':
         return await this.getStats();
@@ -170,7 +796,7 @@ class StateManager {
         return { success: true, tracking: this.isTracking };
       case 'open_dashboard':
         // Send message to native app to open dashboard
-        this.sendToNativeApp({ type: 'OPEN_DASHBOARD' });
+        this.sendToNativeApp(MessageType.OPEN_DASHBOARD);
         return { success: true };
       default:
         console.warn('Unknown message type:', message.type);
@@ -179,7 +805,7 @@ class StateManager {
   }
 
   async broadcastToContentScripts(message) {
-    const tabs = await chrome.tabs.query({ url: ALL_ENDPOINTS });
+    const tabs = await chrome.tabs.query({ url: platforms.pagePatterns() });
     tabs.forEach(tab => {
       chrome.tabs.sendMessage(tab.id, message).catch(() => {
         // Tab might not have content script injected yet
@@ -188,28 +814,289 @@ class StateManager {
   }
 
   async handleMessageCapture(data, sender) {
-    const messageId = uuidv4();
     const conversationId = data.conversationId || this.getConversationId(sender.tab);
+    const capturedId = this.findCapturedMessageId(conversationId, data.messageId);
+    const messageId =
+      capturedId ||
+      this.claimStreamMessage(data, sender) ||
+      uuidv4();
     
-    // Store in extension storage
+    // Cache in extension storage until the desktop app has it
     const message = {
       id: messageId,
-      conversationId,
       timestamp: Date.now(),
-      ...data
+      ...data,
+      conversationId,
+      parentId: this.findCapturedMessageId(conversationId, data.parentMessageId)
     };
     
     await this.storeMessage(message);
     
     // Send to native app
-    this.sendToNativeApp({
-      type: 'MESSAGE_STORED',
-      data: message
-    });
+    this.sendToNativeApp(MessageType.MESSAGE_STORED, message);
+
+    // Messages already on the page, or shown again, were not sent now
+    if (!data.isInitial && !capturedId) {
+      await this.sessions.recordMessage(sender.tab, message);
+    }
     
     return { success: true, messageId };
   }
 
+  async handleMessageUpdate(data, sender) {
+    const conversationId = data.conversationId || this.getConversationId(sender.tab);
+    const messageId = this.findCapturedMessageId(conversationId, data.messageId);
+
+    if (!messageId) {
+      // Never saw the original capture (e.g. the worker restarted)
+      return await this.handleMessageCapture(data, sender);
+    }
+
+    const key = `message_${messageId}`;
+    const stored = await chrome.storage.local.get(key);
+
+    // Same ID as the original capture, so the desktop app updates in place
+    const message = {
+      ...stored[key],
+      ...data,
+      id: messageId,
+      conversationId,
+      parentId:
+        this.findCapturedMessageId(conversationId, data.parentMessageId) ||
+        stored[key]?.parentId ||
+        null
+    };
+
+    message.rev = this.nextRev();
+    await chrome.storage.local.set({ [key]: message, syncRev: this.syncRev });
+    this.sendToNativeApp(MessageType.MESSAGE_UPDATED, message);
+
+    return { success: true, messageId };
+  }
+
+  /**
+   * Message ID previously assigned to a DOM element, if any
+   */
+  findCapturedMessageId(conversationId, domMessageId) {
+    const conv = this.activeConversations.get(conversationId);
+    return (domMessageId && conv?.domMessageIds?.[domMessageId]) || null;
+  }
+
+  /**
+   * Bind a newly rendered assistant message to the request streaming into it.
+   * Returns the message ID the stream uses, or null when no stream matches.
+   */
+  claimStreamMessage(data, sender) {
+    if (data.role !== 'assistant' || data.isInitial || !sender.tab) {
+      return null;
+    }
+
+    const candidates = Array.from(this.pendingRequests.values()).filter(
+      request =>
+        request.tabId === sender.tab.id &&
+        !request.messageClaimed &&
+        request.startTime <= data.timestamp
+    );
+    const request = candidates[candidates.length - 1];
+
+    if (!request) {
+      return null;
+    }
+
+    request.messageClaimed = true;
+    request.messageId = request.messageId || uuidv4();
+    return request.messageId;
+  }
+
+  handleRequestIntercepted(data, sender) {
+    this.pruneStaleRequests();
+
+    // Only POSTs (or prompts sent over a WebSocket) with a body generate
+    // responses; GETs are page loads
+    if (!['POST', 'WEBSOCKET'].includes(data.method) || !data.body) {
+      return { success: true, tracked: false };
+    }
+
+    const adapter = platforms.get(data.platform);
+    this.pendingRequests.set(data.requestId, {
+      requestId: data.requestId,
+      platform: data.platform,
+      tabId: sender.tab?.id,
+      conversationId:
+        data.conversationId ||
+        adapter?.extractRequestConversationId(data.body) ||
+        this.getConversationId(sender.tab),
+      model: data.model || null,
+      url: String(data.url),
+      method: data.method,
+      requestBody: data.body,
+      startTime: data.timestamp,
+      captureId: null,
+      messageId: null,
+      messageClaimed: false,
+      firstChunkTime: null
+    });
+
+    return { success: true, tracked: true };
+  }
+
+  /**
+   * Announce a request once it starts streaming, so its chunks have a
+   * capture and an assistant message to attach to
+   */
+  startStream(request) {
+    request.captureId = uuidv4();
+    request.messageId = request.messageId || uuidv4();
+
+    this.sendToNativeApp(MessageType.API_CAPTURED, {
+      id: request.captureId,
+      requestId: request.requestId,
+      messageId: request.messageId,
+      conversationId: request.conversationId,
+      platform: request.platform,
+      model: request.model,
+      url: request.url,
+      method: request.method,
+      requestBody: request.requestBody,
+      timestamp: request.startTime,
+      streaming: true,
+      streamingInProgress: true
+    });
+  }
+
+  handleStreamChunk(data) {
+    const request = this.pendingRequests.get(data.requestId);
+    if (!request) {
+      return { success: false };
+    }
+
+    if (!request.captureId) {
+      this.startStream(request);
+    }
+    if (request.firstChunkTime === null) {
+      request.firstChunkTime = data.timestamp;
+    }
+
+    this.sendToNativeApp(MessageType.STREAM_CHUNK, {
+      requestId: request.requestId,
+      captureId: request.captureId,
+      messageId: request.messageId,
+      conversationId: request.conversationId,
+      platform: request.platform,
+      chunkIndex: data.chunkIndex,
+      contentType: data.contentType || 'text',
+      content: data.content,
+      metadata: data.metadata || null,
+      deltaTime: data.deltaTime,
+      timestamp: data.timestamp
+    });
+
+    return { success: true };
+  }
+
+  handleStreamComplete(data) {
+    const request = this.pendingRequests.get(data.requestId);
+    if (!request) {
+      return { success: false };
+    }
+
+    if (!request.captureId) {
+      this.startStream(request);
+    }
+
+    this.sendToNativeApp(MessageType.STREAM_COMPLETE, {
+      requestId: request.requestId,
+      captureId: request.captureId,
+      messageId: request.messageId,
+      conversationId: request.conversationId,
+      platform: request.platform,
+      startTime: request.startTime,
+      firstChunkTime: request.firstChunkTime,
+      totalChunks: data.totalChunks,
+      fullContent: data.fullContent,
+      usage: data.usage || null,
+      stopReason: data.stopReason || null,
+      parts: data.parts || null,
+      timestamp: data.timestamp
+    });
+
+    this.pendingRequests.delete(data.requestId);
+    return { success: true };
+  }
+
+  /**
+   * Record how capture went on a page as the status of its platform. A
+   * platform stays degraded or broken, since its first bad check, until a
+   * check comes back ok.
+   */
+  async handleCaptureHealth(report) {
+    const { status, reason } = assessCapture(report);
+    const previous = this.captureHealth[report.platform];
+    const failing = previous && previous.status !== CaptureStatus.OK;
+
+    const health = {
+      platform: report.platform,
+      status,
+      reason,
+      strategy: report.strategy,
+      messagesFound: report.messagesFound,
+      rolesDetected: report.rolesDetected,
+      rolesAttempted: report.rolesAttempted,
+      pageUrl: report.pageUrl,
+      since: status === CaptureStatus.OK ? null : (failing ? previous.since : Date.now()),
+      timestamp: Date.now()
+    };
+
+    if (status !== CaptureStatus.OK && !failing) {
+      console.warn(`Capture ${status} on ${report.platform}:`, reason);
+    }
+
+    this.captureHealth[report.platform] = health;
+    await chrome.storage.local.set({ captureHealth: this.captureHealth });
+    this.sendToNativeApp(MessageType.CAPTURE_HEALTH, health);
+    return { success: true, status };
+  }
+
+  // Files are stored by hash, so each is sent once per worker lifetime
+  handleAttachmentCaptured(data) {
+    if (!this.sentAttachments.has(data.sha256)) {
+      this.sentAttachments.add(data.sha256);
+      this.sendToNativeApp(MessageType.ATTACHMENT, data);
+    }
+    return { success: true };
+  }
+
+  async handleResponseComplete(data) {
+    const request = this.pendingRequests.get(data.requestId);
+    if (!request) {
+      return { success: false };
+    }
+
+    this.pendingRequests.delete(data.requestId);
+
+    return await this.handleApiCapture({
+      requestId: request.requestId,
+      conversationId: request.conversationId,
+      platform: request.platform,
+      model: request.model,
+      url: request.url,
+      method: request.method,
+      requestBody: request.requestBody,
+      responseBody: data.response,
+      responseTime: data.timestamp - request.startTime,
+      streaming: false
+    });
+  }
+
+  pruneStaleRequests() {
+    const cutoff = Date.now() - PENDING_REQUEST_TTL_MS;
+    for (const [requestId, request] of this.pendingRequests) {
+      if (request.startTime < cutoff) {
+        this.pendingRequests.delete(requestId);
+      }
+    }
+  }
+
   async handleApiCapture(data) {
     const captureId = uuidv4();
     
@@ -226,40 +1113,15 @@ class StateManager {
     await this.storeApiCapture(capture);
     
     // Send to native app
-    this.sendToNativeApp({
-      type: 'API_CAPTURED',
-      data: capture
-    });
+    this.sendToNativeApp(MessageType.API_CAPTURED, capture);
     
     return { success: true, captureId };
   }
 
   async extractSystemPrompts(capture) {
     const { platform, requestBody } = capture;
-    
-    let systemPrompts = [];
-    
-    if (platform === 'chatgpt' && requestBody.messages) {
-      systemPrompts = requestBody.messages
-        .filter(m => m.role === 'system')
-        .map(m => m.content);
-    } else if (platform === 'claude') {
-      if (requestBody.system) {
-        systemPrompts.push(requestBody.system);
-      }
-      if (requestBody.messages) {
-        systemPrompts.push(
-          ...requestBody.messages
-            .filter(m => m.role === 'system')
-            .map(m => m.content)
-        );
-      }
-    } else if (platform === 'gemini' && requestBody.systemInstruction) {
-      systemPrompts.push(
-        requestBody.systemInstruction.parts?.[0]?.text || 
-        requestBody.systemInstruction
-      );
-    }
+    const adapter = platforms.get(platform);
+    const systemPrompts = adapter ? adapter.extractSystemPrompts(requestBody) : [];
     
     // Store system prompts
     for (const prompt of systemPrompts) {
@@ -276,16 +1138,24 @@ class StateManager {
 
   async storeMessage(message) {
     const key = `message_${message.id}`;
-    await chrome.storage.local.set({ [key]: message });
+    message.rev = this.nextRev();
+    await chrome.storage.local.set({ [key]: message, syncRev: this.syncRev });
     
     // Update conversation
     const conv = this.activeConversations.get(message.conversationId) || {
       id: message.conversationId,
       messages: [],
+      domMessageIds: {},
       startTime: Date.now()
     };
     
-    conv.messages.push(message.id);
+    if (!conv.messages.includes(message.id)) {
+      conv.messages.push(message.id);
+    }
+    if (message.messageId) {
+      conv.domMessageIds = conv.domMessageIds || {};
+      conv.domMessageIds[message.messageId] = message.id;
+    }
     conv.lastActivity = Date.now();
     
     this.activeConversations.set(message.conversationId, conv);
@@ -294,7 +1164,15 @@ class StateManager {
 
   async storeApiCapture(capture) {
     const key = `api_${capture.id}`;
-    await chrome.storage.local.set({ [key]: capture });
+    capture.rev = this.nextRev();
+    await chrome.storage.local.set({ [key]: capture, syncRev: this.syncRev });
+  }
+
+  /**
+   * Next revision for a cached record (the caller persists syncRev)
+   */
+  nextRev() {
+    return ++this.syncRev;
   }
 
   async storeSystemPrompt(data) {
@@ -335,22 +1213,25 @@ class StateManager {
 
   getConversationId(tab) {
     // Extract conversation ID from URL or generate one
-    const url = new URL(tab.url);
-    const pathParts = url.pathname.split('/');
-    
-    // Platform-specific ID extraction
-    if (url.hostname.includes('openai.com') || url.hostname.includes('chatgpt.com')) {
-      const chatId = pathParts.find(p => p.startsWith('c/'));
-      return chatId || `chatgpt_${tab.id}_${Date.now()}`;
-    } else if (url.hostname.includes('claude.ai')) {
-      const chatId = pathParts[pathParts.length - 1];
-      return chatId || `claude_${tab.id}_${Date.now()}`;
-    } else if (url.hostname.includes('gemini.google.com')) {
-      const chatId = url.searchParams.get('c');
-      return chatId || `gemini_${tab.id}_${Date.now()}`;
+    const adapter = platforms.forUrl(tab.url);
+    const chatId = adapter?.extractConversationId(new URL(tab.url));
+
+    return chatId || this.getTabConversationId(adapter?.id || 'unknown', tab);
+  }
+
+  /**
+   * Stable stand-in ID for a conversation whose URL has no ID yet
+   * (e.g. a new chat). Reused until the tab navigates elsewhere.
+   */
+  getTabConversationId(platform, tab) {
+    const existing = this.tabConversations.get(tab.id);
+    if (existing && existing.url === tab.url) {
+      return existing.id;
     }
-    
-    return `unknown_${tab.id}_${Date.now()}`;
+
+    const id = `${platform}_${tab.id}_${Date.now()}`;
+    this.tabConversations.set(tab.id, { url: tab.url, id });
+    return id;
   }
 
   async getStats() {
@@ -367,14 +1248,129 @@ class StateManager {
     };
   }
 
-  async syncAllData() {
-    // Get all stored data and send to native app
-    const allData = await chrome.storage.local.get(null);
-    
-    this.sendToNativeApp({
-      type: 'FULL_SYNC',
-      data: allData
+  requestSync() {
+    if (this.syncInProgress) {
+      return;
+    }
+    this.sendToNativeApp(MessageType.REQUEST_SYNC);
+  }
+
+  /**
+   * Send the desktop app every cached record newer than its high-water mark,
+   * in pages, and prune the records it already has
+   */
+  async syncSince(highWaterMark) {
+    const data = await chrome.storage.local.get(null);
+    const records = await this.collectSyncRecords(data);
+
+    await this.pruneSyncedRecords(
+      records.filter(record => record.data.rev <= highWaterMark)
+    );
+
+    const pages = this.paginateRecords(
+      records.filter(record => record.data.rev > highWaterMark)
+    );
+    if (pages.length === 0) {
+      return;
+    }
+
+    this.syncInProgress = true;
+    let fromRev = highWaterMark;
+    let count = 0;
+
+    pages.forEach((page, index) => {
+      const toRev = page[page.length - 1].data.rev;
+      this.sendToNativeApp(MessageType.SYNC_BATCH, {
+        records: page.map(({ kind, data }) => ({ kind, data })),
+        fromRev,
+        toRev,
+        final: index === pages.length - 1
+      });
+      fromRev = toRev;
+      count += page.length;
     });
+
+    console.log(`Syncing ${count} records in ${pages.length} pages`);
+  }
+
+  /**
+   * Cached records in revision order. Records written before revisions
+   * existed are given one now, so they are synced once like any other.
+   */
+  async collectSyncRecords(data) {
+    const records = [];
+    const unstamped = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      const prefix = Object.keys(SYNC_RECORD_PREFIXES).find(p => key.startsWith(p));
+      if (!prefix) continue;
+
+      if (typeof value.rev !== 'number') {
+        value.rev = this.nextRev();
+        unstamped[key] = value;
+      }
+      records.push({ key, kind: SYNC_RECORD_PREFIXES[prefix], data: value });
+    }
+
+    if (Object.keys(unstamped).length > 0) {
+      await chrome.storage.local.set({ ...unstamped, syncRev: this.syncRev });
+    }
+
+    return records.sort((a, b) => a.data.rev - b.data.rev);
+  }
+
+  /**
+   * Split records into pages of at most SYNC_PAGE_MAX_BYTES
+   */
+  paginateRecords(records) {
+    const pages = [];
+    let page = [];
+    let pageBytes = 0;
+
+    for (const record of records) {
+      const bytes = textEncoder.encode(JSON.stringify(record.data)).length;
+
+      if (bytes > SYNC_PAGE_MAX_BYTES) {
+        console.warn(`Skipping ${record.key}: too large to sync (${bytes} bytes)`);
+        continue;
+      }
+
+      if (pageBytes + bytes > SYNC_PAGE_MAX_BYTES) {
+        pages.push(page);
+        page = [];
+        pageBytes = 0;
+      }
+      page.push(record);
+      pageBytes += bytes;
+    }
+
+    if (page.length > 0) {
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  /**
+   * Drop records the desktop app has confirmed, along with conversations
+   * that have gone idle
+   */
+  async pruneSyncedRecords(records) {
+    if (records.length > 0) {
+      await chrome.storage.local.remove(records.map(record => record.key));
+    }
+
+    const cutoff = Date.now() - CONVERSATION_CACHE_TTL_MS;
+    let pruned = 0;
+    for (const [id, conv] of this.activeConversations) {
+      if ((conv.lastActivity || conv.startTime) < cutoff) {
+        this.activeConversations.delete(id);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      await this.saveState();
+    }
   }
 }
 
@@ -420,16 +1416,23 @@ class RequestInterceptor {
   }
 
   handleRequest(details) {
-    const platform = this.detectPlatform(details.url);
+    // The page's content script captures its API requests, streamed or not
+    // (see injected.js); capturing them here too would record each twice
+    if (platforms.isCapturedInPage(details.url, details.initiator)) {
+      return;
+    }
+
+    const adapter = platforms.forUrl(details.url);
     
     let requestBody = null;
     if (details.requestBody) {
-      requestBody = this.parseRequestBody(details.requestBody);
+      requestBody = this.parseRequestBody(details.requestBody, adapter);
     }
     
     this.requestMap.set(details.requestId, {
       requestId: details.requestId,
-      platform,
+      platform: adapter?.id || 'unknown',
+      model: adapter?.extractModel(requestBody) || null,
       url: details.url,
       method: details.method,
       timestamp: Date.now(),
@@ -457,8 +1460,7 @@ class RequestInterceptor {
     const request = this.requestMap.get(details.requestId);
     if (!request) return;
     
-    // For non-streaming responses, we capture here
-    // Streaming responses are captured via fetch interception in content script
+    // Requests made outside the chat pages, such as direct API calls
     
     const isStreaming = this.isStreamingResponse(request.responseHeaders);
     
@@ -470,11 +1472,12 @@ class RequestInterceptor {
         streaming: false
       });
     } else {
-      // Mark as streaming, content script will handle chunks
+      // The body of a streamed response is not visible here, and no
+      // content script follows it; record the request
       await this.state.handleApiCapture({
         ...request,
-        streaming: true,
-        streamingInProgress: true
+        responseTime: Date.now() - request.timestamp,
+        streaming: true
       });
     }
     
@@ -482,25 +1485,14 @@ class RequestInterceptor {
     this.requestMap.delete(details.requestId);
   }
 
-  detectPlatform(url) {
-    if (url.includes('openai.com') || url.includes('chatgpt.com')) {
-      return 'chatgpt';
-    } else if (url.includes('claude.ai') || url.includes('anthropic.com')) {
-      return 'claude';
-    } else if (url.includes('gemini.google.com') || url.includes('generativelanguage.googleapis.com')) {
-      return 'gemini';
-    }
-    return 'unknown';
-  }
-
-  parseRequestBody(requestBody) {
+  parseRequestBody(requestBody, adapter) {
     if (!requestBody) return null;
     
     try {
       if (requestBody.raw) {
         const decoder = new TextDecoder('utf-8');
         const text = decoder.decode(requestBody.raw[0].bytes);
-        return JSON.parse(text);
+        return adapter ? adapter.parseRequestBody(text) : JSON.parse(text);
       } else if (requestBody.formData) {
         return Object.fromEntries(
           Object.entries(requestBody.formData).map(
@@ -560,10 +1552,16 @@ stateManager.init();
 
 // Keep service worker alive
 chrome.alarms.create('keepAlive', { periodInMinutes: 1 });
+chrome.alarms.create('sync', { periodInMinutes: SYNC_INTERVAL_MINUTES });
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'keepAlive') {
     // Ping native app
-    stateManager.sendToNativeApp({ type: 'PING' });
+    stateManager.sendToNativeApp(MessageType.PING);
+    // Timers do not survive the worker being suspended
+    stateManager.flushOutbox();
+    stateManager.sessions.tick();
+  } else if (alarm.name === 'sync') {
+    stateManager.requestSync();
   }
 });
 
@@ -8,237 +8,268 @@
   // Configuration
   // ============================================================================
 
-  const PLATFORMS = {
-    'chat.openai.com': 'chatgpt',
-    'chatgpt.com': 'chatgpt',
-    'claude.ai': 'claude',
-    'gemini.google.com': 'gemini',
-    'bard.google.com': 'gemini'
-  };
-
-  const platform = PLATFORMS[window.location.hostname];
+  // Site-specific knowledge lives in the platform adapters
+  // (shared/platforms/, loaded before this script as lib/platforms.js, after
+  // the message protocol in lib/protocol.js)
+  const platforms = globalThis.LLMTrackerPlatforms;
+  const protocol = globalThis.LLMTrackerProtocol;
+  const adapter = platforms.forHostname(window.location.hostname);
   
-  if (!platform) {
+  if (!adapter) {
     console.log('LLM Tracker: Unknown platform');
     return;
   }
 
+  const platform = adapter.id;
+
   console.log(`LLM Tracker: Initialized on ${platform}`);
 
   // ============================================================================
-  // Fetch/XHR Interception for Streaming
+  // Page Traffic Interception for Streaming
   // ============================================================================
 
+  // Content scripts run in an isolated world: patching fetch here would not
+  // see the page's own calls. injected.js patches fetch, XHR, EventSource and
+  // WebSocket in the page's world and relays their traffic over a
+  // MessagePort, handed over in a CONNECT message on the page (see
+  // injected.js, a MAIN world content script that runs before the page's).
+  // CONNECT must carry a secret for this page load that only injected.js is
+  // given, so page scripts cannot connect a port of their own.
+
+  // Must match PAGE_CHANNEL, SECRET_EVENT and HELLO_EVENT in injected.js
+  const PAGE_CHANNEL = 'llm-tracker-page';
+  const SECRET_EVENT = 'llm-tracker-secret';
+  const HELLO_EVENT = 'llm-tracker-hello';
+
   class StreamInterceptor {
     constructor() {
       this.activeStreams = new Map();
-      this.setupInterception();
+      this.ignoredRequests = new Set();
+      this.sockets = new Map();
+      this.socketRequest = null;
+      this.port = null;
+      this.connectPageScript();
     }
 
-    setupInterception() {
-      // Intercept fetch
-      const originalFetch = window.fetch;
-      window.fetch = async (...args) => {
-        const [url, options] = args;
-        
-        if (this.isLLMEndpoint(url)) {
-          return this.interceptFetch(originalFetch, url, options);
-        }
-        
-        return originalFetch.apply(window, args);
+    connectPageScript() {
+      // Both scripts run at document_start, before any page script can
+      // listen, but in either order: the secret is announced now, and again
+      // when injected.js says hello if it was not listening yet
+      const secret = crypto.randomUUID();
+      const announce = () => {
+        document.dispatchEvent(new CustomEvent(SECRET_EVENT, { detail: secret }));
       };
+      document.addEventListener(HELLO_EVENT, announce, { once: true });
+      announce();
+
+      const onConnect = (event) => {
+        const message = event.data;
+        if (
+          event.source !== window ||
+          message?.source !== PAGE_CHANNEL ||
+          message.type !== 'CONNECT' ||
+          message.secret !== secret ||
+          !event.ports[0]
+        ) {
+          return;
+        }
 
-      // Intercept XMLHttpRequest
-      const originalXHROpen = XMLHttpRequest.prototype.open;
-      const originalXHRSend = XMLHttpRequest.prototype.send;
-      
-      XMLHttpRequest.prototype.open = function(method, url, ...rest) {
-        this._llmTracker = {
-          url: url,
-          method: method,
-          isLLMEndpoint: streamInterceptor.isLLMEndpoint(url)
-        };
-        return originalXHROpen.apply(this, [method, url, ...rest]);
+        // Only the first CONNECT with the secret, injected.js's, is
+        // listened to: it is posted before any page script runs
+        window.removeEventListener('message', onConnect);
+        document.removeEventListener(HELLO_EVENT, announce);
+        this.port = event.ports[0];
+        this.port.onmessage = ({ data }) => this.handlePageMessage(data);
       };
+      window.addEventListener('message', onConnect);
+    }
 
-      XMLHttpRequest.prototype.send = function(body) {
-        if (this._llmTracker?.isLLMEndpoint) {
-          streamInterceptor.interceptXHR(this, body);
-        }
-        return originalXHRSend.apply(this, [body]);
-      };
+    handlePageMessage({ type, data }) {
+      switch (type) {
+        case 'REQUEST':
+          return this.handleRequest(data);
+        case 'RESPONSE':
+          return this.handleResponse(data);
+        case 'REQUEST_FAILED':
+          return this.handleRequestFailed(data);
+        case 'STREAM_START':
+          return this.handleStreamStart(data);
+        case 'STREAM_DATA':
+          return this.handleStreamData(data);
+        case 'STREAM_END':
+          return this.handleStreamEnd(data);
+        case 'SOCKET_OPEN':
+          return this.handleSocketOpen(data);
+        case 'SOCKET_SEND':
+          return this.handleSocketSend(data);
+        case 'SOCKET_MESSAGE':
+          return this.handleSocketMessage(data);
+        case 'SOCKET_CLOSE':
+          return this.sockets.delete(data.socketId);
+        case 'UPLOAD':
+          return attachmentCapture.handleUpload(data, this.port);
+        case 'UPLOAD_DATA':
+          return attachmentCapture.handleUploadData(data);
+        case 'VOICE_INPUT':
+          return inputTracker.handleVoiceInput();
+      }
     }
 
-    isLLMEndpoint(url) {
-      const llmPatterns = [
-        '/backend-api/',
-        '/api/chat',
-        '/api/conversation',
-        'chat/completions',
-        'messages',
-        '/completion'
-      ];
-      
-      return llmPatterns.some(pattern => 
-        url.toString().includes(pattern)
-      );
+    handleRequest({ requestId, url, method, body }) {
+      const requestBody = body ? adapter.parseRequestBody(body) : null;
+
+      // Answered over a WebSocket: captured once the reply starts streaming
+      if (adapter.repliesOverSocket(requestBody)) {
+        this.socketRequest = { url, body: requestBody };
+        this.ignoredRequests.add(requestId);
+        return;
+      }
+
+      this.captureRequest(requestId, { url, method, body: requestBody });
     }
 
-    async interceptFetch(originalFetch, url, options) {
-      const requestId = this.generateId();
-      const requestBody = options?.body ? JSON.parse(options.body) : null;
-      
-      // Capture request
-      this.captureRequest(requestId, {
-        url,
-        method: options?.method || 'GET',
-        body: requestBody,
-        headers: options?.headers
-      });
+    handleResponse({ requestId, body }) {
+      if (this.ignoredRequests.delete(requestId) || !body) {
+        return;
+      }
 
+      let response;
       try {
-        const response = await originalFetch(url, options);
-        
-        // Check if streaming
-        const contentType = response.headers.get('content-type');
-        const isStreaming = contentType?.includes('text/event-stream') ||
-                           contentType?.includes('stream');
-        
-        if (isStreaming && response.body) {
-          return this.captureStreamingResponse(requestId, response);
-        } else {
-          // Non-streaming response
-          const clonedResponse = response.clone();
-          clonedResponse.json().then(data => {
-            this.captureCompleteResponse(requestId, data);
-          }).catch(() => {});
-          
-          return response;
-        }
+        response = JSON.parse(body);
       } catch (error) {
-        console.error('Fetch interception error:', error);
-        throw error;
+        console.error('LLM Tracker: Could not parse response:', error);
+        return;
       }
+      this.captureCompleteResponse(requestId, response);
     }
 
-    captureStreamingResponse(requestId, response) {
-      const clonedResponse = response.clone();
-      const reader = clonedResponse.body.getReader();
-      const decoder = new TextDecoder();
-      
-      let chunkIndex = 0;
-      let lastChunkTime = Date.now();
-      let accumulatedContent = '';
-      
+    handleRequestFailed({ requestId, error }) {
+      console.error('LLM Tracker: Request capture failed:', error);
+      this.ignoredRequests.delete(requestId);
+      this.activeStreams.delete(requestId);
+    }
+
+    handleStreamStart({ requestId, contentType, timestamp }) {
+      if (this.ignoredRequests.has(requestId)) {
+        return;
+      }
+
+      // Events may span network chunks; the stream reader buffers them
+      // and decodes them in the platform's format
+      const stream = this.startStream(requestId, timestamp);
+      stream.reader = adapter.createStreamReader(contentType);
+    }
+
+    handleStreamData({ requestId, text, timestamp }) {
+      const stream = this.activeStreams.get(requestId);
+      if (!stream?.reader) {
+        return;
+      }
+
+      for (const delta of stream.reader.push(text)) {
+        this.recordStreamEvent(stream, delta, timestamp);
+      }
+    }
+
+    handleStreamEnd({ requestId, timestamp }) {
+      if (this.ignoredRequests.delete(requestId)) {
+        return;
+      }
+
+      const stream = this.activeStreams.get(requestId);
+      if (!stream?.reader) {
+        return;
+      }
+
+      for (const delta of stream.reader.end()) {
+        this.recordStreamEvent(stream, delta, timestamp);
+      }
+      this.finalizeStream(requestId);
+    }
+
+    startStream(requestId, now = Date.now()) {
       const stream = this.activeStreams.get(requestId) || {
         requestId,
-        startTime: Date.now(),
-        chunks: []
+        startTime: now,
+        lastChunkTime: now,
+        content: '',
+        chunkCount: 0,
+        reader: null
       };
       
       this.activeStreams.set(requestId, stream);
+      return stream;
+    }
 
-      // Read stream in background
-      (async () => {
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            
-            if (done) {
-              this.finalizeStream(requestId, accumulatedContent);
-              break;
-            }
+    recordStreamEvent(stream, delta, now) {
+      // Usage may be split across events, keep what each adds
+      if (delta.usage) {
+        stream.usage = { ...stream.usage, ...delta.usage };
+      }
 
-            const chunk = decoder.decode(value, { stream: true });
-            const now = Date.now();
-            
-            // Parse SSE format
-            const lines = chunk.split('\n');
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                const data = line.slice(6);
-                
-                if (data === '[DONE]') {
-                  continue;
-                }
-                
-                try {
-                  const parsed = JSON.parse(data);
-                  const content = this.extractContent(parsed);
-                  
-                  if (content) {
-                    accumulatedContent += content;
-                    
-                    stream.chunks.push({
-                      index: chunkIndex++,
-                      timestamp: now,
-                      deltaTime: now - lastChunkTime,
-                      content: content,
-                      raw: data
-                    });
-                    
-                    lastChunkTime = now;
-                    
-                    // Send chunk to background
-                    this.sendChunkToBackground(requestId, {
-                      chunkIndex: chunkIndex - 1,
-                      content,
-                      deltaTime: now - lastChunkTime,
-                      timestamp: now
-                    });
-                  }
-                } catch (e) {
-                  // Not JSON, might be raw text
-                  if (data.trim()) {
-                    accumulatedContent += data;
-                  }
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.error('Stream reading error:', error);
-          this.activeStreams.delete(requestId);
+      // Text, thinking, tool calls and their output, and citations are
+      // sent as chunks of their own type
+      for (const { type, content, metadata } of platforms.deltaParts(delta)) {
+        if (!content && !metadata) {
+          continue;
         }
-      })();
 
-      return response;
+        const chunkIndex = stream.chunkCount++;
+        const deltaTime = now - stream.lastChunkTime;
+        if (type === platforms.ContentType.TEXT) {
+          stream.content += content;
+        }
+        stream.lastChunkTime = now;
+
+        // Send chunk to background
+        this.sendChunkToBackground(stream.requestId, {
+          chunkIndex,
+          contentType: type,
+          content,
+          metadata,
+          deltaTime,
+          timestamp: now
+        });
+      }
     }
 
-    extractContent(parsed) {
-      // Platform-specific content extraction
-      if (platform === 'chatgpt') {
-        return parsed.choices?.[0]?.delta?.content || '';
-      } else if (platform === 'claude') {
-        return parsed.completion || parsed.delta?.text || '';
-      } else if (platform === 'gemini') {
-        return parsed.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      }
-      return '';
+    // Replies streamed over a WebSocket (see PlatformAdapter.parseSocketMessage)
+    handleSocketOpen({ socketId, url }) {
+      this.sockets.set(socketId, { url, state: {}, streams: new Map() });
     }
 
-    interceptXHR(xhr, body) {
-      const requestId = this.generateId();
-      
-      this.captureRequest(requestId, {
-        url: xhr._llmTracker.url,
-        method: xhr._llmTracker.method,
-        body: body ? JSON.parse(body) : null
-      });
+    handleSocketSend({ socketId, data }) {
+      const socket = this.sockets.get(socketId);
+      const body = adapter.parseRequestBody(data);
+      if (socket && adapter.repliesOverSocket(body)) {
+        this.socketRequest = { url: socket.url, body };
+      }
+    }
 
-      const originalOnReadyStateChange = xhr.onreadystatechange;
-      xhr.onreadystatechange = function() {
-        if (xhr.readyState === 4) {
-          try {
-            const response = JSON.parse(xhr.responseText);
-            streamInterceptor.captureCompleteResponse(requestId, response);
-          } catch (e) {}
+    handleSocketMessage({ socketId, data, timestamp }) {
+      const socket = this.sockets.get(socketId);
+      if (!socket) return;
+
+      for (const reply of adapter.parseSocketMessage(data, socket.state)) {
+        let requestId = socket.streams.get(reply.streamId);
+        if (!requestId) {
+          requestId = this.generateId();
+          socket.streams.set(reply.streamId, requestId);
+          this.captureRequest(requestId, {
+            url: this.socketRequest?.url || socket.url,
+            method: 'WEBSOCKET',
+            body: this.socketRequest?.body || null
+          });
+          this.socketRequest = null;
         }
-        
-        if (originalOnReadyStateChange) {
-          originalOnReadyStateChange.apply(this, arguments);
+
+        this.recordStreamEvent(this.startStream(requestId, timestamp), reply, timestamp);
+
+        if (reply.done) {
+          this.finalizeStream(requestId);
+          socket.streams.delete(reply.streamId);
         }
-      };
+      }
     }
 
     captureRequest(requestId, data) {
@@ -247,8 +278,11 @@
         data: {
           requestId,
           platform,
+          conversationId: conversationObserver?.conversationId || null,
+          model: adapter.extractModel(data.body),
           timestamp: Date.now(),
-          ...data
+          ...data,
+          url: String(data.url)
         }
       });
     }
@@ -276,7 +310,7 @@
       });
     }
 
-    finalizeStream(requestId, fullContent) {
+    finalizeStream(requestId) {
       const stream = this.activeStreams.get(requestId);
       
       if (stream) {
@@ -286,10 +320,12 @@
             requestId,
             platform,
             timestamp: Date.now(),
-            totalChunks: stream.chunks.length,
-            fullContent,
-            duration: Date.now() - stream.startTime,
-            chunks: stream.chunks
+            totalChunks: stream.chunkCount,
+            fullContent: stream.content,
+            usage: stream.usage || null,
+            stopReason: stream.reader?.result.stopReason || null,
+            parts: stream.reader?.result.parts || null,
+            duration: Date.now() - stream.startTime
           }
         });
         
@@ -302,34 +338,277 @@
     }
   }
 
+  // ============================================================================
+  // Attachment Capture
+  // ============================================================================
+
+  // Uploads are linked to the next message the user sends within this time
+  const UPLOAD_LINK_WINDOW_MS = 30 * 60 * 1000;
+
+  /**
+   * Contents of uploaded files and of media shown in messages. Files are
+   * hashed here and sent to the desktop app once each; messages refer to
+   * them by SHA-256 in their attachments. What is kept follows the policy
+   * the desktop app sends on connect (see INIT_ACK); nothing is kept before
+   * it is known.
+   */
+  class AttachmentCapture {
+    constructor() {
+      this.policy = null;
+      this.uploads = [];
+      this.pendingUploads = new Map();
+      this.urls = new Map();
+      this.files = new Map();
+      this.loadPolicy();
+    }
+
+    loadPolicy() {
+      chrome.storage.local.get('attachmentPolicy').then(({ attachmentPolicy }) => {
+        this.policy = attachmentPolicy || null;
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.attachmentPolicy) {
+          this.policy = changes.attachmentPolicy.newValue || null;
+        }
+      });
+    }
+
+    accepts(file) {
+      return protocol.acceptsAttachment(this.policy, file);
+    }
+
+    // A file the page is uploading: ask for its contents if they are kept
+    handleUpload({ uploadId, name, mimeType, size, timestamp }, port) {
+      const upload = {
+        type: protocol.attachmentKind(mimeType),
+        name,
+        mimeType,
+        size,
+        source: 'upload',
+        timestamp
+      };
+      this.uploads.push(upload);
+
+      if (this.accepts(upload)) {
+        this.pendingUploads.set(uploadId, upload);
+        port.postMessage({ type: 'READ_UPLOAD', data: { uploadId } });
+      } else {
+        port.postMessage({ type: 'DROP_UPLOAD', data: { uploadId } });
+      }
+    }
+
+    async handleUploadData({ uploadId, buffer }) {
+      const upload = this.pendingUploads.get(uploadId);
+      if (!upload) return;
+      this.pendingUploads.delete(uploadId);
+
+      upload.sha256 = await this.send(buffer, upload);
+    }
+
+    /**
+     * Uploads made since the last message the user sent, which are taken
+     * to be attached to the one they send next
+     */
+    takeUploads(now = Date.now()) {
+      const uploads = this.uploads.filter(
+        upload => now - upload.timestamp <= UPLOAD_LINK_WINDOW_MS
+      );
+      this.uploads = [];
+      return uploads;
+    }
+
+    /**
+     * Stored file fetched from a URL, if any: `{ sha256, size, mimeType }`
+     */
+    fileFor(url) {
+      return this.files.get(url) || null;
+    }
+
+    /**
+     * Fetch a file shown in a message, once per URL. Resolves to
+     * `{ sha256, size, mimeType }`, or null if it is not kept or cannot be
+     * read (e.g. a cross-origin URL that does not allow it).
+     */
+    captureUrl(url, { type, name }) {
+      if (!url || !this.policy || (type && !this.policy.kinds.includes(type))) {
+        return Promise.resolve(null);
+      }
+      if (!this.urls.has(url)) {
+        this.urls.set(url, this.fetchUrl(url, name).catch(() => null));
+      }
+      return this.urls.get(url);
+    }
+
+    async fetchUrl(url, name) {
+      const response = await fetch(url, { credentials: 'include' });
+      const length = Number(response.headers.get('content-length'));
+      const mimeType = response.headers.get('content-type')?.split(';')[0] || null;
+      if (!response.ok || (length && !this.accepts({ mimeType, size: length }))) {
+        return null;
+      }
+
+      const buffer = await response.arrayBuffer();
+      const file = { name, mimeType, size: buffer.byteLength, source: 'rendered', url };
+      if (!this.accepts(file)) {
+        return null;
+      }
+
+      const sha256 = await this.send(buffer, file);
+      const stored = { sha256, size: file.size, mimeType };
+      this.files.set(url, stored);
+      return stored;
+    }
+
+    // Hash a file and hand it to the background script for the desktop app
+    async send(buffer, { name, mimeType, source, url = null }) {
+      const digest = await crypto.subtle.digest('SHA-256', buffer);
+      const sha256 = this.toHex(digest);
+
+      chrome.runtime.sendMessage({
+        type: 'ATTACHMENT_CAPTURED',
+        data: {
+          sha256,
+          data: this.toBase64(buffer),
+          size: buffer.byteLength,
+          mimeType,
+          name: name || null,
+          platform,
+          source,
+          url,
+          timestamp: Date.now()
+        }
+      });
+      return sha256;
+    }
+
+    toHex(buffer) {
+      return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    toBase64(buffer) {
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }
+  }
+
+  // ============================================================================
+  // Input Tracking
+  // ============================================================================
+
+  const { InputMethod } = protocol;
+
+  /**
+   * How the user writes each prompt: typed, pasted, dictated, or edited in
+   * an earlier message. Input is tallied until the next user message is
+   * captured, which takes the tally. Also tells the background whether the
+   * page is visible, for usage sessions.
+   */
+  class InputTracker {
+    constructor() {
+      this.draft = this.emptyDraft();
+
+      document.addEventListener('input', (event) => this.handleInput(event), true);
+      document.addEventListener('paste', (event) => this.handlePaste(event.clipboardData), true);
+      document.addEventListener('drop', (event) => this.handlePaste(event.dataTransfer), true);
+      document.addEventListener('visibilitychange', () => this.reportVisibility());
+      this.reportVisibility();
+    }
+
+    emptyDraft() {
+      return { typed: 0, pasted: 0, voice: false, editing: false };
+    }
+
+    handleInput(event) {
+      if (conversationObserver.findParentMessage(event.target)) {
+        this.draft.editing = true;
+      }
+
+      // Pasted and dropped text is counted from the clipboard
+      const type = event.inputType || '';
+      if (type.startsWith('insert') && !/^insertFrom(Paste|Drop)/.test(type)) {
+        this.draft.typed += event.data?.length || 1;
+      }
+    }
+
+    handlePaste(transfer) {
+      this.draft.pasted += transfer?.getData('text/plain').length || 0;
+    }
+
+    handleVoiceInput() {
+      this.draft.voice = true;
+    }
+
+    /**
+     * How the prompt just sent was written, or null if no input was seen
+     * (sent from another device, or a suggested prompt clicked)
+     */
+    takeInputMethod(variantIndex) {
+      const { typed, pasted, voice, editing } = this.draft;
+      this.draft = this.emptyDraft();
+
+      if (editing || variantIndex > 1) {
+        return InputMethod.EDITED;
+      }
+      if (voice) {
+        return InputMethod.VOICE;
+      }
+      if (pasted > 0 || typed > 0) {
+        return pasted > typed ? InputMethod.PASTED : InputMethod.TYPED;
+      }
+      return null;
+    }
+
+    reportVisibility() {
+      chrome.runtime.sendMessage({
+        type: 'PAGE_VISIBILITY',
+        data: { visible: document.visibilityState === 'visible' }
+      }).catch(() => {
+        // Extension reloaded; this page no longer reports
+      });
+    }
+  }
+
   // ============================================================================
   // DOM Observer for Visible Content
   // ============================================================================
 
+  // Coalesce DOM updates to a streaming message into one event per interval
+  const UPDATE_DEBOUNCE_MS = 500;
+
+  // Variant switcher label ("2 / 3"), shown once a prompt has been edited or
+  // a response regenerated
+  const VARIANT_LABEL_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+
+  // Capture health is checked once a page has had time to render, and
+  // again while it stays open
+  const HEALTH_CHECK_DELAY_MS = 15000;
+  const HEALTH_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+  /**
+   * Captures the messages rendered in the page. They are found with the
+   * first of the adapter's selector strategies that matches anything, so a
+   * redesign that breaks one falls back to the next. How well that works
+   * is reported to the background (capture health).
+   */
   class ConversationObserver {
     constructor() {
       this.messageElements = new Map();
+      this.elementIds = new WeakMap();
       this.conversationId = this.extractConversationId();
       this.lastMessageCount = 0;
+      this.strategy = adapter.strategies[0];
+      this.healthTimer = null;
       this.setupObserver();
       this.setupInitialCapture();
+      setInterval(() => this.reportHealth(), HEALTH_CHECK_INTERVAL_MS);
     }
 
     extractConversationId() {
-      const url = window.location.href;
-      
-      if (platform === 'chatgpt') {
-        const match = url.match(/\/c\/([^/?]+)/);
-        return match ? match[1] : null;
-      } else if (platform === 'claude') {
-        const parts = url.split('/');
-        return parts[parts.length - 1] || null;
-      } else if (platform === 'gemini') {
-        const urlParams = new URLSearchParams(window.location.search);
-        return urlParams.get('c');
-      }
-      
-      return null;
+      return adapter.extractConversationId(new URL(window.location.href));
     }
 
     setupObserver() {
@@ -363,13 +642,19 @@
     }
 
     setupInitialCapture() {
+      this.roleCounts = { detected: 0, attempted: 0 };
+
       // Capture any existing messages on page load
       setTimeout(() => {
         this.captureExistingMessages();
       }, 2000);
+
+      clearTimeout(this.healthTimer);
+      this.healthTimer = setTimeout(() => this.reportHealth(), HEALTH_CHECK_DELAY_MS);
     }
 
     captureExistingMessages() {
+      this.selectStrategy();
       const messages = this.findMessageElements();
       
       messages.forEach((msgElement, index) => {
@@ -377,18 +662,48 @@
       });
     }
 
-    findMessageElements() {
-      // Platform-specific selectors
-      const selectors = {
-        chatgpt: '[data-message-author-role]',
-        claude: '[data-test-render-count]',
-        gemini: '.conversation-turn'
-      };
+    /**
+     * Switch to the first strategy that finds messages, if that is not the
+     * one in use. Returns whether it switched.
+     */
+    selectStrategy() {
+      const found = adapter.selectStrategy(document);
+      if (!found || found.strategy === this.strategy) {
+        return false;
+      }
 
-      const selector = selectors[platform];
-      if (!selector) return [];
+      this.strategy = found.strategy;
+      return true;
+    }
+
+    /**
+     * Tell the background how capture went on this page
+     */
+    reportHealth() {
+      // Messages may have rendered only after the initial capture
+      if (this.selectStrategy()) {
+        this.captureExistingMessages();
+      }
+
+      chrome.runtime.sendMessage({
+        type: 'CAPTURE_HEALTH',
+        data: {
+          platform,
+          strategy: this.strategy.name,
+          strategyIndex: adapter.strategies.indexOf(this.strategy),
+          messagesFound: this.findMessageElements().length,
+          rolesDetected: this.roleCounts.detected,
+          rolesAttempted: this.roleCounts.attempted,
+          expectsMessages: Boolean(this.conversationId),
+          pageUrl: window.location.href
+        }
+      }).catch(() => {
+        // Extension reloaded; this page no longer reports
+      });
+    }
 
-      return Array.from(document.querySelectorAll(selector));
+    findMessageElements() {
+      return adapter.findMessageElements(document, this.strategy);
     }
 
     handleMutations(mutations) {
@@ -396,8 +711,15 @@
         // New messages added
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach(node => {
-            if (node.nodeType === 1 && this.isMessageNode(node)) {
+            if (node.nodeType !== 1) return;
+
+            if (this.isMessageNode(node)) {
               this.captureMessage(node);
+            } else {
+              // Switching variants re-renders whole turns
+              adapter.findMessageElements(node, this.strategy).forEach(
+                el => this.updateMessage(el)
+              );
             }
           });
         }
@@ -413,13 +735,7 @@
     }
 
     isMessageNode(node) {
-      const messageSelectors = {
-        chatgpt: node.hasAttribute('data-message-author-role'),
-        claude: node.hasAttribute('data-test-render-count'),
-        gemini: node.classList.contains('conversation-turn')
-      };
-
-      return messageSelectors[platform] || false;
+      return adapter.isMessageElement(node, this.strategy);
     }
 
     findParentMessage(node) {
@@ -435,24 +751,46 @@
 
     captureMessage(element, position = null, isInitial = false) {
       const messageId = this.getElementId(element);
+      const role = this.detectRole(element);
+
+      const stored = this.messageElements.get(messageId);
+      const isNewPrompt = !stored && role === 'user' && !isInitial;
+
+      if (!stored) {
+        this.roleCounts.attempted++;
+        if (role !== 'unknown') {
+          this.roleCounts.detected++;
+        }
+      }
+
+      // Files uploaded before sending belong to the user's next message
+      const uploads = stored?.uploads ||
+        (isNewPrompt ? attachmentCapture.takeUploads() : []);
+      const variant = this.detectVariant(element);
       
       const data = {
         messageId,
         conversationId: this.conversationId,
         platform,
         timestamp: Date.now(),
-        role: this.detectRole(element),
+        role,
         visibleContent: this.extractText(element),
         html: element.innerHTML,
         position: position ?? this.getMessagePosition(element),
-        attachments: this.extractAttachments(element),
+        attachments: [...uploads, ...this.extractAttachments(element)],
         codeBlocks: this.extractCodeBlocks(element),
+        parentMessageId: this.getParentMessageId(element),
+        ...variant,
+        inputMethod: stored
+          ? stored.data.inputMethod
+          : (isNewPrompt ? inputTracker.takeInputMethod(variant.variantIndex) : null),
         isInitial
       };
 
       this.messageElements.set(messageId, {
         element,
         data,
+        uploads,
         lastContent: data.visibleContent
       });
 
@@ -461,35 +799,96 @@
         type: 'MESSAGE_CAPTURED',
         data
       });
+
+      this.captureAttachmentFiles(element, data.attachments);
     }
 
     updateMessage(element) {
       const messageId = this.getElementId(element);
       const stored = this.messageElements.get(messageId);
       
-      if (!stored) {
-        // New message
+      if (!stored || stored.element !== element) {
+        // New message, or an earlier variant shown again
         this.captureMessage(element);
         return;
       }
 
+      if (stored.updateTimer) {
+        return;
+      }
+
+      stored.updateTimer = setTimeout(() => {
+        stored.updateTimer = null;
+        this.flushUpdate(stored);
+      }, UPDATE_DEBOUNCE_MS);
+    }
+
+    flushUpdate(stored) {
+      const { element } = stored;
       const currentContent = this.extractText(element);
+      const variant = this.detectVariant(element);
       
-      if (currentContent !== stored.lastContent) {
+      if (
+        currentContent !== stored.lastContent ||
+        variant.variantIndex !== stored.data.variantIndex ||
+        variant.variantCount !== stored.data.variantCount
+      ) {
         stored.lastContent = currentContent;
+        Object.assign(stored.data, variant);
         stored.data.visibleContent = currentContent;
+        stored.data.html = element.innerHTML;
+        stored.data.codeBlocks = this.extractCodeBlocks(element);
+        stored.data.attachments = [...stored.uploads, ...this.extractAttachments(element)];
         stored.data.lastUpdated = Date.now();
 
         chrome.runtime.sendMessage({
           type: 'MESSAGE_UPDATED',
           data: stored.data
         });
+
+        this.captureAttachmentFiles(element, stored.data.attachments);
+      }
+    }
+
+    // Store the files shown in a message, then update the message to refer
+    // to them by hash
+    captureAttachmentFiles(element, attachments) {
+      for (const attachment of attachments) {
+        if (attachment.sha256 || attachment.source === 'upload') continue;
+
+        const url = attachment.src || attachment.url;
+        const type = attachment.type === 'image' ? 'image' : null;
+        attachmentCapture.captureUrl(url, { type, name: attachment.name || attachment.alt }).then(file => {
+          if (file) {
+            this.refreshAttachments(element);
+          }
+        });
       }
     }
 
+    refreshAttachments(element) {
+      const stored = this.messageElements.get(this.getElementId(element));
+      if (!stored || stored.element !== element) return;
+
+      stored.data.attachments = [...stored.uploads, ...this.extractAttachments(element)];
+      stored.data.lastUpdated = Date.now();
+
+      chrome.runtime.sendMessage({
+        type: 'MESSAGE_UPDATED',
+        data: stored.data
+      });
+    }
+
     getElementId(element) {
       // Try to get a stable ID
       if (element.id) return element.id;
+      if (element.dataset.messageId) return element.dataset.messageId;
+
+      // Keep the first ID we generated, so a message whose text is still
+      // streaming in is not mistaken for a new one
+      if (this.elementIds.has(element)) {
+        return this.elementIds.get(element);
+      }
       
       // Generate based on position and content
       const position = this.getMessagePosition(element);
@@ -497,20 +896,13 @@
         this.extractText(element).substring(0, 50)
       );
       
-      return `${platform}_${position}_${contentHash}`;
+      const id = `${platform}_${position}_${contentHash}`;
+      this.elementIds.set(element, id);
+      return id;
     }
 
     detectRole(element) {
-      if (platform === 'chatgpt') {
-        return element.getAttribute('data-message-author-role');
-      } else if (platform === 'claude') {
-        // Claude detection logic
-        const isUser = element.querySelector('[data-is-user-message]');
-        return isUser ? 'user' : 'assistant';
-      } else if (platform === 'gemini') {
-        return element.classList.contains('user-turn') ? 'user' : 'assistant';
-      }
-      return 'unknown';
+      return adapter.detectRole(element, this.strategy);
     }
 
     extractText(element) {
@@ -530,6 +922,32 @@
       return allMessages.indexOf(element);
     }
 
+    // The message shown before this one is the one it replies to
+    getParentMessageId(element) {
+      const allMessages = this.findMessageElements();
+      const index = allMessages.indexOf(element);
+      return index > 0 ? this.getElementId(allMessages[index - 1]) : null;
+    }
+
+    detectVariant(element) {
+      const selector = adapter.selectors.variantContainer;
+      const container = (selector && element.closest(selector)) || element;
+
+      for (const node of container.querySelectorAll('div, span')) {
+        if (node.children.length > 0 || node.closest('pre, code')) continue;
+
+        const match = node.textContent.match(VARIANT_LABEL_PATTERN);
+        if (match && Number(match[2]) > 1) {
+          return {
+            variantIndex: Number(match[1]),
+            variantCount: Number(match[2])
+          };
+        }
+      }
+
+      return { variantIndex: null, variantCount: null };
+    }
+
     extractAttachments(element) {
       const attachments = [];
 
@@ -540,7 +958,8 @@
           src: img.src,
           alt: img.alt || '',
           width: img.naturalWidth,
-          height: img.naturalHeight
+          height: img.naturalHeight,
+          ...attachmentCapture.fileFor(img.src)
         });
       });
 
@@ -549,7 +968,8 @@
         attachments.push({
           type: 'file',
           name: link.textContent.trim(),
-          url: link.href
+          url: link.href,
+          ...attachmentCapture.fileFor(link.href)
         });
       });
 
@@ -653,7 +1073,9 @@
   // Initialize
   // ============================================================================
 
-  const streamInterceptor = new StreamInterceptor();
+  const attachmentCapture = new AttachmentCapture();
+  const inputTracker = new InputTracker();
+  new StreamInterceptor();
   const conversationObserver = new ConversationObserver();
   const suggestionOverlay = new SuggestionOverlay();
 
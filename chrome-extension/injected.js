@@ -0,0 +1,461 @@
+// injected.js - Page Script for LLM Platform Pages
+// Runs in the page's own JavaScript world, where the page's fetch, XHR,
+// EventSource and WebSocket calls happen, and relays their traffic to the
+// content script. Registered in the manifest as a MAIN world content script
+// at document_start, after lib/platforms.js, so it runs before any of the
+// page's own scripts and wraps their first calls too.
+//
+// It hands the content script a MessagePort in a CONNECT message posted on
+// the page, with the secret the content script gave it for this page load
+// in an event on the document; no page script has run yet to listen for
+// it. Everything after that goes over the port, which other scripts on the
+// page cannot post to.
+//
+// Files the page uploads are announced by name, type and size; the content
+// script asks for the contents of those its attachment settings keep.
+// Dictation is announced too, so prompts spoken rather than typed are
+// counted as voice input.
+
+(function () {
+  'use strict';
+
+  // Must match PAGE_CHANNEL, SECRET_EVENT and HELLO_EVENT in content.js
+  const PAGE_CHANNEL = 'llm-tracker-page';
+  const SECRET_EVENT = 'llm-tracker-secret';
+  const HELLO_EVENT = 'llm-tracker-hello';
+
+  // The platform adapters are only needed for the URL patterns of this
+  // platform; don't leave them on the page
+  const adapter = globalThis.LLMTrackerPlatforms?.forHostname(
+    window.location.hostname
+  );
+  delete globalThis.LLMTrackerPlatforms;
+  delete globalThis.LLMTrackerStreamParsers;
+  if (!adapter) {
+    return;
+  }
+
+  const { apiPatterns = [], socketPatterns = [] } = adapter;
+
+  // Messages posted before the content script listens wait in the port
+  const channel = new MessageChannel();
+  const port = channel.port1;
+
+  // The content script announces the secret as it starts, or in answer to
+  // hello if it started first
+  const connect = ({ detail: secret }) => {
+    if (typeof secret !== 'string') {
+      return;
+    }
+    document.removeEventListener(SECRET_EVENT, connect);
+    window.postMessage(
+      { source: PAGE_CHANNEL, type: 'CONNECT', secret },
+      window.location.origin,
+      [channel.port2]
+    );
+  };
+  document.addEventListener(SECRET_EVENT, connect);
+  document.dispatchEvent(new CustomEvent(HELLO_EVENT));
+
+  function post(type, data, transfer = []) {
+    try {
+      port.postMessage(
+        { type, data: { ...data, timestamp: Date.now() } },
+        transfer
+      );
+    } catch (error) {
+      // Not cloneable; the page's own call is unaffected
+    }
+  }
+
+  // Uploaded files waiting for the content script to ask for them
+  const uploads = new Map();
+
+  port.onmessage = ({ data: message }) => {
+    const file = uploads.get(message?.data?.uploadId);
+    if (!file) {
+      return;
+    }
+
+    uploads.delete(message.data.uploadId);
+    if (message.type === 'READ_UPLOAD') {
+      file.arrayBuffer().then(
+        (buffer) =>
+          post('UPLOAD_DATA', { uploadId: message.data.uploadId, buffer }, [
+            buffer,
+          ]),
+        () => {}
+      );
+    }
+  };
+
+  function matches(url, patterns) {
+    const href = String(url);
+    return patterns.some((pattern) => href.includes(pattern));
+  }
+
+  function generateId() {
+    return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  function isStreaming(contentType) {
+    return Boolean(contentType && contentType.includes('stream'));
+  }
+
+  // Request bodies as text, which the platform adapters parse
+  function serializeBody(body) {
+    if (typeof body === 'string') {
+      return body;
+    }
+    if (body instanceof URLSearchParams) {
+      return body.toString();
+    }
+    if (body instanceof FormData) {
+      const params = new URLSearchParams();
+      for (const [key, value] of body.entries()) {
+        if (typeof value === 'string') {
+          params.append(key, value);
+        }
+      }
+      return params.toString();
+    }
+    return null;
+  }
+
+  // Files sent by a request, whatever its URL: uploads often go straight to
+  // a storage host
+  function findUploads(url, body) {
+    let files = [];
+    if (body instanceof File) {
+      files = [body];
+    } else if (body instanceof FormData) {
+      files = Array.from(body.values()).filter(
+        (value) => value instanceof File
+      );
+    }
+
+    for (const file of files) {
+      const uploadId = generateId();
+      uploads.set(uploadId, file);
+      post('UPLOAD', {
+        uploadId,
+        url: String(url),
+        name: file.name || null,
+        mimeType: file.type || null,
+        size: file.size,
+      });
+    }
+  }
+
+  // ============================================================================
+  // fetch
+  // ============================================================================
+
+  const originalFetch = window.fetch;
+
+  window.fetch = function (input, init) {
+    const request = input instanceof Request ? input : null;
+    const url = request ? request.url : String(input);
+
+    findUploads(url, init?.body);
+    if (!matches(url, apiPatterns)) {
+      return originalFetch.apply(window, arguments);
+    }
+
+    const requestId = generateId();
+    post('REQUEST', {
+      requestId,
+      url,
+      method: (init?.method || request?.method || 'GET').toUpperCase(),
+      body: serializeBody(init?.body),
+    });
+
+    // The page gets the response untouched; a clone is read for capture
+    const promise = originalFetch.apply(window, arguments);
+    promise.then(
+      (response) => readResponse(requestId, response.clone()),
+      (error) => post('REQUEST_FAILED', { requestId, error: error.message })
+    );
+    return promise;
+  };
+
+  async function readResponse(requestId, response) {
+    const contentType = response.headers.get('content-type');
+
+    try {
+      if (!isStreaming(contentType) || !response.body) {
+        post('RESPONSE', {
+          requestId,
+          status: response.status,
+          body: await response.text(),
+        });
+        return;
+      }
+
+      post('STREAM_START', { requestId, status: response.status, contentType });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          const rest = decoder.decode();
+          if (rest) {
+            post('STREAM_DATA', { requestId, text: rest });
+          }
+          post('STREAM_END', { requestId });
+          return;
+        }
+        post('STREAM_DATA', {
+          requestId,
+          text: decoder.decode(value, { stream: true }),
+        });
+      }
+    } catch (error) {
+      post('REQUEST_FAILED', { requestId, error: error.message });
+    }
+  }
+
+  // ============================================================================
+  // XMLHttpRequest
+  // ============================================================================
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const tracked = new WeakMap();
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    tracked.set(this, {
+      url: String(url),
+      method: String(method).toUpperCase(),
+      isApiRequest: matches(url, apiPatterns),
+    });
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const request = tracked.get(this);
+    if (request) {
+      findUploads(request.url, body);
+      if (request.isApiRequest) {
+        watchXHR(this, request, body);
+      }
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  function watchXHR(xhr, { url, method }, body) {
+    const requestId = generateId();
+    let streaming = null;
+    let sent = 0;
+
+    post('REQUEST', { requestId, url, method, body: serializeBody(body) });
+
+    // Only text responses can be read while they load
+    const readText = () =>
+      ['', 'text'].includes(xhr.responseType) ? xhr.responseText : null;
+
+    const flush = () => {
+      const text = readText();
+      if (text && text.length > sent) {
+        post('STREAM_DATA', { requestId, text: text.slice(sent) });
+        sent = text.length;
+      }
+    };
+
+    xhr.addEventListener('readystatechange', () => {
+      if (xhr.readyState === XMLHttpRequest.HEADERS_RECEIVED) {
+        const contentType = xhr.getResponseHeader('content-type');
+        streaming = isStreaming(contentType);
+        if (streaming) {
+          post('STREAM_START', { requestId, status: xhr.status, contentType });
+        }
+      }
+    });
+
+    xhr.addEventListener('progress', () => {
+      if (streaming) {
+        flush();
+      }
+    });
+
+    xhr.addEventListener('loadend', () => {
+      if (xhr.status === 0) {
+        post('REQUEST_FAILED', {
+          requestId,
+          error: 'Request did not complete',
+        });
+      } else if (streaming) {
+        flush();
+        post('STREAM_END', { requestId });
+      } else {
+        const text = readText();
+        post('RESPONSE', {
+          requestId,
+          status: xhr.status,
+          body:
+            text ??
+            (xhr.responseType === 'json' ? JSON.stringify(xhr.response) : null),
+        });
+      }
+    });
+  }
+
+  // ============================================================================
+  // EventSource
+  // ============================================================================
+
+  const OriginalEventSource = window.EventSource;
+
+  if (OriginalEventSource) {
+    const TrackedEventSource = function (url, options) {
+      const source = new OriginalEventSource(url, options);
+      if (matches(source.url, apiPatterns)) {
+        watchEventSource(source);
+      }
+      return source;
+    };
+
+    TrackedEventSource.prototype = OriginalEventSource.prototype;
+    ['CONNECTING', 'OPEN', 'CLOSED'].forEach((name) => {
+      TrackedEventSource[name] = OriginalEventSource[name];
+    });
+    window.EventSource = TrackedEventSource;
+  }
+
+  // Events arrive already parsed; they are written back out as server-sent
+  // events so the content script reads them like any other stream
+  function watchEventSource(source) {
+    const requestId = generateId();
+    const originalAddEventListener = source.addEventListener;
+    const originalClose = source.close;
+    const listened = new Set();
+    let ended = false;
+
+    const end = () => {
+      if (!ended) {
+        ended = true;
+        post('STREAM_END', { requestId });
+      }
+    };
+
+    const relay = (event) => {
+      if (ended) {
+        return;
+      }
+      const type = event.type === 'message' ? '' : `event: ${event.type}\n`;
+      const data = String(event.data)
+        .split('\n')
+        .map((line) => `data: ${line}\n`)
+        .join('');
+      post('STREAM_DATA', { requestId, text: `${type}${data}\n` });
+    };
+
+    const listen = (type) => {
+      if (!['open', 'error'].includes(type) && !listened.has(type)) {
+        listened.add(type);
+        originalAddEventListener.call(source, type, relay);
+      }
+    };
+
+    // Named events only reach listeners for their type; listen for each
+    // type the page does
+    source.addEventListener = function (type) {
+      listen(String(type));
+      return originalAddEventListener.apply(this, arguments);
+    };
+
+    source.close = function () {
+      end();
+      return originalClose.apply(this, arguments);
+    };
+
+    post('REQUEST', { requestId, url: source.url, method: 'GET', body: null });
+    post('STREAM_START', {
+      requestId,
+      status: 200,
+      contentType: 'text/event-stream',
+    });
+    listen('message');
+    originalAddEventListener.call(source, 'error', () => {
+      if (source.readyState === OriginalEventSource.CLOSED) {
+        end();
+      }
+    });
+  }
+
+  // ============================================================================
+  // Voice input
+  // ============================================================================
+
+  const Recognition =
+    window.SpeechRecognition || window.webkitSpeechRecognition;
+
+  if (Recognition) {
+    const originalStart = Recognition.prototype.start;
+    Recognition.prototype.start = function () {
+      post('VOICE_INPUT', {});
+      return originalStart.apply(this, arguments);
+    };
+  }
+
+  // Platforms that transcribe on their servers record the microphone
+  const mediaDevices = navigator.mediaDevices;
+
+  if (mediaDevices?.getUserMedia) {
+    const originalGetUserMedia = mediaDevices.getUserMedia;
+    mediaDevices.getUserMedia = function (constraints) {
+      if (constraints?.audio) {
+        post('VOICE_INPUT', {});
+      }
+      return originalGetUserMedia.apply(this, arguments);
+    };
+  }
+
+  // ============================================================================
+  // WebSocket
+  // ============================================================================
+
+  const OriginalWebSocket = window.WebSocket;
+
+  if (socketPatterns.length > 0) {
+    const TrackedWebSocket = function (url, protocols) {
+      const socket =
+        protocols === undefined
+          ? new OriginalWebSocket(url)
+          : new OriginalWebSocket(url, protocols);
+
+      if (matches(url, socketPatterns)) {
+        watchSocket(socket, String(url));
+      }
+      return socket;
+    };
+
+    TrackedWebSocket.prototype = OriginalWebSocket.prototype;
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach((name) => {
+      TrackedWebSocket[name] = OriginalWebSocket[name];
+    });
+    window.WebSocket = TrackedWebSocket;
+  }
+
+  function watchSocket(socket, url) {
+    const socketId = generateId();
+    const originalSocketSend = socket.send;
+
+    post('SOCKET_OPEN', { socketId, url });
+
+    socket.send = function (data) {
+      if (typeof data === 'string') {
+        post('SOCKET_SEND', { socketId, data });
+      }
+      return originalSocketSend.apply(this, arguments);
+    };
+
+    socket.addEventListener('message', (event) => {
+      if (typeof event.data === 'string') {
+        post('SOCKET_MESSAGE', { socketId, data: event.data });
+      }
+    });
+
+    socket.addEventListener('close', () => post('SOCKET_CLOSE', { socketId }));
+  }
+})();
@@ -30,6 +30,7 @@ async function init() {
 
       updateConnectionStatus();
       updateTrackingButton();
+      updateCaptureWarnings(response.captureWarnings || []);
     }
 
     // Get today's stats
@@ -52,15 +53,8 @@ async function init() {
 function detectPlatform(url) {
   if (!url) return null;
 
-  if (url.includes('chat.openai.com') || url.includes('chatgpt.com')) {
-    return 'ChatGPT';
-  } else if (url.includes('claude.ai')) {
-    return 'Claude';
-  } else if (url.includes('gemini.google.com')) {
-    return 'Gemini';
-  }
-
-  return null;
+  const adapter = globalThis.LLMTrackerPlatforms.forUrl(url);
+  return adapter ? adapter.name : null;
 }
 
 /**
@@ -106,6 +100,32 @@ function updateTrackingButton() {
   }
 }
 
+/**
+ * Warn about platforms whose messages are no longer captured properly
+ */
+function updateCaptureWarnings(warnings) {
+  const container = document.getElementById('capture-warnings');
+
+  container.innerHTML = '';
+  warnings.forEach(health => {
+    const adapter = globalThis.LLMTrackerPlatforms.get(health.platform);
+    const since = new Date(health.since).toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const warning = document.createElement('div');
+    warning.className = 'warning-card';
+    warning.innerHTML = '<strong></strong><div class="warning-reason"></div>';
+    warning.querySelector('strong').textContent =
+      `⚠️ ${adapter ? adapter.name : health.platform} capture ${health.status} since ${since}`;
+    warning.querySelector('.warning-reason').textContent = health.reason;
+    container.appendChild(warning);
+  });
+}
+
 /**
  * Get today's stats from storage
  */
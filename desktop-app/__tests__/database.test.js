@@ -43,6 +43,45 @@ describe('LLMTrackerDatabase', () => {
       expect(tableNames).toContain('system_prompts');
       expect(tableNames).toContain('streaming_chunks');
     });
+
+    test('should record the schema version', () => {
+      const version = db.db.pragma('user_version', { simple: true });
+      expect(version).toBeGreaterThan(0);
+      expect(db.migration).toEqual({ from: 0, to: version, backupPath: null });
+    });
+
+    test('should not migrate an up-to-date database again', () => {
+      const version = db.db.pragma('user_version', { simple: true });
+      db.close();
+
+      db = new LLMTrackerDatabase(testDbPath);
+      db.init();
+
+      expect(db.migration).toEqual({
+        from: version,
+        to: version,
+        backupPath: null,
+      });
+    });
+
+    test('should add columns missing from older databases', () => {
+      // A database from before schema versions were recorded
+      db.db.exec('ALTER TABLE messages DROP COLUMN cost');
+      db.db.pragma('user_version = 0');
+      db.close();
+
+      db = new LLMTrackerDatabase(testDbPath);
+      db.init();
+
+      const columns = db.db
+        .prepare('PRAGMA table_info(messages)')
+        .all()
+        .map((c) => c.name);
+      expect(columns).toContain('cost');
+
+      expect(fs.existsSync(db.migration.backupPath)).toBe(true);
+      fs.unlinkSync(db.migration.backupPath);
+    });
   });
 
   describe('Conversation Operations', () => {
@@ -100,6 +139,35 @@ describe('LLMTrackerDatabase', () => {
       expect(conversations).toHaveLength(3);
       expect(conversations[0].id).toBe('conv-0');
     });
+
+    test('should move conversations to the trash and back', () => {
+      db.upsertConversation({
+        id: 'conv-123',
+        platform: 'chatgpt',
+        started_at: Date.now(),
+        last_activity: Date.now(),
+        title: 'Quarterly planning',
+      });
+
+      expect(db.deleteConversation('conv-123', 1700000000000)).toBe(true);
+      expect(db.getConversation('conv-123')).toMatchObject({
+        status: 'deleted',
+        deleted_at: 1700000000000,
+      });
+      expect(db.getRecentConversations()).toEqual([]);
+      expect(db.search('quarterly').total).toBe(0);
+      expect(db.getDeletedConversations().map((c) => c.id)).toEqual([
+        'conv-123',
+      ]);
+
+      expect(db.restoreConversation('conv-123')).toBe(true);
+      expect(db.getConversation('conv-123')).toMatchObject({
+        status: 'active',
+        deleted_at: null,
+      });
+      expect(db.search('quarterly').total).toBe(1);
+      expect(db.restoreConversation('conv-123')).toBe(false);
+    });
   });
 
   describe('Message Operations', () => {
@@ -150,6 +218,281 @@ describe('LLMTrackerDatabase', () => {
       expect(messages[0].visible_content).toBe('Message 0');
       expect(messages[2].visible_content).toBe('Message 2');
     });
+
+    test('should upsert a message without clobbering known fields', () => {
+      db.upsertMessage({
+        id: 'msg-1',
+        conversation_id: 'conv-123',
+        message_id: 'dom-1',
+        timestamp: Date.now(),
+        role: 'assistant',
+        content: 'Partial',
+        metadata: { platform: 'chatgpt' },
+      });
+      db.upsertMessage({
+        id: 'msg-1',
+        conversation_id: 'conv-123',
+        timestamp: Date.now(),
+        role: 'unknown',
+        content: 'Partial answer',
+        metadata: { edited: true },
+      });
+
+      const [message] = db.getMessages('conv-123');
+      expect(message.visible_content).toBe('Partial answer');
+      expect(message.role).toBe('assistant');
+      expect(message.message_id).toBe('dom-1');
+      expect(JSON.parse(message.metadata)).toEqual({
+        platform: 'chatgpt',
+        edited: true,
+      });
+    });
+  });
+
+  describe('Received Messages', () => {
+    test('should record each message ID once', () => {
+      const message = { id: 'm-1', type: 'SYSTEM_PROMPT', seq: 1 };
+      expect(db.recordReceivedMessage(message)).toBe(true);
+      expect(db.recordReceivedMessage(message)).toBe(false);
+    });
+
+    test('should prune old message IDs', () => {
+      db.recordReceivedMessage({ id: 'm-1', type: 'SYSTEM_PROMPT' });
+      expect(db.pruneReceivedMessages(Date.now() + 1)).toBe(1);
+      expect(
+        db.recordReceivedMessage({ id: 'm-1', type: 'SYSTEM_PROMPT' })
+      ).toBe(true);
+    });
+  });
+
+  describe('Settings', () => {
+    test('should decode settings by type', () => {
+      expect(db.getSetting('proxy_enabled')).toBe(false);
+      expect(db.getSetting('proxy_port')).toBe(8788);
+      expect(db.getSetting('missing', 'fallback')).toBe('fallback');
+    });
+
+    test('should store settings with their type', () => {
+      db.setSetting('proxy_enabled', true);
+      db.setSetting('proxy_port', 9000);
+      db.setSetting('custom', { a: 1 }, 'ui');
+
+      expect(db.getSetting('proxy_enabled')).toBe(true);
+      expect(db.getSetting('proxy_port')).toBe(9000);
+      expect(db.getSetting('custom')).toEqual({ a: 1 });
+    });
+  });
+
+  describe('Token Counts', () => {
+    beforeEach(() => {
+      db.upsertConversation({
+        id: 'conv-1',
+        platform: 'chatgpt',
+        started_at: 1000,
+        last_activity: 1000,
+      });
+      db.insertMessage({
+        id: 'msg-1',
+        conversation_id: 'conv-1',
+        timestamp: 1000,
+        role: 'assistant',
+        content: 'Hi',
+      });
+    });
+
+    test('should store counts and keep totals in step', () => {
+      db.updateMessageTokens('msg-1', { prompt: 40 }, 'context');
+      db.updateMessageTokens('msg-1', { completion: 2 }, 'text');
+
+      const [message] = db.getMessages('conv-1');
+      expect(message.tokens_prompt).toBe(40);
+      expect(message.tokens_completion).toBe(2);
+      expect(message.tokens_total).toBe(42);
+      expect(JSON.parse(message.metadata).token_sources).toEqual({
+        prompt: 'context',
+        completion: 'text',
+      });
+      expect(db.getConversation('conv-1').total_tokens).toBe(42);
+    });
+
+    test('should not replace exact counts with estimates', () => {
+      db.updateMessageTokens('msg-1', { prompt: 38, completion: 3 }, 'usage');
+
+      expect(db.updateMessageTokens('msg-1', { prompt: 40 }, 'context')).toBe(
+        false
+      );
+      expect(db.updateMessageTokens('msg-1', { completion: 2 }, 'text')).toBe(
+        false
+      );
+
+      const [message] = db.getMessages('conv-1');
+      expect(message.tokens_total).toBe(41);
+    });
+
+    test('should ignore unknown messages', () => {
+      expect(db.updateMessageTokens('missing', { prompt: 1 }, 'text')).toBe(
+        false
+      );
+    });
+
+    test('should flag the prompt a reply counts from its request', () => {
+      db.insertMessage({
+        id: 'msg-0',
+        conversation_id: 'conv-1',
+        timestamp: 900,
+        role: 'user',
+        content: 'Hello',
+      });
+      db.updateMessageTokens('msg-0', { prompt: 1 }, 'text');
+      db.updateMessageTokens('msg-1', { completion: 2 }, 'text');
+      expect(db.getMessage('msg-0').prompt_counted).toBe(0);
+
+      db.updateMessageTokens('msg-1', { prompt: 40 }, 'context');
+
+      expect(db.getMessage('msg-0').prompt_counted).toBe(1);
+      expect(db.clearCountedPrompts('conv-1')).toEqual(['msg-0']);
+      expect(db.getMessage('msg-0').tokens_total).toBeNull();
+      expect(db.getConversation('conv-1').total_tokens).toBe(42);
+    });
+
+    test('should flag counted prompts stored before the flag', () => {
+      db.insertMessage({
+        id: 'msg-0',
+        conversation_id: 'conv-1',
+        timestamp: 900,
+        role: 'user',
+        content: 'Hello',
+      });
+      db.updateMessageTokens('msg-1', { prompt: 40 }, 'usage');
+
+      // A database from before migration 5
+      db.db.exec('ALTER TABLE messages DROP COLUMN prompt_counted');
+      db.db.pragma('user_version = 4');
+      db.close();
+
+      db = new LLMTrackerDatabase(testDbPath);
+      db.init();
+
+      expect(db.getMessage('msg-0').prompt_counted).toBe(1);
+      expect(db.getMessage('msg-1').prompt_counted).toBe(0);
+      fs.unlinkSync(db.migration.backupPath);
+    });
+
+    test('should store costs and total them per conversation', () => {
+      db.updateMessageCost('msg-1', 0.25, { model: 'gpt-4o' });
+
+      const message = db.getMessage('msg-1');
+      expect(message.cost).toBe(0.25);
+      expect(JSON.parse(message.metadata).pricing.model).toBe('gpt-4o');
+      expect(db.getConversation('conv-1').total_cost).toBe(0.25);
+    });
+  });
+
+  describe('Message Tree', () => {
+    let clock;
+
+    const add = (id, role, parent, extra = {}) =>
+      db.upsertMessage({
+        id,
+        conversation_id: 'conv-1',
+        timestamp: clock++,
+        role,
+        content: id,
+        parent_message_id: parent,
+        ...extra,
+      });
+
+    beforeEach(() => {
+      clock = 1000;
+      db.upsertConversation({
+        id: 'conv-1',
+        platform: 'chatgpt',
+        started_at: clock,
+        last_activity: clock,
+      });
+
+      // u1 -> a1 -> u2 -> a2, then u2 is edited into u2b -> a2b,
+      // and a2b is regenerated as a2c
+      add('u1', 'user', null);
+      add('a1', 'assistant', 'u1');
+      add('u2', 'user', 'a1');
+      add('a2', 'assistant', 'u2');
+      add('u2b', 'user', 'a1');
+      add('a2b', 'assistant', 'u2b');
+      add('a2c', 'assistant', 'u2b');
+      db.linkMessageTree('conv-1');
+    });
+
+    const ids = (messages) => messages.map((m) => m.id);
+
+    test('should flag edits and regenerations', () => {
+      const byId = Object.fromEntries(
+        db.getMessages('conv-1').map((m) => [m.id, m])
+      );
+      expect(byId.u2.is_edited).toBe(0);
+      expect(byId.u2b.is_edited).toBe(1);
+      expect(byId.a2b.is_regenerated).toBe(0);
+      expect(byId.a2c.is_regenerated).toBe(1);
+    });
+
+    test('should follow the most recent branch', () => {
+      expect(ids(db.getActivePath('conv-1'))).toEqual([
+        'u1',
+        'a1',
+        'u2b',
+        'a2c',
+      ]);
+    });
+
+    test('should follow a branch seen again', () => {
+      add('u2', 'user', 'a1', { metadata: { last_seen: 5000 } });
+      expect(ids(db.getActivePath('conv-1'))).toEqual(['u1', 'a1', 'u2', 'a2']);
+    });
+
+    test('should list siblings', () => {
+      expect(ids(db.getSiblings('a2c'))).toEqual(['a2b', 'a2c']);
+      expect(ids(db.getSiblings('u1'))).toEqual(['u1']);
+    });
+
+    test('should list every fork', () => {
+      const branches = db.getBranches('conv-1');
+      expect(branches.map((b) => [b.parentId, ids(b.messages)])).toEqual([
+        ['a1', ['u2', 'u2b']],
+        ['u2b', ['a2b', 'a2c']],
+      ]);
+    });
+
+    test('should resolve parents recorded as platform IDs', () => {
+      add('u3', 'user', null, { metadata: { parent_platform_id: 'p-a2c' } });
+      db.db
+        .prepare("UPDATE messages SET message_id = 'p-a2c' WHERE id = 'a2c'")
+        .run();
+      db.linkMessageTree('conv-1');
+
+      expect(ids(db.getActivePath('conv-1')).pop()).toBe('u3');
+    });
+
+    test('should treat conversations without links as a flat list', () => {
+      db.upsertConversation({
+        id: 'conv-2',
+        platform: 'chatgpt',
+        started_at: 1,
+        last_activity: 1,
+      });
+      for (const id of ['x1', 'x2', 'x3']) {
+        db.insertMessage({
+          id,
+          conversation_id: 'conv-2',
+          timestamp: clock++,
+          role: 'user',
+          content: id,
+        });
+      }
+
+      expect(ids(db.getActivePath('conv-2'))).toEqual(['x1', 'x2', 'x3']);
+      expect(ids(db.getSiblings('x2'))).toEqual(['x2']);
+      expect(db.getBranches('conv-2')).toEqual([]);
+    });
   });
 
   describe('System Prompt Operations', () => {
@@ -202,6 +545,20 @@ describe('LLMTrackerDatabase', () => {
       expect(claudePrompts).toHaveLength(1);
       expect(chatgptPrompts[0].prompt_text).toBe('ChatGPT prompt');
     });
+
+    test('should list the prompts seen in each conversation', () => {
+      const prompt = { platform: 'chatgpt', prompt_text: 'Be brief.' };
+      db.upsertSystemPrompt({ ...prompt, conversation_ids: ['conv-1'] });
+      db.upsertSystemPrompt({ ...prompt, conversation_ids: ['conv-2'] });
+      db.upsertSystemPrompt({ ...prompt, conversation_ids: ['conv-1'] });
+
+      expect(db.getConversationSystemPrompts('conv-1')).toHaveLength(1);
+      expect(db.getConversationSystemPrompts('conv-2')).toHaveLength(1);
+      expect(db.getConversationSystemPrompts('conv-3')).toHaveLength(0);
+      expect(
+        JSON.parse(db.getSystemPrompts('chatgpt')[0].conversation_ids)
+      ).toHaveLength(2);
+    });
   });
 
   describe('Search Operations', () => {
@@ -212,31 +569,158 @@ describe('LLMTrackerDatabase', () => {
         started_at: Date.now(),
         last_activity: Date.now(),
         title: 'JavaScript Tutorial',
+        model_used: 'gpt-4o',
       });
 
       db.insertMessage({
         id: 'msg-1',
         conversation_id: 'conv-1',
-        timestamp: Date.now(),
+        timestamp: new Date('2024-05-10T12:00:00').getTime(),
         role: 'user',
         content: 'Teach me about React hooks',
+        code_blocks: [
+          {
+            index: 0,
+            language: 'js',
+            content: 'const [count, setCount] = useState(0);',
+          },
+        ],
+      });
+      db.insertMessage({
+        id: 'msg-2',
+        conversation_id: 'conv-1',
+        timestamp: new Date('2024-06-10T12:00:00').getTime(),
+        role: 'assistant',
+        content:
+          'Hooks let function components use state. React calls them in order.',
+      });
+
+      db.upsertSystemPrompt({
+        platform: 'claude',
+        prompt_text: 'You are a helpful assistant who knows React well.',
       });
     });
 
+    const ids = (query) => db.search(query).results.map((hit) => hit.id);
+
     test('should search by message content', () => {
-      const results = db.searchConversations('React');
-      expect(results).toHaveLength(1);
-      expect(results[0].id).toBe('conv-1');
+      const { results, total } = db.search('teach');
+
+      expect(total).toBe(1);
+      expect(results[0]).toMatchObject({
+        kind: 'message',
+        id: 'msg-1',
+        conversation_id: 'conv-1',
+        platform: 'chatgpt',
+        model: 'gpt-4o',
+        role: 'user',
+        title: 'JavaScript Tutorial',
+      });
     });
 
     test('should search by title', () => {
-      const results = db.searchConversations('JavaScript');
+      const { results } = db.search('JavaScript');
+
       expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ kind: 'title', id: 'conv-1' });
+    });
+
+    test('should search code blocks and system prompts', () => {
+      expect(ids('useState')).toEqual(['msg-1']);
+      expect(db.search('assistant').results[0].kind).toBe('system_prompt');
     });
 
     test('should return empty for no matches', () => {
-      const results = db.searchConversations('Python');
-      expect(results).toHaveLength(0);
+      expect(db.search('Python')).toEqual({
+        results: [],
+        total: 0,
+        limit: 20,
+        offset: 0,
+      });
+      expect(db.search('   ').total).toBe(0);
+    });
+
+    test('should highlight matches in snippets', () => {
+      expect(db.search('teach').results[0].snippet).toEqual([
+        { text: 'Teach', match: true },
+        { text: ' me about React hooks', match: false },
+      ]);
+    });
+
+    test('should support phrases, prefixes and operators', () => {
+      expect(ids('"react hooks"')).toEqual(['msg-1']);
+      expect(ids('comp*')).toEqual(['msg-2']);
+      expect(ids('hooks NOT teach')).toEqual(['msg-2']);
+      expect(ids('teach OR components').sort()).toEqual(['msg-1', 'msg-2']);
+    });
+
+    test('should filter results', () => {
+      expect(ids('react platform:claude')).toHaveLength(1);
+      expect(ids('react role:assistant')).toEqual(['msg-2']);
+      expect(ids('react model:gpt-4').sort()).toEqual(['msg-1', 'msg-2']);
+      expect(ids('react model:claude')).toEqual([]);
+      expect(ids('hooks before:2024-06-01')).toEqual(['msg-1']);
+      expect(ids('hooks after:2024-06-01')).toEqual(['msg-2']);
+    });
+
+    test('should accept words next to parentheses and FTS5 keywords', () => {
+      for (const query of [
+        'f(x)',
+        'hello (world)',
+        'react (hooks OR state)',
+        'NEAR(a b)',
+      ]) {
+        expect(() => db.search(query)).not.toThrow();
+      }
+      expect(ids('react (hooks OR state)').sort()).toEqual(['msg-1', 'msg-2']);
+      expect(ids('teach(react)')).toEqual(['msg-1']);
+    });
+
+    test('should list everything the filters let through', () => {
+      const { results, total } = db.search('role:assistant');
+
+      expect(total).toBe(1);
+      expect(results[0]).toMatchObject({ kind: 'message', id: 'msg-2' });
+      expect(results[0].snippet).toEqual([
+        {
+          text: 'Hooks let function components use state. React calls them in order.',
+          match: false,
+        },
+      ]);
+      expect(ids('platform:chatgpt')).toEqual(['conv-1', 'msg-2', 'msg-1']);
+    });
+
+    test('should page through results', () => {
+      const first = db.search('react', { limit: 2 });
+      const second = db.search('react', { limit: 2, offset: 2 });
+
+      expect(first.total).toBe(3);
+      expect(first.results).toHaveLength(2);
+      expect(second.results).toHaveLength(1);
+      expect(
+        new Set([...first.results, ...second.results].map((hit) => hit.id))
+      ).toEqual(new Set(['msg-1', 'msg-2', db.getSystemPrompts()[0].id]));
+    });
+
+    test('should keep the index up to date', () => {
+      db.upsertMessage({
+        id: 'msg-1',
+        conversation_id: 'conv-1',
+        timestamp: Date.now(),
+        role: 'user',
+        content: 'Explain Python decorators',
+      });
+      expect(ids('teach')).toEqual([]);
+      expect(ids('decorators')).toEqual(['msg-1']);
+
+      db.db.prepare("UPDATE conversations SET title = 'Decorators'").run();
+      expect(db.search('JavaScript').total).toBe(0);
+
+      db.db.prepare('DELETE FROM conversations').run();
+      expect(db.search('decorators').total).toBe(0);
+      expect(db.search('react').results.map((hit) => hit.kind)).toEqual([
+        'system_prompt',
+      ]);
     });
   });
 
@@ -275,5 +759,26 @@ describe('LLMTrackerDatabase', () => {
       expect(capture).toBeDefined();
       expect(capture.model).toBe('gpt-4');
     });
+
+    test('should list the captures of a conversation', () => {
+      db.insertApiCapture({
+        id: 'api-2',
+        message_id: 'msg-123',
+        timestamp: 2000,
+        request_url: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o',
+      });
+      db.insertApiCapture({
+        id: 'api-1',
+        message_id: 'msg-123',
+        timestamp: 1000,
+        request_url: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4',
+      });
+
+      const captures = db.getConversationApiCaptures('conv-123');
+      expect(captures.map((c) => c.id)).toEqual(['api-1', 'api-2']);
+      expect(db.getConversationApiCaptures('conv-other')).toHaveLength(0);
+    });
   });
 });
@@ -0,0 +1,1259 @@
+const WebSocket = require('ws');
+const WebSocketServer = require('../websocket-server');
+const LLMTrackerDatabase = require('../database');
+const TokenCounter = require('../tokenizer/counter');
+const BlobStore = require('../storage/blob-store');
+const { createMessage, PROTOCOL_VERSION } = require('../../shared/protocol');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('WebSocketServer', () => {
+  let db;
+  let server;
+  let ws;
+  const testDbPath = path.join(os.tmpdir(), 'test-websocket-server.db');
+
+  /**
+   * Messages sent to the fake client, decoded
+   */
+  const sent = () => ws.send.mock.calls.map(([json]) => JSON.parse(json));
+
+  beforeEach(() => {
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+
+    db = new LLMTrackerDatabase(testDbPath);
+    db.init();
+    server = new WebSocketServer(db);
+    ws = { readyState: WebSocket.OPEN, send: jest.fn() };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  describe('Handshake', () => {
+    test('should answer INIT with INIT_ACK', () => {
+      server.handleMessage(
+        createMessage('INIT', {
+          extensionVersion: '1.0.0',
+          protocolVersion: PROTOCOL_VERSION,
+          minProtocolVersion: 1,
+        }),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('INIT_ACK');
+      expect(reply.data.protocolVersion).toBe(PROTOCOL_VERSION);
+      expect(reply.data.attachmentPolicy.kinds).toContain('image');
+      expect(server.protocolVersions.get(ws)).toBe(PROTOCOL_VERSION);
+    });
+
+    test('should reject incompatible versions', () => {
+      server.handleMessage(
+        {
+          type: 'INIT',
+          data: {
+            protocolVersion: PROTOCOL_VERSION + 2,
+            minProtocolVersion: PROTOCOL_VERSION + 1,
+          },
+        },
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('ERROR');
+      expect(reply.data.code).toBe('VERSION_MISMATCH');
+      expect(server.protocolVersions.has(ws)).toBe(false);
+    });
+
+    test('should reject peers that still use FULL_SYNC', () => {
+      server.handleMessage(
+        createMessage('INIT', {
+          extensionVersion: '0.9.0',
+          protocolVersion: 3,
+          minProtocolVersion: 1,
+        }),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('ERROR');
+      expect(reply.data.code).toBe('VERSION_MISMATCH');
+      expect(server.protocolVersions.has(ws)).toBe(false);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject unknown message types without ack', () => {
+      server.handleMessage({ type: 'message', id: 'm-1', data: {} }, ws);
+
+      const replies = sent();
+      expect(replies).toHaveLength(1);
+      expect(replies[0].type).toBe('ERROR');
+      expect(replies[0].data.code).toBe('UNKNOWN_TYPE');
+      expect(replies[0].data.messageId).toBe('m-1');
+    });
+
+    test('should reject invalid payloads with details', () => {
+      server.handleMessage(
+        createMessage('SYSTEM_PROMPT', { platform: 'claude' }),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.data.code).toBe('INVALID_PAYLOAD');
+      expect(reply.data.details).toContain('data.prompt_text is required');
+      expect(db.getSystemPrompts()).toHaveLength(0);
+    });
+  });
+
+  describe('Dispatch', () => {
+    test('should store valid messages and acknowledge them', () => {
+      server.handleMessage(
+        createMessage(
+          'SYSTEM_PROMPT',
+          { platform: 'claude', prompt_text: 'Be concise' },
+          { id: 'm-2' }
+        ),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('ACK');
+      expect(reply.data.messageId).toBe('m-2');
+      expect(db.getSystemPrompts('claude')).toHaveLength(1);
+    });
+
+    test('should create the conversation for a captured message', () => {
+      server.handleMessage(
+        createMessage('MESSAGE_STORED', {
+          id: 'msg-1',
+          conversationId: 'abc-123',
+          timestamp: Date.now(),
+          platform: 'chatgpt',
+          role: 'user',
+          visibleContent: 'Hello',
+          position: 0,
+        }),
+        ws
+      );
+
+      expect(sent()[0].type).toBe('ACK');
+      const conversation = db.getConversation('chatgpt:abc-123');
+      expect(conversation.platform_conversation_id).toBe('abc-123');
+      expect(conversation.message_count).toBe(1);
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.visible_content).toBe('Hello');
+      expect(message.message_position).toBe(0);
+    });
+
+    test('should store the prompt of an API capture as a hidden message', () => {
+      const capture = {
+        id: 'cap-1',
+        timestamp: Date.now(),
+        platform: 'chatgpt',
+        url: 'https://chatgpt.com/backend-api/conversation',
+        requestBody: {
+          model: 'gpt-4o',
+          conversation_id: 'abc-123',
+          messages: [{ role: 'system', content: 'You are ChatGPT' }],
+        },
+      };
+
+      server.handleMessage(createMessage('API_CAPTURED', capture), ws);
+
+      const [placeholder] = db.getMessages('chatgpt:abc-123');
+      expect(placeholder.visible_to_user).toBe(0);
+      expect(db.getApiCapture(placeholder.id).model).toBe('gpt-4o');
+      expect(db.getSystemPrompts('chatgpt')).toHaveLength(1);
+      expect(db.getConversation('chatgpt:abc-123').model_used).toBe('gpt-4o');
+    });
+
+    describe('API capture of a prompt', () => {
+      const userMessage = createMessage('MESSAGE_STORED', {
+        id: 'msg-1',
+        conversationId: 'abc-123',
+        timestamp: Date.now(),
+        platform: 'chatgpt',
+        messageId: 'dom-1',
+        role: 'user',
+        visibleContent: 'Hello',
+      });
+      const capture = (extra = {}) =>
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: Date.now(),
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          requestBody: {
+            model: 'gpt-4o',
+            conversation_id: 'abc-123',
+            action: 'next',
+            messages: [{ id: 'dom-1', content: { parts: ['Hello'] } }],
+          },
+          ...extra,
+        });
+
+      test('should link the capture to its captured prompt', () => {
+        server.handleMessage(userMessage, ws);
+        server.handleMessage(capture(), ws);
+
+        expect(db.getMessages('chatgpt:abc-123')).toHaveLength(1);
+        expect(db.getApiCapture('msg-1').id).toBe('cap-1');
+      });
+
+      test('should refuse the capture until its prompt is captured', () => {
+        const message = capture();
+        server.handleMessage(message, ws);
+        server.handleMessage(userMessage, ws);
+        server.handleMessage(message, ws);
+
+        const replies = sent();
+        expect(replies.map((reply) => reply.type)).toEqual([
+          'ERROR',
+          'ACK',
+          'ACK',
+        ]);
+        expect(replies[0].data.code).toBe('INTERNAL_ERROR');
+        expect(db.getMessages('chatgpt:abc-123').map((m) => m.id)).toEqual([
+          'msg-1',
+        ]);
+        expect(db.getApiCapture('msg-1').id).toBe('cap-1');
+      });
+
+      test('should stand in for a prompt the page never captured', () => {
+        server.handleMessage(
+          capture({ timestamp: Date.now() - 5 * 60 * 1000 }),
+          ws
+        );
+
+        const [placeholder] = db.getMessages('chatgpt:abc-123');
+        expect(placeholder.id).toBe('cap-1:prompt');
+        expect(placeholder.visible_to_user).toBe(0);
+        expect(db.getApiCapture(placeholder.id).id).toBe('cap-1');
+      });
+
+      test('should not link the capture to another message', () => {
+        server.handleMessage(userMessage, ws);
+        server.handleMessage(
+          capture({
+            requestBody: {
+              model: 'gpt-4o',
+              conversation_id: 'abc-123',
+              action: 'variant',
+            },
+          }),
+          ws
+        );
+
+        expect(db.getApiCapture('msg-1')).toBeUndefined();
+        expect(db.getApiCapture('cap-1:prompt').id).toBe('cap-1');
+      });
+    });
+
+    test('should update a captured message in place', () => {
+      const message = {
+        id: 'msg-1',
+        conversationId: 'abc-123',
+        timestamp: Date.now(),
+        platform: 'chatgpt',
+        role: 'assistant',
+        visibleContent: 'Hel',
+        position: 1,
+      };
+
+      server.handleMessage(createMessage('MESSAGE_STORED', message), ws);
+      server.handleMessage(
+        createMessage('MESSAGE_UPDATED', {
+          ...message,
+          visibleContent: 'Hello there',
+          lastUpdated: Date.now(),
+        }),
+        ws
+      );
+
+      const messages = db.getMessages('chatgpt:abc-123');
+      expect(messages).toHaveLength(1);
+      expect(messages[0].visible_content).toBe('Hello there');
+      expect(db.getConversation('chatgpt:abc-123').message_count).toBe(1);
+    });
+  });
+
+  describe('Branches', () => {
+    const captured = (id, domId, role, parentMessageId, extra = {}) =>
+      createMessage('MESSAGE_STORED', {
+        id,
+        conversationId: 'abc-123',
+        timestamp: Date.now(),
+        platform: 'chatgpt',
+        messageId: domId,
+        parentMessageId,
+        role,
+        visibleContent: id,
+        ...extra,
+      });
+
+    test('should link a reply that arrives before its parent', () => {
+      server.handleMessage(
+        captured('msg-2', 'dom-2', 'assistant', 'dom-1'),
+        ws
+      );
+      server.handleMessage(captured('msg-1', 'dom-1', 'user', null), ws);
+
+      expect(db.getSiblings('msg-2')).toHaveLength(1);
+      expect(db.getActivePath('chatgpt:abc-123').map((m) => m.id)).toEqual([
+        'msg-1',
+        'msg-2',
+      ]);
+    });
+
+    test('should mark a regenerated response', () => {
+      server.handleMessage(captured('msg-1', 'dom-1', 'user', null), ws);
+      server.handleMessage(
+        captured('msg-2', 'dom-2', 'assistant', 'dom-1'),
+        ws
+      );
+      server.handleMessage(
+        captured('msg-3', 'dom-3', 'assistant', 'dom-1', {
+          variantIndex: 2,
+          variantCount: 2,
+        }),
+        ws
+      );
+
+      const [fork] = db.getBranches('chatgpt:abc-123');
+      expect(fork.parentId).toBe('msg-1');
+      expect(fork.messages.map((m) => m.is_regenerated)).toEqual([0, 1]);
+    });
+  });
+
+  describe('Delivery', () => {
+    const prompt = (id, seq) =>
+      createMessage(
+        'SYSTEM_PROMPT',
+        { platform: 'claude', prompt_text: 'Be concise' },
+        { id, seq }
+      );
+
+    test('should acknowledge with the message sequence number', () => {
+      server.handleMessage(prompt('m-1', 7), ws);
+
+      const [reply] = sent();
+      expect(reply.data).toEqual({
+        messageId: 'm-1',
+        seq: 7,
+        duplicate: false,
+      });
+    });
+
+    test('should apply a redelivered message only once', () => {
+      server.handleMessage(prompt('m-1', 1), ws);
+      server.handleMessage(prompt('m-1', 1), ws);
+
+      const replies = sent();
+      expect(replies.map((r) => r.type)).toEqual(['ACK', 'ACK']);
+      expect(replies[1].data.duplicate).toBe(true);
+      expect(db.getSystemPrompts('claude')[0].occurrence_count).toBe(1);
+    });
+
+    test('should accept a redelivery after a failed attempt', () => {
+      jest.spyOn(server, 'handleSystemPrompt').mockImplementationOnce(() => {
+        throw new Error('disk full');
+      });
+
+      server.handleMessage(prompt('m-1', 1), ws);
+      server.handleMessage(prompt('m-1', 1), ws);
+
+      const replies = sent();
+      expect(replies[0].type).toBe('ERROR');
+      expect(replies[0].data.code).toBe('INTERNAL_ERROR');
+      expect(replies[1].type).toBe('ACK');
+      expect(replies[1].data.duplicate).toBe(false);
+      expect(db.getSystemPrompts('claude')).toHaveLength(1);
+    });
+  });
+
+  describe('Sync', () => {
+    const cached = (id, rev) => ({
+      id,
+      conversationId: 'abc-123',
+      timestamp: Date.now(),
+      platform: 'chatgpt',
+      role: 'user',
+      visibleContent: `Message ${rev}`,
+      rev,
+    });
+
+    const cursor = () => {
+      ws.send.mockClear();
+      server.handleMessage(createMessage('REQUEST_SYNC'), ws);
+      const [reply] = sent();
+      expect(reply.type).toBe('SYNC_CURSOR');
+      return reply.data.highWaterMark;
+    };
+
+    test('should start from zero', () => {
+      expect(cursor()).toBe(0);
+    });
+
+    test('should advance past live captures', () => {
+      server.handleMessage(
+        createMessage('MESSAGE_STORED', cached('msg-1', 4), {
+          id: 'm-1',
+          seq: 1,
+        }),
+        ws
+      );
+      expect(cursor()).toBe(4);
+    });
+
+    test('should ingest a batch of cached records', () => {
+      const capture = {
+        id: 'cap-1',
+        timestamp: Date.now(),
+        platform: 'chatgpt',
+        url: 'https://chatgpt.com/backend-api/conversation',
+        conversationId: 'abc-123',
+        requestBody: { model: 'gpt-4o' },
+        rev: 3,
+      };
+
+      // Already delivered live; replaying it must not fail
+      server.handleMessage(createMessage('API_CAPTURED', capture), ws);
+      server.handleMessage(
+        createMessage(
+          'SYNC_BATCH',
+          {
+            records: [
+              { kind: 'message', data: cached('msg-1', 1) },
+              { kind: 'message', data: { id: 'broken' } },
+              { kind: 'api_capture', data: capture },
+              { kind: 'message', data: cached('msg-2', 5) },
+            ],
+            fromRev: 0,
+            toRev: 5,
+            final: true,
+          },
+          { id: 'b-1', seq: 2 }
+        ),
+        ws
+      );
+
+      expect(sent().pop().type).toBe('ACK');
+      const visible = db
+        .getMessages('chatgpt:abc-123')
+        .filter((m) => m.visible_to_user);
+      expect(visible.map((m) => m.id)).toEqual(['msg-1', 'msg-2']);
+      expect(cursor()).toBe(5);
+    });
+
+    test('should never move the cursor back', () => {
+      db.advanceSyncCursor(10);
+      db.advanceSyncCursor(3);
+      expect(db.getSyncCursor()).toBe(10);
+    });
+  });
+
+  describe('Streaming', () => {
+    const startTime = 1700000000000;
+    const stream = {
+      requestId: 'req-1',
+      captureId: 'cap-1',
+      messageId: 'msg-2',
+      conversationId: 'abc-123',
+      platform: 'chatgpt',
+    };
+
+    beforeEach(() => {
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: startTime,
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          requestId: 'req-1',
+          messageId: 'msg-2',
+          conversationId: 'abc-123',
+          requestBody: { model: 'gpt-4o' },
+          streaming: true,
+        }),
+        ws
+      );
+    });
+
+    test('should create the response message when the stream starts', () => {
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.id).toBe('msg-2');
+      expect(message.role).toBe('assistant');
+      expect(db.getApiCapture('msg-2').id).toBe('cap-1');
+    });
+
+    test('should store chunks once each', () => {
+      const chunk = {
+        ...stream,
+        chunkIndex: 0,
+        content: 'Hel',
+        deltaTime: 0,
+        timestamp: startTime + 200,
+      };
+
+      server.handleMessage(createMessage('STREAM_CHUNK', chunk), ws);
+      server.handleMessage(createMessage('STREAM_CHUNK', chunk), ws);
+      server.handleMessage(
+        createMessage('STREAM_CHUNK', {
+          ...chunk,
+          chunkIndex: 1,
+          content: 'lo',
+          deltaTime: 50,
+          timestamp: startTime + 250,
+        }),
+        ws
+      );
+
+      const chunks = db.getStreamingChunks('msg-2');
+      expect(chunks.map((c) => c.content)).toEqual(['Hel', 'lo']);
+      expect(chunks[1].delta_time_ms).toBe(50);
+      expect(chunks[1].api_capture_id).toBe('cap-1');
+    });
+
+    test('should record timings and content when the stream completes', () => {
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          ...stream,
+          startTime,
+          firstChunkTime: startTime + 200,
+          totalChunks: 2,
+          fullContent: 'Hello',
+          timestamp: startTime + 1000,
+        }),
+        ws
+      );
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.visible_content).toBe('Hello');
+      expect(message.time_to_first_token_ms).toBe(200);
+      expect(message.total_generation_time_ms).toBe(1000);
+
+      const capture = db.getApiCapture('msg-2');
+      expect(capture.is_streaming).toBe(1);
+      expect(capture.stream_complete).toBe(1);
+    });
+
+    test('should refuse a completion until its message is stored', () => {
+      const completion = createMessage('STREAM_COMPLETE', {
+        ...stream,
+        messageId: 'msg-4',
+        startTime,
+        fullContent: 'Hi again',
+        timestamp: startTime + 1000,
+      });
+      server.handleMessage(completion, ws);
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-2',
+          timestamp: startTime,
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          requestId: 'req-1',
+          messageId: 'msg-4',
+          conversationId: 'abc-123',
+          requestBody: { model: 'gpt-4o' },
+          streaming: true,
+        }),
+        ws
+      );
+      server.handleMessage(completion, ws);
+
+      const replies = sent().slice(1);
+      expect(replies.map((reply) => reply.type)).toEqual([
+        'ERROR',
+        'ACK',
+        'ACK',
+      ]);
+      expect(replies[0].data.code).toBe('INTERNAL_ERROR');
+      expect(db.getMessage('msg-4').visible_content).toBe('Hi again');
+    });
+
+    test('should keep DOM content captured before completion', () => {
+      server.handleMessage(
+        createMessage('MESSAGE_STORED', {
+          id: 'msg-2',
+          conversationId: 'abc-123',
+          timestamp: startTime + 500,
+          platform: 'chatgpt',
+          role: 'assistant',
+          visibleContent: 'Hello from the page',
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          ...stream,
+          startTime,
+          fullContent: 'Hello',
+          timestamp: startTime + 1000,
+        }),
+        ws
+      );
+
+      const messages = db.getMessages('chatgpt:abc-123');
+      expect(messages).toHaveLength(1);
+      expect(messages[0].visible_content).toBe('Hello from the page');
+    });
+
+    test('should store typed chunks and the parts of the reply', () => {
+      server.handleMessage(
+        createMessage('STREAM_CHUNK', {
+          ...stream,
+          chunkIndex: 0,
+          content: 'The user wants a greeting',
+          contentType: 'thinking',
+          timestamp: startTime + 200,
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('STREAM_CHUNK', {
+          ...stream,
+          chunkIndex: 1,
+          content: '{"q":"hello"}',
+          contentType: 'tool_call',
+          metadata: { id: 'call-1', name: 'search' },
+          timestamp: startTime + 300,
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          ...stream,
+          startTime,
+          fullContent: 'Hello',
+          parts: [
+            { type: 'thinking', content: 'The user wants a greeting' },
+            {
+              type: 'tool_call',
+              content: '{"q":"hello"}',
+              metadata: { id: 'call-1', name: 'search' },
+            },
+            { type: 'text', content: 'Hello' },
+            {
+              type: 'citation',
+              content: 'https://example.com',
+              metadata: { title: 'Example' },
+            },
+            { type: 'unknown', content: 'ignored' },
+          ],
+          timestamp: startTime + 1000,
+        }),
+        ws
+      );
+
+      const chunks = db.getStreamingChunks('msg-2');
+      expect(chunks.map((c) => c.content_type)).toEqual([
+        'thinking',
+        'tool_call',
+      ]);
+      expect(JSON.parse(chunks[1].metadata).name).toBe('search');
+
+      const parts = db.getMessageParts('msg-2');
+      expect(parts.map((part) => part.part_type)).toEqual([
+        'thinking',
+        'tool_call',
+        'text',
+        'citation',
+      ]);
+      expect(JSON.parse(parts[3].metadata).title).toBe('Example');
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.visible_content).toBe('Hello');
+      expect(message.tokens_reasoning).toBe(parts[0].estimated_tokens);
+      expect(message.tokens_completion).toBeGreaterThan(
+        message.tokens_reasoning
+      );
+    });
+  });
+
+  describe('Tokens', () => {
+    const counter = new TokenCounter();
+
+    test('should count the text of captured messages', () => {
+      server.handleMessage(
+        createMessage('MESSAGE_STORED', {
+          id: 'msg-1',
+          conversationId: 'abc-123',
+          timestamp: 1000,
+          platform: 'chatgpt',
+          role: 'user',
+          visibleContent: 'How many tokens is this?',
+        }),
+        ws
+      );
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.tokens_prompt).toBe(
+        counter.count('How many tokens is this?', { platform: 'chatgpt' })
+      );
+      expect(message.tokens_completion).toBeNull();
+      expect(db.getConversation('chatgpt:abc-123').total_tokens).toBe(
+        message.tokens_total
+      );
+    });
+
+    describe('Prompts counted by their request', () => {
+      const requestBody = {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'How many tokens is this?' }],
+      };
+      const prompt = () =>
+        server.handleMessage(
+          createMessage('MESSAGE_STORED', {
+            id: 'msg-1',
+            conversationId: 'abc-123',
+            timestamp: 1000,
+            platform: 'chatgpt',
+            role: 'user',
+            visibleContent: 'How many tokens is this?',
+          }),
+          ws
+        );
+      const request = () => {
+        server.handleMessage(
+          createMessage('API_CAPTURED', {
+            id: 'cap-1',
+            timestamp: 1001,
+            platform: 'chatgpt',
+            url: 'https://chatgpt.com/backend-api/conversation',
+            requestId: 'req-1',
+            messageId: 'msg-2',
+            conversationId: 'abc-123',
+            requestBody,
+            streaming: true,
+          }),
+          ws
+        );
+        server.handleMessage(
+          createMessage('STREAM_COMPLETE', {
+            requestId: 'req-1',
+            captureId: 'cap-1',
+            messageId: 'msg-2',
+            conversationId: 'abc-123',
+            platform: 'chatgpt',
+            startTime: 1001,
+            fullContent: 'Hello there',
+            timestamp: 2000,
+          }),
+          ws
+        );
+      };
+
+      const expectCountedOnce = () => {
+        const reply = db.getMessage('msg-2');
+        expect(reply.tokens_prompt).toBe(
+          counter.countMessages(
+            server.normalizer.extractContextMessages(requestBody),
+            { model: 'gpt-4o' }
+          )
+        );
+        expect(reply.tokens_completion).toBe(2);
+        expect(db.getMessage('msg-1').tokens_total).toBeNull();
+        expect(db.getConversation('chatgpt:abc-123').total_tokens).toBe(
+          reply.tokens_total
+        );
+      };
+
+      test('should count the prompt once when it is captured first', () => {
+        prompt();
+        request();
+        expectCountedOnce();
+      });
+
+      test('should count the prompt once when the request is captured first', () => {
+        request();
+        prompt();
+        expectCountedOnce();
+      });
+
+      test('should price the request and not its prompt again', () => {
+        prompt();
+        expect(db.getMessage('msg-1').cost).toBeGreaterThan(0);
+        request();
+
+        const reply = db.getMessage('msg-2');
+        expect(reply.cost).toBeGreaterThan(0);
+        expect(db.getMessage('msg-1').cost).toBeNull();
+        expect(db.getConversation('chatgpt:abc-123').total_cost).toBe(
+          reply.cost
+        );
+      });
+    });
+
+    test('should count the full context of an API request', () => {
+      const requestBody = {
+        model: 'gpt-4o',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Hello' },
+          { role: 'user', content: 'How are you?' },
+        ],
+      };
+
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: 1000,
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          conversationId: 'abc-123',
+          requestBody,
+        }),
+        ws
+      );
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.tokens_prompt).toBe(
+        counter.countMessages(
+          server.normalizer.extractContextMessages(requestBody),
+          { model: 'gpt-4o' }
+        )
+      );
+
+      const [prompt] = db.getSystemPrompts('chatgpt');
+      expect(prompt.estimated_tokens).toBe(
+        counter.count('Be brief.', { model: 'gpt-4o' })
+      );
+    });
+
+    test('should prefer usage reported by the API', () => {
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: 1000,
+          platform: 'claude',
+          url: 'https://claude.ai/api/organizations/o/chat_conversations/abc-123/completion',
+          requestBody: { model: 'claude-sonnet-4', prompt: 'Hi' },
+          responseBody: { usage: { input_tokens: 120, output_tokens: 30 } },
+        }),
+        ws
+      );
+
+      const [message] = db.getMessages('claude:abc-123');
+      expect(message.tokens_prompt).toBe(120);
+      expect(message.tokens_completion).toBe(30);
+      expect(message.tokens_total).toBe(150);
+    });
+
+    test('should price messages with the model of their capture', () => {
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: Date.parse('2025-07-01'),
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          conversationId: 'abc-123',
+          requestBody: { model: 'gpt-4.1-2025-04-14', prompt: 'Hi' },
+          responseBody: {
+            usage: {
+              prompt_tokens: 1000,
+              completion_tokens: 500,
+              prompt_tokens_details: { cached_tokens: 400 },
+            },
+          },
+        }),
+        ws
+      );
+
+      const [message] = db.getMessages('chatgpt:abc-123');
+      // gpt-4.1: $2 input, $0.50 cached input, $8 output per million tokens
+      expect(message.tokens_cached).toBe(400);
+      expect(message.cost).toBeCloseTo(
+        (600 * 2 + 400 * 0.5 + 500 * 8) / 1e6,
+        9
+      );
+      expect(JSON.parse(message.metadata).pricing).toMatchObject({
+        model: 'gpt-4.1',
+        effective_from: '2025-04-14',
+        assumed: false,
+      });
+      expect(db.getConversation('chatgpt:abc-123').total_cost).toBe(
+        message.cost
+      );
+    });
+
+    test('should count streamed chunks and completions', () => {
+      const stream = {
+        requestId: 'req-1',
+        captureId: 'cap-1',
+        messageId: 'msg-2',
+        conversationId: 'abc-123',
+        platform: 'chatgpt',
+      };
+
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id: 'cap-1',
+          timestamp: 1000,
+          platform: 'chatgpt',
+          url: 'https://chatgpt.com/backend-api/conversation',
+          requestId: 'req-1',
+          messageId: 'msg-2',
+          conversationId: 'abc-123',
+          requestBody: { model: 'gpt-4o' },
+          streaming: true,
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('STREAM_CHUNK', {
+          ...stream,
+          chunkIndex: 0,
+          content: 'Hello there',
+          timestamp: 1200,
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          ...stream,
+          startTime: 1000,
+          fullContent: 'Hello there',
+          timestamp: 2000,
+        }),
+        ws
+      );
+
+      const [chunk] = db.getStreamingChunks('msg-2');
+      expect(chunk.estimated_tokens).toBe(2);
+
+      let [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.tokens_completion).toBe(2);
+
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          ...stream,
+          startTime: 1000,
+          fullContent: 'Hello there',
+          usage: { prompt_tokens: 50, completion_tokens: 3 },
+          timestamp: 2000,
+        }),
+        ws
+      );
+
+      [message] = db.getMessages('chatgpt:abc-123');
+      expect(message.tokens_prompt).toBe(50);
+      expect(message.tokens_completion).toBe(3);
+    });
+  });
+
+  describe('Context', () => {
+    const capture = (id, timestamp, messages, extra = {}) =>
+      server.handleMessage(
+        createMessage('API_CAPTURED', {
+          id,
+          timestamp,
+          platform: 'chatgpt',
+          url: 'https://api.openai.com/v1/chat/completions',
+          conversationId: 'abc-123',
+          messageId: `${id}:reply`,
+          requestBody: { model: 'gpt-4o-2024-08-06', messages },
+          ...extra,
+        }),
+        ws
+      );
+
+    test('should store the context of each request against its reply', () => {
+      capture('cap-1', 1000, [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'How are you?' },
+      ]);
+
+      const [context] = db.getConversationContexts('chatgpt:abc-123');
+      expect(context).toMatchObject({
+        api_capture_id: 'cap-1',
+        message_id: 'cap-1:reply',
+        context_window_size: 128000,
+        includes_system_prompt: 1,
+        includes_history: 1,
+        history_message_count: 2,
+        history_truncated: 0,
+      });
+      expect(context.tokens_remaining).toBe(128000 - context.context_tokens);
+      expect(JSON.parse(context.context_messages)).toHaveLength(4);
+      expect(db.getMessage('cap-1:reply').tokens_prompt).toBe(
+        context.context_tokens
+      );
+    });
+
+    test('should flag history dropped since the previous request', () => {
+      capture('cap-1', 1000, [
+        { role: 'user', content: 'One' },
+        { role: 'assistant', content: 'Two' },
+        { role: 'user', content: 'Three' },
+      ]);
+      capture('cap-2', 2000, [
+        { role: 'user', content: 'One' },
+        { role: 'assistant', content: 'Two' },
+        { role: 'user', content: 'Three' },
+        { role: 'assistant', content: 'Four' },
+        { role: 'user', content: 'Five' },
+      ]);
+      capture('cap-3', 3000, [
+        { role: 'user', content: 'Three' },
+        { role: 'assistant', content: 'Four' },
+        { role: 'user', content: 'Five' },
+        { role: 'assistant', content: 'Six' },
+        { role: 'user', content: 'Seven' },
+      ]);
+
+      const contexts = db.getConversationContexts('chatgpt:abc-123');
+      expect(contexts.map((context) => context.history_truncated)).toEqual([
+        0, 0, 1,
+      ]);
+    });
+
+    test('should size the context with the prompt tokens reported', () => {
+      capture('cap-1', 1000, [{ role: 'user', content: 'Hi' }], {
+        requestId: 'req-1',
+        streaming: true,
+      });
+      server.handleMessage(
+        createMessage('STREAM_COMPLETE', {
+          requestId: 'req-1',
+          captureId: 'cap-1',
+          messageId: 'cap-1:reply',
+          conversationId: 'abc-123',
+          platform: 'chatgpt',
+          startTime: 1000,
+          fullContent: 'Hello',
+          usage: { prompt_tokens: 5000, completion_tokens: 2 },
+          timestamp: 2000,
+        }),
+        ws
+      );
+
+      const [context] = db.getConversationContexts('chatgpt:abc-123');
+      expect(context.includes_history).toBe(0);
+      expect(context.context_tokens).toBe(5000);
+      expect(context.tokens_remaining).toBe(123000);
+      expect(JSON.parse(context.metadata).token_source).toBe('usage');
+    });
+  });
+
+  describe('Usage Sessions', () => {
+    const session = {
+      id: 'session-1',
+      platform: 'chatgpt',
+      startedAt: 1000,
+      endedAt: 600000,
+      activeMs: 420000,
+      inactiveMs: 179000,
+      tabId: 7,
+      pageUrl: 'https://chatgpt.com/c/abc-123',
+      conversationIds: ['abc-123', 'def-456'],
+      messagesSent: 1,
+      messagesReceived: 1,
+      inputMethods: { pasted: 1 },
+      endReason: 'idle',
+    };
+
+    test('should store a session with the tokens of its conversations', () => {
+      server.handleMessage(
+        createMessage('MESSAGE_STORED', {
+          id: 'msg-1',
+          conversationId: 'abc-123',
+          timestamp: 5000,
+          platform: 'chatgpt',
+          role: 'user',
+          visibleContent: 'How many tokens is this?',
+          inputMethod: 'pasted',
+        }),
+        ws
+      );
+      server.handleMessage(
+        createMessage('USAGE_SESSION', session, { id: 'env-1', seq: 1 }),
+        ws
+      );
+
+      const stored = db.getUsageSession('session-1');
+      expect(stored).toMatchObject({
+        platform: 'chatgpt',
+        duration_ms: 599000,
+        time_active_ms: 420000,
+        time_inactive_ms: 179000,
+        messages_sent: 1,
+        total_tokens: db.getMessage('msg-1').tokens_total,
+      });
+      expect(JSON.parse(stored.input_method_counts)).toEqual({ pasted: 1 });
+      expect(db.getMessage('msg-1').input_method).toBe('pasted');
+      expect(JSON.parse(stored.metadata)).toMatchObject({
+        end_reason: 'idle',
+        conversation_ids: ['chatgpt:abc-123', 'chatgpt:def-456'],
+      });
+      expect(sent().map((message) => message.type)).toContain('ACK');
+    });
+
+    test('should not link a conversation that was never captured', () => {
+      server.handleMessage(createMessage('USAGE_SESSION', session), ws);
+      expect(db.getUsageSession('session-1').conversation_id).toBeNull();
+    });
+
+    test('should tell the extension its idle timeout', () => {
+      db.setSetting('session_idle_timeout_minutes', 10, 'tracking');
+      server.handleMessage(
+        createMessage('INIT', { protocolVersion: PROTOCOL_VERSION }),
+        ws
+      );
+
+      expect(sent()[0].data.sessionIdleTimeoutMs).toBe(600000);
+    });
+  });
+
+  describe('Capture Health', () => {
+    const health = {
+      platform: 'claude',
+      status: 'broken',
+      reason: 'No messages found on a conversation page',
+      strategy: 'render-count',
+      messagesFound: 0,
+      rolesDetected: 0,
+      rolesAttempted: 0,
+      pageUrl: 'https://claude.ai/chat/abc-123',
+      since: 1000,
+      timestamp: 2000,
+    };
+
+    test('should store the latest health of each platform', () => {
+      server.handleMessage(createMessage('CAPTURE_HEALTH', health), ws);
+      server.handleMessage(
+        createMessage('CAPTURE_HEALTH', {
+          ...health,
+          platform: 'chatgpt',
+          status: 'ok',
+          reason: null,
+          since: null,
+        }),
+        ws
+      );
+
+      expect(db.getCaptureHealth()).toEqual([
+        expect.objectContaining({
+          platform: 'claude',
+          status: 'broken',
+          since: 1000,
+          checked_at: 2000,
+        }),
+        expect.objectContaining({ platform: 'chatgpt', status: 'ok' }),
+      ]);
+    });
+
+    test('should ignore checks older than the stored one', () => {
+      server.handleMessage(createMessage('CAPTURE_HEALTH', health), ws);
+      server.handleMessage(
+        createMessage('CAPTURE_HEALTH', {
+          ...health,
+          status: 'ok',
+          since: null,
+          timestamp: 1500,
+        }),
+        ws
+      );
+
+      expect(db.getCaptureHealth()[0].status).toBe('broken');
+    });
+
+    test('should accept a failing check that does not say since when', () => {
+      const withoutSince = { ...health };
+      delete withoutSince.since;
+      server.handleMessage(createMessage('CAPTURE_HEALTH', withoutSince), ws);
+
+      expect(sent().map((message) => message.type)).toEqual(['ACK']);
+      expect(db.getCaptureHealth()).toEqual([
+        expect.objectContaining({ status: 'broken', since: null }),
+      ]);
+    });
+  });
+
+  describe('Attachments', () => {
+    let blobDir;
+
+    beforeEach(() => {
+      blobDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-ws-blobs-'));
+      server.attachments.blobs = new BlobStore(blobDir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(blobDir, { recursive: true, force: true });
+    });
+
+    test('should store attached files by hash', () => {
+      const buffer = Buffer.from('%PDF-1.7');
+      const sha256 = BlobStore.hash(buffer);
+
+      server.handleMessage(
+        createMessage(
+          'ATTACHMENT',
+          {
+            sha256,
+            data: buffer.toString('base64'),
+            size: buffer.length,
+            mimeType: 'application/pdf',
+            name: 'report.pdf',
+            platform: 'claude',
+            source: 'upload',
+          },
+          { id: 'att-1' }
+        ),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('ACK');
+      expect(server.attachments.blobs.read(sha256)).toEqual(buffer);
+      expect(db.getBlob(sha256).name).toBe('report.pdf');
+    });
+
+    test('should reject files that do not match their hash', () => {
+      server.handleMessage(
+        createMessage(
+          'ATTACHMENT',
+          {
+            sha256: 'f'.repeat(64),
+            data: Buffer.from('data').toString('base64'),
+            size: 4,
+            mimeType: 'text/plain',
+          },
+          { id: 'att-2' }
+        ),
+        ws
+      );
+
+      const [reply] = sent();
+      expect(reply.type).toBe('ERROR');
+      expect(reply.data.code).toBe('INVALID_PAYLOAD');
+    });
+  });
+
+  describe('Liveness', () => {
+    test('should answer PING with PONG', () => {
+      server.handleMessage(createMessage('PING'), ws);
+      expect(sent()[0].type).toBe('PONG');
+    });
+  });
+});
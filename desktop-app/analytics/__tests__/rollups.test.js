@@ -0,0 +1,239 @@
+const UsageRollups = require('../rollups');
+const LLMTrackerDatabase = require('../../database');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+describe('UsageRollups', () => {
+  let dir;
+  let db;
+  let rollups;
+
+  const at = (day, hour, minute = 0) =>
+    new Date(2024, 4, day, hour, minute).getTime();
+
+  const rollup = (date, platform) =>
+    db.db
+      .prepare('SELECT * FROM user_analytics WHERE date = ? AND platform = ?')
+      .get(date, platform);
+
+  const queued = () =>
+    db.db
+      .prepare('SELECT DISTINCT date, platform FROM user_analytics_queue')
+      .all();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-rollups-'));
+    db = new LLMTrackerDatabase(path.join(dir, 'tracker.db'));
+    db.init();
+    rollups = new UsageRollups(db);
+
+    db.upsertConversation({
+      id: 'conv-1',
+      platform: 'chatgpt',
+      started_at: at(10, 9),
+      last_activity: at(10, 9),
+      model_used: 'gpt-4o',
+    });
+    db.upsertConversation({
+      id: 'conv-2',
+      platform: 'claude',
+      started_at: at(10, 9),
+      last_activity: at(10, 9),
+      model_used: 'claude-sonnet-4',
+    });
+
+    db.insertMessage({
+      id: 'msg-1',
+      conversation_id: 'conv-1',
+      timestamp: at(10, 9, 0),
+      role: 'user',
+      content: 'Hi',
+      tokens_prompt: 10,
+      tokens_total: 10,
+    });
+    db.insertMessage({
+      id: 'msg-2',
+      conversation_id: 'conv-1',
+      timestamp: at(10, 9, 1),
+      role: 'assistant',
+      content: 'Hello!',
+      tokens_completion: 40,
+      tokens_total: 40,
+      total_generation_time_ms: 1200,
+    });
+    db.insertMessage({
+      id: 'msg-3',
+      conversation_id: 'conv-1',
+      timestamp: at(10, 9, 2),
+      role: 'assistant',
+      content: 'Hello there!',
+      is_regenerated: true,
+      tokens_total: 50,
+      total_generation_time_ms: 1800,
+    });
+    db.insertMessage({
+      id: 'msg-4',
+      conversation_id: 'conv-1',
+      timestamp: at(10, 14),
+      role: 'user',
+      content: 'Thanks',
+      tokens_total: 5,
+    });
+    db.insertMessage({
+      id: 'msg-5',
+      conversation_id: 'conv-2',
+      timestamp: at(11, 8),
+      role: 'user',
+      content: 'Question',
+      tokens_total: 8,
+    });
+
+    const update = db.db.prepare(
+      'UPDATE messages SET tokens_reasoning = ?, cost = ? WHERE id = ?'
+    );
+    update.run(15, 0.01, 'msg-2');
+    update.run(null, 0.02, 'msg-3');
+  });
+
+  afterEach(() => {
+    rollups.stop();
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should queue the days that data arrives on', () => {
+    expect(queued()).toEqual(
+      expect.arrayContaining([
+        { date: '2024-05-10', platform: 'chatgpt' },
+        { date: '2024-05-11', platform: 'claude' },
+      ])
+    );
+    expect(queued()).toHaveLength(2);
+  });
+
+  test('should roll up each day and platform', () => {
+    expect(rollups.update()).toBe(2);
+
+    const day = rollup('2024-05-10', 'chatgpt');
+    expect(day).toMatchObject({
+      id: '2024-05-10:chatgpt',
+      total_conversations: 1,
+      total_messages: 4,
+      total_tokens: 105,
+      prompt_tokens: 10,
+      completion_tokens: 40,
+      reasoning_tokens: 15,
+      user_messages_count: 2,
+      avg_user_message_length: 4,
+      assistant_messages_count: 2,
+      avg_assistant_message_length: 9,
+      avg_response_time_ms: 1500,
+      peak_hour: 9,
+      most_used_model: 'gpt-4o',
+      regeneration_rate: 50,
+      edit_rate: 0,
+    });
+    expect(day.estimated_cost).toBeCloseTo(0.03);
+    expect(JSON.parse(day.messages_by_hour)).toEqual(
+      Array.from({ length: 24 }, (_, hour) =>
+        hour === 9 ? 3 : hour === 14 ? 1 : 0
+      )
+    );
+
+    expect(rollup('2024-05-11', 'claude')).toMatchObject({
+      total_messages: 1,
+      peak_hour: 8,
+    });
+    expect(rollup('2024-05-10', 'claude')).toBeUndefined();
+    expect(queued()).toEqual([]);
+  });
+
+  test('should include usage sessions', () => {
+    db.db
+      .prepare(
+        `INSERT INTO usage_sessions (id, platform, started_at, duration_ms, time_active_ms, time_inactive_ms)
+         VALUES (?, 'claude', ?, ?, ?, ?)`
+      )
+      .run('session-1', at(12, 10), 600000, 400000, 200000);
+    rollups.update();
+
+    expect(rollup('2024-05-12', 'claude')).toMatchObject({
+      total_messages: 0,
+      session_count: 1,
+      total_time_ms: 600000,
+      active_time_ms: 400000,
+      avg_session_duration_ms: 600000,
+      peak_hour: null,
+    });
+  });
+
+  test('should recompute only the days that changed', () => {
+    rollups.update();
+
+    db.updateMessageTokens('msg-5', { prompt: 20 }, 'usage');
+    expect(queued()).toEqual([{ date: '2024-05-11', platform: 'claude' }]);
+
+    expect(rollups.update()).toBe(1);
+    expect(rollup('2024-05-11', 'claude').prompt_tokens).toBe(20);
+  });
+
+  test('should drop days left without data', () => {
+    rollups.update();
+
+    db.db.prepare("DELETE FROM conversations WHERE id = 'conv-2'").run();
+    rollups.update();
+
+    expect(rollup('2024-05-11', 'claude')).toBeUndefined();
+    expect(rollup('2024-05-10', 'chatgpt')).toBeDefined();
+  });
+
+  test('should rebuild every rollup', () => {
+    rollups.update();
+    db.db.prepare('UPDATE user_analytics SET total_messages = 0').run();
+
+    expect(rollups.rebuild()).toBe(2);
+    expect(rollup('2024-05-10', 'chatgpt').total_messages).toBe(4);
+  });
+
+  test('should backfill in batches in the background', async () => {
+    for (let day = 1; day <= 60; day++) {
+      db.insertMessage({
+        id: `history-${day}`,
+        conversation_id: 'conv-1',
+        timestamp: new Date(2023, 0, day, 12).getTime(),
+        role: 'user',
+        content: 'Old message',
+      });
+    }
+    expect(queued()).toHaveLength(62);
+
+    rollups.start();
+    expect(queued()).toHaveLength(12);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(queued()).toEqual([]);
+    expect(
+      db.db.prepare('SELECT COUNT(*) AS count FROM user_analytics').get()
+    ).toEqual({ count: 62 });
+  });
+
+  test('should report rollups and their totals', () => {
+    rollups.update();
+
+    const stats = db.getUsageStats(at(11, 0), at(11, 23));
+    expect(stats.days).toHaveLength(1);
+    expect(stats.days[0].messages_by_hour[8]).toBe(1);
+
+    const all = db.getUsageStats();
+    expect(all.days.map((day) => day.date)).toEqual([
+      '2024-05-11',
+      '2024-05-10',
+    ]);
+    expect(all.totals).toMatchObject({
+      messages: 5,
+      tokens: 113,
+      active_days: 2,
+    });
+  });
+});
@@ -78,6 +78,28 @@ describe('UsageAnalyzer', () => {
       const costs = analyzer.calculateCosts(tokenUsage, customPricing);
       expect(costs[0].estimated_cost).toBeCloseTo(0.03, 4);
     });
+
+    test('should use costs stored at ingestion', () => {
+      const tokenUsage = [
+        {
+          platform: 'chatgpt',
+          prompt_tokens: 1000,
+          completion_tokens: 1000,
+          total_cost: 0.5,
+        },
+      ];
+
+      const costs = analyzer.calculateCosts(tokenUsage);
+      expect(costs[0].estimated_cost).toBe(0.5);
+    });
+
+    test('should price by model rather than platform', () => {
+      const usage = { platform: 'chatgpt', prompt_tokens: 1000000, completion_tokens: 0 };
+
+      const [mini] = analyzer.calculateCosts([{ ...usage, model: 'gpt-4o-mini' }]);
+      const [full] = analyzer.calculateCosts([{ ...usage, model: 'gpt-4o' }]);
+      expect(mini.estimated_cost).toBeLessThan(full.estimated_cost);
+    });
   });
 
   describe('Usage Trends', () => {
@@ -91,6 +113,51 @@ describe('UsageAnalyzer', () => {
     });
   });
 
+  describe('Filters', () => {
+    test('should accept a number of days', () => {
+      const filters = analyzer.resolveFilters(7);
+      expect(filters.endDate - filters.startDate).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(filters.platform).toBeNull();
+    });
+
+    test('should filter by platform', () => {
+      const result = analyzer.getTokenUsageByPlatform({ platform: 'claude' });
+      expect(result).toHaveLength(1);
+      expect(result[0].platform).toBe('claude');
+
+      const trends = analyzer.getUsageTrends({ platform: 'claude' });
+      expect(trends.reduce((sum, t) => sum + t.message_count, 0)).toBe(1);
+    });
+
+    test('should filter by date range', () => {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const metrics = analyzer.getProductivityMetrics({
+        startDate: Date.now() - 1.5 * dayMs,
+        endDate: Date.now(),
+      });
+      expect(metrics.total_messages).toBe(1);
+    });
+
+    test('should limit top conversations to the platform', () => {
+      const top = analyzer.getTopConversations(10, { platform: 'chatgpt' });
+      expect(top.map(c => c.id)).toEqual(['conv-1']);
+    });
+  });
+
+  describe('Usage Heatmap', () => {
+    test('should count messages by weekday and hour', () => {
+      const heatmap = analyzer.getUsageHeatmap();
+      const total = heatmap.reduce((sum, cell) => sum + cell.message_count, 0);
+      expect(total).toBe(3);
+      for (const cell of heatmap) {
+        expect(cell.weekday).toBeGreaterThanOrEqual(0);
+        expect(cell.weekday).toBeLessThan(7);
+        expect(cell.hour).toBeGreaterThanOrEqual(0);
+        expect(cell.hour).toBeLessThan(24);
+      }
+    });
+  });
+
   describe('Model Usage', () => {
     test('should get model usage statistics', () => {
       const modelUsage = analyzer.getModelUsage();
@@ -111,6 +178,56 @@ describe('UsageAnalyzer', () => {
     });
   });
 
+  describe('Usage Sessions', () => {
+    const session = (id, platform, startedAt, extra = {}) => ({
+      id,
+      platform,
+      started_at: startedAt,
+      ended_at: startedAt + 10 * 60 * 1000,
+      duration_ms: 10 * 60 * 1000,
+      time_active_ms: 6 * 60 * 1000,
+      time_inactive_ms: 4 * 60 * 1000,
+      messages_sent: 2,
+      messages_received: 2,
+      ...extra,
+    });
+
+    beforeEach(() => {
+      const now = Date.now();
+      db.insertUsageSession(
+        session('session-1', 'chatgpt', now - 60 * 60 * 1000, {
+          input_method_counts: { typed: 2 },
+        })
+      );
+      db.insertUsageSession(
+        session('session-2', 'chatgpt', now - 30 * 60 * 1000, {
+          input_method_counts: { typed: 1, pasted: 1 },
+        })
+      );
+      db.insertUsageSession(session('session-3', 'claude', now - 40 * 24 * 60 * 60 * 1000));
+    });
+
+    test('should total time spent by platform', () => {
+      const [chatgpt, ...others] = analyzer.getSessionStats({ days: 30 });
+      expect(others).toHaveLength(0);
+      expect(chatgpt).toMatchObject({
+        platform: 'chatgpt',
+        session_count: 2,
+        active_ms: 12 * 60 * 1000,
+        inactive_ms: 8 * 60 * 1000,
+        messages_sent: 4,
+      });
+    });
+
+    test('should count prompts by input method', () => {
+      expect(analyzer.getInputMethodCounts({ days: 30 })).toEqual({ typed: 3, pasted: 1 });
+
+      const report = analyzer.generateUsageReport(30);
+      expect(report.summary.active_time_ms).toBe(12 * 60 * 1000);
+      expect(report.summary.total_sessions).toBe(2);
+    });
+  });
+
   describe('Usage Report', () => {
     test('should generate comprehensive usage report', () => {
       const report = analyzer.generateUsageReport(30);
@@ -121,11 +238,30 @@ describe('UsageAnalyzer', () => {
       expect(report).toHaveProperty('productivity');
     });
 
+    test('should report the filters and every section', () => {
+      const report = analyzer.generateUsageReport({ days: 30, platform: 'claude' });
+      expect(report.period.platform).toBe('claude');
+      expect(report.period.days).toBe(30);
+      expect(report.platforms).toEqual(['chatgpt', 'claude']);
+      expect(report.by_platform.map(p => p.platform)).toEqual(['claude']);
+      expect(report).toHaveProperty('heatmap');
+      expect(report).toHaveProperty('conversation_depth');
+    });
+
     test('should include cost estimates in report', () => {
       const report = analyzer.generateUsageReport(30);
       expect(report.summary).toHaveProperty('total_cost');
       expect(typeof report.summary.total_cost).toBe('number');
     });
+
+    test('should split completion tokens into reasoning and answer', () => {
+      db.updateMessageTokens('msg-2', { completion: 200, reasoning: 80 }, 'usage');
+
+      const report = analyzer.generateUsageReport(30);
+      expect(report.summary.reasoning_tokens).toBe(80);
+      expect(report.summary.answer_tokens).toBe(120);
+      expect(report.by_platform.find(p => p.platform === 'chatgpt').reasoning_tokens).toBe(80);
+    });
   });
 });
 
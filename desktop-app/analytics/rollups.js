@@ -0,0 +1,297 @@
+/**
+ * Usage Rollups
+ * Keeps user_analytics, one row of daily totals per local day and platform,
+ * up to date with the messages and usage sessions it is computed from
+ *
+ * Triggers queue the days that need recomputing in user_analytics_queue
+ * as data arrives (see migrations/usage-rollups.sql), including every
+ * day already stored when the table was first added. start() works through
+ * the queue in the background, a batch at a time so the app stays
+ * responsive while history is backfilled; update() brings the rollups
+ * fully up to date before they are read.
+ */
+
+const BATCH_SIZE = 50;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+const ROLLUP_COLUMNS = [
+  'id',
+  'date',
+  'platform',
+  'total_conversations',
+  'total_messages',
+  'total_tokens',
+  'prompt_tokens',
+  'completion_tokens',
+  'reasoning_tokens',
+  'user_messages_count',
+  'avg_user_message_length',
+  'assistant_messages_count',
+  'avg_assistant_message_length',
+  'avg_response_time_ms',
+  'estimated_cost',
+  'session_count',
+  'total_time_ms',
+  'active_time_ms',
+  'avg_session_duration_ms',
+  'peak_hour',
+  'messages_by_hour',
+  'most_used_model',
+  'regeneration_rate',
+  'edit_rate',
+];
+
+class UsageRollups {
+  /**
+   * @param {LLMTrackerDatabase} database
+   */
+  constructor(database) {
+    this.database = database;
+    this.timer = null;
+    this.draining = null;
+  }
+
+  get db() {
+    return this.database.db;
+  }
+
+  /**
+   * Work through the queue in the background, now and then periodically
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    this.stop();
+    this.drain();
+    this.timer = setInterval(() => this.drain(), intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearImmediate(this.draining);
+    this.timer = null;
+    this.draining = null;
+  }
+
+  /**
+   * Recompute a batch of queued days, and schedule the next batch while
+   * any remain
+   */
+  drain() {
+    if (this.draining) {
+      return;
+    }
+
+    if (this.updateBatch() === BATCH_SIZE) {
+      this.draining = setImmediate(() => {
+        this.draining = null;
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Recompute every queued day
+   * @returns {number} How many days and platforms were recomputed
+   */
+  update() {
+    let total = 0;
+    let count;
+    do {
+      count = this.updateBatch();
+      total += count;
+    } while (count === BATCH_SIZE);
+    return total;
+  }
+
+  /**
+   * Queue every day with messages or sessions, to recompute all rollups
+   * (e.g. after a change to how they are computed)
+   */
+  rebuild() {
+    this.db.exec(`
+      INSERT INTO user_analytics_queue (date, platform)
+      SELECT DISTINCT date(m.timestamp / 1000, 'unixepoch', 'localtime'), c.platform
+      FROM messages m
+      JOIN conversations c ON c.id = m.conversation_id;
+
+      INSERT INTO user_analytics_queue (date, platform)
+      SELECT DISTINCT date(started_at / 1000, 'unixepoch', 'localtime'), platform
+      FROM usage_sessions;
+
+      INSERT INTO user_analytics_queue (date, platform)
+      SELECT date, platform FROM user_analytics;
+    `);
+    return this.update();
+  }
+
+  /**
+   * @returns {number} How many queued days and platforms were recomputed
+   */
+  updateBatch() {
+    const queued = this.db
+      .prepare(
+        'SELECT DISTINCT date, platform FROM user_analytics_queue ORDER BY date LIMIT ?'
+      )
+      .all(BATCH_SIZE);
+
+    const dequeue = this.db.prepare(
+      'DELETE FROM user_analytics_queue WHERE date = @date AND platform = @platform'
+    );
+    this.db.transaction(() => {
+      for (const day of queued) {
+        this.updateDay(day.date, day.platform);
+        dequeue.run(day);
+      }
+    })();
+
+    return queued.length;
+  }
+
+  /**
+   * Recompute the rollup of one local day on one platform
+   */
+  updateDay(date, platform) {
+    const rollup = this.computeDay(date, platform);
+
+    if (!rollup) {
+      this.db
+        .prepare('DELETE FROM user_analytics WHERE date = ? AND platform = ?')
+        .run(date, platform);
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+        INSERT INTO user_analytics (${ROLLUP_COLUMNS.join(', ')})
+        VALUES (${ROLLUP_COLUMNS.map((column) => `@${column}`).join(', ')})
+        ON CONFLICT(date, platform) DO UPDATE SET
+          ${ROLLUP_COLUMNS.slice(3)
+            .map((column) => `${column} = excluded.${column}`)
+            .join(',\n          ')},
+          updated_at = (strftime('%s', 'now') * 1000)
+      `
+      )
+      .run(rollup);
+  }
+
+  /**
+   * @returns {?Object} The user_analytics row for a day and platform; null
+   *   if nothing happened on it
+   */
+  computeDay(date, platform) {
+    const [year, month, day] = date.split('-').map(Number);
+    const params = {
+      platform,
+      start: new Date(year, month - 1, day).getTime(),
+      end: new Date(year, month - 1, day + 1).getTime(),
+    };
+
+    const messages = this.db
+      .prepare(
+        `
+        SELECT
+          COUNT(DISTINCT m.conversation_id) as total_conversations,
+          COUNT(*) as total_messages,
+          COALESCE(SUM(m.tokens_total), 0) as total_tokens,
+          COALESCE(SUM(m.tokens_prompt), 0) as prompt_tokens,
+          COALESCE(SUM(m.tokens_completion), 0) as completion_tokens,
+          COALESCE(SUM(m.tokens_reasoning), 0) as reasoning_tokens,
+          COALESCE(SUM(m.role = 'user'), 0) as user_messages_count,
+          AVG(CASE WHEN m.role = 'user' THEN LENGTH(m.visible_content) END) as avg_user_message_length,
+          COALESCE(SUM(m.role = 'assistant'), 0) as assistant_messages_count,
+          AVG(CASE WHEN m.role = 'assistant' THEN LENGTH(m.visible_content) END) as avg_assistant_message_length,
+          AVG(CASE WHEN m.role = 'assistant' THEN m.total_generation_time_ms END) as avg_response_time_ms,
+          COALESCE(SUM(m.cost), 0) as estimated_cost,
+          COALESCE(SUM(m.role = 'user' AND m.is_edited), 0) as edited,
+          COALESCE(SUM(m.role = 'assistant' AND m.is_regenerated), 0) as regenerated
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE c.platform = @platform
+          AND m.timestamp >= @start AND m.timestamp < @end
+      `
+      )
+      .get(params);
+
+    const sessions = this.db
+      .prepare(
+        `
+        SELECT
+          COUNT(*) as session_count,
+          COALESCE(SUM(duration_ms), 0) as total_time_ms,
+          COALESCE(SUM(time_active_ms), 0) as active_time_ms,
+          AVG(duration_ms) as avg_session_duration_ms
+        FROM usage_sessions
+        WHERE platform = @platform
+          AND started_at >= @start AND started_at < @end
+      `
+      )
+      .get(params);
+
+    if (messages.total_messages === 0 && sessions.session_count === 0) {
+      return null;
+    }
+
+    const messagesByHour = new Array(24).fill(0);
+    this.db
+      .prepare(
+        `
+        SELECT
+          CAST(strftime('%H', m.timestamp / 1000, 'unixepoch', 'localtime') AS INTEGER) as hour,
+          COUNT(*) as message_count
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE c.platform = @platform
+          AND m.timestamp >= @start AND m.timestamp < @end
+        GROUP BY hour
+      `
+      )
+      .all(params)
+      .forEach((row) => {
+        messagesByHour[row.hour] = row.message_count;
+      });
+
+    const model = this.db
+      .prepare(
+        `
+        SELECT c.model_used as model
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE c.platform = @platform
+          AND c.model_used IS NOT NULL
+          AND m.timestamp >= @start AND m.timestamp < @end
+        GROUP BY c.model_used
+        ORDER BY COUNT(*) DESC, c.model_used ASC
+        LIMIT 1
+      `
+      )
+      .get(params);
+
+    const { edited, regenerated, ...totals } = messages;
+    const round = (value) => (value == null ? null : Math.round(value));
+    const percent = (count, total) =>
+      total > 0 ? (100 * count) / total : null;
+
+    return {
+      ...totals,
+      ...sessions,
+      id: `${date}:${platform}`,
+      date,
+      platform,
+      avg_user_message_length: round(totals.avg_user_message_length),
+      avg_assistant_message_length: round(totals.avg_assistant_message_length),
+      avg_response_time_ms: round(totals.avg_response_time_ms),
+      avg_session_duration_ms: round(sessions.avg_session_duration_ms),
+      peak_hour:
+        messages.total_messages > 0
+          ? messagesByHour.indexOf(Math.max(...messagesByHour))
+          : null,
+      messages_by_hour: JSON.stringify(messagesByHour),
+      most_used_model: model ? model.model : null,
+      regeneration_rate: percent(regenerated, totals.assistant_messages_count),
+      edit_rate: percent(edited, totals.user_messages_count),
+    };
+  }
+}
+
+module.exports = UsageRollups;
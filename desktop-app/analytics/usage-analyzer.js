@@ -1,17 +1,75 @@
 /**
  * Usage Analytics Engine
  * Calculates metrics, patterns, and insights from conversation data
+ *
+ * Daily trends and hourly patterns are read from the daily rollups (see
+ * rollups.js), so they cover whole local days; the rest is computed from
+ * the messages in the range.
  */
 
+const PricingCatalog = require('../pricing/catalog');
+const UsageRollups = require('./rollups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rollups of the local days of a range, on the filtered platform
+const ROLLUP_RANGE = `
+  date BETWEEN date(@startDate / 1000, 'unixepoch', 'localtime')
+    AND date(@endDate / 1000, 'unixepoch', 'localtime')
+  AND (@platform IS NULL OR platform = @platform)
+`;
+
 class UsageAnalyzer {
-  constructor(database) {
+  constructor(
+    database,
+    pricing = new PricingCatalog(database),
+    rollups = new UsageRollups(database)
+  ) {
     this.db = database;
+    this.pricing = pricing;
+    this.rollups = rollups;
+  }
+
+  /**
+   * Normalize a filter argument: a number of days back from now, or
+   * { days, startDate, endDate, platform } with dates as epoch milliseconds.
+   * Without a start date or days, the range starts at the first message.
+   */
+  resolveFilters(filters = {}) {
+    if (typeof filters === 'number') {
+      filters = { days: filters };
+    }
+
+    const endDate = filters.endDate || Date.now();
+    let startDate = 0;
+    if (filters.startDate != null) {
+      startDate = filters.startDate;
+    } else if (filters.days != null) {
+      startDate = endDate - filters.days * DAY_MS;
+    }
+
+    return { startDate, endDate, platform: filters.platform || null };
+  }
+
+  /**
+   * Platforms with recorded conversations
+   */
+  getPlatforms() {
+    return this.db.db
+      .prepare('SELECT DISTINCT platform FROM conversations ORDER BY platform ASC')
+      .all()
+      .map(row => row.platform);
   }
 
   /**
    * Calculate token usage by platform
+   * Takes a start and end timestamp, or a filter object.
    */
   getTokenUsageByPlatform(startDate, endDate) {
+    const filters = startDate !== null && typeof startDate === 'object'
+      ? this.resolveFilters(startDate)
+      : this.resolveFilters({ startDate: startDate || 0, endDate });
+
     const query = `
       SELECT
         platform,
@@ -19,33 +77,48 @@ class UsageAnalyzer {
         SUM(tokens_total) as total_tokens,
         AVG(tokens_total) as avg_tokens_per_message,
         SUM(tokens_prompt) as prompt_tokens,
-        SUM(tokens_completion) as completion_tokens
+        SUM(tokens_completion) as completion_tokens,
+        SUM(tokens_reasoning) as reasoning_tokens,
+        SUM(messages.cost) as total_cost
       FROM messages
       JOIN conversations ON conversations.id = messages.conversation_id
-      WHERE messages.timestamp BETWEEN ? AND ?
+      WHERE messages.timestamp BETWEEN @startDate AND @endDate
+        AND (@platform IS NULL OR platform = @platform)
       GROUP BY platform
       ORDER BY total_tokens DESC
     `;
 
-    return this.db.db.prepare(query).all(startDate || 0, endDate || Date.now());
+    return this.db.db.prepare(query).all(filters);
   }
-
   /**
    * Calculate estimated costs
+   * Rows carrying a total_cost use the costs stored at ingestion. Others are
+   * priced with the current catalog price of their model, or of their
+   * platform's default model. `pricing` overrides per-token rates by
+   * platform, e.g. { chatgpt: { prompt: 0.01 / 1000, completion: 0.02 / 1000 } }.
    */
   calculateCosts(tokenUsage, pricing = {}) {
-    const defaultPricing = {
-      chatgpt: { prompt: 0.03 / 1000, completion: 0.06 / 1000 }, // GPT-4 pricing per 1K tokens
-      claude: { prompt: 0.015 / 1000, completion: 0.075 / 1000 }, // Claude pricing
-      gemini: { prompt: 0.001 / 1000, completion: 0.002 / 1000 }, // Gemini pricing
-    };
+    return tokenUsage.map(usage => {
+      const rates = pricing[usage.platform];
 
-    const rates = { ...defaultPricing, ...pricing };
+      if (!rates && usage.total_cost != null) {
+        return {
+          ...usage,
+          estimated_cost: usage.total_cost,
+          prompt_cost: null,
+          completion_cost: null,
+        };
+      }
 
-    return tokenUsage.map(usage => {
-      const platformRates = rates[usage.platform] || { prompt: 0, completion: 0 };
-      const promptCost = (usage.prompt_tokens || 0) * platformRates.prompt;
-      const completionCost = (usage.completion_tokens || 0) * platformRates.completion;
+      const price = rates
+        ? { input_price: rates.prompt * 1e6, output_price: rates.completion * 1e6 }
+        : this.pricing.findPrice({ model: usage.model, platform: usage.platform });
+      const promptCost = price
+        ? this.pricing.cost({ prompt: usage.prompt_tokens }, price)
+        : 0;
+      const completionCost = price
+        ? this.pricing.cost({ completion: usage.completion_tokens }, price)
+        : 0;
 
       return {
         ...usage,
@@ -57,67 +130,98 @@ class UsageAnalyzer {
   }
 
   /**
-   * Get usage trends over time
+   * Get usage trends over time, by local day
    */
-  getUsageTrends(days = 30) {
-    const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+  getUsageTrends(filters = 30) {
+    this.rollups.update();
 
     const query = `
       SELECT
-        DATE(timestamp / 1000, 'unixepoch') as date,
-        COUNT(*) as message_count,
-        SUM(tokens_total) as total_tokens,
-        COUNT(DISTINCT conversation_id) as conversation_count
-      FROM messages
-      WHERE timestamp >= ?
+        date,
+        SUM(total_messages) as message_count,
+        SUM(total_tokens) as total_tokens,
+        SUM(completion_tokens) as completion_tokens,
+        SUM(reasoning_tokens) as reasoning_tokens,
+        SUM(estimated_cost) as total_cost,
+        SUM(total_conversations) as conversation_count
+      FROM user_analytics
+      WHERE ${ROLLUP_RANGE}
       GROUP BY date
+      HAVING message_count > 0
       ORDER BY date ASC
     `;
 
-    return this.db.db.prepare(query).all(startDate);
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
   }
 
   /**
    * Get peak usage hours
    */
-  getPeakUsageHours() {
+  getPeakUsageHours(filters = {}) {
+    this.rollups.update();
+
     const query = `
       SELECT
-        CAST(strftime('%H', timestamp / 1000, 'unixepoch', 'localtime') AS INTEGER) as hour,
-        COUNT(*) as message_count,
-        AVG(tokens_total) as avg_tokens
-      FROM messages
+        CAST(hours.key AS INTEGER) as hour,
+        SUM(hours.value) as message_count
+      FROM user_analytics, json_each(user_analytics.messages_by_hour) hours
+      WHERE ${ROLLUP_RANGE}
       GROUP BY hour
+      HAVING message_count > 0
       ORDER BY hour ASC
     `;
 
-    return this.db.db.prepare(query).all();
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
+  }
+
+  /**
+   * Get message counts by local weekday (0 = Sunday) and hour
+   */
+  getUsageHeatmap(filters = {}) {
+    this.rollups.update();
+
+    const query = `
+      SELECT
+        CAST(strftime('%w', date) AS INTEGER) as weekday,
+        CAST(hours.key AS INTEGER) as hour,
+        SUM(hours.value) as message_count
+      FROM user_analytics, json_each(user_analytics.messages_by_hour) hours
+      WHERE ${ROLLUP_RANGE}
+      GROUP BY weekday, hour
+      HAVING message_count > 0
+      ORDER BY weekday ASC, hour ASC
+    `;
+
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
   }
 
   /**
    * Get model usage statistics
    */
-  getModelUsage() {
+  getModelUsage(filters = {}) {
     const query = `
       SELECT
         c.model_used as model,
         COUNT(DISTINCT c.id) as usage_count,
         SUM(m.tokens_total) as total_tokens,
+        SUM(m.cost) as total_cost,
         AVG(m.total_generation_time_ms) as avg_response_time
       FROM conversations c
       JOIN messages m ON m.conversation_id = c.id
       WHERE c.model_used IS NOT NULL
+        AND m.timestamp BETWEEN @startDate AND @endDate
+        AND (@platform IS NULL OR c.platform = @platform)
       GROUP BY c.model_used
       ORDER BY usage_count DESC
     `;
 
-    return this.db.db.prepare(query).all();
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
   }
 
   /**
-   * Analyze conversation depth
+   * Analyze conversation depth of conversations active in the range
    */
-  getConversationDepthStats() {
+  getConversationDepthStats(filters = {}) {
     const query = `
       SELECT
         message_count,
@@ -125,17 +229,20 @@ class UsageAnalyzer {
         AVG(total_tokens) as avg_tokens
       FROM conversations
       WHERE message_count > 0
+        AND started_at <= @endDate
+        AND COALESCE(last_activity, started_at) >= @startDate
+        AND (@platform IS NULL OR platform = @platform)
       GROUP BY message_count
       ORDER BY message_count ASC
     `;
 
-    return this.db.db.prepare(query).all();
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
   }
 
   /**
    * Get system prompt impact analysis
    */
-  getSystemPromptImpact() {
+  getSystemPromptImpact(filters = {}) {
     const query = `
       SELECT
         sp.platform,
@@ -144,11 +251,15 @@ class UsageAnalyzer {
         AVG(LENGTH(sp.prompt_text)) as avg_length,
         sp.estimated_tokens
       FROM system_prompts sp
+      WHERE sp.first_seen <= @endDate
+        AND sp.last_seen >= @startDate
+        AND (@platform IS NULL OR sp.platform = @platform)
+      GROUP BY sp.id
       ORDER BY occurrence_count DESC
       LIMIT 20
     `;
 
-    const prompts = this.db.db.prepare(query).all();
+    const prompts = this.db.db.prepare(query).all(this.resolveFilters(filters));
 
     return prompts.map(prompt => ({
       ...prompt,
@@ -160,82 +271,146 @@ class UsageAnalyzer {
   /**
    * Calculate productivity metrics
    */
-  getProductivityMetrics(days = 7) {
-    const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
-
+  getProductivityMetrics(filters = 7) {
     const query = `
       SELECT
-        COUNT(DISTINCT conversation_id) as active_conversations,
+        COUNT(DISTINCT m.conversation_id) as active_conversations,
         COUNT(*) as total_messages,
-        SUM(tokens_total) as total_tokens,
-        AVG(CASE WHEN role = 'assistant' THEN tokens_total END) as avg_response_length,
-        AVG(CASE WHEN role = 'assistant' THEN total_generation_time_ms END) as avg_response_time,
-        COUNT(DISTINCT DATE(timestamp / 1000, 'unixepoch')) as active_days
-      FROM messages
-      WHERE timestamp >= ?
+        SUM(m.tokens_total) as total_tokens,
+        AVG(CASE WHEN m.role = 'assistant' THEN m.tokens_total END) as avg_response_length,
+        AVG(CASE WHEN m.role = 'assistant' THEN m.total_generation_time_ms END) as avg_response_time,
+        COUNT(DISTINCT DATE(m.timestamp / 1000, 'unixepoch')) as active_days
+      FROM messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE m.timestamp BETWEEN @startDate AND @endDate
+        AND (@platform IS NULL OR c.platform = @platform)
     `;
 
-    const result = this.db.db.prepare(query).get(startDate);
+    const result = this.db.db.prepare(query).get(this.resolveFilters(filters));
+    const activeDays = Math.max(result.active_days, 1);
 
     return {
       ...result,
-      messages_per_day: result.total_messages / result.active_days,
-      tokens_per_day: result.total_tokens / result.active_days,
-      conversations_per_day: result.active_conversations / result.active_days,
+      messages_per_day: result.total_messages / activeDays,
+      tokens_per_day: (result.total_tokens || 0) / activeDays,
+      conversations_per_day: result.active_conversations / activeDays,
     };
   }
 
   /**
-   * Get top conversations by tokens
+   * Get top conversations by tokens, among those active in the range
    */
-  getTopConversations(limit = 10) {
+  getTopConversations(limit = 10, filters = {}) {
     const query = `
       SELECT
         c.*,
         COUNT(m.id) as actual_message_count
       FROM conversations c
       LEFT JOIN messages m ON m.conversation_id = c.id
+      WHERE c.started_at <= @endDate
+        AND COALESCE(c.last_activity, c.started_at) >= @startDate
+        AND (@platform IS NULL OR c.platform = @platform)
       GROUP BY c.id
       ORDER BY c.total_tokens DESC
-      LIMIT ?
+      LIMIT @limit
+    `;
+
+    return this.db.db.prepare(query).all({ ...this.resolveFilters(filters), limit });
+  }
+
+  /**
+   * Time spent on each platform, from the usage sessions started in the
+   * range. Active time is time the tab was focused and the user not idle.
+   */
+  getSessionStats(filters = {}) {
+    const query = `
+      SELECT
+        platform,
+        COUNT(*) as session_count,
+        SUM(time_active_ms) as active_ms,
+        SUM(time_inactive_ms) as inactive_ms,
+        AVG(time_active_ms) as avg_active_ms,
+        SUM(messages_sent) as messages_sent,
+        SUM(messages_received) as messages_received
+      FROM usage_sessions
+      WHERE started_at BETWEEN @startDate AND @endDate
+        AND (@platform IS NULL OR platform = @platform)
+      GROUP BY platform
+      ORDER BY active_ms DESC
     `;
 
-    return this.db.db.prepare(query).all(limit);
+    return this.db.db.prepare(query).all(this.resolveFilters(filters));
+  }
+
+  /**
+   * Prompts sent in the range's usage sessions, by how they were written
+   * @returns {Object<string, number>} counts by input method
+   */
+  getInputMethodCounts(filters = {}) {
+    const query = `
+      SELECT json_each.key as method, SUM(json_each.value) as count
+      FROM usage_sessions, json_each(usage_sessions.input_method_counts)
+      WHERE started_at BETWEEN @startDate AND @endDate
+        AND (@platform IS NULL OR platform = @platform)
+      GROUP BY json_each.key
+    `;
+
+    const rows = this.db.db.prepare(query).all(this.resolveFilters(filters));
+    return Object.fromEntries(rows.map(row => [row.method, row.count]));
   }
 
   /**
    * Generate comprehensive usage report
+   * Takes a number of days back from now, or a filter object (see
+   * resolveFilters).
    */
-  generateUsageReport(days = 30) {
-    const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+  generateUsageReport(filters = 30) {
+    const resolved = this.resolveFilters(filters);
+    const { startDate, endDate, platform } = resolved;
 
-    const tokenUsage = this.getTokenUsageByPlatform(startDate, Date.now());
+    const tokenUsage = this.getTokenUsageByPlatform(resolved);
     const costs = this.calculateCosts(tokenUsage);
-    const trends = this.getUsageTrends(days);
-    const peakHours = this.getPeakUsageHours();
-    const productivity = this.getProductivityMetrics(days);
-    const topConversations = this.getTopConversations(10);
-    const modelUsage = this.getModelUsage();
-    const systemPromptImpact = this.getSystemPromptImpact();
+    const trends = this.getUsageTrends(resolved);
+    const peakHours = this.getPeakUsageHours(resolved);
+    const heatmap = this.getUsageHeatmap(resolved);
+    const productivity = this.getProductivityMetrics(resolved);
+    const topConversations = this.getTopConversations(10, resolved);
+    const modelUsage = this.getModelUsage(resolved);
+    const depth = this.getConversationDepthStats(resolved);
+    const systemPromptImpact = this.getSystemPromptImpact(resolved);
+    const sessions = this.getSessionStats(resolved);
+    const completionTokens = tokenUsage.reduce((sum, u) => sum + (u.completion_tokens || 0), 0);
+    const reasoningTokens = tokenUsage.reduce((sum, u) => sum + (u.reasoning_tokens || 0), 0);
 
     return {
       period: {
-        days,
+        days: Math.round((endDate - startDate) / DAY_MS),
         start_date: startDate,
-        end_date: Date.now(),
+        end_date: endDate,
+        platform,
       },
+      platforms: this.getPlatforms(),
       summary: {
         total_tokens: tokenUsage.reduce((sum, u) => sum + (u.total_tokens || 0), 0),
+        // Completion tokens split into reasoning and the visible answer
+        reasoning_tokens: reasoningTokens,
+        answer_tokens: completionTokens - reasoningTokens,
         total_cost: costs.reduce((sum, c) => sum + (c.estimated_cost || 0), 0),
         total_conversations: tokenUsage.reduce((sum, u) => sum + (u.conversation_count || 0), 0),
+        active_time_ms: sessions.reduce((sum, s) => sum + (s.active_ms || 0), 0),
+        total_sessions: sessions.reduce((sum, s) => sum + s.session_count, 0),
       },
       by_platform: costs,
       trends,
       peak_hours: peakHours,
+      heatmap,
       productivity,
       top_conversations: topConversations,
       model_usage: modelUsage,
+      conversation_depth: depth,
       system_prompt_impact: systemPromptImpact,
+      sessions,
+      input_methods: this.getInputMethodCounts(resolved),
     };
   }
 }
@@ -7,11 +7,69 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const Migrator = require('./storage/migrator');
+const Journal = require('./storage/journal');
+const {
+  Cipher,
+  EncryptionError,
+  reseal,
+  writeFileAtomic,
+} = require('./storage/encryption');
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseSearchQuery,
+  splitSnippet,
+} = require('./search/query');
+
+const MESSAGE_COLUMNS = [
+  'id',
+  'conversation_id',
+  'message_id',
+  'timestamp',
+  'role',
+  'visible_content',
+  'html_content',
+  'visible_to_user',
+  'message_position',
+  'is_edited',
+  'is_regenerated',
+  'parent_message_id',
+  'tokens_prompt',
+  'tokens_completion',
+  'tokens_total',
+  'time_to_first_token_ms',
+  'total_generation_time_ms',
+  'input_method',
+  'attachments',
+  'code_blocks',
+  'metadata',
+];
+
+// Where token counts come from, least exact first. A count never replaces
+// one from a more exact source.
+const TOKEN_SOURCES = ['text', 'context', 'usage'];
+
+// Token count fields and the message columns they are stored in
+const TOKEN_COLUMNS = {
+  prompt: 'tokens_prompt',
+  completion: 'tokens_completion',
+  cached: 'tokens_cached',
+  reasoning: 'tokens_reasoning',
+};
+
+// How often an encrypted database is saved back to its file, if changed
+const SAVE_INTERVAL_MS = 30 * 1000;
 
 class LLMTrackerDatabase {
   constructor(dbPath) {
     this.dbPath = dbPath || this.getDefaultDbPath();
     this.db = null;
+    this.cipher = null;
+    this.saveTimer = null;
+    this.savedChanges = 0;
+    this.journal = new Journal(`${this.dbPath}.journal`);
+    this.journalReplayed = true;
   }
 
   /**
@@ -29,39 +87,332 @@ class LLMTrackerDatabase {
   }
 
   /**
-   * Initialize database with schema
+   * Directory of the copies saved before migrating
    */
-  init() {
-    this.db = new Database(this.dbPath);
-    this.db.pragma('journal_mode = WAL');
+  get backupDir() {
+    return path.join(path.dirname(this.dbPath), 'backups');
+  }
 
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, 'database-schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
+  /**
+   * Whether the database file is encrypted, so init() needs its passphrase
+   */
+  isEncrypted() {
+    return Cipher.isSealed(this.dbPath);
+  }
 
-    // Execute the entire schema at once - SQLite can handle multiple statements
-    try {
-      this.db.exec(schema);
-    } catch (err) {
-      // Ignore "table already exists" errors
-      if (!err.message.includes('already exists')) {
-        throw err;
+  /**
+   * Open the database and bring its schema up to date (see Migrator).
+   * Copies saved before migrating go in a `backups` directory next to it.
+   *
+   * An encrypted database is decrypted into memory, and saved back to its
+   * file encrypted when closed, and every 30 seconds if it has changed.
+   * Captured messages received in between are kept in a journal (see
+   * journalMessage()).
+   * @throws {EncryptionError} if the database is encrypted and the
+   *   passphrase is missing or wrong
+   */
+  init(passphrase = null) {
+    if (this.isEncrypted()) {
+      if (!passphrase) {
+        throw new EncryptionError('The database is encrypted');
       }
+      const sealed = fs.readFileSync(this.dbPath);
+      const cipher = Cipher.unlock(sealed, passphrase);
+      this.db = new Database(cipher.open(sealed));
+      this.cipher = cipher;
+      this.journalReplayed = false;
+    } else {
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+    }
+    this.db.pragma('foreign_keys = ON');
+
+    this.migration = new Migrator(this.db, {
+      backupDir: this.backupDir,
+      cipher: this.cipher,
+      name: path.basename(this.dbPath, path.extname(this.dbPath)),
+    }).migrate();
+
+    // New databases are migrated too, but only existing ones are backed up
+    const { from, to, backupPath } = this.migration;
+    if (backupPath) {
+      console.log(
+        `Migrated database schema from version ${from} to ${to} (backup: ${backupPath})`
+      );
+    }
+
+    if (this.cipher) {
+      this.save({ force: from !== to });
+      this.startSaving();
     }
 
     return this;
   }
 
+  startSaving() {
+    this.saveTimer = setInterval(() => {
+      try {
+        this.save();
+      } catch (err) {
+        console.error('Failed to save encrypted database:', err);
+      }
+    }, SAVE_INTERVAL_MS);
+    this.saveTimer.unref?.();
+  }
+
   /**
-   * Close database connection
+   * Write an encrypted database back to its file, if it has changed since
+   * it was last saved. Unencrypted databases write changes as they go.
+   * @returns {boolean} Whether it was written
+   */
+  save({ force = false } = {}) {
+    if (!this.cipher || !this.db) {
+      return false;
+    }
+
+    const { changes } = this.db
+      .prepare('SELECT total_changes() AS changes')
+      .get();
+    if (!force && changes === this.savedChanges) {
+      return false;
+    }
+
+    writeFileAtomic(this.dbPath, this.cipher.seal(this.serialize()));
+    this.savedChanges = changes;
+    this.clearJournal();
+    return true;
+  }
+
+  /**
+   * Keep a captured message in the journal until an encrypted database is
+   * next saved, so it is not lost if the app stops before then (see
+   * storage/journal.js). Unencrypted databases write changes as they go.
+   */
+  journalMessage(message) {
+    if (this.cipher) {
+      this.journal.append(message, this.cipher);
+    }
+  }
+
+  /**
+   * Messages journaled before the encrypted database was last closed, for
+   * ingesting again. The journal is kept until they have been saved.
+   */
+  readJournal() {
+    this.journalReplayed = true;
+    return this.cipher ? this.journal.read(this.cipher) : [];
+  }
+
+  /**
+   * Empty the journal once the database holds what is in it
+   */
+  clearJournal() {
+    if (this.journalReplayed) {
+      this.journal.clear();
+    }
+  }
+
+  /**
+   * The database as a buffer that can be opened in memory. Its header is
+   * marked as not in WAL mode, which in-memory databases cannot use.
+   */
+  serialize() {
+    const contents = this.db.serialize();
+    if (contents.length >= 100) {
+      // File format write and read versions: 1 is a rollback journal
+      contents[18] = 1;
+      contents[19] = 1;
+    }
+    return contents;
+  }
+
+  /**
+   * Encrypt the database with a new key, or decrypt it without one, along
+   * with the copies saved before migrating. The old passphrase no longer
+   * opens them.
+   * @param {?Cipher} cipher
+   */
+  rekey(cipher) {
+    const previous = this.cipher;
+    const contents = this.serialize();
+    clearInterval(this.saveTimer);
+    this.db.close();
+
+    if (cipher) {
+      writeFileAtomic(this.dbPath, cipher.seal(contents));
+      fs.rmSync(`${this.dbPath}-wal`, { force: true });
+      fs.rmSync(`${this.dbPath}-shm`, { force: true });
+      this.db = new Database(contents);
+    } else {
+      writeFileAtomic(this.dbPath, contents);
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+    }
+    this.db.pragma('foreign_keys = ON');
+    this.clearJournal();
+
+    this.cipher = cipher;
+    this.savedChanges = 0;
+    if (cipher) {
+      this.startSaving();
+    }
+
+    const backups = fs.existsSync(this.backupDir)
+      ? fs
+          .readdirSync(this.backupDir)
+          .filter((file) => file.endsWith('.db'))
+          .map((file) => path.join(this.backupDir, file))
+      : [];
+    reseal(backups, previous, cipher);
+  }
+
+  /**
+   * Save an encrypted copy of the database, with a key of its own. The copy
+   * opens as a database with that key's passphrase.
+   * @param {string} file
+   * @param {Cipher} cipher
+   */
+  exportEncrypted(file, cipher) {
+    writeFileAtomic(file, cipher.seal(this.serialize()));
+  }
+
+  /**
+   * Open an existing database, such as a retention archive, without
+   * migrating or writing to it; from its file, or from its contents
+   */
+  openReadOnly(contents = null) {
+    this.db = new Database(contents || this.dbPath, {
+      readonly: true,
+      fileMustExist: true,
+    });
+    return this;
+  }
+
+  /**
+   * Close database connection, saving an encrypted database first
    */
   close() {
     if (this.db) {
+      clearInterval(this.saveTimer);
+      this.save();
       this.db.close();
       this.db = null;
     }
   }
 
+  /**
+   * Run a function inside a single transaction
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  /**
+   * Remember that a protocol message has been ingested.
+   * Returns false if the message ID was already recorded.
+   */
+  recordReceivedMessage(message) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO received_messages (id, message_type, seq, received_at)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(
+      message.id,
+      message.type,
+      message.seq ?? null,
+      Date.now()
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Forget received message IDs older than the given timestamp
+   */
+  pruneReceivedMessages(before) {
+    const stmt = this.db.prepare(
+      'DELETE FROM received_messages WHERE received_at < ?'
+    );
+    return stmt.run(before).changes;
+  }
+
+  /**
+   * Highest extension record revision ingested so far
+   */
+  getSyncCursor() {
+    const row = this.db
+      .prepare("SELECT value FROM settings WHERE key = 'sync_high_water_mark'")
+      .get();
+    return row ? Number(row.value) : 0;
+  }
+
+  /**
+   * Move the sync cursor forward; it never moves back
+   */
+  advanceSyncCursor(rev) {
+    const stmt = this.db.prepare(`
+      INSERT INTO settings (key, value, value_type, category, updated_at)
+      VALUES ('sync_high_water_mark', ?, 'number', 'sync', ?)
+      ON CONFLICT(key) DO UPDATE SET
+        value = MAX(CAST(value AS INTEGER), CAST(excluded.value AS INTEGER)),
+        updated_at = excluded.updated_at
+    `);
+
+    return stmt.run(String(rev), Date.now());
+  }
+
+  /**
+   * Read a setting, decoded according to its value_type
+   */
+  getSetting(key, fallback = null) {
+    const row = this.db
+      .prepare('SELECT value, value_type FROM settings WHERE key = ?')
+      .get(key);
+    if (!row) {
+      return fallback;
+    }
+
+    switch (row.value_type) {
+      case 'boolean':
+        return row.value === '1';
+      case 'number':
+        return Number(row.value);
+      case 'json':
+        return JSON.parse(row.value);
+      default:
+        return row.value;
+    }
+  }
+
+  /**
+   * Write a setting, keeping its category
+   */
+  setSetting(key, value, category = null) {
+    let valueType = 'string';
+    let text = String(value);
+    if (typeof value === 'boolean') {
+      valueType = 'boolean';
+      text = value ? '1' : '0';
+    } else if (typeof value === 'number') {
+      valueType = 'number';
+    } else if (value !== null && typeof value === 'object') {
+      valueType = 'json';
+      text = JSON.stringify(value);
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO settings (key, value, value_type, category, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        value = excluded.value,
+        value_type = excluded.value_type,
+        category = COALESCE(excluded.category, category),
+        updated_at = excluded.updated_at
+    `);
+
+    return stmt.run(key, text, valueType, category, Date.now());
+  }
+
   /**
    * Insert or update a conversation
    */
@@ -92,36 +443,430 @@ class LLMTrackerDatabase {
     );
   }
 
+  /**
+   * Create a conversation if it does not exist yet.
+   * Existing rows keep their stats; a missing title or model is filled in.
+   */
+  ensureConversation(data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO conversations (
+        id, platform, platform_conversation_id, started_at, last_activity,
+        title, model_used, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        title = COALESCE(title, excluded.title),
+        model_used = COALESCE(excluded.model_used, model_used)
+    `);
+
+    return stmt.run(
+      data.id,
+      data.platform,
+      data.platform_conversation_id || null,
+      data.started_at,
+      data.last_activity || data.started_at,
+      data.title || null,
+      data.model_used || null,
+      JSON.stringify(data.metadata || {})
+    );
+  }
+
   /**
    * Insert a message
    */
   insertMessage(data) {
     const stmt = this.db.prepare(`
-      INSERT INTO messages (
-        id, conversation_id, timestamp, role, visible_content,
-        visible_to_user, message_position, is_edited, is_regenerated,
-        tokens_prompt, tokens_completion, tokens_total,
-        time_to_first_token_ms, total_generation_time_ms, attachments
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO messages (${MESSAGE_COLUMNS.join(', ')})
+      VALUES (${MESSAGE_COLUMNS.map(() => '?').join(', ')})
     `);
 
-    return stmt.run(
+    return stmt.run(...this.messageValues(data));
+  }
+
+  /**
+   * Insert a message, or update it in place if it was already stored.
+   * Keeps the original timestamp; fields missing from the update are kept.
+   */
+  upsertMessage(data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO messages (${MESSAGE_COLUMNS.join(', ')})
+      VALUES (${MESSAGE_COLUMNS.map(() => '?').join(', ')})
+      ON CONFLICT(id) DO UPDATE SET
+        message_id = COALESCE(excluded.message_id, message_id),
+        role = CASE WHEN excluded.role = 'unknown' THEN role ELSE excluded.role END,
+        visible_content = excluded.visible_content,
+        html_content = COALESCE(excluded.html_content, html_content),
+        visible_to_user = excluded.visible_to_user,
+        message_position = COALESCE(excluded.message_position, message_position),
+        is_edited = MAX(is_edited, excluded.is_edited),
+        is_regenerated = MAX(is_regenerated, excluded.is_regenerated),
+        parent_message_id = COALESCE(excluded.parent_message_id, parent_message_id),
+        input_method = COALESCE(input_method, excluded.input_method),
+        attachments = excluded.attachments,
+        code_blocks = excluded.code_blocks,
+        metadata = json_patch(COALESCE(metadata, '{}'), excluded.metadata)
+    `);
+
+    return stmt.run(...this.messageValues(data));
+  }
+
+  /**
+   * Insert a message only if no message with its ID exists
+   */
+  insertMessageIfMissing(data) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO messages (${MESSAGE_COLUMNS.join(', ')})
+      VALUES (${MESSAGE_COLUMNS.map(() => '?').join(', ')})
+    `);
+
+    return stmt.run(...this.messageValues(data));
+  }
+
+  /**
+   * Column values for a message row, in MESSAGE_COLUMNS order
+   */
+  messageValues(data) {
+    return [
       data.id,
       data.conversation_id,
+      data.message_id || null,
       data.timestamp,
       data.role,
-      data.content || data.visible_content,
+      data.content ?? data.visible_content,
+      data.html_content || null,
       data.visible_to_user !== false ? 1 : 0,
-      data.message_position || null,
+      data.message_position ?? null,
       data.edited || data.is_edited ? 1 : 0,
       data.regenerated || data.is_regenerated ? 1 : 0,
+      data.parent_message_id || null,
       data.tokens_prompt || null,
       data.tokens_completion || null,
       data.tokens_total || null,
       data.time_to_first_token_ms || null,
       data.total_generation_time_ms || null,
-      JSON.stringify(data.attachments || [])
+      data.input_method || null,
+      JSON.stringify(data.attachments || []),
+      JSON.stringify(data.code_blocks || []),
+      JSON.stringify(data.metadata || {}),
+    ];
+  }
+
+  /**
+   * Record token counts (see TOKEN_COLUMNS) for a message, and keep the
+   * message total and conversation total in step. The source of each
+   * count is kept in metadata.token_sources (see TOKEN_SOURCES).
+   * Returns false if the message is unknown or every count was outranked.
+   */
+  updateMessageTokens(id, counts, source) {
+    const row = this.getMessage(id);
+
+    if (!row) {
+      return false;
+    }
+
+    const sources = JSON.parse(row.metadata || '{}').token_sources || {};
+    const tokens = {};
+    const rank = TOKEN_SOURCES.indexOf(source);
+    let changed = false;
+
+    for (const [field, column] of Object.entries(TOKEN_COLUMNS)) {
+      tokens[field] = row[column];
+      if (
+        counts[field] == null ||
+        TOKEN_SOURCES.indexOf(sources[field]) > rank
+      ) {
+        continue;
+      }
+      tokens[field] = counts[field];
+      sources[field] = source;
+      changed = true;
+    }
+
+    if (!changed) {
+      return false;
+    }
+
+    const total =
+      tokens.prompt == null && tokens.completion == null
+        ? null
+        : (tokens.prompt || 0) + (tokens.completion || 0);
+
+    const updateStmt = this.db.prepare(`
+      UPDATE messages SET
+        tokens_prompt = ?,
+        tokens_completion = ?,
+        tokens_cached = ?,
+        tokens_reasoning = ?,
+        tokens_total = ?,
+        metadata = json_set(COALESCE(metadata, '{}'), '$.token_sources', json(?))
+      WHERE id = ?
+    `);
+
+    updateStmt.run(
+      tokens.prompt,
+      tokens.completion,
+      tokens.cached,
+      tokens.reasoning,
+      total,
+      JSON.stringify(sources),
+      id
+    );
+
+    if (
+      row.role === 'assistant' &&
+      ['context', 'usage'].includes(sources.prompt)
+    ) {
+      this.markPromptCounted(row);
+    }
+
+    this.refreshConversationTotals(row.conversation_id);
+    return true;
+  }
+
+  /**
+   * Flag the prompt of a reply whose prompt tokens come from its request
+   * (see messages.prompt_counted): its parent, or when replies are not
+   * linked, the user messages since the last visible one before it
+   */
+  markPromptCounted(reply) {
+    if (reply.parent_message_id) {
+      const parentStmt = this.db.prepare(`
+        UPDATE messages SET prompt_counted = 1 WHERE id = ? AND role = 'user'
+      `);
+      parentStmt.run(reply.parent_message_id);
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      UPDATE messages SET prompt_counted = 1
+      WHERE conversation_id = @conversationId
+        AND role = 'user'
+        AND timestamp <= @timestamp
+        AND timestamp >= COALESCE((
+          SELECT MAX(timestamp) FROM messages
+          WHERE conversation_id = @conversationId
+            AND role = 'user'
+            AND visible_to_user = 1
+            AND timestamp <= @timestamp
+        ), 0)
+    `);
+    stmt.run({
+      conversationId: reply.conversation_id,
+      timestamp: reply.timestamp,
+    });
+  }
+
+  /**
+   * Whether a user message's prompt is counted by its request, so that an
+   * estimate from its text would count it twice. A prompt stored after its
+   * reply's counts is flagged from that reply here.
+   */
+  isPromptCounted(id) {
+    const prompt = this.getMessage(id);
+
+    if (!prompt || prompt.prompt_counted) {
+      return Boolean(prompt?.prompt_counted);
+    }
+
+    // Its replies: linked to it, or else the ones before the next prompt
+    const replyStmt = this.db.prepare(`
+      SELECT 1 FROM messages
+      WHERE conversation_id = @conversationId
+        AND role = 'assistant'
+        AND json_extract(metadata, '$.token_sources.prompt') IN ('context', 'usage')
+        AND (parent_message_id = @id
+          OR (parent_message_id IS NULL
+            AND timestamp >= @timestamp
+            AND timestamp < COALESCE((
+              SELECT MIN(timestamp) FROM messages
+              WHERE conversation_id = @conversationId
+                AND role = 'user'
+                AND visible_to_user = 1
+                AND id != @id
+                AND timestamp > @timestamp
+            ), timestamp + 1)))
+      LIMIT 1
+    `);
+    const reply = replyStmt.get({
+      conversationId: prompt.conversation_id,
+      id,
+      timestamp: prompt.timestamp,
+    });
+
+    if (!reply) {
+      return false;
+    }
+
+    const flagStmt = this.db.prepare(
+      'UPDATE messages SET prompt_counted = 1 WHERE id = ?'
+    );
+    flagStmt.run(id);
+    return true;
+  }
+
+  /**
+   * Drop the text estimates of user messages in a conversation whose
+   * prompt has since been counted by their request (see isPromptCounted()),
+   * and keep the totals in step. Returns the IDs of the messages changed.
+   */
+  clearCountedPrompts(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT id FROM messages
+      WHERE conversation_id = ?
+        AND prompt_counted = 1
+        AND json_extract(metadata, '$.token_sources.prompt') = 'text'
+    `);
+    const ids = stmt.all(conversationId).map((row) => row.id);
+
+    if (ids.length === 0) {
+      return ids;
+    }
+
+    const clearStmt = this.db.prepare(`
+      UPDATE messages SET
+        tokens_prompt = NULL,
+        tokens_total = tokens_completion,
+        metadata = json_remove(metadata, '$.token_sources.prompt')
+      WHERE id = ?
+    `);
+    for (const id of ids) {
+      clearStmt.run(id);
+    }
+
+    this.refreshConversationTotals(conversationId);
+    return ids;
+  }
+
+  /**
+   * Store the cost of a message, and the price it was computed with in
+   * metadata.pricing. Costs are not recomputed when prices change later.
+   */
+  updateMessageCost(id, cost, pricing) {
+    const row = this.getMessage(id);
+
+    if (!row) {
+      return false;
+    }
+
+    const stmt = this.db.prepare(`
+      UPDATE messages SET
+        cost = ?,
+        metadata = json_set(COALESCE(metadata, '{}'), '$.pricing', json(?))
+      WHERE id = ?
+    `);
+
+    stmt.run(cost, JSON.stringify(pricing), id);
+
+    this.refreshConversationTotals(row.conversation_id);
+    return true;
+  }
+
+  /**
+   * Recompute a conversation's token and cost totals from its messages
+   */
+  refreshConversationTotals(conversationId) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations SET
+        total_tokens = (
+          SELECT COALESCE(SUM(tokens_total), 0) FROM messages
+          WHERE conversation_id = @id
+        ),
+        total_cost = (
+          SELECT COALESCE(SUM(cost), 0) FROM messages
+          WHERE conversation_id = @id
+        )
+      WHERE id = @id
+    `);
+
+    return stmt.run({ id: conversationId });
+  }
+
+  /**
+   * Prices in the pricing catalog, by model then date
+   */
+  getModelPrices() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM model_prices
+      ORDER BY model ASC, effective_from ASC
+    `);
+    return stmt.all();
+  }
+
+  /**
+   * Insert or replace a price for a model from a date
+   */
+  upsertModelPrice(price) {
+    const stmt = this.db.prepare(`
+      INSERT INTO model_prices (
+        model, effective_from, input_price, cached_input_price,
+        output_price, reasoning_price, source, catalog_version, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(model, effective_from) DO UPDATE SET
+        input_price = excluded.input_price,
+        cached_input_price = excluded.cached_input_price,
+        output_price = excluded.output_price,
+        reasoning_price = excluded.reasoning_price,
+        source = excluded.source,
+        catalog_version = excluded.catalog_version,
+        updated_at = excluded.updated_at
+    `);
+
+    return stmt.run(
+      price.model,
+      price.effective_from,
+      price.input_price,
+      price.cached_input_price ?? null,
+      price.output_price,
+      price.reasoning_price ?? null,
+      price.source || 'user',
+      price.catalog_version || null,
+      Date.now()
+    );
+  }
+
+  /**
+   * Load a bundled catalog. Catalog prices are added or refreshed; prices
+   * edited by the user are kept.
+   */
+  seedModelPrices(prices, version) {
+    const stmt = this.db.prepare(`
+      INSERT INTO model_prices (
+        model, effective_from, input_price, cached_input_price,
+        output_price, reasoning_price, source, catalog_version, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'catalog', ?, ?)
+      ON CONFLICT(model, effective_from) DO UPDATE SET
+        input_price = excluded.input_price,
+        cached_input_price = excluded.cached_input_price,
+        output_price = excluded.output_price,
+        reasoning_price = excluded.reasoning_price,
+        catalog_version = excluded.catalog_version,
+        updated_at = excluded.updated_at
+      WHERE source = 'catalog' AND catalog_version IS NOT excluded.catalog_version
+    `);
+
+    this.transaction(() => {
+      for (const price of prices) {
+        stmt.run(
+          price.model,
+          price.effective_from,
+          price.input,
+          price.cached_input ?? null,
+          price.output,
+          price.reasoning ?? null,
+          version,
+          Date.now()
+        );
+      }
+    });
+  }
+
+  /**
+   * Remove a price. Returns false if there was none.
+   */
+  deleteModelPrice(model, effectiveFrom) {
+    const stmt = this.db.prepare(
+      'DELETE FROM model_prices WHERE model = ? AND effective_from = ?'
     );
+    return stmt.run(model, effectiveFrom).changes > 0;
   }
 
   /**
@@ -130,16 +875,18 @@ class LLMTrackerDatabase {
   insertApiCapture(data) {
     const stmt = this.db.prepare(`
       INSERT INTO api_captures (
-        id, message_id, timestamp, request_url, request_method,
+        id, message_id, request_id, timestamp, request_url, request_method,
         request_headers, request_body, response_status,
         response_headers, response_body, raw_response,
-        model, temperature, max_tokens, is_streaming, platform
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        model, temperature, max_tokens, top_p, frequency_penalty,
+        presence_penalty, is_streaming, platform, source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
       data.id,
       data.message_id,
+      data.request_id || null,
       data.timestamp,
       data.request_url || null,
       data.request_method || null,
@@ -150,13 +897,94 @@ class LLMTrackerDatabase {
       JSON.stringify(data.response_body || {}),
       data.raw_response || null,
       data.model || null,
-      data.temperature || null,
+      data.temperature ?? null,
       data.max_tokens || null,
+      data.top_p ?? null,
+      data.frequency_penalty ?? null,
+      data.presence_penalty ?? null,
       data.stream || data.is_streaming ? 1 : 0,
-      data.platform || null
+      data.platform || null,
+      data.source || 'extension'
     );
   }
 
+  /**
+   * Record the context sent with a request (ignored if already recorded)
+   */
+  insertConversationContext(data) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO conversation_context (
+        id, conversation_id, timestamp, api_capture_id, message_id,
+        context_messages, context_tokens, context_window_size,
+        tokens_remaining, includes_system_prompt, includes_history,
+        history_message_count, history_truncated, metadata
+      ) VALUES (
+        @id, @conversation_id, @timestamp, @api_capture_id, @message_id,
+        @context_messages, @context_tokens, @context_window_size,
+        @tokens_remaining, @includes_system_prompt, @includes_history,
+        @history_message_count, @history_truncated, @metadata
+      )
+    `);
+
+    return stmt.run({
+      id: data.id,
+      conversation_id: data.conversation_id,
+      timestamp: data.timestamp,
+      api_capture_id: data.api_capture_id || null,
+      message_id: data.message_id || null,
+      context_messages: JSON.stringify(data.context_messages || []),
+      context_tokens: data.context_tokens ?? null,
+      context_window_size: data.context_window_size ?? null,
+      tokens_remaining: data.tokens_remaining ?? null,
+      includes_system_prompt: data.includes_system_prompt ? 1 : 0,
+      includes_history: data.includes_history ? 1 : 0,
+      history_message_count: data.history_message_count ?? 0,
+      history_truncated: data.history_truncated ? 1 : 0,
+      metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+    });
+  }
+
+  /**
+   * Replace the estimated size of a request's context with the prompt
+   * token count its API reported
+   */
+  updateContextTokens(apiCaptureId, tokens) {
+    const stmt = this.db.prepare(`
+      UPDATE conversation_context SET
+        context_tokens = @tokens,
+        tokens_remaining = context_window_size - @tokens,
+        metadata = json_set(COALESCE(metadata, '{}'), '$.token_source', 'usage')
+      WHERE api_capture_id = @api_capture_id
+    `);
+
+    return stmt.run({ api_capture_id: apiCaptureId, tokens });
+  }
+
+  /**
+   * The context of a conversation's latest request before a time
+   */
+  getLatestConversationContext(conversationId, before = Date.now()) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM conversation_context
+      WHERE conversation_id = ? AND timestamp <= ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `);
+    return stmt.get(conversationId, before);
+  }
+
+  /**
+   * Contexts sent in a conversation, oldest first
+   */
+  getConversationContexts(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM conversation_context
+      WHERE conversation_id = ?
+      ORDER BY timestamp ASC
+    `);
+    return stmt.all(conversationId);
+  }
+
   /**
    * Insert or update system prompt
    */
@@ -169,11 +997,19 @@ class LLMTrackerDatabase {
     const stmt = this.db.prepare(`
       INSERT INTO system_prompts (
         id, platform, prompt_text, first_seen, last_seen,
-        occurrence_count, prompt_hash, conversation_ids
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        occurrence_count, prompt_hash, conversation_ids, estimated_tokens
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(prompt_hash) DO UPDATE SET
         last_seen = excluded.last_seen,
-        occurrence_count = occurrence_count + 1
+        occurrence_count = occurrence_count + 1,
+        conversation_ids = (
+          SELECT json_group_array(value) FROM (
+            SELECT value FROM json_each(COALESCE(system_prompts.conversation_ids, '[]'))
+            UNION
+            SELECT value FROM json_each(excluded.conversation_ids)
+          )
+        ),
+        estimated_tokens = COALESCE(estimated_tokens, excluded.estimated_tokens)
     `);
 
     const id = data.id || crypto.randomUUID();
@@ -186,30 +1022,283 @@ class LLMTrackerDatabase {
       data.last_seen || Date.now(),
       1,
       hash,
-      JSON.stringify(data.conversation_ids || [])
+      JSON.stringify(data.conversation_ids || []),
+      data.estimated_tokens ?? null
     );
   }
 
   /**
-   * Insert streaming chunk
+   * Insert streaming chunk (ignored if a chunk with the same ID exists)
    */
   insertStreamingChunk(data) {
     const stmt = this.db.prepare(`
-      INSERT INTO streaming_chunks (
-        id, message_id, chunk_index, timestamp, content, delta_time_ms
-      ) VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO streaming_chunks (
+        id, message_id, api_capture_id, chunk_index, timestamp, content,
+        delta_time_ms, content_type, raw_data, estimated_tokens, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
       data.id,
       data.message_id,
+      data.api_capture_id || null,
       data.chunk_index,
       data.timestamp,
       data.content || null,
-      data.delta_time_ms || null
+      data.delta_time_ms ?? null,
+      data.content_type || 'text',
+      data.raw_data || null,
+      data.estimated_tokens ?? null,
+      data.metadata ? JSON.stringify(data.metadata) : null
     );
   }
 
+  /**
+   * Record the end of a streamed response: timings on the message, and the
+   * completion flag on its API capture. Content is only filled in when the
+   * DOM capture has not provided any yet.
+   */
+  recordStreamCompletion(data) {
+    const messageStmt = this.db.prepare(`
+      UPDATE messages SET
+        time_to_first_token_ms = COALESCE(?, time_to_first_token_ms),
+        total_generation_time_ms = COALESCE(?, total_generation_time_ms),
+        visible_content = CASE
+          WHEN visible_content = '' THEN COALESCE(?, '')
+          ELSE visible_content
+        END,
+        metadata = CASE
+          WHEN ? IS NULL THEN metadata
+          ELSE json_set(COALESCE(metadata, '{}'), '$.stop_reason', ?)
+        END
+      WHERE id = ?
+    `);
+
+    messageStmt.run(
+      data.time_to_first_token_ms ?? null,
+      data.total_generation_time_ms ?? null,
+      data.content ?? null,
+      data.stop_reason ?? null,
+      data.stop_reason ?? null,
+      data.message_id
+    );
+
+    if (data.api_capture_id) {
+      const captureStmt = this.db.prepare(`
+        UPDATE api_captures SET
+          is_streaming = 1,
+          stream_complete = 1,
+          raw_response = COALESCE(?, raw_response)
+        WHERE id = ?
+      `);
+
+      captureStmt.run(data.content ?? null, data.api_capture_id);
+    }
+  }
+
+  /**
+   * Get streaming chunks for a message, in order
+   */
+  getStreamingChunks(messageId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM streaming_chunks
+      WHERE message_id = ?
+      ORDER BY chunk_index ASC
+    `);
+    return stmt.all(messageId);
+  }
+
+  /**
+   * Replace the typed parts of a message with the given ones, in order
+   */
+  replaceMessageParts(messageId, parts) {
+    const deleteStmt = this.db.prepare(
+      'DELETE FROM message_parts WHERE message_id = ?'
+    );
+    const insertStmt = this.db.prepare(`
+      INSERT INTO message_parts (
+        id, message_id, part_index, part_type, content, estimated_tokens,
+        metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    deleteStmt.run(messageId);
+    parts.forEach((part, index) => {
+      insertStmt.run(
+        `${messageId}:${index}`,
+        messageId,
+        index,
+        part.part_type,
+        part.content ?? null,
+        part.estimated_tokens ?? null,
+        part.metadata ? JSON.stringify(part.metadata) : null
+      );
+    });
+  }
+
+  /**
+   * Get the typed parts of a message, in order
+   */
+  getMessageParts(messageId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM message_parts
+      WHERE message_id = ?
+      ORDER BY part_index ASC
+    `);
+    return stmt.all(messageId);
+  }
+
+  /**
+   * Get the typed parts of every message in a conversation
+   */
+  getConversationMessageParts(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT message_parts.* FROM message_parts
+      JOIN messages ON messages.id = message_parts.message_id
+      WHERE messages.conversation_id = ?
+      ORDER BY message_parts.message_id, message_parts.part_index ASC
+    `);
+    return stmt.all(conversationId);
+  }
+
+  /**
+   * Record an ended usage session (ignored if already recorded). Tokens and
+   * cost are totalled from the messages of its conversations sent while it
+   * lasted; a conversation not captured yet is not linked.
+   */
+  insertUsageSession(data) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO usage_sessions (
+        id, platform, started_at, ended_at, duration_ms, page_url, tab_id,
+        conversation_id, messages_sent, messages_received, total_tokens,
+        total_cost, time_active_ms, time_inactive_ms, input_method_counts,
+        screen_time, metadata
+      )
+      SELECT
+        @id, @platform, @started_at, @ended_at, @duration_ms, @page_url,
+        @tab_id, (SELECT id FROM conversations WHERE id = @conversation_id),
+        @messages_sent, @messages_received,
+        COALESCE(SUM(tokens_total), 0), COALESCE(SUM(cost), 0),
+        @time_active_ms, @time_inactive_ms, @input_method_counts,
+        @screen_time, @metadata
+      FROM messages
+      WHERE conversation_id IN (SELECT value FROM json_each(@conversation_ids))
+        AND timestamp BETWEEN @started_at AND @ended_at
+    `);
+
+    return stmt.run({
+      id: data.id,
+      platform: data.platform,
+      started_at: data.started_at,
+      ended_at: data.ended_at,
+      duration_ms: data.duration_ms,
+      page_url: data.page_url ?? null,
+      tab_id: data.tab_id ?? null,
+      conversation_id: data.conversation_id ?? null,
+      conversation_ids: JSON.stringify(data.metadata?.conversation_ids || []),
+      messages_sent: data.messages_sent || 0,
+      messages_received: data.messages_received || 0,
+      time_active_ms: data.time_active_ms ?? null,
+      time_inactive_ms: data.time_inactive_ms ?? null,
+      input_method_counts: JSON.stringify(data.input_method_counts || {}),
+      screen_time: data.screen_time ? JSON.stringify(data.screen_time) : null,
+      metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+    });
+  }
+
+  /**
+   * Get a usage session by ID
+   */
+  getUsageSession(id) {
+    const stmt = this.db.prepare('SELECT * FROM usage_sessions WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  /**
+   * Record the latest capture health of a platform. Checks arrive out of
+   * order when several browsers report, so older ones are ignored.
+   */
+  upsertCaptureHealth(data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO capture_health (
+        platform, status, reason, strategy, messages_found, roles_detected,
+        roles_attempted, page_url, since, checked_at
+      ) VALUES (
+        @platform, @status, @reason, @strategy, @messages_found,
+        @roles_detected, @roles_attempted, @page_url, @since, @checked_at
+      )
+      ON CONFLICT(platform) DO UPDATE SET
+        status = excluded.status,
+        reason = excluded.reason,
+        strategy = excluded.strategy,
+        messages_found = excluded.messages_found,
+        roles_detected = excluded.roles_detected,
+        roles_attempted = excluded.roles_attempted,
+        page_url = excluded.page_url,
+        since = excluded.since,
+        checked_at = excluded.checked_at
+      WHERE excluded.checked_at >= checked_at
+    `);
+
+    return stmt.run({
+      platform: data.platform,
+      status: data.status,
+      reason: data.reason ?? null,
+      strategy: data.strategy ?? null,
+      messages_found: data.messages_found ?? null,
+      roles_detected: data.roles_detected ?? null,
+      roles_attempted: data.roles_attempted ?? null,
+      page_url: data.page_url ?? null,
+      since: data.since ?? null,
+      checked_at: data.checked_at,
+    });
+  }
+
+  /**
+   * Capture health of every platform checked, failing ones first
+   */
+  getCaptureHealth() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM capture_health
+      ORDER BY status = 'ok', since, platform
+    `);
+    return stmt.all();
+  }
+
+  /**
+   * Record a file stored in the blob store, or that it was seen again
+   */
+  recordBlob(data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO blobs (
+        sha256, size, mime_type, name, source, first_seen, last_seen
+      ) VALUES (
+        @sha256, @size, @mime_type, @name, @source, @timestamp, @timestamp
+      )
+      ON CONFLICT(sha256) DO UPDATE SET
+        mime_type = COALESCE(mime_type, excluded.mime_type),
+        name = COALESCE(name, excluded.name),
+        last_seen = MAX(last_seen, excluded.last_seen)
+    `);
+
+    return stmt.run({
+      sha256: data.sha256,
+      size: data.size,
+      mime_type: data.mime_type ?? null,
+      name: data.name ?? null,
+      source: data.source ?? null,
+      timestamp: data.timestamp || Date.now(),
+    });
+  }
+
+  /**
+   * Get a stored file's record by hash
+   */
+  getBlob(sha256) {
+    const stmt = this.db.prepare('SELECT * FROM blobs WHERE sha256 = ?');
+    return stmt.get(sha256);
+  }
+
   /**
    * Get conversation by ID
    */
@@ -218,6 +1307,51 @@ class LLMTrackerDatabase {
     return stmt.get(id);
   }
 
+  /**
+   * Move a conversation to the trash. It is hidden, and purged with
+   * everything captured in it once the retention grace period has passed.
+   */
+  deleteConversation(id, now = Date.now()) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations
+      SET status = 'deleted', deleted_at = ?, updated_at = ?
+      WHERE id = ? AND status IS NOT 'deleted'
+    `);
+    return stmt.run(now, now, id).changes > 0;
+  }
+
+  /**
+   * Take a conversation back out of the trash
+   */
+  restoreConversation(id) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations
+      SET status = 'active', deleted_at = NULL, updated_at = ?
+      WHERE id = ? AND status = 'deleted'
+    `);
+    return stmt.run(Date.now(), id).changes > 0;
+  }
+
+  /**
+   * Conversations in the trash, most recently deleted first
+   */
+  getDeletedConversations() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM conversations
+      WHERE status = 'deleted'
+      ORDER BY deleted_at DESC
+    `);
+    return stmt.all();
+  }
+
+  /**
+   * Get message by ID
+   */
+  getMessage(id) {
+    const stmt = this.db.prepare('SELECT * FROM messages WHERE id = ?');
+    return stmt.get(id);
+  }
+
   /**
    * Get messages for a conversation
    */
@@ -230,6 +1364,172 @@ class LLMTrackerDatabase {
     return stmt.all(conversationId);
   }
 
+  /**
+   * Find a stored message by its platform (or DOM) message ID
+   */
+  findMessageByPlatformId(conversationId, platformMessageId) {
+    if (!platformMessageId) {
+      return null;
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT * FROM messages
+      WHERE conversation_id = ? AND message_id = ?
+      ORDER BY visible_to_user DESC, timestamp ASC
+      LIMIT 1
+    `);
+    return stmt.get(conversationId, platformMessageId) || null;
+  }
+
+  /**
+   * Resolve parent links recorded as platform IDs, then flag later siblings
+   * as edits (user) or regenerations (assistant). Safe to run repeatedly;
+   * parents that arrive after their children are picked up on the next run.
+   */
+  linkMessageTree(conversationId) {
+    const link = this.db.prepare(`
+      UPDATE messages SET parent_message_id = (
+        SELECT p.id FROM messages p
+        WHERE p.conversation_id = messages.conversation_id
+          AND p.message_id = json_extract(messages.metadata, '$.parent_platform_id')
+          AND p.id != messages.id
+        ORDER BY p.visible_to_user DESC, p.timestamp ASC
+        LIMIT 1
+      )
+      WHERE conversation_id = ?
+        AND parent_message_id IS NULL
+        AND json_extract(metadata, '$.parent_platform_id') IS NOT NULL
+    `);
+    link.run(conversationId);
+
+    for (const [column, role] of [
+      ['is_edited', 'user'],
+      ['is_regenerated', 'assistant'],
+    ]) {
+      const flag = this.db.prepare(`
+        UPDATE messages SET ${column} = 1
+        WHERE conversation_id = ?
+          AND role = ?
+          AND ${column} = 0
+          AND parent_message_id IS NOT NULL
+          AND EXISTS (
+            SELECT 1 FROM messages s
+            WHERE s.parent_message_id = messages.parent_message_id
+              AND s.role = messages.role
+              AND s.visible_to_user = messages.visible_to_user
+              AND (s.timestamp < messages.timestamp
+                OR (s.timestamp = messages.timestamp AND s.id < messages.id))
+          )
+      `);
+      flag.run(conversationId, role);
+    }
+  }
+
+  /**
+   * Visible messages of a conversation arranged as a tree.
+   * Messages whose parent is unknown are treated as roots.
+   */
+  getMessageTree(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM messages
+      WHERE conversation_id = ? AND visible_to_user = 1
+      ORDER BY timestamp ASC, message_position ASC
+    `);
+    const messages = stmt.all(conversationId);
+    const ids = new Set(messages.map((m) => m.id));
+    const children = new Map();
+
+    for (const message of messages) {
+      const parentId = ids.has(message.parent_message_id)
+        ? message.parent_message_id
+        : null;
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(message);
+    }
+
+    return {
+      messages,
+      children,
+      // Conversations captured before branches were tracked are flat lists
+      branched: messages.some((m) => m.parent_message_id !== null),
+    };
+  }
+
+  /**
+   * Messages on the branch the user is currently looking at, root first.
+   * At each fork the most recently seen child is followed.
+   */
+  getActivePath(conversationId) {
+    const { messages, children, branched } =
+      this.getMessageTree(conversationId);
+
+    if (!branched) {
+      return messages;
+    }
+
+    const lastSeen = (message) => {
+      const metadata = JSON.parse(message.metadata || '{}');
+      return metadata.last_seen ?? message.timestamp;
+    };
+
+    const path = [];
+    let candidates = children.get(null) || [];
+    while (candidates.length > 0) {
+      const next = candidates.reduce((best, message) =>
+        lastSeen(message) >= lastSeen(best) ? message : best
+      );
+      path.push(next);
+      candidates = children.get(next.id) || [];
+    }
+
+    return path;
+  }
+
+  /**
+   * All versions of a message: itself and the other children of its parent
+   */
+  getSiblings(messageId) {
+    const message = this.db
+      .prepare('SELECT conversation_id FROM messages WHERE id = ?')
+      .get(messageId);
+    if (!message) {
+      return [];
+    }
+
+    const { messages, children, branched } = this.getMessageTree(
+      message.conversation_id
+    );
+    const self = messages.find((m) => m.id === messageId);
+    if (!self || !branched) {
+      return self ? [self] : [];
+    }
+
+    for (const siblings of children.values()) {
+      if (siblings.includes(self)) {
+        return siblings;
+      }
+    }
+    return [self];
+  }
+
+  /**
+   * Every fork in a conversation: a parent with more than one child.
+   * Root-level forks (an edited first message) have a null parentId.
+   */
+  getBranches(conversationId) {
+    const { children, branched } = this.getMessageTree(conversationId);
+
+    if (!branched) {
+      return [];
+    }
+
+    return Array.from(children.entries())
+      .filter(([, siblings]) => siblings.length > 1)
+      .map(([parentId, siblings]) => ({ parentId, messages: siblings }));
+  }
+
   /**
    * Get API capture for a message
    */
@@ -238,6 +1538,14 @@ class LLMTrackerDatabase {
     return stmt.get(messageId);
   }
 
+  /**
+   * Whether an API capture has already been stored
+   */
+  hasApiCapture(id) {
+    const stmt = this.db.prepare('SELECT 1 FROM api_captures WHERE id = ?');
+    return stmt.get(id) !== undefined;
+  }
+
   /**
    * Get system prompts by platform
    */
@@ -255,12 +1563,38 @@ class LLMTrackerDatabase {
     }
   }
 
+  /**
+   * System prompts seen in a conversation
+   */
+  getConversationSystemPrompts(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT system_prompts.* FROM system_prompts, json_each(system_prompts.conversation_ids)
+      WHERE json_each.value = ?
+      ORDER BY first_seen ASC
+    `);
+    return stmt.all(conversationId);
+  }
+
+  /**
+   * API captures of a conversation's messages, oldest first
+   */
+  getConversationApiCaptures(conversationId) {
+    const stmt = this.db.prepare(`
+      SELECT api_captures.* FROM api_captures
+      JOIN messages ON messages.id = api_captures.message_id
+      WHERE messages.conversation_id = ?
+      ORDER BY api_captures.timestamp ASC
+    `);
+    return stmt.all(conversationId);
+  }
+
   /**
    * Get recent conversations
    */
   getRecentConversations(limit = 50) {
     const stmt = this.db.prepare(`
       SELECT * FROM conversations
+      WHERE status IS NOT 'deleted'
       ORDER BY last_activity DESC
       LIMIT ?
     `);
@@ -268,40 +1602,147 @@ class LLMTrackerDatabase {
   }
 
   /**
-   * Get usage statistics
+   * Daily usage rollups (see analytics/rollups.js) from the local days of
+   * two timestamps, newest first, and their totals
+   * @returns {{ days: Object[], totals: Object }}
    */
   getUsageStats(startDate = null, endDate = null) {
-    let query = 'SELECT * FROM usage_summary';
-    const params = [];
-
-    if (startDate && endDate) {
-      query += ' WHERE date BETWEEN ? AND ?';
-      params.push(startDate, endDate);
-    } else if (startDate) {
-      query += ' WHERE date >= ?';
-      params.push(startDate);
-    }
+    const days = this.db
+      .prepare(
+        `
+      SELECT * FROM user_analytics
+      WHERE (@startDate IS NULL OR date >= date(@startDate / 1000, 'unixepoch', 'localtime'))
+        AND (@endDate IS NULL OR date <= date(@endDate / 1000, 'unixepoch', 'localtime'))
+      ORDER BY date DESC, platform ASC
+    `
+      )
+      .all({ startDate, endDate })
+      .map((day) => ({
+        ...day,
+        messages_by_hour: JSON.parse(day.messages_by_hour || '[]'),
+      }));
 
-    query += ' ORDER BY date DESC';
+    const sum = (column) =>
+      days.reduce((total, day) => total + (day[column] || 0), 0);
 
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
+    return {
+      days,
+      totals: {
+        messages: sum('total_messages'),
+        tokens: sum('total_tokens'),
+        cost: sum('estimated_cost'),
+        sessions: sum('session_count'),
+        active_time_ms: sum('active_time_ms'),
+        active_days: new Set(days.map((day) => day.date)).size,
+      },
+    };
   }
 
   /**
-   * Search conversations
+   * Full-text search over message text and code blocks, conversation titles
+   * and system prompts, best match first (see search/query.js for the
+   * query syntax). A query of filters alone lists everything they let
+   * through, newest first.
+   * @returns {{ results: Object[], total: number, limit: number, offset: number }}
+   *   Each result has a `kind` ('message', 'title' or 'system_prompt') and
+   *   a `snippet` of pieces of text, with the matches marked
    */
-  searchConversations(searchTerm) {
-    const stmt = this.db.prepare(`
-      SELECT DISTINCT c.*
-      FROM conversations c
-      JOIN messages m ON m.conversation_id = c.id
-      WHERE m.visible_content LIKE ? OR c.title LIKE ?
-      ORDER BY c.last_activity DESC
-      LIMIT 100
-    `);
-    const term = `%${searchTerm}%`;
-    return stmt.all(term, term);
+  search(query, { limit = 20, offset = 0 } = {}) {
+    const { match, filters } = parseSearchQuery(query);
+    if (!match && Object.values(filters).every(value => value === null)) {
+      return { results: [], total: 0, limit, offset };
+    }
+
+    // Without words to search for, every row is a hit, with the start of
+    // its text as the snippet
+    const matched = (table, snippet, plain) => ({
+      condition: match ? `${table} MATCH @match` : 'TRUE',
+      snippet: match ? snippet : `substr(${plain}, 1, 200)`,
+      rank: match ? `${table}.rank` : 'NULL',
+    });
+    const messages = matched(
+      'messages_fts',
+      "snippet(messages_fts, -1, @start, @end, '…', 24)",
+      'messages_fts.content'
+    );
+    const titles = matched(
+      'conversations_fts',
+      'highlight(conversations_fts, 0, @start, @end)',
+      'c.title'
+    );
+    const prompts = matched(
+      'system_prompts_fts',
+      "snippet(system_prompts_fts, 0, @start, @end, '…', 24)",
+      'p.prompt_text'
+    );
+
+    const hits = `
+      WITH hits AS (
+        SELECT
+          'message' AS kind, m.id, m.conversation_id, c.platform,
+          c.model_used AS model, m.role, m.timestamp, c.title,
+          ${messages.snippet} AS snippet,
+          ${messages.rank} AS rank
+        FROM messages_fts
+        JOIN messages m ON m.rowid = messages_fts.rowid
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE ${messages.condition} AND c.status IS NOT 'deleted'
+
+        UNION ALL
+
+        SELECT
+          'title', c.id, c.id, c.platform,
+          c.model_used, NULL, c.started_at, c.title,
+          ${titles.snippet},
+          ${titles.rank}
+        FROM conversations_fts
+        JOIN conversations c ON c.rowid = conversations_fts.rowid
+        WHERE ${titles.condition} AND c.status IS NOT 'deleted'
+
+        UNION ALL
+
+        SELECT
+          'system_prompt', p.id, NULL, p.platform,
+          NULL, 'system', p.first_seen, NULL,
+          ${prompts.snippet},
+          ${prompts.rank}
+        FROM system_prompts_fts
+        JOIN system_prompts p ON p.rowid = system_prompts_fts.rowid
+        WHERE ${prompts.condition}
+      )
+      SELECT %COLUMNS% FROM hits
+      WHERE (@platform IS NULL OR platform = @platform)
+        AND (@model IS NULL OR instr(lower(model), @model) = 1)
+        AND (@role IS NULL OR role = @role)
+        AND (@before IS NULL OR timestamp < @before)
+        AND (@after IS NULL OR timestamp >= @after)
+    `;
+    const params = {
+      ...filters,
+      match,
+      start: HIGHLIGHT_START,
+      end: HIGHLIGHT_END,
+    };
+
+    const { total } = this.db
+      .prepare(hits.replace('%COLUMNS%', 'COUNT(*) AS total'))
+      .get(params);
+    const results = this.db
+      .prepare(
+        `${hits.replace(
+          '%COLUMNS%',
+          'kind, id, conversation_id, platform, model, role, timestamp, title, snippet'
+        )}
+        ORDER BY rank, timestamp DESC
+        LIMIT @limit OFFSET @offset`
+      )
+      .all({ ...params, limit, offset })
+      .map((hit) => ({
+        ...hit,
+        snippet: splitSnippet(hit.snippet),
+      }));
+
+    return { results, total, limit, offset };
   }
 }
 
@@ -0,0 +1,422 @@
+const IngestionNormalizer = require('../normalizer');
+
+describe('IngestionNormalizer', () => {
+  let normalizer;
+
+  beforeEach(() => {
+    normalizer = new IngestionNormalizer();
+  });
+
+  describe('Messages', () => {
+    const payload = {
+      id: 'msg-1',
+      conversationId: 'abc-123',
+      timestamp: 1700000000000,
+      platform: 'chatgpt',
+      messageId: 'chatgpt_0_xyz',
+      role: 'user',
+      visibleContent: 'Hello there',
+      html: '<p>Hello there</p>',
+      position: 0,
+      attachments: [],
+      codeBlocks: [{ index: 0, language: 'js', content: 'x', lines: 1 }],
+      isInitial: false,
+    };
+
+    test('should map camelCase fields onto message columns', () => {
+      const { message } = normalizer.normalizeMessage(payload);
+
+      expect(message).toMatchObject({
+        id: 'msg-1',
+        conversation_id: 'chatgpt:abc-123',
+        message_id: 'chatgpt_0_xyz',
+        timestamp: 1700000000000,
+        role: 'user',
+        visible_content: 'Hello there',
+        html_content: '<p>Hello there</p>',
+        message_position: 0,
+      });
+      expect(message.code_blocks).toHaveLength(1);
+    });
+
+    test('should describe the parent conversation', () => {
+      const { conversation } = normalizer.normalizeMessage(payload);
+
+      expect(conversation).toEqual({
+        id: 'chatgpt:abc-123',
+        platform: 'chatgpt',
+        platform_conversation_id: 'abc-123',
+        started_at: 1700000000000,
+        last_activity: 1700000000000,
+      });
+    });
+
+    test('should default a missing role', () => {
+      const { message } = normalizer.normalizeMessage({
+        ...payload,
+        role: null,
+      });
+      expect(message.role).toBe('unknown');
+    });
+
+    test('should record the parent and flag later variants', () => {
+      const { message } = normalizer.normalizeMessage({
+        ...payload,
+        parentId: 'msg-0',
+        parentMessageId: 'dom-0',
+        variantIndex: 2,
+        variantCount: 2,
+      });
+
+      expect(message.parent_message_id).toBe('msg-0');
+      expect(message.is_edited).toBe(true);
+      expect(message.is_regenerated).toBe(false);
+      expect(message.metadata).toMatchObject({
+        parent_platform_id: 'dom-0',
+        variant_index: 2,
+        last_seen: 1700000000000,
+      });
+    });
+  });
+
+  describe('API Captures', () => {
+    const payload = {
+      id: 'cap-1',
+      requestId: '42',
+      timestamp: 1700000000000,
+      platform: 'chatgpt',
+      url: 'https://chatgpt.com/backend-api/conversation',
+      method: 'POST',
+      requestHeaders: [
+        { name: 'Content-Type', value: 'application/json' },
+        { name: 'Authorization', value: '[REDACTED]' },
+      ],
+      statusCode: 200,
+      streaming: true,
+      requestBody: {
+        model: 'gpt-4o',
+        conversation_id: 'abc-123',
+        temperature: 0,
+        messages: [
+          { role: 'system', content: 'You are ChatGPT' },
+          {
+            author: { role: 'user' },
+            content: { content_type: 'text', parts: ['Hi', ' there'] },
+          },
+        ],
+      },
+    };
+
+    test('should map request fields onto api_captures columns', () => {
+      const { capture } = normalizer.normalizeApiCapture(payload);
+
+      expect(capture).toMatchObject({
+        id: 'cap-1',
+        request_id: '42',
+        request_url: 'https://chatgpt.com/backend-api/conversation',
+        request_method: 'POST',
+        response_status: 200,
+        model: 'gpt-4o',
+        temperature: 0,
+        is_streaming: true,
+        platform: 'chatgpt',
+      });
+      expect(capture.request_headers).toEqual({
+        'content-type': 'application/json',
+        authorization: '[REDACTED]',
+      });
+    });
+
+    test('should find the conversation from the request body', () => {
+      const { conversation } = normalizer.normalizeApiCapture(payload);
+      expect(conversation.id).toBe('chatgpt:abc-123');
+      expect(conversation.model_used).toBe('gpt-4o');
+    });
+
+    test('should find the Claude conversation from the URL', () => {
+      const { conversation } = normalizer.normalizeApiCapture({
+        ...payload,
+        platform: 'claude',
+        url: 'https://claude.ai/api/org/chat_conversations/conv-9/completion',
+        requestBody: { prompt: 'Hello Claude' },
+      });
+      expect(conversation.id).toBe('claude:conv-9');
+    });
+
+    test('should extract the prompt and system prompts', () => {
+      const { promptMessage, systemPrompts } =
+        normalizer.normalizeApiCapture(payload);
+
+      expect(promptMessage.visible_content).toBe('Hi there');
+      expect(promptMessage.visible_to_user).toBe(false);
+      expect(systemPrompts).toEqual(['You are ChatGPT']);
+    });
+
+    test('should handle Anthropic and Gemini system prompts', () => {
+      expect(
+        normalizer.extractSystemPrompts({
+          system: [{ type: 'text', text: 'Be brief' }],
+        })
+      ).toEqual(['Be brief']);
+      expect(
+        normalizer.extractSystemPrompts({
+          systemInstruction: { parts: [{ text: 'Be kind' }] },
+        })
+      ).toEqual(['Be kind']);
+    });
+
+    test('should use the model and prompt found by the platform adapter', () => {
+      const { conversation, capture, promptMessage } =
+        normalizer.normalizeApiCapture({
+          ...payload,
+          platform: 'deepseek',
+          url: 'https://chat.deepseek.com/api/v0/chat/completion',
+          model: 'deepseek-reasoner',
+          requestBody: {
+            chat_session_id: 'ds-1',
+            prompt: 'Why?',
+            thinking_enabled: true,
+          },
+        });
+
+      expect(conversation.id).toBe('deepseek:ds-1');
+      expect(conversation.model_used).toBe('deepseek-reasoner');
+      expect(capture.model).toBe('deepseek-reasoner');
+      expect(promptMessage.visible_content).toBe('Why?');
+
+      const poe = normalizer.normalizeApiCapture({
+        ...payload,
+        platform: 'poe',
+        requestBody: {
+          queryName: 'sendMessageMutation',
+          variables: { bot: 'GPT-4o', chatId: 7, query: 'Hello Poe' },
+        },
+      });
+      expect(poe.promptMessage.visible_content).toBe('Hello Poe');
+    });
+
+    test('should fall back to a per-capture conversation', () => {
+      const { conversation } = normalizer.normalizeApiCapture({
+        ...payload,
+        requestBody: null,
+      });
+      expect(conversation.id).toBe('chatgpt:api_cap-1');
+    });
+  });
+
+  describe('Streams', () => {
+    const stream = {
+      requestId: 'req-1',
+      captureId: 'cap-1',
+      messageId: 'msg-1',
+      conversationId: 'abc-123',
+      platform: 'chatgpt',
+    };
+
+    test('should key chunks by capture and index', () => {
+      const chunk = normalizer.normalizeStreamChunk({
+        ...stream,
+        chunkIndex: 3,
+        content: 'lo',
+        deltaTime: 40,
+        timestamp: 1000,
+      });
+
+      expect(chunk).toMatchObject({
+        id: 'cap-1:3',
+        message_id: 'msg-1',
+        api_capture_id: 'cap-1',
+        chunk_index: 3,
+        delta_time_ms: 40,
+      });
+    });
+
+    test('should derive timings from a completed stream', () => {
+      const completion = normalizer.normalizeStreamCompletion({
+        ...stream,
+        startTime: 1000,
+        firstChunkTime: 1300,
+        fullContent: 'Hello',
+        timestamp: 2500,
+      });
+
+      expect(completion.time_to_first_token_ms).toBe(300);
+      expect(completion.total_generation_time_ms).toBe(1500);
+      expect(completion.content).toBe('Hello');
+    });
+
+    test('should create the response placeholder for a streamed capture', () => {
+      const { responseMessage } = normalizer.normalizeApiCapture({
+        id: 'cap-1',
+        timestamp: 1000,
+        platform: 'chatgpt',
+        url: 'https://chatgpt.com/backend-api/conversation',
+        messageId: 'msg-1',
+        conversationId: 'abc-123',
+      });
+
+      expect(responseMessage).toMatchObject({
+        id: 'msg-1',
+        conversation_id: 'chatgpt:abc-123',
+        role: 'assistant',
+      });
+    });
+  });
+
+  describe('Token Usage', () => {
+    test('should list the context sent in a request body', () => {
+      const messages = normalizer.extractContextMessages({
+        system: 'Be brief.',
+        messages: [
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: [{ type: 'text', text: 'Hello' }] },
+          { role: 'user', content: '' },
+        ],
+      });
+
+      expect(messages).toEqual([
+        { role: 'system', text: 'Be brief.' },
+        { role: 'user', text: 'Hi' },
+        { role: 'assistant', text: 'Hello' },
+      ]);
+    });
+
+    test('should read Gemini contents', () => {
+      const messages = normalizer.extractContextMessages({
+        contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+      });
+
+      expect(messages).toEqual([{ role: 'user', text: 'Hi' }]);
+    });
+
+    test('should describe what a context includes', () => {
+      expect(
+        normalizer.describeContext([
+          { role: 'system', text: 'Be brief.' },
+          { role: 'user', text: 'Hi' },
+          { role: 'assistant', text: 'Hello' },
+          { role: 'user', text: 'Bye' },
+        ])
+      ).toEqual({
+        includes_system_prompt: true,
+        includes_history: true,
+        history_message_count: 2,
+      });
+      expect(
+        normalizer.describeContext([{ role: 'user', text: 'Hi' }])
+      ).toEqual({
+        includes_system_prompt: false,
+        includes_history: false,
+        history_message_count: 0,
+      });
+    });
+
+    test('should read usage in every API shape', () => {
+      expect(
+        normalizer.extractUsage({
+          usage: { prompt_tokens: 10, completion_tokens: 5 },
+        })
+      ).toEqual({ prompt: 10, completion: 5 });
+      expect(
+        normalizer.extractUsage({
+          usage: {
+            input_tokens: 10,
+            cache_read_input_tokens: 90,
+            output_tokens: 5,
+          },
+        })
+      ).toEqual({ prompt: 100, completion: 5, cached: 90 });
+      expect(
+        normalizer.extractUsage([
+          { usageMetadata: { promptTokenCount: 10 } },
+          {
+            usageMetadata: {
+              promptTokenCount: 10,
+              candidatesTokenCount: 5,
+              thoughtsTokenCount: 20,
+            },
+          },
+          { candidates: [] },
+        ])
+      ).toEqual({ prompt: 10, completion: 25, reasoning: 20 });
+    });
+
+    test('should read OpenAI cached and reasoning token details', () => {
+      expect(
+        normalizer.extractUsage({
+          usage: {
+            prompt_tokens: 100,
+            completion_tokens: 50,
+            prompt_tokens_details: { cached_tokens: 64 },
+            completion_tokens_details: { reasoning_tokens: 30 },
+          },
+        })
+      ).toEqual({ prompt: 100, completion: 50, cached: 64, reasoning: 30 });
+    });
+
+    test('should return null without usage', () => {
+      expect(normalizer.extractUsage({ choices: [] })).toBeNull();
+      expect(normalizer.extractUsage(null)).toBeNull();
+      expect(normalizer.usageToTokens({ total_tokens: 3 })).toBeNull();
+    });
+  });
+
+  describe('Branches', () => {
+    test('should read ChatGPT prompt and parent IDs', () => {
+      expect(
+        normalizer.extractBranch(
+          'https://chatgpt.com/backend-api/conversation',
+          {
+            action: 'next',
+            parent_message_id: 'p-1',
+            messages: [{ id: 'u-2', author: { role: 'user' } }],
+          }
+        )
+      ).toEqual({
+        parentMessageId: 'p-1',
+        promptMessageId: 'u-2',
+        responseMessageId: null,
+        isRegeneration: false,
+      });
+    });
+
+    test('should detect ChatGPT regenerations', () => {
+      const branch = normalizer.extractBranch(
+        'https://chatgpt.com/backend-api/conversation',
+        { action: 'variant', parent_message_id: 'u-1', messages: [] }
+      );
+      expect(branch.isRegeneration).toBe(true);
+      expect(branch.promptMessageId).toBeNull();
+    });
+
+    test('should detect Claude retries', () => {
+      const branch = normalizer.extractBranch(
+        'https://claude.ai/api/organizations/o/chat_conversations/c/retry_completion',
+        {
+          parent_message_uuid: 'h-1',
+          turn_message_uuids: { assistant_message_uuid: 'a-2' },
+        }
+      );
+      expect(branch).toMatchObject({
+        parentMessageId: 'h-1',
+        responseMessageId: 'a-2',
+        isRegeneration: true,
+      });
+    });
+
+    test('should hang a regenerated response off the original prompt', () => {
+      const { responseMessage } = normalizer.normalizeApiCapture({
+        id: 'cap-2',
+        timestamp: 1000,
+        platform: 'chatgpt',
+        url: 'https://chatgpt.com/backend-api/conversation',
+        messageId: 'msg-9',
+        conversationId: 'abc-123',
+        requestBody: { action: 'variant', parent_message_id: 'u-1' },
+      });
+
+      expect(responseMessage.is_regenerated).toBe(true);
+      expect(responseMessage.metadata.parent_platform_id).toBe('u-1');
+    });
+  });
+});
@@ -0,0 +1,625 @@
+/**
+ * Ingestion Normalizer
+ * Maps extension capture payloads (camelCase) onto database rows (snake_case)
+ */
+
+const crypto = require('crypto');
+const platforms = require('../../shared/platforms');
+
+class IngestionNormalizer {
+  /**
+   * Internal conversation ID for a platform conversation.
+   * Namespaced by platform so IDs from different sites never collide.
+   */
+  conversationKey(platform, platformConversationId) {
+    return `${platform}:${platformConversationId}`;
+  }
+
+  /**
+   * Normalize a MESSAGE_STORED payload
+   * @returns {{ conversation: Object, message: Object }}
+   */
+  normalizeMessage(data) {
+    const platform = data.platform || 'unknown';
+    const timestamp = data.timestamp || Date.now();
+    const conversation = this.buildConversation(
+      platform,
+      data.conversationId,
+      timestamp
+    );
+
+    const role = data.role || 'unknown';
+
+    // The first variant is the original; later ones are edits or retries
+    const isVariant = data.variantIndex > 1;
+
+    const message = {
+      id: data.id || crypto.randomUUID(),
+      conversation_id: conversation.id,
+      message_id: data.messageId || null,
+      parent_message_id: data.parentId || null,
+      timestamp,
+      role,
+      visible_content: data.visibleContent || '',
+      html_content: data.html || null,
+      visible_to_user: true,
+      message_position: data.position ?? null,
+      is_edited: isVariant && role === 'user',
+      is_regenerated: isVariant && role === 'assistant',
+      attachments: data.attachments || [],
+      code_blocks: data.codeBlocks || [],
+      input_method: data.inputMethod || null,
+      metadata: {
+        platform,
+        source: 'extension',
+        is_initial: !!data.isInitial,
+        parent_platform_id: data.parentMessageId || undefined,
+        variant_index: data.variantIndex ?? undefined,
+        variant_count: data.variantCount ?? undefined,
+        last_seen: data.lastUpdated || timestamp,
+      },
+    };
+
+    return { conversation, message };
+  }
+
+  /**
+   * Normalize an API_CAPTURED payload
+   * @returns {{ conversation: Object, capture: Object, promptMessage: Object, responseMessage: ?Object, systemPrompts: string[], contextMessages: Object[], context: Object, usage: ?Object }}
+   */
+  normalizeApiCapture(data) {
+    const platform = data.platform || 'unknown';
+    const timestamp = data.timestamp || Date.now();
+    const body = data.requestBody || {};
+    const id = data.id || crypto.randomUUID();
+    const adapter = platforms.get(platform);
+
+    const platformConversationId =
+      data.conversationId ||
+      adapter?.extractRequestConversationId(body) ||
+      this.extractConversationId(data.url, body) ||
+      `api_${id}`;
+
+    const conversation = this.buildConversation(
+      platform,
+      platformConversationId,
+      timestamp
+    );
+    const model = data.model || body.model || null;
+    conversation.model_used = model;
+
+    const capture = {
+      id,
+      message_id: data.messageId || null,
+      request_id: data.requestId || null,
+      timestamp,
+      request_url: data.url,
+      request_method: data.method || null,
+      request_headers: this.headersToObject(data.requestHeaders),
+      request_body: data.requestBody || {},
+      response_status: data.statusCode || null,
+      response_headers: this.headersToObject(data.responseHeaders),
+      response_body: data.responseBody || {},
+      raw_response: data.rawResponse || null,
+      model,
+      temperature: body.temperature ?? body.generationConfig?.temperature,
+      max_tokens:
+        body.max_tokens ??
+        body.max_completion_tokens ??
+        body.generationConfig?.maxOutputTokens,
+      top_p: body.top_p ?? body.generationConfig?.topP,
+      frequency_penalty: body.frequency_penalty,
+      presence_penalty: body.presence_penalty,
+      is_streaming: !!(data.streaming || body.stream),
+      platform,
+      source: data.source || 'extension',
+    };
+
+    const branch = this.extractBranch(data.url, body);
+
+    // Stands in for the prompt when no captured message can be linked
+    const promptMessage = {
+      id: `${id}:prompt`,
+      conversation_id: conversation.id,
+      message_id: branch.promptMessageId,
+      timestamp,
+      role: 'user',
+      visible_content:
+        adapter?.extractPromptText(body) ?? this.extractPromptText(body),
+      visible_to_user: false,
+      metadata: {
+        platform,
+        source: 'api_capture',
+        request_id: capture.request_id,
+        parent_platform_id: branch.parentMessageId || undefined,
+      },
+    };
+
+    // The assistant message a response is written into. Streamed responses
+    // start empty; the DOM capture or stream completion fills in the
+    // content. A regenerated response hangs off the same prompt as the
+    // original.
+    const responseParent = branch.isRegeneration
+      ? branch.parentMessageId
+      : branch.promptMessageId;
+    const responseMessage = data.messageId
+      ? {
+          id: data.messageId,
+          conversation_id: conversation.id,
+          message_id: branch.responseMessageId,
+          timestamp,
+          role: 'assistant',
+          visible_content: this.extractResponseText(data.responseBody),
+          total_generation_time_ms: data.streaming ? null : data.responseTime,
+          is_regenerated: branch.isRegeneration,
+          metadata: {
+            platform,
+            source: 'stream',
+            request_id: capture.request_id,
+            parent_platform_id: responseParent || undefined,
+          },
+        }
+      : null;
+
+    const contextMessages = this.extractContextMessages(body);
+
+    // Sizes are filled in once the model's tokenizer is known
+    const context = {
+      id,
+      conversation_id: conversation.id,
+      timestamp,
+      api_capture_id: id,
+      message_id: responseMessage?.id ?? null,
+      context_messages: contextMessages,
+      ...this.describeContext(contextMessages),
+    };
+
+    return {
+      conversation,
+      capture,
+      promptMessage,
+      responseMessage,
+      responseParts: this.extractResponseParts(data.responseBody),
+      systemPrompts: this.extractSystemPrompts(body),
+      contextMessages,
+      context,
+      usage: this.extractUsage(data.responseBody),
+    };
+  }
+
+  /**
+   * Normalize a STREAM_CHUNK payload into a streaming_chunks row.
+   * The ID is derived from the capture and index so resends are ignored.
+   */
+  normalizeStreamChunk(data) {
+    return {
+      id: `${data.captureId}:${data.chunkIndex}`,
+      message_id: data.messageId,
+      api_capture_id: data.captureId,
+      chunk_index: data.chunkIndex,
+      timestamp: data.timestamp,
+      content: data.content || null,
+      delta_time_ms: data.deltaTime ?? null,
+      content_type: data.contentType || platforms.ContentType.TEXT,
+      metadata: data.metadata || null,
+    };
+  }
+
+  /**
+   * Normalize a STREAM_COMPLETE payload into message timings
+   */
+  normalizeStreamCompletion(data) {
+    return {
+      message_id: data.messageId,
+      api_capture_id: data.captureId,
+      content: data.fullContent ?? null,
+      time_to_first_token_ms:
+        data.firstChunkTime != null
+          ? data.firstChunkTime - data.startTime
+          : null,
+      total_generation_time_ms: data.timestamp - data.startTime,
+      usage: this.usageToTokens(data.usage),
+      stop_reason: data.stopReason ?? null,
+      parts: this.normalizeParts(data.parts),
+    };
+  }
+
+  /**
+   * Map typed reply parts (see StreamReader) onto message_parts rows.
+   * Parts of unknown types are dropped.
+   */
+  normalizeParts(parts) {
+    if (!Array.isArray(parts)) {
+      return [];
+    }
+
+    const types = Object.values(platforms.ContentType);
+    return parts
+      .filter((part) => part && types.includes(part.type))
+      .map((part) => ({
+        part_type: part.type,
+        content: typeof part.content === 'string' ? part.content : '',
+        metadata:
+          part.metadata && typeof part.metadata === 'object'
+            ? part.metadata
+            : null,
+      }));
+  }
+
+  /**
+   * Normalize a USAGE_SESSION payload into a usage_sessions row. The
+   * conversations visited are listed by internal ID; the last is the
+   * session's conversation.
+   */
+  normalizeUsageSession(data) {
+    const conversationIds = (data.conversationIds || [])
+      .filter((id) => typeof id === 'string' && id)
+      .map((id) => this.conversationKey(data.platform, id));
+    const started = new Date(data.startedAt);
+
+    return {
+      id: data.id,
+      platform: data.platform,
+      started_at: data.startedAt,
+      ended_at: data.endedAt,
+      duration_ms: data.endedAt - data.startedAt,
+      page_url: data.pageUrl || null,
+      tab_id: data.tabId ?? null,
+      conversation_id: conversationIds[conversationIds.length - 1] || null,
+      messages_sent: data.messagesSent || 0,
+      messages_received: data.messagesReceived || 0,
+      time_active_ms: data.activeMs,
+      time_inactive_ms: data.inactiveMs,
+      input_method_counts: data.inputMethods || {},
+      screen_time: {
+        weekday: started.getDay(),
+        hour: started.getHours(),
+      },
+      metadata: {
+        end_reason: data.endReason || undefined,
+        conversation_ids: conversationIds,
+      },
+    };
+  }
+
+  /**
+   * Build a capture_health row from a CAPTURE_HEALTH payload
+   */
+  normalizeCaptureHealth(data) {
+    return {
+      platform: data.platform,
+      status: data.status,
+      reason: data.reason || null,
+      strategy: data.strategy || null,
+      messages_found: data.messagesFound ?? null,
+      roles_detected: data.rolesDetected ?? null,
+      roles_attempted: data.rolesAttempted ?? null,
+      page_url: data.pageUrl || null,
+      since: data.since ?? null,
+      checked_at: data.timestamp,
+    };
+  }
+
+  /**
+   * Build the parent conversation row for a capture
+   */
+  buildConversation(platform, platformConversationId, timestamp) {
+    return {
+      id: this.conversationKey(platform, platformConversationId),
+      platform,
+      platform_conversation_id: platformConversationId,
+      started_at: timestamp,
+      last_activity: timestamp,
+    };
+  }
+
+  /**
+   * Where a request sits in the platform's message tree.
+   * IDs are the platform's own message IDs, resolved to stored messages
+   * once both ends have been ingested.
+   */
+  extractBranch(url, body) {
+    // Claude: completion and retry_completion requests
+    if ('parent_message_uuid' in body) {
+      const turn = body.turn_message_uuids || {};
+      return {
+        parentMessageId: body.parent_message_uuid || null,
+        promptMessageId: turn.human_message_uuid || null,
+        responseMessageId: turn.assistant_message_uuid || null,
+        isRegeneration: /\/retry_completion\b/.test(url || ''),
+      };
+    }
+
+    // ChatGPT: action is 'next' for new or edited prompts, 'variant' to retry
+    return {
+      parentMessageId: body.parent_message_id || null,
+      promptMessageId:
+        body.action === 'variant' ? null : body.messages?.[0]?.id || null,
+      responseMessageId: null,
+      isRegeneration: body.action === 'variant',
+    };
+  }
+
+  /**
+   * Find the platform conversation ID in a request URL or body
+   */
+  extractConversationId(url, body) {
+    if (body.conversation_id) {
+      return body.conversation_id;
+    }
+
+    const match = (url || '').match(/\/chat_conversations\/([^/?]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Convert a webRequest header list into a plain object
+   */
+  headersToObject(headers) {
+    if (!Array.isArray(headers)) {
+      return headers || {};
+    }
+
+    return Object.fromEntries(
+      headers.map((h) => [h.name.toLowerCase(), h.value])
+    );
+  }
+
+  /**
+   * Flatten message content in any of the OpenAI/Anthropic/Gemini shapes
+   */
+  contentToText(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content.map((part) => this.contentToText(part)).join('');
+    }
+    if (content && typeof content === 'object') {
+      if (typeof content.text === 'string') return content.text;
+      if (content.parts) return this.contentToText(content.parts);
+      if (content.content) return this.contentToText(content.content);
+    }
+    return '';
+  }
+
+  /**
+   * Text of the latest prompt in a request body
+   */
+  extractPromptText(body) {
+    if (typeof body.prompt === 'string') {
+      return body.prompt;
+    }
+
+    const turns = body.messages || body.contents || [];
+    const last = turns[turns.length - 1];
+    return last ? this.contentToText(last.content ?? last.parts) : '';
+  }
+
+  /**
+   * Text of the reply in a response body read in full (OpenAI, Anthropic
+   * or Gemini). Empty for streamed responses.
+   */
+  extractResponseText(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return '';
+    }
+
+    const reply =
+      body.choices?.[0]?.message ??
+      (body.type === 'message' ? body : null) ??
+      body.candidates?.[0]?.content;
+    return reply ? this.contentToText(reply.content ?? reply.parts) : '';
+  }
+
+  /**
+   * Typed parts of the reply in a response body read in full. The body is
+   * replayed as the stream events that would have carried it, through the
+   * adapter of its API format.
+   */
+  extractResponseParts(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return [];
+    }
+
+    let platform;
+    let events;
+    if (Array.isArray(body.choices)) {
+      const [choice = {}] = body.choices;
+      platform = 'chatgpt';
+      events = [
+        {
+          choices: [
+            {
+              delta: choice.message || {},
+              finish_reason: choice.finish_reason,
+            },
+          ],
+        },
+      ];
+    } else if (body.type === 'message' && Array.isArray(body.content)) {
+      platform = 'claude';
+      events = body.content.flatMap((block, index) => [
+        ...(block.citations || []).map((citation) => ({
+          type: 'content_block_delta',
+          index,
+          delta: { type: 'citations_delta', citation },
+        })),
+        { type: 'content_block_start', index, content_block: block },
+        ...(block.input !== undefined
+          ? [
+              {
+                type: 'content_block_delta',
+                index,
+                delta: {
+                  type: 'input_json_delta',
+                  partial_json: JSON.stringify(block.input),
+                },
+              },
+            ]
+          : []),
+      ]);
+    } else if (Array.isArray(body.candidates)) {
+      platform = 'gemini';
+      events = [body];
+    } else {
+      return [];
+    }
+
+    const reader = platforms.get(platform).createStreamReader(null);
+    for (const event of events) {
+      reader.read(event);
+    }
+    return this.normalizeParts(reader.result.parts);
+  }
+
+  /**
+   * Every message sent as context in a request body, system prompts first
+   * @returns {Array<{ role: string, text: string }>}
+   */
+  extractContextMessages(body) {
+    const messages = [];
+
+    for (const system of [body.system, body.systemInstruction]) {
+      if (system) {
+        messages.push({ role: 'system', text: this.contentToText(system) });
+      }
+    }
+    for (const message of body.messages || body.contents || []) {
+      messages.push({
+        role: message.role || message.author?.role || 'user',
+        text: this.contentToText(message.content ?? message.parts),
+      });
+    }
+    if (typeof body.prompt === 'string') {
+      messages.push({ role: 'user', text: body.prompt });
+    }
+
+    return messages.filter((message) => message.text);
+  }
+
+  /**
+   * What a request's context is made of: system prompts, and the history
+   * sent before the latest prompt. Chat apps that keep the history on their
+   * servers send the prompt alone.
+   */
+  describeContext(messages) {
+    const turns = messages.filter((message) => message.role !== 'system');
+    const history = Math.max(turns.length - 1, 0);
+
+    return {
+      includes_system_prompt: turns.length < messages.length,
+      includes_history: history > 0,
+      history_message_count: history,
+    };
+  }
+
+  /**
+   * Whether the oldest turns of a conversation were dropped between two of
+   * its requests: both carry history, but it no longer starts the same way
+   * @param {Array<{ role: string, text: string }>} previous - Earlier context
+   * @param {Array<{ role: string, text: string }>} messages - Later context
+   */
+  isHistoryTruncated(previous, messages) {
+    const turns = (context) =>
+      context.filter((message) => message.role !== 'system');
+    const [before, after] = [turns(previous), turns(messages)];
+
+    if (before.length < 2 || after.length < 2) {
+      return false;
+    }
+    return before[0].text !== after[0].text;
+  }
+
+  /**
+   * Token usage reported in a response body, if any.
+   * Streamed responses captured as an array report it in a late event.
+   * @returns {?{ prompt: ?number, completion: ?number }}
+   */
+  extractUsage(body) {
+    if (Array.isArray(body)) {
+      for (let i = body.length - 1; i >= 0; i--) {
+        const usage = this.extractUsage(body[i]);
+        if (usage) return usage;
+      }
+      return null;
+    }
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    return this.usageToTokens(
+      body.usage || body.message?.usage || body.usageMetadata
+    );
+  }
+
+  /**
+   * Map an OpenAI, Anthropic or Gemini usage object onto prompt and
+   * completion token counts. Cached and reasoning tokens are included, as
+   * they are billed, and also reported on their own so they can be priced
+   * separately.
+   */
+  usageToTokens(usage) {
+    if (!usage || typeof usage !== 'object') {
+      return null;
+    }
+
+    const sum = (...values) => {
+      const numbers = values.filter((value) => typeof value === 'number');
+      return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) : null;
+    };
+
+    const prompt =
+      sum(usage.prompt_tokens) ??
+      sum(
+        usage.input_tokens,
+        usage.cache_creation_input_tokens,
+        usage.cache_read_input_tokens
+      ) ??
+      sum(usage.promptTokenCount);
+    const completion =
+      sum(usage.completion_tokens) ??
+      sum(usage.output_tokens) ??
+      sum(usage.candidatesTokenCount, usage.thoughtsTokenCount);
+
+    if (prompt === null && completion === null) {
+      return null;
+    }
+
+    const tokens = { prompt, completion };
+    const cached =
+      sum(usage.prompt_tokens_details?.cached_tokens) ??
+      sum(usage.cache_read_input_tokens) ??
+      sum(usage.cachedContentTokenCount);
+    const reasoning =
+      sum(usage.completion_tokens_details?.reasoning_tokens) ??
+      sum(usage.thoughtsTokenCount);
+    if (cached !== null) tokens.cached = cached;
+    if (reasoning !== null) tokens.reasoning = reasoning;
+    return tokens;
+  }
+
+  /**
+   * System prompts sent in a request body
+   */
+  extractSystemPrompts(body) {
+    const prompts = [];
+
+    if (body.system) {
+      prompts.push(this.contentToText(body.system));
+    }
+    if (body.systemInstruction) {
+      prompts.push(this.contentToText(body.systemInstruction));
+    }
+    for (const message of body.messages || []) {
+      const role = message.role || message.author?.role;
+      if (role === 'system') {
+        prompts.push(this.contentToText(message.content));
+      }
+    }
+
+    return prompts.filter((prompt) => prompt && prompt.trim());
+  }
+}
+
+module.exports = IngestionNormalizer;
@@ -1,16 +1,29 @@
 /**
  * Electron Main Process
- * Handles window management, database, and WebSocket server
+ * Handles window management, database, WebSocket server and recording proxy
  */
 
-const { app, BrowserWindow, ipcMain, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog } = require('electron');
 const path = require('path');
 const LLMTrackerDatabase = require('./database');
 const WebSocketServer = require('./websocket-server');
+const PricingCatalog = require('./pricing/catalog');
+const UsageAnalyzer = require('./analytics/usage-analyzer');
+const UsageRollups = require('./analytics/rollups');
+const RecordingProxy = require('./proxy/recording-proxy');
+const AttachmentStore = require('./storage/attachments');
+const RetentionEngine = require('./storage/retention');
+const { Cipher, EncryptionError } = require('./storage/encryption');
 
 let mainWindow = null;
 let database = null;
 let wsServer = null;
+let pricing = null;
+let attachments = null;
+let rollups = null;
+let retention = null;
+let analyzer = null;
+let proxy = null;
 
 /**
  * Create the main application window
@@ -150,19 +163,88 @@ function createMenu() {
 }
 
 /**
- * Initialize database
+ * Initialize database, with its passphrase if it is encrypted
  */
-function initDatabase() {
+function initDatabase(passphrase = null) {
   try {
     database = new LLMTrackerDatabase();
-    database.init();
+    database.init(passphrase);
+    pricing = new PricingCatalog(database);
+    attachments = new AttachmentStore(database);
+    rollups = new UsageRollups(database);
+    analyzer = new UsageAnalyzer(database, pricing, rollups);
+    retention = new RetentionEngine(database, rollups, {
+      blobs: attachments.blobs,
+    });
     console.log('Database initialized');
   } catch (err) {
-    console.error('Failed to initialize database:', err);
+    database = null;
+    if (!(err instanceof EncryptionError)) {
+      console.error('Failed to initialize database:', err);
+    }
     throw err;
   }
 }
 
+/**
+ * Open the database and start everything that uses it
+ * @throws {EncryptionError} if the passphrase is missing or wrong
+ */
+function startServices(passphrase = null) {
+  initDatabase(passphrase);
+
+  // Keep the daily usage rollups up to date, backfilling them on first run
+  rollups.start();
+
+  // Archive and purge conversations as the retention settings say
+  retention.start();
+
+  // Initialize WebSocket server
+  initWebSocketServer();
+
+  // Start the recording proxy, if enabled
+  initRecordingProxy();
+
+  console.log('LLM Tracker Desktop App started');
+}
+
+/**
+ * Whether the database is waiting for its passphrase, and whether it is
+ * encrypted
+ */
+function getLockState() {
+  return {
+    locked: !database,
+    encrypted: database ? Boolean(database.cipher) : true,
+  };
+}
+
+/**
+ * Encrypt the database and its archives, backups and stored files with a
+ * new key, or decrypt them without one
+ * @param {?Cipher} cipher
+ */
+function rekeyDatabase(cipher) {
+  const previous = database.cipher;
+  retention.closeArchives();
+  database.rekey(cipher);
+  retention.rekeyArchives(previous, cipher);
+  attachments.blobs.rekey(previous, cipher);
+  return getLockState();
+}
+
+/**
+ * @throws {Error} unless the database is encrypted with this passphrase
+ */
+function checkPassphrase(passphrase) {
+  if (!database.cipher) {
+    throw new Error('The database is not encrypted');
+  }
+  if (!database.cipher.matches(passphrase)) {
+    throw new Error('Wrong passphrase');
+  }
+}
+
 /**
  * Initialize WebSocket server
  */
@@ -177,6 +259,41 @@ function initWebSocketServer() {
   }
 }
 
+/**
+ * Start the recording proxy if it is enabled, restarting it if it was
+ * already running. Failing to start it does not stop the app.
+ */
+async function initRecordingProxy() {
+  if (proxy) {
+    await proxy.stop();
+    proxy = null;
+  }
+  if (!database.getSetting('proxy_enabled', false)) {
+    return;
+  }
+
+  proxy = new RecordingProxy(wsServer, {
+    port: database.getSetting('proxy_port'),
+  });
+  try {
+    await proxy.start();
+  } catch (err) {
+    console.error('Failed to start recording proxy:', err);
+  }
+}
+
+/**
+ * Recording proxy settings and state, for the settings view
+ */
+function getProxySettings() {
+  return {
+    enabled: database.getSetting('proxy_enabled', false),
+    port: database.getSetting('proxy_port'),
+    running: Boolean(proxy?.running),
+    url: proxy?.running ? proxy.url : null,
+  };
+}
+
 /**
  * Setup IPC handlers
  */
@@ -186,11 +303,46 @@ function setupIpcHandlers() {
     return database.getRecentConversations(limit || 50);
   });
 
-  // Get conversation details
-  ipcMain.handle('get-conversation', async (event, id) => {
-    const conversation = database.getConversation(id);
-    const messages = database.getMessages(id);
-    return { conversation, messages };
+  // Get conversation details, from the database or the archive of a month
+  ipcMain.handle('get-conversation', async (event, id, archive = null) => {
+    const source = archive ? retention.openArchive(archive) : database;
+    const conversation = source.getConversation(id);
+    const messages = source.getMessages(id);
+    const captures = source.getConversationApiCaptures(id);
+    const systemPrompts = source.getConversationSystemPrompts(id);
+    const parts = source.getConversationMessageParts(id);
+    const contexts = source.getConversationContexts(id);
+    return {
+      conversation,
+      messages,
+      captures,
+      systemPrompts,
+      parts,
+      contexts,
+      archive,
+    };
+  });
+
+  // Get the streamed chunks of a message, for replay
+  ipcMain.handle(
+    'get-streaming-chunks',
+    async (event, messageId, archive = null) => {
+      const source = archive ? retention.openArchive(archive) : database;
+      return source.getStreamingChunks(messageId);
+    }
+  );
+
+  // Trash. Deleted conversations are purged after the grace period.
+  ipcMain.handle('delete-conversation', async (event, id) => {
+    return database.deleteConversation(id);
+  });
+
+  ipcMain.handle('restore-conversation', async (event, id) => {
+    return database.restoreConversation(id);
+  });
+
+  ipcMain.handle('get-deleted-conversations', async () => {
+    return database.getDeletedConversations();
   });
 
   // Get system prompts
@@ -200,12 +352,202 @@ function setupIpcHandlers() {
 
   // Get usage stats
   ipcMain.handle('get-usage-stats', async (event, startDate, endDate) => {
+    rollups.update();
     return database.getUsageStats(startDate, endDate);
   });
 
-  // Search conversations
-  ipcMain.handle('search-conversations', async (event, searchTerm) => {
-    return database.searchConversations(searchTerm);
+  // Usage analytics. Filters are { startDate, endDate, platform }, or a
+  // number of days back from now.
+  ipcMain.handle('get-usage-report', async (event, filters) => {
+    return analyzer.generateUsageReport(filters);
+  });
+
+  ipcMain.handle('get-token-usage', async (event, filters) => {
+    return analyzer.calculateCosts(analyzer.getTokenUsageByPlatform(filters));
+  });
+
+  ipcMain.handle('get-usage-trends', async (event, filters) => {
+    return analyzer.getUsageTrends(filters);
+  });
+
+  ipcMain.handle('get-peak-usage-hours', async (event, filters) => {
+    return analyzer.getPeakUsageHours(filters);
+  });
+
+  ipcMain.handle('get-usage-heatmap', async (event, filters) => {
+    return analyzer.getUsageHeatmap(filters);
+  });
+
+  ipcMain.handle('get-model-usage', async (event, filters) => {
+    return analyzer.getModelUsage(filters);
+  });
+
+  ipcMain.handle('get-conversation-depth', async (event, filters) => {
+    return analyzer.getConversationDepthStats(filters);
+  });
+
+  ipcMain.handle('get-system-prompt-impact', async (event, filters) => {
+    return analyzer.getSystemPromptImpact(filters);
+  });
+
+  ipcMain.handle('get-productivity-metrics', async (event, filters) => {
+    return analyzer.getProductivityMetrics(filters);
+  });
+
+  ipcMain.handle('get-top-conversations', async (event, limit, filters) => {
+    return analyzer.getTopConversations(limit || 10, filters);
+  });
+
+  // Full-text search
+  ipcMain.handle('search', async (event, query, options) => {
+    return database.search(query, options);
+  });
+
+  // Pricing catalog
+  ipcMain.handle('get-model-prices', async () => {
+    return pricing.getPrices();
+  });
+
+  ipcMain.handle('set-model-price', async (event, price) => {
+    return pricing.setPrice(price);
+  });
+
+  ipcMain.handle('delete-model-price', async (event, model, effectiveFrom) => {
+    return pricing.removePrice(model, effectiveFrom);
+  });
+
+  // Recording proxy
+  ipcMain.handle('get-proxy-settings', async () => {
+    return getProxySettings();
+  });
+
+  ipcMain.handle('set-proxy-settings', async (event, { enabled, port }) => {
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid port: ${port}`);
+    }
+    database.setSetting('proxy_enabled', Boolean(enabled), 'tracking');
+    database.setSetting('proxy_port', port, 'tracking');
+    await initRecordingProxy();
+    return getProxySettings();
+  });
+
+  // Attachments
+  ipcMain.handle('get-attachment', async (event, sha256, archive = null) => {
+    return archive
+      ? retention.readArchivedAttachment(archive, sha256)
+      : attachments.readDataUrl(sha256);
+  });
+
+  ipcMain.handle('get-attachment-settings', async () => {
+    return attachments.getSettings();
+  });
+
+  ipcMain.handle('set-attachment-settings', async (event, settings) => {
+    return attachments.setSettings(settings);
+  });
+
+  // Usage sessions. The extension is told the idle timeout when it connects.
+  ipcMain.handle('get-session-settings', async () => {
+    return {
+      idleTimeoutMinutes: database.getSetting(
+        'session_idle_timeout_minutes',
+        5
+      ),
+    };
+  });
+
+  ipcMain.handle(
+    'set-session-settings',
+    async (event, { idleTimeoutMinutes }) => {
+      if (!(idleTimeoutMinutes >= 1)) {
+        throw new Error(`Invalid idle timeout: ${idleTimeoutMinutes}`);
+      }
+      database.setSetting(
+        'session_idle_timeout_minutes',
+        idleTimeoutMinutes,
+        'tracking'
+      );
+      return { idleTimeoutMinutes };
+    }
+  );
+
+  // Retention: archiving, purging, and the archives written
+  ipcMain.handle('get-retention-settings', async () => {
+    return retention.getSettings();
+  });
+
+  ipcMain.handle('set-retention-settings', async (event, settings) => {
+    return retention.setSettings(settings);
+  });
+
+  ipcMain.handle('run-retention', async (event, { dryRun } = {}) => {
+    return retention.run({ dryRun: Boolean(dryRun) });
+  });
+
+  ipcMain.handle('get-archives', async () => {
+    return retention.listArchives();
+  });
+
+  ipcMain.handle('get-archived-conversations', async (event, month) => {
+    return retention.openArchive(month).getRecentConversations(-1);
+  });
+
+  // Encryption at rest. An encrypted database stays locked until it is
+  // opened with its passphrase.
+  ipcMain.handle('get-lock-state', async () => {
+    return getLockState();
+  });
+
+  ipcMain.handle('unlock', async (event, passphrase) => {
+    if (database) {
+      return getLockState();
+    }
+    try {
+      startServices(passphrase);
+      return getLockState();
+    } catch (err) {
+      if (err instanceof EncryptionError) {
+        return { ...getLockState(), error: err.message };
+      }
+      throw err;
+    }
+  });
+
+  ipcMain.handle('encrypt-database', async (event, passphrase) => {
+    if (database.cipher) {
+      throw new Error('The database is already encrypted');
+    }
+    return rekeyDatabase(Cipher.create(passphrase));
+  });
+
+  // Changing the passphrase rotates the key: everything is encrypted again
+  ipcMain.handle('change-passphrase', async (event, current, next) => {
+    checkPassphrase(current);
+    return rekeyDatabase(Cipher.create(next));
+  });
+
+  ipcMain.handle('decrypt-database', async (event, current) => {
+    checkPassphrase(current);
+    return rekeyDatabase(null);
+  });
+
+  // Save an encrypted copy of the database, with a passphrase of its own
+  ipcMain.handle('export-encrypted', async (event, passphrase) => {
+    const cipher = Cipher.create(passphrase);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export encrypted database',
+      defaultPath: `llm-tracker-${new Date().toISOString().slice(0, 10)}.db`,
+    });
+    if (canceled || !filePath) {
+      return null;
+    }
+    database.exportEncrypted(filePath, cipher);
+    return filePath;
+  });
+
+  // Platforms whose pages the extension fails to capture
+  ipcMain.handle('get-capture-health', async () => {
+    return database.getCaptureHealth();
   });
 
   // Get database path
@@ -217,19 +559,17 @@ function setupIpcHandlers() {
 // App lifecycle
 app.whenReady().then(() => {
   try {
-    // Initialize database
-    initDatabase();
-
-    // Initialize WebSocket server
-    initWebSocketServer();
-
     // Setup IPC handlers
     setupIpcHandlers();
 
+    // An encrypted database is opened once the passphrase is entered in the
+    // window (see 'unlock')
+    if (!new LLMTrackerDatabase().isEncrypted()) {
+      startServices();
+    }
+
     // Create window
     createWindow();
-
-    console.log('LLM Tracker Desktop App started');
   } catch (err) {
     console.error('Failed to start app:', err);
     app.quit();
@@ -250,6 +590,16 @@ app.on('activate', () => {
 
 app.on('before-quit', () => {
   // Cleanup
+  if (rollups) {
+    rollups.stop();
+  }
+  if (retention) {
+    retention.stop();
+    retention.closeArchives();
+  }
+  if (proxy) {
+    proxy.stop();
+  }
   if (wsServer) {
     wsServer.stop();
   }
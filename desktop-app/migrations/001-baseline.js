@@ -0,0 +1,54 @@
+/**
+ * Migration 1: the schema as it stood when migrations were introduced
+ * (baseline.sql)
+ *
+ * Databases created before then have no schema version but may hold any
+ * part of it: the schema used to be run on every launch, and stopped at
+ * the first statement that failed. Whatever is missing is created, and
+ * columns added to tables after their first release are added to tables
+ * that lack them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = fs.readFileSync(path.join(__dirname, 'baseline.sql'), 'utf8');
+
+// Columns added to tables after their first release. CREATE TABLE IF NOT
+// EXISTS leaves existing tables alone, so these are added separately.
+const ADDED_COLUMNS = {
+  messages: {
+    tokens_cached: 'INTEGER',
+    tokens_reasoning: 'INTEGER',
+    cost: 'REAL',
+  },
+  api_captures: {
+    source: "TEXT DEFAULT 'extension'",
+  },
+  conversation_context: {
+    api_capture_id: 'TEXT',
+    message_id: 'TEXT',
+    history_truncated: 'INTEGER DEFAULT 0',
+  },
+};
+
+function up(db) {
+  db.exec(SCHEMA);
+
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = new Set(
+      db
+        .prepare(`PRAGMA table_info(${table})`)
+        .all()
+        .map((c) => c.name)
+    );
+
+    for (const [column, type] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,128 @@
+-- Migration 2: full-text search
+--
+-- FTS5 indexes over message text and code blocks, conversation titles and
+-- system prompts (see desktop-app/search/), kept up to date by triggers.
+-- Each index row has the rowid of the row it indexes.
+--
+-- Titles and prompts are read from their tables when needed, so their
+-- indexes keep no copy of the text. The messages index does keep one: its
+-- code is pulled out of the code_blocks JSON, which FTS5 cannot do when
+-- reading from a table.
+
+-- ============================================================================
+-- Messages
+-- ============================================================================
+
+-- What is indexed for a message: its text, and the code of its code blocks
+-- (a JSON array of { language, content, ... }) as plain text
+CREATE VIEW IF NOT EXISTS messages_search_content AS
+SELECT
+  rowid,
+  visible_content AS content,
+  CASE WHEN json_valid(code_blocks) AND json_type(code_blocks) = 'array' THEN (
+    SELECT group_concat(json_extract(value, '$.content'), char(10))
+    FROM json_each(code_blocks)
+  ) END AS code
+FROM messages;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+  content,
+  code,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_insert
+AFTER INSERT ON messages
+BEGIN
+  INSERT INTO messages_fts (rowid, content, code)
+  SELECT rowid, content, code FROM messages_search_content WHERE rowid = NEW.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete
+AFTER DELETE ON messages
+BEGIN
+  DELETE FROM messages_fts WHERE rowid = OLD.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS messages_fts_update
+AFTER UPDATE OF visible_content, code_blocks ON messages
+BEGIN
+  DELETE FROM messages_fts WHERE rowid = OLD.rowid;
+  INSERT INTO messages_fts (rowid, content, code)
+  SELECT rowid, content, code FROM messages_search_content WHERE rowid = NEW.rowid;
+END;
+
+-- ============================================================================
+-- Conversation titles
+-- ============================================================================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(
+  title,
+  content = 'conversations',
+  content_rowid = 'rowid',
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_insert
+AFTER INSERT ON conversations
+BEGIN
+  INSERT INTO conversations_fts (rowid, title) VALUES (NEW.rowid, NEW.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_delete
+AFTER DELETE ON conversations
+BEGIN
+  INSERT INTO conversations_fts (conversations_fts, rowid, title)
+  VALUES ('delete', OLD.rowid, OLD.title);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_update
+AFTER UPDATE OF title ON conversations
+BEGIN
+  INSERT INTO conversations_fts (conversations_fts, rowid, title)
+  VALUES ('delete', OLD.rowid, OLD.title);
+  INSERT INTO conversations_fts (rowid, title) VALUES (NEW.rowid, NEW.title);
+END;
+
+-- ============================================================================
+-- System prompts
+-- ============================================================================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS system_prompts_fts USING fts5(
+  prompt_text,
+  content = 'system_prompts',
+  content_rowid = 'rowid',
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS system_prompts_fts_insert
+AFTER INSERT ON system_prompts
+BEGIN
+  INSERT INTO system_prompts_fts (rowid, prompt_text)
+  VALUES (NEW.rowid, NEW.prompt_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS system_prompts_fts_delete
+AFTER DELETE ON system_prompts
+BEGIN
+  INSERT INTO system_prompts_fts (system_prompts_fts, rowid, prompt_text)
+  VALUES ('delete', OLD.rowid, OLD.prompt_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS system_prompts_fts_update
+AFTER UPDATE OF prompt_text ON system_prompts
+BEGIN
+  INSERT INTO system_prompts_fts (system_prompts_fts, rowid, prompt_text)
+  VALUES ('delete', OLD.rowid, OLD.prompt_text);
+  INSERT INTO system_prompts_fts (rowid, prompt_text)
+  VALUES (NEW.rowid, NEW.prompt_text);
+END;
+
+-- ============================================================================
+-- Index what is already stored
+-- ============================================================================
+
+INSERT INTO messages_fts (rowid, content, code)
+SELECT rowid, content, code FROM messages_search_content;
+INSERT INTO conversations_fts (conversations_fts) VALUES ('rebuild');
+INSERT INTO system_prompts_fts (system_prompts_fts) VALUES ('rebuild');
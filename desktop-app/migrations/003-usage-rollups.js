@@ -0,0 +1,41 @@
+/**
+ * Migration 3: daily usage rollups (usage-rollups.sql)
+ *
+ * The statements in the script can run again on a database that already
+ * has them; the columns added to user_analytics are added only where they
+ * are missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT = fs.readFileSync(
+  path.join(__dirname, 'usage-rollups.sql'),
+  'utf8'
+);
+
+const ADDED_COLUMNS = {
+  prompt_tokens: 'INTEGER DEFAULT 0',
+  completion_tokens: 'INTEGER DEFAULT 0',
+  reasoning_tokens: 'INTEGER DEFAULT 0',
+  session_count: 'INTEGER DEFAULT 0',
+};
+
+function up(db) {
+  const existing = new Set(
+    db
+      .prepare('PRAGMA table_info(user_analytics)')
+      .all()
+      .map((c) => c.name)
+  );
+
+  for (const [column, type] of Object.entries(ADDED_COLUMNS)) {
+    if (!existing.has(column)) {
+      db.exec(`ALTER TABLE user_analytics ADD COLUMN ${column} ${type}`);
+    }
+  }
+
+  db.exec(SCRIPT);
+}
+
+module.exports = { up };
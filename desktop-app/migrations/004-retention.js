@@ -0,0 +1,25 @@
+/**
+ * Migration 4: retention (see storage/retention.js)
+ *
+ * Conversations record when they were deleted, so they can be purged a
+ * grace period later, and the grace period is a setting.
+ */
+
+function up(db) {
+  const columns = db
+    .prepare('PRAGMA table_info(conversations)')
+    .all()
+    .map((c) => c.name);
+  if (!columns.includes('deleted_at')) {
+    db.exec('ALTER TABLE conversations ADD COLUMN deleted_at INTEGER');
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
+
+    INSERT OR IGNORE INTO settings (key, value, value_type, category) VALUES
+      ('retention_grace_days', '30', 'number', 'privacy');
+  `);
+}
+
+module.exports = { up };
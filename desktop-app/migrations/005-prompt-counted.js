@@ -0,0 +1,48 @@
+/**
+ * Migration 5: prompts counted by their request
+ *
+ * A user message records whether the request it was sent in counts its
+ * prompt (see LLMTrackerDatabase.markPromptCounted()), instead of that
+ * being looked up from its replies every time. Messages stored before are
+ * flagged here the way it was looked up: their reply (or, when replies are
+ * not linked, the next one after them) has prompt tokens from the request's
+ * context or usage.
+ */
+
+function up(db) {
+  const columns = db
+    .prepare('PRAGMA table_info(messages)')
+    .all()
+    .map((c) => c.name);
+  if (!columns.includes('prompt_counted')) {
+    db.exec(
+      'ALTER TABLE messages ADD COLUMN prompt_counted INTEGER NOT NULL DEFAULT 0'
+    );
+  }
+
+  db.exec(`
+    UPDATE messages AS u SET prompt_counted = 1
+    WHERE u.role = 'user'
+      AND u.prompt_counted = 0
+      AND EXISTS (
+        SELECT 1 FROM messages r
+        WHERE r.conversation_id = u.conversation_id
+          AND r.role = 'assistant'
+          AND json_extract(r.metadata, '$.token_sources.prompt') IN ('context', 'usage')
+          AND (r.parent_message_id = u.id
+            OR (r.parent_message_id IS NULL
+              AND r.timestamp >= u.timestamp
+              AND NOT EXISTS (
+                SELECT 1 FROM messages n
+                WHERE n.conversation_id = u.conversation_id
+                  AND n.role = 'user'
+                  AND n.visible_to_user = 1
+                  AND n.id != u.id
+                  AND n.timestamp > u.timestamp
+                  AND n.timestamp <= r.timestamp
+              )))
+      )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,64 @@
+/**
+ * Schema Migrations
+ * The numbered migrations in this directory, in order. Each is either
+ * `<version>-<name>.js`, exporting `up(db)`, or `<version>-<name>.sql`,
+ * run as a script. Versions start at 1 and have no gaps; a database
+ * records the last one applied in PRAGMA user_version (see Migrator).
+ *
+ * Migrations only go forward. A released migration is never edited; the
+ * schema is changed by adding the next one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.(js|sql)$/;
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {string} name
+ * @property {function(Database): void} up - Apply it to a better-sqlite3
+ *   connection
+ */
+
+/**
+ * Load the migrations in a directory, oldest first
+ * @returns {Migration[]}
+ * @throws {Error} if a version is missing or repeated
+ */
+function loadMigrations(dir = __dirname) {
+  const migrations = [];
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, extension] = match;
+    const filePath = path.join(dir, file);
+    migrations.push({
+      version: Number(version),
+      name,
+      up:
+        extension === 'sql'
+          ? (db) => db.exec(fs.readFileSync(filePath, 'utf8'))
+          : require(filePath).up,
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(
+        `Migration ${index + 1} is missing or repeated ` +
+          `(found ${migration.version}-${migration.name})`
+      );
+    }
+  });
+
+  return migrations;
+}
+
+module.exports = { loadMigrations };
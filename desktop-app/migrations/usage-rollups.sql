@@ -0,0 +1,112 @@
+-- Migration 3: daily usage rollups (run by 003-usage-rollups.js, which
+-- first adds the columns user_analytics is missing)
+--
+-- user_analytics holds one row per local day and platform, computed from
+-- that day's messages and usage sessions (see analytics/rollups.js). Rows
+-- are recomputed when what they are computed from changes: triggers queue
+-- the days and platforms affected in user_analytics_queue, and the queue
+-- is worked through in the background.
+--
+-- A day can be queued more than once. The queue has no unique key on
+-- purpose: the triggers fire inside upserts, whose conflict handling would
+-- apply to the queue too and turn a duplicate into an error.
+
+CREATE TABLE IF NOT EXISTS user_analytics_queue (
+  date TEXT NOT NULL, -- YYYY-MM-DD, local time
+  platform TEXT NOT NULL,
+  queued_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_analytics_queue_day ON user_analytics_queue(date, platform);
+
+-- ============================================================================
+-- Messages
+-- ============================================================================
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_message_insert
+AFTER INSERT ON messages
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT date(NEW.timestamp / 1000, 'unixepoch', 'localtime'), platform
+  FROM conversations WHERE id = NEW.conversation_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_message_update
+AFTER UPDATE ON messages
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT date(OLD.timestamp / 1000, 'unixepoch', 'localtime'), platform
+  FROM conversations WHERE id = OLD.conversation_id;
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT date(NEW.timestamp / 1000, 'unixepoch', 'localtime'), platform
+  FROM conversations WHERE id = NEW.conversation_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_message_delete
+AFTER DELETE ON messages
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT date(OLD.timestamp / 1000, 'unixepoch', 'localtime'), platform
+  FROM conversations WHERE id = OLD.conversation_id;
+END;
+
+-- A conversation's platform and model apply to every day it has messages.
+-- Deleting one deletes its messages, which cannot find its platform then.
+CREATE TRIGGER IF NOT EXISTS user_analytics_conversation_update
+AFTER UPDATE OF platform, model_used ON conversations
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT DISTINCT date(timestamp / 1000, 'unixepoch', 'localtime'), OLD.platform
+  FROM messages WHERE conversation_id = OLD.id;
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT DISTINCT date(timestamp / 1000, 'unixepoch', 'localtime'), NEW.platform
+  FROM messages WHERE conversation_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_conversation_delete
+BEFORE DELETE ON conversations
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  SELECT DISTINCT date(timestamp / 1000, 'unixepoch', 'localtime'), OLD.platform
+  FROM messages WHERE conversation_id = OLD.id;
+END;
+
+-- ============================================================================
+-- Usage sessions
+-- ============================================================================
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_session_insert
+AFTER INSERT ON usage_sessions
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  VALUES (date(NEW.started_at / 1000, 'unixepoch', 'localtime'), NEW.platform);
+END;
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_session_update
+AFTER UPDATE ON usage_sessions
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  VALUES (date(OLD.started_at / 1000, 'unixepoch', 'localtime'), OLD.platform);
+  INSERT INTO user_analytics_queue (date, platform)
+  VALUES (date(NEW.started_at / 1000, 'unixepoch', 'localtime'), NEW.platform);
+END;
+
+CREATE TRIGGER IF NOT EXISTS user_analytics_session_delete
+AFTER DELETE ON usage_sessions
+BEGIN
+  INSERT INTO user_analytics_queue (date, platform)
+  VALUES (date(OLD.started_at / 1000, 'unixepoch', 'localtime'), OLD.platform);
+END;
+
+-- ============================================================================
+-- Backfill: queue every day there is something to roll up
+-- ============================================================================
+
+INSERT INTO user_analytics_queue (date, platform)
+SELECT DISTINCT date(m.timestamp / 1000, 'unixepoch', 'localtime'), c.platform
+FROM messages m
+JOIN conversations c ON c.id = m.conversation_id;
+
+INSERT INTO user_analytics_queue (date, platform)
+SELECT DISTINCT date(started_at / 1000, 'unixepoch', 'localtime'), platform
+FROM usage_sessions;
@@ -10,9 +10,15 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   // Conversation operations
   getConversations: (limit) => ipcRenderer.invoke('get-conversations', limit),
-  getConversation: (id) => ipcRenderer.invoke('get-conversation', id),
-  searchConversations: (searchTerm) =>
-    ipcRenderer.invoke('search-conversations', searchTerm),
+  getConversation: (id, archive) =>
+    ipcRenderer.invoke('get-conversation', id, archive),
+  getStreamingChunks: (messageId, archive) =>
+    ipcRenderer.invoke('get-streaming-chunks', messageId, archive),
+  deleteConversation: (id) => ipcRenderer.invoke('delete-conversation', id),
+  restoreConversation: (id) => ipcRenderer.invoke('restore-conversation', id),
+  getDeletedConversations: () =>
+    ipcRenderer.invoke('get-deleted-conversations'),
+  search: (query, options) => ipcRenderer.invoke('search', query, options),
 
   // System prompts
   getSystemPrompts: (platform) =>
@@ -21,6 +27,65 @@ contextBridge.exposeInMainWorld('api', {
   // Analytics
   getUsageStats: (startDate, endDate) =>
     ipcRenderer.invoke('get-usage-stats', startDate, endDate),
+  getUsageReport: (filters) => ipcRenderer.invoke('get-usage-report', filters),
+  getTokenUsage: (filters) => ipcRenderer.invoke('get-token-usage', filters),
+  getUsageTrends: (filters) => ipcRenderer.invoke('get-usage-trends', filters),
+  getPeakUsageHours: (filters) =>
+    ipcRenderer.invoke('get-peak-usage-hours', filters),
+  getUsageHeatmap: (filters) =>
+    ipcRenderer.invoke('get-usage-heatmap', filters),
+  getModelUsage: (filters) => ipcRenderer.invoke('get-model-usage', filters),
+  getConversationDepth: (filters) =>
+    ipcRenderer.invoke('get-conversation-depth', filters),
+  getSystemPromptImpact: (filters) =>
+    ipcRenderer.invoke('get-system-prompt-impact', filters),
+  getProductivityMetrics: (filters) =>
+    ipcRenderer.invoke('get-productivity-metrics', filters),
+  getTopConversations: (limit, filters) =>
+    ipcRenderer.invoke('get-top-conversations', limit, filters),
+
+  // Settings
+  getModelPrices: () => ipcRenderer.invoke('get-model-prices'),
+  setModelPrice: (price) => ipcRenderer.invoke('set-model-price', price),
+  deleteModelPrice: (model, effectiveFrom) =>
+    ipcRenderer.invoke('delete-model-price', model, effectiveFrom),
+  getProxySettings: () => ipcRenderer.invoke('get-proxy-settings'),
+  setProxySettings: (settings) =>
+    ipcRenderer.invoke('set-proxy-settings', settings),
+  getAttachmentSettings: () => ipcRenderer.invoke('get-attachment-settings'),
+  setAttachmentSettings: (settings) =>
+    ipcRenderer.invoke('set-attachment-settings', settings),
+  getSessionSettings: () => ipcRenderer.invoke('get-session-settings'),
+  setSessionSettings: (settings) =>
+    ipcRenderer.invoke('set-session-settings', settings),
+  getRetentionSettings: () => ipcRenderer.invoke('get-retention-settings'),
+  setRetentionSettings: (settings) =>
+    ipcRenderer.invoke('set-retention-settings', settings),
+
+  // Retention runs, dry or not, and the archives they write
+  runRetention: (options) => ipcRenderer.invoke('run-retention', options),
+  getArchives: () => ipcRenderer.invoke('get-archives'),
+  getArchivedConversations: (month) =>
+    ipcRenderer.invoke('get-archived-conversations', month),
+
+  // Encryption at rest: unlocking on startup, encrypting, rotating the key
+  // and encrypted exports
+  getLockState: () => ipcRenderer.invoke('get-lock-state'),
+  unlock: (passphrase) => ipcRenderer.invoke('unlock', passphrase),
+  encryptDatabase: (passphrase) =>
+    ipcRenderer.invoke('encrypt-database', passphrase),
+  changePassphrase: (current, next) =>
+    ipcRenderer.invoke('change-passphrase', current, next),
+  decryptDatabase: (current) => ipcRenderer.invoke('decrypt-database', current),
+  exportEncrypted: (passphrase) =>
+    ipcRenderer.invoke('export-encrypted', passphrase),
+
+  // Capture health per platform
+  getCaptureHealth: () => ipcRenderer.invoke('get-capture-health'),
+
+  // Attached files, as data: URLs
+  getAttachment: (sha256, archive) =>
+    ipcRenderer.invoke('get-attachment', sha256, archive),
 
   // System info
   getDbPath: () => ipcRenderer.invoke('get-db-path'),
@@ -0,0 +1,155 @@
+const PricingCatalog = require('../catalog');
+const LLMTrackerDatabase = require('../../database');
+const { CATALOG_VERSION } = require('../default-prices');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('PricingCatalog', () => {
+  let db;
+  let pricing;
+  const testDbPath = path.join(os.tmpdir(), 'test-pricing.db');
+
+  beforeEach(() => {
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+
+    db = new LLMTrackerDatabase(testDbPath);
+    db.init();
+    pricing = new PricingCatalog(db);
+  });
+
+  afterEach(() => {
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  describe('Lookup', () => {
+    test('should seed the bundled catalog', () => {
+      const prices = pricing.getPrices();
+      expect(prices.length).toBeGreaterThan(0);
+      expect(prices.every((p) => p.source === 'catalog')).toBe(true);
+      expect(prices[0].catalog_version).toBe(CATALOG_VERSION);
+    });
+
+    test('should price dated variants with their model', () => {
+      expect(pricing.findPrice({ model: 'gpt-4o-2024-08-06' }).model).toBe(
+        'gpt-4o'
+      );
+      expect(pricing.findPrice({ model: 'gpt-4o-mini' }).model).toBe(
+        'gpt-4o-mini'
+      );
+      expect(pricing.findPrice({ model: 'models/gemini-2.5-pro' }).model).toBe(
+        'gemini-2.5-pro'
+      );
+      expect(pricing.findPrice({ model: 'deepseek-reasoner' }).model).toBe(
+        'deepseek-reasoner'
+      );
+    });
+
+    test('should use the price in effect at the time', () => {
+      const before = pricing.findPrice({
+        model: 'gpt-4o',
+        timestamp: Date.parse('2024-06-01'),
+      });
+      const after = pricing.findPrice({
+        model: 'gpt-4o',
+        timestamp: Date.parse('2025-01-01'),
+      });
+
+      expect(before.input_price).toBe(5);
+      expect(after.input_price).toBe(2.5);
+    });
+
+    test('should assume the platform default for unknown models', () => {
+      const price = pricing.findPrice({ model: 'auto', platform: 'chatgpt' });
+      expect(price.model).toBe('gpt-4o');
+      expect(price.assumed).toBe(true);
+
+      expect(
+        pricing.findPrice({ model: 'copilot-smart', platform: 'copilot' }).model
+      ).toBe('gpt-4o');
+      expect(pricing.findPrice({ model: 'auto', platform: 'other' })).toBe(
+        null
+      );
+    });
+  });
+
+  describe('Costs', () => {
+    const price = {
+      input_price: 2,
+      cached_input_price: 0.5,
+      output_price: 8,
+      reasoning_price: null,
+    };
+
+    test('should price each kind of token separately', () => {
+      const cost = pricing.cost(
+        { prompt: 1000000, cached: 400000, completion: 500000, reasoning: 0 },
+        price
+      );
+      expect(cost).toBeCloseTo(600000 * 2e-6 + 400000 * 0.5e-6 + 4, 6);
+    });
+
+    test('should price reasoning tokens as output by default', () => {
+      expect(
+        pricing.cost({ completion: 1000000, reasoning: 250000 }, price)
+      ).toBeCloseTo(8, 6);
+    });
+  });
+
+  describe('Editing', () => {
+    test('should keep user prices when the catalog is reloaded', () => {
+      pricing.setPrice({
+        model: 'GPT-4o',
+        effective_from: '2024-10-02',
+        input_price: 1,
+        output_price: 4,
+      });
+
+      new PricingCatalog(db).getPrices();
+
+      const price = pricing.findPrice({ model: 'gpt-4o' });
+      expect(price.input_price).toBe(1);
+      expect(price.source).toBe('user');
+    });
+
+    test('should restore the catalog price when a user price is removed', () => {
+      pricing.setPrice({
+        model: 'gpt-4o',
+        effective_from: '2024-10-02',
+        input_price: 1,
+        output_price: 4,
+      });
+      pricing.removePrice('gpt-4o', '2024-10-02');
+
+      const price = pricing.findPrice({ model: 'gpt-4o' });
+      expect(price.input_price).toBe(2.5);
+      expect(price.source).toBe('catalog');
+    });
+
+    test('should reject invalid prices', () => {
+      expect(() =>
+        pricing.setPrice({
+          model: 'x',
+          effective_from: 'soon',
+          input_price: 1,
+          output_price: 1,
+        })
+      ).toThrow('effective date');
+      expect(() =>
+        pricing.setPrice({
+          model: 'x',
+          effective_from: '2025-01-01',
+          input_price: -1,
+          output_price: 1,
+        })
+      ).toThrow('input_price');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Pricing Catalog
+ * Prices token usage by model and date, from the model_prices table
+ *
+ * The table is seeded from the bundled catalog (see default-prices.js) and
+ * can be edited from settings. Costs are computed with the price in effect
+ * when a message was sent and stored with it, so later price changes do not
+ * rewrite history.
+ */
+
+const {
+  CATALOG_VERSION,
+  DEFAULT_PRICES,
+  PLATFORM_DEFAULT_MODELS,
+} = require('./default-prices');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class PricingCatalog {
+  constructor(database) {
+    this.database = database;
+    this.seeded = false;
+  }
+
+  /**
+   * All prices, seeding the bundled catalog on first use
+   */
+  getPrices() {
+    if (!this.seeded) {
+      this.database.seedModelPrices(DEFAULT_PRICES, CATALOG_VERSION);
+      this.seeded = true;
+    }
+    return this.database.getModelPrices();
+  }
+
+  /**
+   * Add or replace a user price
+   * @param {{ model: string, effective_from: string, input_price: number, output_price: number, cached_input_price?: ?number, reasoning_price?: ?number }} price
+   */
+  setPrice(price) {
+    const model = this.canonicalModel(price.model);
+    if (!model) {
+      throw new Error('Price needs a model ID');
+    }
+    if (!DATE_PATTERN.test(price.effective_from || '')) {
+      throw new Error('Price needs an effective date (YYYY-MM-DD)');
+    }
+    for (const field of [
+      'input_price',
+      'output_price',
+      'cached_input_price',
+      'reasoning_price',
+    ]) {
+      const value = price[field];
+      const optional =
+        field === 'cached_input_price' || field === 'reasoning_price';
+      if (value == null && optional) continue;
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(`Invalid ${field}: ${value}`);
+      }
+    }
+
+    this.database.upsertModelPrice({ ...price, model, source: 'user' });
+    return this.getPrices();
+  }
+
+  /**
+   * Remove a price. Removing a user edit of a catalog price restores the
+   * catalog price.
+   */
+  removePrice(model, effectiveFrom) {
+    this.database.deleteModelPrice(this.canonicalModel(model), effectiveFrom);
+    this.seeded = false;
+    return this.getPrices();
+  }
+
+  /**
+   * Price in effect for a model at a time. Falls back to the platform's
+   * default model for unknown models, and to the earliest known price for
+   * times before it.
+   * @returns {?Object} model_prices row, plus `assumed` if the model was
+   *   not the one named
+   */
+  findPrice({ model, platform, timestamp = Date.now() }) {
+    const prices = this.getPrices();
+    const date = new Date(timestamp).toISOString().slice(0, 10);
+
+    let assumed = false;
+    let key = this.matchModel(prices, model);
+    if (!key && PLATFORM_DEFAULT_MODELS[platform]) {
+      key = PLATFORM_DEFAULT_MODELS[platform];
+      assumed = true;
+    }
+
+    const history = prices.filter((price) => price.model === key);
+    if (history.length === 0) {
+      return null;
+    }
+
+    const current =
+      history.filter((price) => price.effective_from <= date).pop() ||
+      history[0];
+    return { ...current, assumed };
+  }
+
+  /**
+   * Cost in USD of token counts at a price. Cached tokens are part of the
+   * prompt, reasoning tokens part of the completion.
+   */
+  cost(tokens, price) {
+    const prompt = tokens.prompt || 0;
+    const completion = tokens.completion || 0;
+    const cached = Math.min(tokens.cached || 0, prompt);
+    const reasoning = Math.min(tokens.reasoning || 0, completion);
+
+    const total =
+      (prompt - cached) * price.input_price +
+      cached * (price.cached_input_price ?? price.input_price) +
+      (completion - reasoning) * price.output_price +
+      reasoning * (price.reasoning_price ?? price.output_price);
+
+    return total / 1e6;
+  }
+
+  /**
+   * Cost of a stored message, with the price used
+   * @returns {?{ cost: number, pricing: Object }}
+   */
+  priceMessage(message, { model, platform }) {
+    const price = this.findPrice({
+      model,
+      platform,
+      timestamp: message.timestamp,
+    });
+    if (!price) {
+      return null;
+    }
+
+    return {
+      cost: this.cost(
+        {
+          prompt: message.tokens_prompt,
+          completion: message.tokens_completion,
+          cached: message.tokens_cached,
+          reasoning: message.tokens_reasoning,
+        },
+        price
+      ),
+      pricing: {
+        model: price.model,
+        effective_from: price.effective_from,
+        source: price.source,
+        catalog_version: price.catalog_version,
+        assumed: price.assumed,
+      },
+    };
+  }
+
+  /**
+   * Catalog model ID for a model name: the longest catalog ID that is the
+   * name itself or a prefix of it followed by a variant suffix
+   */
+  matchModel(prices, model) {
+    const name = this.canonicalModel(model);
+    if (!name) {
+      return null;
+    }
+
+    let best = null;
+    for (const { model: key } of prices) {
+      if (
+        (name === key || name.startsWith(`${key}-`)) &&
+        (!best || key.length > best.length)
+      ) {
+        best = key;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Lowercase model ID without a provider path (`models/gemini-2.5-pro`)
+   */
+  canonicalModel(model) {
+    if (typeof model !== 'string') {
+      return null;
+    }
+    return model.trim().toLowerCase().split('/').pop() || null;
+  }
+}
+
+module.exports = PricingCatalog;
@@ -0,0 +1,86 @@
+/**
+ * Default Prices
+ * Published API list prices, in USD per million tokens
+ *
+ * Each model ID also prices its dated and suffixed variants
+ * (`gpt-4o` covers `gpt-4o-2024-08-06`). A price applies from its
+ * `effective_from` date until the next price for the same model. Cached
+ * input and reasoning prices default to the input and output prices.
+ *
+ * Bump CATALOG_VERSION whenever these change; catalog rows in the database
+ * are refreshed from it, prices edited by the user are left alone.
+ */
+
+const CATALOG_VERSION = '2025-08-20';
+
+// prettier-ignore
+const DEFAULT_PRICES = [
+  // OpenAI
+  { model: 'gpt-3.5-turbo', effective_from: '2024-01-25', input: 0.5, output: 1.5 },
+  { model: 'gpt-4', effective_from: '2023-03-14', input: 30, output: 60 },
+  { model: 'gpt-4-turbo', effective_from: '2024-04-09', input: 10, output: 30 },
+  { model: 'gpt-4o', effective_from: '2024-05-13', input: 5, output: 15 },
+  { model: 'gpt-4o', effective_from: '2024-10-02', input: 2.5, cached_input: 1.25, output: 10 },
+  { model: 'gpt-4o-mini', effective_from: '2024-07-18', input: 0.15, cached_input: 0.075, output: 0.6 },
+  { model: 'chatgpt-4o', effective_from: '2024-08-13', input: 5, output: 15 },
+  { model: 'gpt-4.1', effective_from: '2025-04-14', input: 2, cached_input: 0.5, output: 8 },
+  { model: 'gpt-4.1-mini', effective_from: '2025-04-14', input: 0.4, cached_input: 0.1, output: 1.6 },
+  { model: 'gpt-4.1-nano', effective_from: '2025-04-14', input: 0.1, cached_input: 0.025, output: 0.4 },
+  { model: 'gpt-4.5', effective_from: '2025-02-27', input: 75, cached_input: 37.5, output: 150 },
+  { model: 'gpt-5', effective_from: '2025-08-07', input: 1.25, cached_input: 0.125, output: 10 },
+  { model: 'gpt-5-mini', effective_from: '2025-08-07', input: 0.25, cached_input: 0.025, output: 2 },
+  { model: 'gpt-5-nano', effective_from: '2025-08-07', input: 0.05, cached_input: 0.005, output: 0.4 },
+  { model: 'o1', effective_from: '2024-12-17', input: 15, cached_input: 7.5, output: 60 },
+  { model: 'o1-mini', effective_from: '2024-09-12', input: 1.1, cached_input: 0.55, output: 4.4 },
+  { model: 'o3', effective_from: '2025-04-16', input: 10, cached_input: 2.5, output: 40 },
+  { model: 'o3', effective_from: '2025-06-10', input: 2, cached_input: 0.5, output: 8 },
+  { model: 'o3-mini', effective_from: '2025-01-31', input: 1.1, cached_input: 0.55, output: 4.4 },
+  { model: 'o4-mini', effective_from: '2025-04-16', input: 1.1, cached_input: 0.275, output: 4.4 },
+
+  // Anthropic
+  { model: 'claude-3-haiku', effective_from: '2024-03-13', input: 0.25, cached_input: 0.03, output: 1.25 },
+  { model: 'claude-3-opus', effective_from: '2024-03-04', input: 15, cached_input: 1.5, output: 75 },
+  { model: 'claude-3-5-haiku', effective_from: '2024-10-22', input: 0.8, cached_input: 0.08, output: 4 },
+  { model: 'claude-3-5-sonnet', effective_from: '2024-06-20', input: 3, cached_input: 0.3, output: 15 },
+  { model: 'claude-3-7-sonnet', effective_from: '2025-02-24', input: 3, cached_input: 0.3, output: 15 },
+  { model: 'claude-sonnet-4', effective_from: '2025-05-22', input: 3, cached_input: 0.3, output: 15 },
+  { model: 'claude-opus-4', effective_from: '2025-05-22', input: 15, cached_input: 1.5, output: 75 },
+  { model: 'claude-opus-4-1', effective_from: '2025-08-05', input: 15, cached_input: 1.5, output: 75 },
+
+  // Google
+  { model: 'gemini-1.5-flash', effective_from: '2024-10-01', input: 0.075, cached_input: 0.01875, output: 0.3 },
+  { model: 'gemini-1.5-pro', effective_from: '2024-10-01', input: 1.25, cached_input: 0.3125, output: 5 },
+  { model: 'gemini-2.0-flash', effective_from: '2025-02-05', input: 0.1, cached_input: 0.025, output: 0.4 },
+  { model: 'gemini-2.5-flash', effective_from: '2025-06-17', input: 0.3, cached_input: 0.075, output: 2.5 },
+  { model: 'gemini-2.5-pro', effective_from: '2025-06-17', input: 1.25, cached_input: 0.31, output: 10 },
+
+  // Mistral
+  { model: 'mistral-large', effective_from: '2024-11-18', input: 2, output: 6 },
+  { model: 'mistral-medium', effective_from: '2025-05-07', input: 0.4, output: 2 },
+  { model: 'mistral-small', effective_from: '2025-03-17', input: 0.1, output: 0.3 },
+
+  // DeepSeek
+  { model: 'deepseek-chat', effective_from: '2025-02-09', input: 0.27, cached_input: 0.07, output: 1.1 },
+  { model: 'deepseek-reasoner', effective_from: '2025-01-20', input: 0.55, cached_input: 0.14, output: 2.19 },
+
+  // Perplexity
+  { model: 'sonar', effective_from: '2025-01-21', input: 1, output: 1 },
+  { model: 'sonar-pro', effective_from: '2025-01-21', input: 3, output: 15 },
+];
+
+// Model assumed for captures that do not name one
+const PLATFORM_DEFAULT_MODELS = {
+  chatgpt: 'gpt-4o',
+  claude: 'claude-sonnet-4',
+  gemini: 'gemini-2.5-flash',
+  copilot: 'gpt-4o',
+  mistral: 'mistral-medium',
+  deepseek: 'deepseek-chat',
+  perplexity: 'sonar',
+};
+
+module.exports = {
+  CATALOG_VERSION,
+  DEFAULT_PRICES,
+  PLATFORM_DEFAULT_MODELS,
+};
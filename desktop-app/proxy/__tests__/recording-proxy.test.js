@@ -0,0 +1,352 @@
+const http = require('http');
+const RecordingProxy = require('../recording-proxy');
+const WebSocketServer = require('../../websocket-server');
+const LLMTrackerDatabase = require('../../database');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('RecordingProxy', () => {
+  let db;
+  let upstream;
+  let proxy;
+  let respond;
+  let received;
+  const testDbPath = path.join(os.tmpdir(), 'test-recording-proxy.db');
+
+  /**
+   * Send a request to the proxy and read the whole response
+   */
+  const request = (urlPath, body, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        `${proxy.url}${urlPath}`,
+        {
+          method: body === undefined ? 'GET' : 'POST',
+          headers: { 'content-type': 'application/json', ...headers },
+        },
+        (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => (text += chunk));
+          res.on('end', () => resolve({ status: res.statusCode, text }));
+        }
+      );
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+  /**
+   * Reply as a server-sent event stream, split at awkward places
+   */
+  const streamEvents = (res, events) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const text = events
+      .map((event) =>
+        typeof event === 'string' ? event : `data: ${JSON.stringify(event)}`
+      )
+      .map((line) => `${line}\n\n`)
+      .join('');
+    for (let i = 0; i < text.length; i += 7) {
+      res.write(text.slice(i, i + 7));
+    }
+    res.end();
+  };
+
+  const captures = () =>
+    db.db.prepare('SELECT * FROM api_captures ORDER BY timestamp').all();
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+
+    db = new LLMTrackerDatabase(testDbPath);
+    db.init();
+
+    received = [];
+    upstream = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        respond(req, res, body);
+      });
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    proxy = new RecordingProxy(new WebSocketServer(db), {
+      port: 0,
+      upstreams: { openai: upstreamUrl, anthropic: upstreamUrl },
+    });
+    await proxy.start();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await proxy.stop();
+    await new Promise((resolve) => upstream.close(resolve));
+    if (db) {
+      db.close();
+    }
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  describe('Forwarding', () => {
+    test('should forward requests and return upstream responses', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ data: [{ id: 'gpt-4o' }] }));
+      };
+
+      const response = await request('/my-script/v1/models', undefined, {
+        authorization: 'Bearer sk-test',
+      });
+
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.text).data[0].id).toBe('gpt-4o');
+      expect(received[0].url).toBe('/v1/models');
+      expect(received[0].headers.authorization).toBe('Bearer sk-test');
+      expect(captures()).toHaveLength(0);
+    });
+
+    test('should report unreachable upstreams', async () => {
+      proxy.upstreams.openai = 'http://127.0.0.1:1';
+
+      const response = await request('/v1/chat/completions', {
+        model: 'gpt-4o',
+        messages: [],
+      });
+
+      expect(response.status).toBe(502);
+      expect(JSON.parse(response.text).error.type).toBe('proxy_error');
+    });
+
+    test('should reject paths outside the API', async () => {
+      const response = await request('/index.html', undefined);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Recording', () => {
+    test('should record a completion read in full', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            model: 'gpt-4o-2024-08-06',
+            choices: [{ message: { role: 'assistant', content: 'Hi there' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 3 },
+          })
+        );
+      };
+
+      const response = await request(
+        '/my-script/v1/chat/completions',
+        {
+          model: 'gpt-4o',
+          messages: [
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'Hello' },
+          ],
+        },
+        { authorization: 'Bearer sk-test' }
+      );
+
+      expect(response.status).toBe(200);
+      const [capture] = captures();
+      expect(capture.source).toBe('proxy:my-script');
+      expect(capture.platform).toBe('chatgpt');
+      expect(capture.model).toBe('gpt-4o');
+      expect(capture.request_headers).not.toContain('sk-test');
+
+      const message = db.getMessage(capture.message_id);
+      expect(message.role).toBe('assistant');
+      expect(message.visible_content).toBe('Hi there');
+      expect(message.tokens_prompt).toBe(12);
+      expect(message.tokens_completion).toBe(3);
+      expect(message.cost).toBeGreaterThan(0);
+      expect(db.getSystemPrompts('chatgpt')[0].prompt_text).toBe('Be brief');
+    });
+
+    test('should record streamed chunks split across reads', async () => {
+      respond = (req, res) =>
+        streamEvents(res, [
+          { choices: [{ delta: { role: 'assistant' } }] },
+          { choices: [{ delta: { content: 'Hel' } }] },
+          { choices: [{ delta: { content: 'lo!' } }] },
+          {
+            choices: [],
+            usage: { prompt_tokens: 8, completion_tokens: 2 },
+          },
+          'data: [DONE]',
+        ]);
+
+      const response = await request('/v1/chat/completions', {
+        model: 'gpt-4o-mini',
+        stream: true,
+        messages: [{ role: 'user', content: 'Hi' }],
+      });
+
+      expect(response.text).toContain('data: [DONE]');
+      const [capture] = captures();
+      expect(capture.source).toBe('proxy:default');
+      expect(capture.stream_complete).toBe(1);
+
+      const chunks = db.getStreamingChunks(capture.message_id);
+      expect(chunks.map((chunk) => chunk.content)).toEqual(['Hel', 'lo!']);
+
+      const message = db.getMessage(capture.message_id);
+      expect(message.visible_content).toBe('Hello!');
+      expect(message.tokens_prompt).toBe(8);
+      expect(message.tokens_completion).toBe(2);
+    });
+
+    test('should record Anthropic message streams', async () => {
+      respond = (req, res) =>
+        streamEvents(res, [
+          'event: message_start',
+          {
+            type: 'message_start',
+            message: { usage: { input_tokens: 20, output_tokens: 1 } },
+          },
+          {
+            type: 'content_block_delta',
+            index: 0,
+            delta: { type: 'text_delta', text: 'Bonjour' },
+          },
+          {
+            type: 'message_delta',
+            delta: { stop_reason: 'end_turn' },
+            usage: { output_tokens: 4 },
+          },
+          { type: 'message_stop' },
+        ]);
+
+      await request(
+        '/v1/messages',
+        {
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 100,
+          stream: true,
+          system: 'Answer in French',
+          messages: [{ role: 'user', content: 'Hello' }],
+        },
+        {
+          'x-api-key': 'sk-ant-test',
+          'anthropic-version': '2023-06-01',
+          'x-llm-tracker-client': 'ide',
+        }
+      );
+
+      const [capture] = captures();
+      expect(capture.source).toBe('proxy:ide');
+      expect(capture.platform).toBe('claude');
+      expect(capture.request_headers).not.toContain('sk-ant-test');
+      expect(received[0].headers['x-api-key']).toBe('sk-ant-test');
+      expect(received[0].headers['x-llm-tracker-client']).toBeUndefined();
+
+      const message = db.getMessage(capture.message_id);
+      expect(message.visible_content).toBe('Bonjour');
+      expect(message.tokens_prompt).toBe(20);
+      expect(message.tokens_completion).toBe(4);
+      expect(JSON.parse(message.metadata).stop_reason).toBe('end_turn');
+    });
+
+    test('should record tool calls as typed chunks', async () => {
+      respond = (req, res) =>
+        streamEvents(res, [
+          {
+            choices: [
+              {
+                delta: {
+                  tool_calls: [
+                    {
+                      index: 0,
+                      id: 'call-1',
+                      function: { name: 'get_weather', arguments: '{"city"' },
+                    },
+                  ],
+                },
+              },
+            ],
+          },
+          {
+            choices: [
+              {
+                delta: {
+                  tool_calls: [
+                    { index: 0, function: { arguments: ':"Oslo"}' } },
+                  ],
+                },
+              },
+            ],
+          },
+          'data: [DONE]',
+        ]);
+
+      await request('/v1/chat/completions', {
+        model: 'gpt-4o',
+        stream: true,
+        messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+      });
+
+      const [capture] = captures();
+      const chunks = db.getStreamingChunks(capture.message_id);
+      expect(chunks.map((chunk) => chunk.content_type)).toEqual([
+        'tool_call',
+        'tool_call',
+      ]);
+      expect(JSON.parse(chunks[0].metadata).name).toBe('get_weather');
+
+      const [part] = db.getMessageParts(capture.message_id);
+      expect(part.part_type).toBe('tool_call');
+      expect(part.content).toBe('{"city":"Oslo"}');
+    });
+
+    test('should link failed requests to their prompt', async () => {
+      respond = (req, res) => {
+        res.writeHead(429, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Rate limited' } }));
+      };
+
+      const response = await request('/v1/chat/completions', {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }],
+      });
+
+      expect(response.status).toBe(429);
+      const [capture] = captures();
+      expect(capture.response_status).toBe(429);
+
+      const message = db.getMessage(capture.message_id);
+      expect(message.role).toBe('user');
+      expect(message.visible_content).toBe('Hello');
+    });
+
+    test('should group requests that name a conversation', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: 'ok' } }] }));
+      };
+
+      for (const content of ['One', 'Two']) {
+        await request(
+          '/v1/chat/completions',
+          { model: 'gpt-4o', messages: [{ role: 'user', content }] },
+          { 'x-llm-tracker-conversation': 'session-1' }
+        );
+      }
+
+      const conversation = db.getConversation('chatgpt:session-1');
+      expect(conversation).toBeDefined();
+      expect(db.getMessages(conversation.id)).toHaveLength(2);
+    });
+  });
+});
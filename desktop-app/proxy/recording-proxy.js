@@ -0,0 +1,491 @@
+/**
+ * Recording Proxy
+ * Local OpenAI- and Anthropic-compatible endpoints for scripts and IDEs.
+ * Requests are forwarded upstream unchanged and recorded like captures from
+ * the extension.
+ *
+ * Clients point their base URL at `http://127.0.0.1:<port>/<client>/v1`
+ * (OpenAI SDKs) or `http://127.0.0.1:<port>/<client>` (Anthropic SDKs).
+ * Their traffic is recorded with the source `proxy:<client>`. The client
+ * name may also be sent in an `X-LLM-Tracker-Client` header. Requests that
+ * belong together can name a conversation in `X-LLM-Tracker-Conversation`;
+ * otherwise each request is its own conversation.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const platforms = require('../../shared/platforms');
+const {
+  MessageType,
+  ErrorCode,
+  ProtocolError,
+  createMessage,
+  validatePayload,
+} = require('../../shared/protocol');
+
+const DEFAULT_PORT = 8788;
+
+const DEFAULT_UPSTREAMS = {
+  openai: 'https://api.openai.com',
+  anthropic: 'https://api.anthropic.com',
+};
+
+// Endpoints whose exchanges are recorded, and their API. Other paths are
+// forwarded without recording, so clients can still list models etc.
+const RECORDED_PATHS = {
+  '/v1/chat/completions': 'openai',
+  '/v1/messages': 'anthropic',
+};
+
+// Platforms the extension records the same endpoints under
+const API_PLATFORMS = {
+  openai: 'chatgpt',
+  anthropic: 'claude',
+};
+
+const CLIENT_HEADER = 'x-llm-tracker-client';
+const CONVERSATION_HEADER = 'x-llm-tracker-conversation';
+
+// Connection headers are set by each hop. Accept-Encoding is dropped so
+// responses come back uncompressed and can be read.
+const UNFORWARDED_HEADERS = new Set([
+  'host',
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade',
+  'content-length',
+  'accept-encoding',
+  CLIENT_HEADER,
+  CONVERSATION_HEADER,
+]);
+
+// Credentials are forwarded but never recorded
+const UNRECORDED_HEADERS = new Set([
+  'authorization',
+  'x-api-key',
+  'api-key',
+  'cookie',
+  'proxy-authorization',
+]);
+
+class RecordingProxy {
+  /**
+   * @param {Object} recorder - Applies captured-data messages, as
+   *   WebSocketServer#dispatch does for the extension's
+   * @param {Object} [options]
+   * @param {number} [options.port] - 0 picks a free port
+   * @param {string} [options.host]
+   * @param {{ openai?: string, anthropic?: string }} [options.upstreams] -
+   *   Base URLs requests are forwarded to
+   */
+  constructor(
+    recorder,
+    { port = DEFAULT_PORT, host = '127.0.0.1', upstreams = {} } = {}
+  ) {
+    this.recorder = recorder;
+    this.port = port;
+    this.host = host;
+    this.upstreams = { ...DEFAULT_UPSTREAMS, ...upstreams };
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        console.log(`Recording proxy listening on ${this.url}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    const server = this.server;
+    this.server = null;
+    if (!server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  get running() {
+    return Boolean(this.server?.listening);
+  }
+
+  /**
+   * Read a request in full, then forward it
+   */
+  handleRequest(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => this.forward(req, res, Buffer.concat(chunks)));
+  }
+
+  /**
+   * Forward a request upstream and stream the response back, recording
+   * the exchange if it is one of RECORDED_PATHS
+   */
+  forward(req, res, body) {
+    const route = this.route(req);
+    if (!route) {
+      this.sendError(res, 404, `Not an API path: ${req.url}`);
+      return;
+    }
+
+    const target = new URL(
+      this.upstreams[route.api].replace(/\/$/, '') + route.path
+    );
+    const transport = target.protocol === 'https:' ? https : http;
+    const exchange = this.startExchange(route, req, body);
+
+    const upstream = transport.request(
+      target,
+      { method: req.method, headers: this.forwardedHeaders(req.headers, body) },
+      (response) => {
+        res.writeHead(response.statusCode, response.headers);
+        this.record(exchange, () => this.recordResponse(exchange, response));
+
+        response.on('data', (chunk) => {
+          res.write(chunk);
+          this.record(exchange, () => this.recordData(exchange, chunk));
+        });
+        // Recorded before the client sees the end of the response; a
+        // response cut short is recorded when it closes
+        response.on('end', () => {
+          this.record(exchange, () => this.finishExchange(exchange));
+          res.end();
+        });
+        response.on('close', () => {
+          this.record(exchange, () => this.finishExchange(exchange));
+        });
+      }
+    );
+
+    upstream.on('error', (err) => {
+      console.error('Recording proxy upstream error:', err.message);
+      if (!res.headersSent) {
+        this.sendError(res, 502, `Upstream request failed: ${err.message}`);
+      } else {
+        res.destroy(err);
+      }
+    });
+
+    // Stop the upstream request if the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        upstream.destroy();
+      }
+    });
+
+    upstream.end(body);
+  }
+
+  /**
+   * API, upstream path and client of a request. The client is the first
+   * path segment when it precedes /v1.
+   * @returns {?{ api: string, path: string, client: string, recorded: boolean }}
+   */
+  route(req) {
+    const match = req.url.match(/^(?:\/([^/?]+))?(\/v1(?:[/?].*)?)$/);
+    if (!match) {
+      return null;
+    }
+
+    const path = match[2];
+    const pathname = path.split('?')[0];
+    const recordedApi = RECORDED_PATHS[pathname];
+    const anthropicHeaders =
+      'anthropic-version' in req.headers || 'x-api-key' in req.headers;
+
+    return {
+      api: recordedApi || (anthropicHeaders ? 'anthropic' : 'openai'),
+      path,
+      client: match[1] || req.headers[CLIENT_HEADER] || 'default',
+      recorded: Boolean(recordedApi) && req.method === 'POST',
+    };
+  }
+
+  forwardedHeaders(headers, body) {
+    const forwarded = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (!UNFORWARDED_HEADERS.has(name)) {
+        forwarded[name] = value;
+      }
+    }
+    forwarded['content-length'] = body.length;
+    return forwarded;
+  }
+
+  /**
+   * Headers as recorded: a webRequest-style list without credentials
+   */
+  recordedHeaders(headers) {
+    return Object.entries(headers)
+      .filter(([name]) => !UNRECORDED_HEADERS.has(name))
+      .map(([name, value]) => ({
+        name,
+        value: Array.isArray(value) ? value.join(', ') : String(value),
+      }));
+  }
+
+  /**
+   * State of one recorded request/response pair
+   * @returns {?Object} null if the request is not recorded
+   */
+  startExchange(route, req, body) {
+    if (!route.recorded) {
+      return null;
+    }
+
+    let requestBody;
+    try {
+      requestBody = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+    if (!requestBody || typeof requestBody !== 'object') {
+      return null;
+    }
+
+    const platform = API_PLATFORMS[route.api];
+    const id = crypto.randomUUID();
+
+    return {
+      id,
+      messageId: crypto.randomUUID(),
+      platform,
+      adapter: platforms.get(platform),
+      source: `proxy:${route.client}`,
+      conversationId: req.headers[CONVERSATION_HEADER] || `api_${id}`,
+      url: `${this.url}${req.url}`,
+      method: req.method,
+      requestBody,
+      requestHeaders: this.recordedHeaders(req.headers),
+      startTime: Date.now(),
+      firstChunkTime: null,
+      lastChunkTime: null,
+      statusCode: null,
+      responseHeaders: [],
+      streaming: false,
+      decoder: new StringDecoder('utf8'),
+      text: '',
+      reader: null,
+      chunkIndex: 0,
+      finished: false,
+    };
+  }
+
+  /**
+   * Record the response status and headers. Streamed responses are
+   * captured right away so their chunks have a message to belong to.
+   */
+  recordResponse(exchange, response) {
+    exchange.statusCode = response.statusCode;
+    exchange.responseHeaders = this.recordedHeaders(response.headers);
+    exchange.streaming =
+      response.statusCode < 400 &&
+      /text\/event-stream/.test(response.headers['content-type'] || '');
+
+    if (exchange.streaming) {
+      exchange.reader = exchange.adapter.createStreamReader(
+        response.headers['content-type']
+      );
+      this.dispatch(MessageType.API_CAPTURED, {
+        ...this.captureFields(exchange),
+        messageId: exchange.messageId,
+        streaming: true,
+        streamingInProgress: true,
+      });
+    }
+  }
+
+  /**
+   * Record a piece of the response body. Streamed responses are read
+   * into events as they arrive; an event cut off at the end of a piece is
+   * kept for the next one.
+   */
+  recordData(exchange, chunk) {
+    const text = exchange.decoder.write(chunk);
+    exchange.text += text;
+    if (exchange.streaming) {
+      this.recordDeltas(exchange, exchange.reader.push(text));
+    }
+  }
+
+  recordDeltas(exchange, deltas) {
+    for (const delta of deltas) {
+      for (const part of platforms.deltaParts(delta)) {
+        if (part.content || part.metadata) {
+          this.recordStreamChunk(exchange, part);
+        }
+      }
+    }
+  }
+
+  recordStreamChunk(exchange, { type, content, metadata }) {
+    const now = Date.now();
+    exchange.firstChunkTime ??= now;
+    this.dispatch(MessageType.STREAM_CHUNK, {
+      ...this.streamFields(exchange, now),
+      chunkIndex: exchange.chunkIndex++,
+      contentType: type,
+      content,
+      metadata,
+      deltaTime:
+        exchange.lastChunkTime != null ? now - exchange.lastChunkTime : null,
+    });
+    exchange.lastChunkTime = now;
+  }
+
+  /**
+   * Record the end of a response: the completion of a stream, or the
+   * capture of a response read in full. Responses cut short are recorded
+   * as far as they got.
+   */
+  finishExchange(exchange) {
+    if (exchange.finished || exchange.statusCode === null) {
+      return;
+    }
+    exchange.finished = true;
+    const rest = exchange.decoder.end();
+    exchange.text += rest;
+
+    if (exchange.streaming) {
+      this.recordDeltas(exchange, [
+        ...exchange.reader.push(rest),
+        ...exchange.reader.end(),
+      ]);
+      const { text, parts, usage, stopReason } = exchange.reader.result;
+      const now = Date.now();
+      this.dispatch(MessageType.STREAM_COMPLETE, {
+        ...this.streamFields(exchange, now),
+        startTime: exchange.startTime,
+        firstChunkTime: exchange.firstChunkTime,
+        totalChunks: exchange.chunkIndex,
+        fullContent: text,
+        usage,
+        stopReason,
+        parts,
+      });
+      return;
+    }
+
+    let responseBody = null;
+    try {
+      responseBody = JSON.parse(exchange.text);
+    } catch (err) {
+      // Kept as rawResponse below
+    }
+
+    // Failed requests have no reply; they are linked to their prompt
+    const succeeded = exchange.statusCode < 400;
+    this.dispatch(MessageType.API_CAPTURED, {
+      ...this.captureFields(exchange),
+      ...(succeeded && { messageId: exchange.messageId }),
+      responseBody:
+        responseBody && typeof responseBody === 'object' ? responseBody : null,
+      rawResponse: responseBody ? null : exchange.text,
+      responseTime: Date.now() - exchange.startTime,
+      streaming: false,
+    });
+  }
+
+  /**
+   * API_CAPTURED fields known once the response has started
+   */
+  captureFields(exchange) {
+    return {
+      id: exchange.id,
+      requestId: exchange.id,
+      timestamp: exchange.startTime,
+      platform: exchange.platform,
+      source: exchange.source,
+      url: exchange.url,
+      method: exchange.method,
+      conversationId: exchange.conversationId,
+      requestBody: exchange.requestBody,
+      requestHeaders: exchange.requestHeaders,
+      responseHeaders: exchange.responseHeaders,
+      statusCode: exchange.statusCode,
+    };
+  }
+
+  /**
+   * Fields shared by STREAM_CHUNK and STREAM_COMPLETE
+   */
+  streamFields(exchange, timestamp) {
+    return {
+      requestId: exchange.id,
+      captureId: exchange.id,
+      messageId: exchange.messageId,
+      conversationId: exchange.conversationId,
+      platform: exchange.platform,
+      timestamp,
+    };
+  }
+
+  /**
+   * Validate a captured-data message and hand it to the recorder
+   */
+  dispatch(type, data) {
+    const errors = validatePayload(type, data);
+    if (errors.length > 0) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PAYLOAD,
+        `Invalid ${type} payload`,
+        errors
+      );
+    }
+    this.recorder.dispatch(createMessage(type, data));
+  }
+
+  /**
+   * Run a recording step. Recording failures are logged and stop the
+   * recording of that exchange, never the proxying.
+   */
+  record(exchange, step) {
+    if (!exchange || exchange.failed) {
+      return;
+    }
+    try {
+      step();
+    } catch (err) {
+      exchange.failed = true;
+      console.error('Recording proxy failed to record exchange:', err);
+    }
+  }
+
+  /**
+   * Reply with an error in the shape both APIs use
+   */
+  sendError(res, status, message) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: { type: 'proxy_error', message } }));
+  }
+}
+
+module.exports = RecordingProxy;
@@ -3,43 +3,139 @@
  * Simple vanilla JS dashboard (React can be added later)
  */
 
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 250;
+
 class Dashboard {
   constructor() {
     this.currentView = 'overview';
     this.conversations = [];
-    this.stats = {};
+    this.searchQuery = '';
+    this.searchResults = null;
+    this.searchTimer = null;
+    this.stats = { days: [], totals: {} };
     this.systemPrompts = [];
+    this.modelPrices = [];
+    this.proxySettings = null;
+    this.sessionSettings = null;
+    this.attachmentSettings = null;
+    this.retentionSettings = null;
+    this.retentionReport = null;
+    this.deletedConversations = [];
+    this.archives = [];
+    this.archive = null; // Archive being browsed: { month, conversations }
+    this.lockState = { locked: false, encrypted: false };
+    this.captureHealth = [];
+    this.conversation = null;
+    this.replay = null;
+    this.replaySpeed = 1;
+    this.analytics = null;
+    this.analyticsFilters = { days: 30, platform: null };
+    this.charts = [];
   }
 
   async init() {
+    // An encrypted database is opened once its passphrase is entered
+    this.lockState = await window.api.getLockState();
+    if (this.lockState.locked) {
+      this.renderUnlock();
+      return;
+    }
+    await this.start();
+  }
+
+  async start() {
     await this.loadData();
     this.render();
     this.setupEventListeners();
     this.startAutoRefresh();
   }
 
+  /**
+   * Ask for the passphrase of an encrypted database, and start once it
+   * opens the database
+   */
+  renderUnlock(error = '') {
+    const root = document.getElementById('root');
+    root.innerHTML = `
+      <div class="unlock">
+        <form class="card unlock-form" id="unlock-form">
+          <h2>🔒 LLM Tracker is locked</h2>
+          <p class="card-note">The database is encrypted. Enter its passphrase to open it.</p>
+          <input name="passphrase" type="password" placeholder="Passphrase" autocomplete="current-password" required>
+          <button type="submit">Unlock</button>
+          <div class="form-error">${this.escapeHtml(error)}</div>
+        </form>
+      </div>
+    `;
+    this.attachStyles();
+
+    const form = document.getElementById('unlock-form');
+    form.elements.passphrase.focus();
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      form.querySelector('button').disabled = true;
+
+      const state = await window.api.unlock(form.elements.passphrase.value);
+      if (state.locked) {
+        this.renderUnlock(state.error || 'Could not open the database');
+        return;
+      }
+      this.lockState = state;
+      await this.start();
+    });
+  }
+
   async loadData() {
     try {
       // Load conversations
       this.conversations = await window.api.getConversations(50);
 
-      // Load stats
-      const today = new Date();
-      const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-      this.stats = await window.api.getUsageStats(
-        weekAgo.getTime(),
-        today.getTime()
-      );
+      // Load all-time totals from the daily rollups
+      this.stats = await window.api.getUsageStats();
 
       // Load system prompts
       this.systemPrompts = await window.api.getSystemPrompts();
+
+      // Load pricing catalog
+      this.modelPrices = await window.api.getModelPrices();
+
+      // Load recording proxy settings
+      this.proxySettings = await window.api.getProxySettings();
+
+      // Load attachment settings
+      this.attachmentSettings = await window.api.getAttachmentSettings();
+
+      // Load usage session settings
+      this.sessionSettings = await window.api.getSessionSettings();
+
+      // Load retention settings, the trash and the archives
+      this.retentionSettings = await window.api.getRetentionSettings();
+      this.deletedConversations = await window.api.getDeletedConversations();
+      this.archives = await window.api.getArchives();
+
+      // Load capture health, to warn about platforms that stopped capturing
+      this.captureHealth = await window.api.getCaptureHealth();
+
+      // Whether the database is encrypted
+      this.lockState = await window.api.getLockState();
     } catch (err) {
       console.error('Failed to load data:', err);
     }
   }
 
+  async loadAnalytics() {
+    try {
+      this.analytics = await window.api.getUsageReport(this.analyticsFilters);
+    } catch (err) {
+      console.error('Failed to load analytics:', err);
+    }
+  }
+
   render() {
     const root = document.getElementById('root');
+    this.stopReplay();
+    this.destroyCharts();
 
     root.innerHTML = `
       <div class="dashboard">
@@ -54,7 +150,7 @@ class Dashboard {
               <span class="icon">📊</span>
               Overview
             </button>
-            <button class="nav-item ${this.currentView === 'conversations' ? 'active' : ''}" data-view="conversations">
+            <button class="nav-item ${this.currentView === 'conversations' || this.currentView === 'conversation' ? 'active' : ''}" data-view="conversations">
               <span class="icon">💬</span>
               Conversations
             </button>
@@ -66,23 +162,44 @@ class Dashboard {
               <span class="icon">📈</span>
               Analytics
             </button>
+            <button class="nav-item ${this.currentView === 'settings' ? 'active' : ''}" data-view="settings">
+              <span class="icon">⚙️</span>
+              Settings
+            </button>
           </nav>
 
           <div class="sidebar-footer">
             <div class="db-info">
-              <small>Database: ${this.stats.totalConversations || 0} conversations</small>
+              <small>Database: ${this.stats.totals.messages || 0} messages</small>
             </div>
           </div>
         </aside>
 
         <!-- Main Content -->
         <main class="main-content">
+          ${this.renderCaptureWarnings()}
           ${this.renderView()}
         </main>
       </div>
     `;
 
     this.attachStyles();
+
+    if (this.currentView === 'analytics') {
+      this.renderCharts();
+    }
+  }
+
+  renderCaptureWarnings() {
+    const failing = this.captureHealth.filter(health => health.status !== 'ok');
+
+    return failing.map(health => `
+      <div class="capture-warning ${health.status}">
+        <strong>⚠️ Capture on ${this.escapeHtml(health.platform)} ${health.status === 'broken' ? 'is broken' : 'is degraded'} since ${new Date(health.since).toLocaleString()}</strong>
+        <span>${this.escapeHtml(health.reason || '')}</span>
+        <small>Last checked ${this.formatDate(health.checked_at)}${health.page_url ? ` on ${this.escapeHtml(health.page_url)}` : ''}</small>
+      </div>
+    `).join('');
   }
 
   renderView() {
@@ -91,18 +208,21 @@ class Dashboard {
         return this.renderOverview();
       case 'conversations':
         return this.renderConversations();
+      case 'conversation':
+        return this.renderConversationDetail();
       case 'system-prompts':
         return this.renderSystemPrompts();
       case 'analytics':
         return this.renderAnalytics();
+      case 'settings':
+        return this.renderSettings();
       default:
         return '<div>View not found</div>';
     }
   }
 
   renderOverview() {
-    const totalMessages = this.conversations.reduce((sum, c) => sum + (c.message_count || 0), 0);
-    const totalTokens = this.conversations.reduce((sum, c) => sum + (c.total_tokens || 0), 0);
+    const { messages: totalMessages = 0, tokens: totalTokens = 0, cost: totalCost = 0 } = this.stats.totals;
     const platformCount = new Set(this.conversations.map(c => c.platform)).size;
 
     return `
@@ -132,6 +252,12 @@ class Dashboard {
             <div class="stat-trend">Across all platforms</div>
           </div>
 
+          <div class="stat-card">
+            <div class="stat-value">${this.formatCost(totalCost)}</div>
+            <div class="stat-label">Estimated Cost</div>
+            <div class="stat-trend">At API list prices</div>
+          </div>
+
           <div class="stat-card">
             <div class="stat-value">${this.systemPrompts.length}</div>
             <div class="stat-label">System Prompts</div>
@@ -144,7 +270,7 @@ class Dashboard {
           <h3>Recent Conversations</h3>
           <div class="conversation-list">
             ${this.conversations.slice(0, 10).map(conv => `
-              <div class="conversation-item">
+              <div class="conversation-item" data-id="${conv.id}">
                 <div class="conversation-header">
                   <span class="platform-badge ${conv.platform}">${conv.platform}</span>
                   <span class="timestamp">${this.formatDate(conv.last_activity)}</span>
@@ -166,9 +292,11 @@ class Dashboard {
       <div class="conversations">
         <header class="page-header">
           <h2>Conversations</h2>
-          <input type="search" placeholder="Search conversations..." class="search-input" id="search-input">
+          <input type="search" placeholder="Search messages, code, titles and system prompts..." class="search-input" id="search-input">
+          <p class="card-note">Use "quoted phrases", prefix*, AND / OR / NOT, and platform:, model:, role:, before: or after: (YYYY-MM-DD) filters</p>
         </header>
 
+        ${this.searchResults ? this.renderSearchResults() : `
         <div class="conversation-list">
           ${this.conversations.map(conv => `
             <div class="conversation-card" data-id="${conv.id}">
@@ -180,11 +308,291 @@ class Dashboard {
               <div class="conversation-stats">
                 <span>💬 ${conv.message_count} messages</span>
                 <span>🎯 ${conv.total_tokens} tokens</span>
+                <span>💵 ${this.formatCost(conv.total_cost)}</span>
                 ${conv.model_used ? `<span>🤖 ${conv.model_used}</span>` : ''}
               </div>
             </div>
           `).join('')}
         </div>
+        `}
+      </div>
+    `;
+  }
+
+  renderSearchResults() {
+    const { results, total, offset } = this.searchResults;
+    const labels = { message: 'Message', title: 'Title', system_prompt: 'System prompt' };
+
+    if (total === 0) {
+      return '<p class="card-note">No matches.</p>';
+    }
+
+    return `
+      <p class="card-note">${total} matches, best first</p>
+      <div class="conversation-list">
+        ${results.map(hit => `
+          <div class="search-hit ${hit.kind === 'system_prompt' ? '' : 'conversation-card'}" data-id="${hit.conversation_id || ''}">
+            <div class="conversation-header">
+              <span class="platform-badge ${hit.platform}">${hit.platform}</span>
+              <span class="timestamp">${labels[hit.kind]}${hit.role && hit.kind === 'message' ? ` • ${hit.role}` : ''} • ${this.formatDate(hit.timestamp)}</span>
+            </div>
+            ${hit.kind === 'message' ? `<h3>${this.escapeHtml(hit.title || 'Untitled Conversation')}</h3>` : ''}
+            <div class="search-snippet">${this.renderSnippet(hit.snippet)}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="search-pager">
+        <button class="link-button search-page" data-offset="${offset - SEARCH_PAGE_SIZE}" ${offset === 0 ? 'disabled' : ''}>← Previous</button>
+        <span>${offset + 1}–${offset + results.length} of ${total}</span>
+        <button class="link-button search-page" data-offset="${offset + SEARCH_PAGE_SIZE}" ${offset + SEARCH_PAGE_SIZE >= total ? 'disabled' : ''}>Next →</button>
+      </div>
+    `;
+  }
+
+  /**
+   * A search snippet, with its matches highlighted
+   */
+  renderSnippet(pieces) {
+    return pieces
+      .map(piece => piece.match ? `<mark>${this.escapeHtml(piece.text)}</mark>` : this.escapeHtml(piece.text))
+      .join('');
+  }
+
+  renderConversationDetail() {
+    const { conversation, messages, captures, systemPrompts, parts = [], contexts = [] } = this.conversation;
+
+    const capturesByMessage = {};
+    captures.forEach(capture => {
+      (capturesByMessage[capture.message_id] = capturesByMessage[capture.message_id] || []).push(capture);
+    });
+    const partsByMessage = {};
+    parts.forEach(part => {
+      (partsByMessage[part.message_id] = partsByMessage[part.message_id] || []).push(part);
+    });
+    // Contexts without a reply belong to the message their request is linked to
+    const contextByMessage = {};
+    contexts.forEach(context => {
+      const messageId = context.message_id || captures.find(capture => capture.id === context.api_capture_id)?.message_id;
+      if (messageId) {
+        contextByMessage[messageId] = context;
+      }
+    });
+
+    return `
+      <div class="conversation-detail">
+        <header class="page-header">
+          <button class="link-button" id="back-to-conversations">← ${this.conversation.archive ? 'Settings' : 'Conversations'}</button>
+          <h2>${this.escapeHtml(conversation.title || 'Untitled Conversation')}</h2>
+          ${this.conversation.archive ? `
+            <p class="card-note">Archived in ${this.conversation.archive}, read-only</p>
+          ` : `
+            <button class="link-button" id="delete-conversation" data-id="${this.escapeHtml(conversation.id)}">Move to trash</button>
+          `}
+          <div class="conversation-stats">
+            <span class="platform-badge ${conversation.platform}">${conversation.platform}</span>
+            <span>💬 ${messages.length} messages</span>
+            <span>🎯 ${conversation.total_tokens || 0} tokens</span>
+            <span>💵 ${this.formatCost(conversation.total_cost)}</span>
+            ${conversation.model_used ? `<span>🤖 ${this.escapeHtml(conversation.model_used)}</span>` : ''}
+            <span>Started ${this.formatDate(conversation.started_at)}</span>
+          </div>
+        </header>
+
+        <div class="detail-layout">
+          <section class="transcript">
+            ${messages.map(message => this.renderMessage(message, capturesByMessage[message.id] || [], conversation, partsByMessage[message.id] || [], contextByMessage[message.id])).join('')}
+          </section>
+
+          <aside class="detail-sidebar">
+            <div class="card">
+              <h3>Context Window</h3>
+              ${contexts.length === 0 ? '<p class="card-note">None captured</p>' : ''}
+              ${contexts.map(context => this.renderContextUsage(context)).join('')}
+            </div>
+
+            <div class="card">
+              <h3>System Prompts</h3>
+              ${systemPrompts.length === 0 ? '<p class="card-note">None captured</p>' : ''}
+              ${systemPrompts.map(prompt => `
+                <details class="detail-block">
+                  <summary>${this.escapeHtml(prompt.prompt_text.substring(0, 80))}${prompt.prompt_text.length > 80 ? '...' : ''}</summary>
+                  <pre>${this.escapeHtml(prompt.prompt_text)}</pre>
+                  <div class="prompt-meta">
+                    ${prompt.estimated_tokens != null ? `<span>~${prompt.estimated_tokens} tokens</span>` : ''}
+                    <span>Used ${prompt.occurrence_count} times</span>
+                  </div>
+                </details>
+              `).join('')}
+            </div>
+
+            <div class="card">
+              <h3>API Requests</h3>
+              ${captures.length === 0 ? '<p class="card-note">None captured</p>' : ''}
+              ${captures.map(capture => this.renderCapture(capture)).join('')}
+            </div>
+          </aside>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * A message with the parts of a reply around its text: reasoning before
+   * it, then tool calls and their output, then the sources it cites
+   */
+  renderMessage(message, captures, conversation, parts = [], context = null) {
+    const model = captures.find(capture => capture.model)?.model || conversation.model_used;
+    const streamed = captures.some(capture => capture.is_streaming);
+    const thinking = parts.filter(part => part.part_type === 'thinking');
+    const tools = parts.filter(part => ['tool_call', 'tool_result', 'code_output'].includes(part.part_type));
+    const citations = parts.filter(part => part.part_type === 'citation');
+
+    const meta = [
+      model && `🤖 ${this.escapeHtml(model)}`,
+      message.tokens_prompt != null && `${message.tokens_prompt} prompt tokens`,
+      message.tokens_completion != null && `${message.tokens_completion} completion tokens`,
+      message.tokens_reasoning != null && `💭 ${message.tokens_reasoning} reasoning`,
+      context?.context_window_size && `📚 ${this.formatPercent(context.context_tokens / context.context_window_size)} of context`,
+      message.time_to_first_token_ms != null && `⚡ TTFT ${this.formatDuration(message.time_to_first_token_ms)}`,
+      message.total_generation_time_ms != null && `⏱ ${this.formatDuration(message.total_generation_time_ms)}`,
+      message.cost != null && `💵 ${this.formatCost(message.cost)}`,
+    ].filter(Boolean);
+
+    return `
+      <div class="message ${message.role} ${message.visible_to_user ? '' : 'api-only'}">
+        <div class="message-header">
+          <span class="message-role">${message.role}</span>
+          ${message.is_edited ? '<span class="message-flag">edited</span>' : ''}
+          ${message.is_regenerated ? '<span class="message-flag">regenerated</span>' : ''}
+          ${message.visible_to_user ? '' : '<span class="message-flag">API only</span>'}
+          ${context?.history_truncated ? '<span class="message-flag truncated">history truncated</span>' : ''}
+          <span class="timestamp">${new Date(message.timestamp).toLocaleTimeString()}</span>
+        </div>
+        ${thinking.map(part => this.renderMessagePart(part)).join('')}
+        <div class="message-content">${this.escapeHtml(message.visible_content)}</div>
+        ${this.renderAttachments(message)}
+        ${tools.map(part => this.renderMessagePart(part)).join('')}
+        ${citations.length > 0 ? `
+          <div class="message-sources">
+            <span>Sources</span>
+            <ol>
+              ${citations.map(part => {
+                const { title } = JSON.parse(part.metadata || '{}');
+                return `<li>${this.escapeHtml(title || part.content)} <span class="source-url">${this.escapeHtml(part.content)}</span></li>`;
+              }).join('')}
+            </ol>
+          </div>
+        ` : ''}
+        <div class="message-meta">
+          ${meta.map(item => `<span>${item}</span>`).join('')}
+          ${streamed ? `<button class="link-button replay-stream" data-id="${this.escapeHtml(message.id)}">▶ Replay stream</button>` : ''}
+        </div>
+        <div class="stream-replay" data-id="${this.escapeHtml(message.id)}"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Files attached to a message. Stored files show their size, and images
+   * a thumbnail, loaded once the view is shown.
+   */
+  renderAttachments(message) {
+    const attachments = JSON.parse(message.attachments || '[]');
+    if (attachments.length === 0) {
+      return '';
+    }
+
+    const icons = { image: '🖼', audio: '🎧', video: '🎬', file: '📄' };
+    return `
+      <div class="message-attachments">
+        ${attachments.map(attachment => `
+          <div class="attachment ${attachment.sha256 ? 'stored' : ''}" title="${this.escapeHtml(attachment.sha256 ? `SHA-256 ${attachment.sha256}` : 'Not stored')}">
+            ${attachment.sha256 && attachment.type === 'image' ? `<img class="attachment-thumb" data-sha256="${this.escapeHtml(attachment.sha256)}" alt="">` : ''}
+            <span>${icons[attachment.type] || icons.file} ${this.escapeHtml(attachment.name || attachment.alt || attachment.type)}</span>
+            ${attachment.size != null ? `<span class="attachment-size">${this.formatBytes(attachment.size)}</span>` : ''}
+            ${attachment.source === 'upload' ? '<span class="message-flag">uploaded</span>' : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * How full the context window was for one request, and what it held
+   */
+  renderContextUsage(context) {
+    const { window_assumed: assumed } = JSON.parse(context.metadata || '{}');
+    const share = context.context_window_size ? context.context_tokens / context.context_window_size : null;
+    const level = share >= 0.9 ? 'full' : share >= 0.7 ? 'high' : '';
+    const contents = [
+      context.includes_system_prompt && 'system prompt',
+      `${context.history_message_count} history messages`,
+    ].filter(Boolean);
+
+    return `
+      <div class="context-usage">
+        <div class="context-usage-header">
+          <span>${new Date(context.timestamp).toLocaleTimeString()}</span>
+          <span>${context.context_tokens ?? '?'}${context.context_window_size ? ` / ${context.context_window_size}` : ''} tokens</span>
+        </div>
+        ${share != null ? `
+          <div class="context-meter ${level}" title="${this.formatPercent(share)} of the context window${assumed ? ' (window size assumed)' : ''}">
+            <div style="width: ${Math.min(share, 1) * 100}%"></div>
+          </div>
+        ` : ''}
+        <div class="context-contents">
+          ${contents.join(' · ')}
+          ${context.history_truncated ? '<span class="message-flag truncated">history truncated</span>' : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderMessagePart(part) {
+    const { name } = JSON.parse(part.metadata || '{}');
+    const label = {
+      thinking: '💭 Thinking',
+      tool_call: `🔧 Tool call${name ? `: ${name}` : ''}`,
+      tool_result: `📥 Tool result${name ? `: ${name}` : ''}`,
+      code_output: '🖥 Code output',
+    }[part.part_type];
+
+    return `
+      <details class="detail-block message-part ${part.part_type}">
+        <summary>${this.escapeHtml(label)}${part.estimated_tokens ? ` <span class="part-tokens">~${part.estimated_tokens} tokens</span>` : ''}</summary>
+        <pre>${this.escapeHtml(part.content || '')}</pre>
+      </details>
+    `;
+  }
+
+  renderCapture(capture) {
+    const params = [
+      ['Source', capture.source],
+      ['Model', capture.model],
+      ['Temperature', capture.temperature],
+      ['Max tokens', capture.max_tokens],
+      ['Top P', capture.top_p],
+      ['Frequency penalty', capture.frequency_penalty],
+      ['Presence penalty', capture.presence_penalty],
+      ['Streaming', capture.is_streaming ? (capture.stream_complete ? 'yes' : 'yes (incomplete)') : 'no'],
+    ].filter(([, value]) => value != null);
+
+    return `
+      <div class="capture">
+        <div class="capture-header">
+          <span>${capture.request_method || 'POST'} ${capture.response_status || ''}</span>
+          <span class="timestamp">${new Date(capture.timestamp).toLocaleTimeString()}</span>
+        </div>
+        <div class="capture-url">${this.escapeHtml(capture.request_url || '')}</div>
+        <table class="param-table">
+          ${params.map(([name, value]) => `
+            <tr><th>${name}</th><td>${this.escapeHtml(String(value))}</td></tr>
+          `).join('')}
+        </table>
+        <details class="detail-block">
+          <summary>Request body</summary>
+          <pre>${this.escapeHtml(this.formatJson(capture.request_body))}</pre>
+        </details>
       </div>
     `;
   }
@@ -230,6 +638,17 @@ class Dashboard {
   }
 
   renderAnalytics() {
+    const report = this.analytics;
+    if (!report) {
+      return '<div class="analytics"><div class="card">Loading analytics…</div></div>';
+    }
+
+    const { period, summary, productivity } = report;
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const heatmap = {};
+    report.heatmap.forEach(cell => { heatmap[`${cell.weekday}-${cell.hour}`] = cell.message_count; });
+    const maxCell = Math.max(1, ...report.heatmap.map(cell => cell.message_count));
+
     return `
       <div class="analytics">
         <header class="page-header">
@@ -237,17 +656,578 @@ class Dashboard {
           <p class="subtitle">Detailed usage insights</p>
         </header>
 
+        <div class="analytics-filters">
+          <label>From <input type="date" id="analytics-start" value="${period.start_date ? this.formatDateInput(period.start_date) : ''}"></label>
+          <label>To <input type="date" id="analytics-end" value="${this.formatDateInput(period.end_date)}"></label>
+          <label>Platform
+            <select id="analytics-platform">
+              <option value="">All platforms</option>
+              ${report.platforms.map(platform => `
+                <option value="${platform}" ${platform === period.platform ? 'selected' : ''}>${platform}</option>
+              `).join('')}
+            </select>
+          </label>
+          ${[7, 30, 90].map(range => `
+            <button class="range-button" data-days="${range}">Last ${range} days</button>
+          `).join('')}
+        </div>
+
+        <div class="stats-grid">
+          <div class="stat-card">
+            <div class="stat-value">${((summary.total_tokens || 0) / 1000).toFixed(1)}K</div>
+            <div class="stat-label">Tokens</div>
+            <div class="stat-trend">${period.days} days</div>
+          </div>
+
+          <div class="stat-card">
+            <div class="stat-value">${((summary.reasoning_tokens || 0) / 1000).toFixed(1)}K</div>
+            <div class="stat-label">Reasoning Tokens</div>
+            <div class="stat-trend">${((summary.answer_tokens || 0) / 1000).toFixed(1)}K in answers</div>
+          </div>
+
+          <div class="stat-card">
+            <div class="stat-value">${this.formatCost(summary.total_cost)}</div>
+            <div class="stat-label">Estimated Cost</div>
+            <div class="stat-trend">At API list prices</div>
+          </div>
+
+          <div class="stat-card">
+            <div class="stat-value">${summary.total_conversations}</div>
+            <div class="stat-label">Conversations</div>
+            <div class="stat-trend">${productivity.active_days} active days</div>
+          </div>
+
+          <div class="stat-card">
+            <div class="stat-value">${productivity.messages_per_day.toFixed(1)}</div>
+            <div class="stat-label">Messages per Day</div>
+            <div class="stat-trend">On active days</div>
+          </div>
+
+          <div class="stat-card">
+            <div class="stat-value">${this.formatTimeSpent(summary.active_time_ms)}</div>
+            <div class="stat-label">Time Spent</div>
+            <div class="stat-trend">${summary.total_sessions} sessions</div>
+          </div>
+        </div>
+
+        <div class="card">
+          <h3>Daily Usage</h3>
+          <div class="chart-box wide"><canvas id="chart-trends"></canvas></div>
+        </div>
+
+        <div class="analytics-grid">
+          <div class="card">
+            <h3>Cost by Platform</h3>
+            <div class="chart-box"><canvas id="chart-platforms"></canvas></div>
+          </div>
+
+          <div class="card">
+            <h3>Model Usage</h3>
+            <div class="chart-box"><canvas id="chart-models"></canvas></div>
+          </div>
+        </div>
+
+        <div class="card">
+          <h3>Time Spent</h3>
+          ${report.sessions.length === 0 ? '<p class="card-note">No usage sessions in this range.</p>' : `
+            <table class="price-table">
+              <tr><th>Platform</th><th>Sessions</th><th>Active</th><th>Inactive</th><th>Avg. active</th><th>Sent</th><th>Received</th></tr>
+              ${report.sessions.map(session => `
+                <tr>
+                  <td><span class="platform-badge ${session.platform}">${session.platform}</span></td>
+                  <td>${session.session_count}</td>
+                  <td>${this.formatTimeSpent(session.active_ms)}</td>
+                  <td>${this.formatTimeSpent(session.inactive_ms)}</td>
+                  <td>${this.formatTimeSpent(session.avg_active_ms)}</td>
+                  <td>${session.messages_sent}</td>
+                  <td>${session.messages_received}</td>
+                </tr>
+              `).join('')}
+            </table>
+            <p class="card-note">
+              Prompts by input method:
+              ${['typed', 'pasted', 'voice', 'edited'].map(method => `${method} ${report.input_methods[method] || 0}`).join(' • ')}
+            </p>
+          `}
+        </div>
+
+        <div class="card">
+          <h3>Peak Hours</h3>
+          <div class="heatmap">
+            <span></span>
+            ${Array.from({ length: 24 }, (_, hour) => `<span class="heatmap-hour">${hour % 3 === 0 ? hour : ''}</span>`).join('')}
+            ${days.map((day, weekday) => `
+              <span class="heatmap-day">${day}</span>
+              ${Array.from({ length: 24 }, (_, hour) => {
+                const count = heatmap[`${weekday}-${hour}`] || 0;
+                return `<span class="heatmap-cell" style="opacity: ${count ? 0.15 + 0.85 * count / maxCell : 0.05}" title="${day} ${hour}:00 • ${count} messages"></span>`;
+              }).join('')}
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="analytics-grid">
+          <div class="card">
+            <h3>Conversation Depth</h3>
+            <div class="chart-box"><canvas id="chart-depth"></canvas></div>
+          </div>
+
+          <div class="card">
+            <h3>Top Conversations</h3>
+            <div class="conversation-list">
+              ${report.top_conversations.length === 0 ? '<p class="card-note">No conversations in this range.</p>' : ''}
+              ${report.top_conversations.map(conv => `
+                <div class="conversation-item" data-id="${conv.id}">
+                  <div class="conversation-header">
+                    <span class="platform-badge ${conv.platform}">${conv.platform}</span>
+                    <span class="timestamp">${this.formatCost(conv.total_cost)}</span>
+                  </div>
+                  <div class="conversation-title">${this.escapeHtml(conv.title || 'Untitled Conversation')}</div>
+                  <div class="conversation-meta">
+                    ${conv.message_count} messages • ${conv.total_tokens} tokens
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Draw the analytics charts into the canvases of the rendered view
+   */
+  renderCharts() {
+    const report = this.analytics;
+    if (!report || !window.Chart) return;
+    const { Chart } = window;
+
+    const trends = this.fillDailyTrends(report.trends, report.period);
+    this.charts.push(new Chart(document.getElementById('chart-trends'), {
+      type: 'line',
+      data: {
+        labels: trends.map(day => day.date),
+        datasets: [
+          { label: 'Tokens', data: trends.map(day => day.total_tokens), borderColor: '#667eea', backgroundColor: '#667eea', yAxisID: 'tokens', tension: 0.3 },
+          { label: 'Reasoning tokens', data: trends.map(day => day.reasoning_tokens || 0), borderColor: '#a78bfa', backgroundColor: '#a78bfa', yAxisID: 'tokens', tension: 0.3 },
+          { label: 'Cost (USD)', data: trends.map(day => day.total_cost), borderColor: '#d97757', backgroundColor: '#d97757', yAxisID: 'cost', tension: 0.3 },
+        ],
+      },
+      options: {
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          tokens: { position: 'left', beginAtZero: true },
+          cost: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } },
+        },
+      },
+    }));
+
+    this.charts.push(new Chart(document.getElementById('chart-platforms'), {
+      type: 'doughnut',
+      data: {
+        labels: report.by_platform.map(usage => usage.platform),
+        datasets: [{
+          data: report.by_platform.map(usage => usage.estimated_cost),
+          backgroundColor: report.by_platform.map(usage => this.platformColor(usage.platform)),
+        }],
+      },
+      options: {
+        maintainAspectRatio: false,
+        plugins: {
+          tooltip: { callbacks: { label: (item) => `${item.label}: ${this.formatCost(item.raw)}` } },
+        },
+      },
+    }));
+
+    this.charts.push(new Chart(document.getElementById('chart-models'), {
+      type: 'bar',
+      data: {
+        labels: report.model_usage.map(usage => usage.model),
+        datasets: [{ label: 'Tokens', data: report.model_usage.map(usage => usage.total_tokens), backgroundColor: '#667eea' }],
+      },
+      options: { maintainAspectRatio: false, indexAxis: 'y', plugins: { legend: { display: false } } },
+    }));
+
+    const buckets = this.bucketDepth(report.conversation_depth);
+    this.charts.push(new Chart(document.getElementById('chart-depth'), {
+      type: 'bar',
+      data: {
+        labels: buckets.map(bucket => bucket.label),
+        datasets: [{ label: 'Conversations', data: buckets.map(bucket => bucket.count), backgroundColor: '#764ba2' }],
+      },
+      options: {
+        maintainAspectRatio: false,
+        plugins: { legend: { display: false } },
+        scales: { x: { title: { display: true, text: 'Messages per conversation' } }, y: { beginAtZero: true, ticks: { precision: 0 } } },
+      },
+    }));
+  }
+
+  destroyCharts() {
+    this.charts.forEach(chart => chart.destroy());
+    this.charts = [];
+  }
+
+  /**
+   * One row per day of the period, with zeros for days without messages.
+   * Dates are local, as grouped by UsageAnalyzer.getUsageTrends.
+   */
+  fillDailyTrends(trends, period) {
+    const byDate = new Map(trends.map(day => [day.date, day]));
+    const first = period.start_date || (trends.length > 0 ? new Date(`${trends[0].date}T00:00:00`).getTime() : period.end_date);
+    const end = this.formatDateInput(period.end_date);
+
+    const filled = [];
+    const day = new Date(first);
+    day.setHours(0, 0, 0, 0);
+    while (this.formatDateInput(day) <= end) {
+      const date = this.formatDateInput(day);
+      filled.push(byDate.get(date) || { date, total_tokens: 0, reasoning_tokens: 0, total_cost: 0 });
+      day.setDate(day.getDate() + 1);
+    }
+    return filled;
+  }
+
+  bucketDepth(depth) {
+    const buckets = [
+      { label: '1-2', max: 2 },
+      { label: '3-5', max: 5 },
+      { label: '6-10', max: 10 },
+      { label: '11-20', max: 20 },
+      { label: '21-50', max: 50 },
+      { label: '51+', max: Infinity },
+    ].map(bucket => ({ ...bucket, count: 0 }));
+
+    depth.forEach(row => {
+      buckets.find(bucket => row.message_count <= bucket.max).count += row.conversation_count;
+    });
+    return buckets;
+  }
+
+  platformColor(platform) {
+    const colors = {
+      chatgpt: '#10a37f',
+      claude: '#d97757',
+      gemini: '#4285f4',
+      perplexity: '#20808d',
+      copilot: '#0078d4',
+      mistral: '#fa520f',
+      poe: '#5d5cde',
+      deepseek: '#4d6bfe',
+    };
+    return colors[platform] || '#9ca3af';
+  }
+
+  renderSettings() {
+    return `
+      <div class="settings">
+        <header class="page-header">
+          <h2>Settings</h2>
+          <p class="subtitle">Configure how usage is tracked and priced</p>
+        </header>
+
         <div class="card">
-          <h3>Coming Soon</h3>
-          <p>Advanced analytics, charts, and insights will be available here.</p>
-          <ul style="margin-top: 16px; padding-left: 20px;">
-            <li>Usage trends over time</li>
-            <li>Platform comparison</li>
-            <li>Token efficiency analysis</li>
-            <li>Cost estimation</li>
-            <li>Response time patterns</li>
-          </ul>
+          <h3>Model Prices</h3>
+          <p class="card-note">
+            USD per million tokens. Costs are computed when messages are captured, using the price
+            in effect on that day; editing a price does not change costs already recorded.
+          </p>
+
+          <table class="price-table">
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th>From</th>
+                <th>Input</th>
+                <th>Cached input</th>
+                <th>Output</th>
+                <th>Reasoning</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.modelPrices.map(price => `
+                <tr class="${price.source}">
+                  <td>${this.escapeHtml(price.model)}</td>
+                  <td>${price.effective_from}</td>
+                  <td>${this.formatPrice(price.input_price)}</td>
+                  <td>${this.formatPrice(price.cached_input_price)}</td>
+                  <td>${this.formatPrice(price.output_price)}</td>
+                  <td>${this.formatPrice(price.reasoning_price)}</td>
+                  <td>
+                    ${price.source === 'user' ? `
+                      <button class="link-button delete-price" data-model="${this.escapeHtml(price.model)}" data-from="${price.effective_from}">Remove</button>
+                    ` : '<span class="price-source">catalog</span>'}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+
+          <form class="price-form" id="price-form">
+            <input name="model" placeholder="Model ID, e.g. gpt-4o" required>
+            <input name="effective_from" type="date" required>
+            <input name="input_price" type="number" min="0" step="any" placeholder="Input" required>
+            <input name="cached_input_price" type="number" min="0" step="any" placeholder="Cached input">
+            <input name="output_price" type="number" min="0" step="any" placeholder="Output" required>
+            <input name="reasoning_price" type="number" min="0" step="any" placeholder="Reasoning">
+            <button type="submit">Save price</button>
+          </form>
+          <div class="form-error" id="price-error"></div>
         </div>
+
+        ${this.renderProxySettings()}
+
+        ${this.renderAttachmentSettings()}
+
+        ${this.renderSessionSettings()}
+
+        ${this.renderRetentionSettings()}
+
+        ${this.renderEncryptionSettings()}
+      </div>
+    `;
+  }
+
+  renderEncryptionSettings() {
+    const { encrypted } = this.lockState;
+    return `
+      <div class="card">
+        <h3>Encryption</h3>
+        <p class="card-note">
+          ${encrypted ? `
+            The database, its backups, archives and attachments are encrypted with a key derived from your
+            passphrase, which is asked for when the app starts. Changing the passphrase encrypts
+            them again with a new key. There is no way to recover a forgotten passphrase.
+          ` : `
+            The database is not encrypted. Encrypting it, with its backups, archives and
+            attachments, asks for the passphrase whenever the app starts. There is no way to
+            recover a forgotten passphrase.
+          `}
+        </p>
+
+        <form class="proxy-form" id="encryption-form">
+          ${encrypted ? `
+            <input name="current" type="password" placeholder="Current passphrase" autocomplete="current-password" required>
+          ` : ''}
+          <input name="next" type="password" placeholder="${encrypted ? 'New passphrase' : 'Passphrase'}" minlength="8" autocomplete="new-password" required>
+          <input name="confirm" type="password" placeholder="Confirm" minlength="8" autocomplete="new-password" required>
+          <button type="submit">${encrypted ? 'Change passphrase' : 'Encrypt'}</button>
+          ${encrypted ? '<button type="button" id="decrypt-database">Decrypt</button>' : ''}
+        </form>
+        <div class="form-error" id="encryption-error"></div>
+
+        <h4>Encrypted export</h4>
+        <p class="card-note">
+          A copy of the database encrypted with a passphrase of its own. It opens as the database
+          with that passphrase.
+        </p>
+        <form class="proxy-form" id="export-form">
+          <input name="passphrase" type="password" placeholder="Export passphrase" minlength="8" autocomplete="new-password" required>
+          <button type="submit">Export…</button>
+          <span class="proxy-status" id="export-status"></span>
+        </form>
+        <div class="form-error" id="export-error"></div>
+      </div>
+    `;
+  }
+
+  renderRetentionSettings() {
+    const settings = this.retentionSettings;
+    if (!settings) {
+      return '';
+    }
+
+    return `
+      <div class="card">
+        <h3>Retention</h3>
+        <p class="card-note">
+          Conversations inactive for longer than the retention period are moved out of the
+          database into monthly archives next to it, which can be opened here read-only; 0 days
+          keeps them in the database. Conversations moved to the trash are deleted for good after
+          the grace period, with everything captured in them, as are stored files no conversation
+          uses any more. This runs daily${settings.lastRun ? `, last on ${this.formatDate(settings.lastRun)}` : ''}.
+        </p>
+
+        <form class="proxy-form" id="retention-form">
+          <label>
+            Archive after
+            <input name="retentionDays" type="number" min="0" step="1" value="${settings.retentionDays}" required>
+            days
+          </label>
+          <label>
+            Purge after
+            <input name="graceDays" type="number" min="0" step="1" value="${settings.graceDays}" required>
+            days in the trash
+          </label>
+          <button type="submit">Save</button>
+          <button type="button" class="run-retention" data-dry-run="1">Preview</button>
+          <button type="button" class="run-retention">Run now</button>
+        </form>
+        <div class="form-error" id="retention-error"></div>
+
+        ${this.retentionReport ? this.renderRetentionReport(this.retentionReport) : ''}
+
+        <h4>Trash</h4>
+        ${this.deletedConversations.length === 0 ? '<p class="card-note">Empty</p>' : `
+          <div class="conversation-list">
+            ${this.deletedConversations.map(conv => `
+              <div class="conversation-header">
+                <span class="platform-badge ${conv.platform}">${conv.platform}</span>
+                <span>${this.escapeHtml(conv.title || 'Untitled Conversation')}</span>
+                <span class="timestamp">Deleted ${this.formatDate(conv.deleted_at)}</span>
+                <button class="link-button restore-conversation" data-id="${this.escapeHtml(conv.id)}">Restore</button>
+              </div>
+            `).join('')}
+          </div>
+        `}
+
+        <h4>Archives</h4>
+        ${this.archives.length === 0 ? '<p class="card-note">None yet</p>' : `
+          <div class="conversation-list">
+            ${this.archives.map(archive => `
+              <div class="conversation-header">
+                <span>${archive.month}</span>
+                <span class="timestamp">${this.formatBytes(archive.size)}</span>
+                <button class="link-button open-archive" data-month="${archive.month}">Open</button>
+              </div>
+              ${this.archive && this.archive.month === archive.month ? this.archive.conversations.map(conv => `
+                <div class="archived-conversation" data-id="${this.escapeHtml(conv.id)}" data-month="${archive.month}">
+                  <div class="conversation-header">
+                    <span class="platform-badge ${conv.platform}">${conv.platform}</span>
+                    <span class="timestamp">${this.formatDate(conv.last_activity)}</span>
+                  </div>
+                  <div class="conversation-title">${this.escapeHtml(conv.title || 'Untitled Conversation')}</div>
+                </div>
+              `).join('') : ''}
+            `).join('')}
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * What a retention run removed, or would remove
+   */
+  renderRetentionReport(report) {
+    const { archive, purge, blobs } = report;
+    return `
+      <div class="retention-report">
+        <strong>${report.dryRun ? 'A run now would' : 'This run did'}:</strong>
+        <ul>
+          <li>
+            Archive ${archive.conversations} conversations (${archive.messages} messages)
+            ${archive.months.length > 0 ? `into ${archive.months.map(month => `${month.month} (${month.conversations})`).join(', ')}` : ''}
+          </li>
+          <li>
+            Purge ${purge.conversations} conversations from the trash, with ${purge.messages} messages,
+            ${purge.captures} API captures and ${purge.chunks} streaming chunks
+          </li>
+          <li>Delete ${blobs.count} stored files (${this.formatBytes(blobs.bytes)})</li>
+        </ul>
+      </div>
+    `;
+  }
+
+  renderAttachmentSettings() {
+    const settings = this.attachmentSettings;
+    if (!settings) {
+      return '';
+    }
+
+    const labels = { image: 'Images', audio: 'Audio', video: 'Video', file: 'Other files' };
+    return `
+      <div class="card">
+        <h3>Attachments</h3>
+        <p class="card-note">
+          Uploaded files and media shown in replies are stored once each, by content hash, next
+          to the database. Files over the size cap, or of a kind turned off here, are not stored;
+          messages still list them.
+        </p>
+
+        <form class="proxy-form" id="attachment-form">
+          <label>
+            <input name="enabled" type="checkbox" ${settings.enabled ? 'checked' : ''}>
+            Store attachments
+          </label>
+          ${Object.entries(settings.kinds).map(([kind, captured]) => `
+            <label>
+              <input name="kind-${kind}" type="checkbox" ${captured ? 'checked' : ''}>
+              ${labels[kind] || kind}
+            </label>
+          `).join('')}
+          <label>
+            Up to
+            <input name="maxMegabytes" type="number" min="0" step="any" value="${settings.maxBytes / (1024 * 1024)}" required>
+            MB
+          </label>
+          <button type="submit">Save</button>
+        </form>
+        <div class="form-error" id="attachment-error"></div>
+      </div>
+    `;
+  }
+
+  renderSessionSettings() {
+    const settings = this.sessionSettings;
+    if (!settings) {
+      return '';
+    }
+
+    return `
+      <div class="card">
+        <h3>Usage Sessions</h3>
+        <p class="card-note">
+          Time on each platform is tracked per tab. A session ends when its tab is closed or
+          leaves the platform, or after this long without the tab focused or the computer in
+          use. Changes apply when the extension next connects.
+        </p>
+
+        <form class="proxy-form" id="session-form">
+          <label>
+            End after
+            <input name="idleTimeoutMinutes" type="number" min="1" step="1" value="${settings.idleTimeoutMinutes}" required>
+            minutes inactive
+          </label>
+          <button type="submit">Save</button>
+        </form>
+        <div class="form-error" id="session-error"></div>
+      </div>
+    `;
+  }
+
+  renderProxySettings() {
+    const proxy = this.proxySettings;
+    if (!proxy) {
+      return '';
+    }
+
+    const base = proxy.url || `http://127.0.0.1:${proxy.port}`;
+    return `
+      <div class="card">
+        <h3>Recording Proxy</h3>
+        <p class="card-note">
+          Records API calls made by scripts and IDEs. Point an OpenAI client's base URL at
+          <code>${base}/&lt;client&gt;/v1</code> or an Anthropic client's at
+          <code>${base}/&lt;client&gt;</code>; requests are forwarded to the real API and
+          recorded with the source <code>proxy:&lt;client&gt;</code>.
+        </p>
+
+        <form class="proxy-form" id="proxy-form">
+          <label>
+            <input name="enabled" type="checkbox" ${proxy.enabled ? 'checked' : ''}>
+            Enabled
+          </label>
+          <input name="port" type="number" min="1" max="65535" value="${proxy.port}" required>
+          <button type="submit">Save</button>
+          <span class="proxy-status ${proxy.running ? 'running' : ''}">
+            ${proxy.running ? `Listening on ${proxy.url}` : 'Not running'}
+          </span>
+        </form>
+        <div class="form-error" id="proxy-error"></div>
       </div>
     `;
   }
@@ -383,7 +1363,7 @@ class Dashboard {
         gap: 12px;
       }
 
-      .conversation-item, .conversation-card {
+      .conversation-item, .conversation-card, .archived-conversation {
         padding: 16px;
         border: 1px solid #e5e7eb;
         border-radius: 8px;
@@ -426,7 +1406,32 @@ class Dashboard {
         color: white;
       }
 
-      .timestamp {
+      .platform-badge.perplexity {
+        background: #20808d;
+        color: white;
+      }
+
+      .platform-badge.copilot {
+        background: #0078d4;
+        color: white;
+      }
+
+      .platform-badge.mistral {
+        background: #fa520f;
+        color: white;
+      }
+
+      .platform-badge.poe {
+        background: #5d5cde;
+        color: white;
+      }
+
+      .platform-badge.deepseek {
+        background: #4d6bfe;
+        color: white;
+      }
+
+      .timestamp {
         font-size: 12px;
         color: #999;
       }
@@ -452,6 +1457,38 @@ class Dashboard {
         font-size: 14px;
       }
 
+      .search-hit {
+        padding: 16px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+      }
+
+      .search-snippet {
+        font-size: 14px;
+        color: #333;
+        white-space: pre-wrap;
+      }
+
+      .search-snippet mark {
+        background: #fef08a;
+        border-radius: 2px;
+      }
+
+      .search-pager {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 16px;
+        margin-top: 16px;
+        font-size: 13px;
+        color: #666;
+      }
+
+      .search-pager .link-button:disabled {
+        color: #ccc;
+        cursor: default;
+      }
+
       .prompts-list {
         display: flex;
         flex-direction: column;
@@ -490,6 +1527,512 @@ class Dashboard {
         color: #666;
         font-weight: normal;
       }
+
+      .conversation-item, .archived-conversation {
+        cursor: pointer;
+      }
+
+      .detail-layout {
+        display: grid;
+        grid-template-columns: minmax(0, 2fr) minmax(280px, 1fr);
+        gap: 20px;
+        align-items: start;
+      }
+
+      .transcript {
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+      }
+
+      .message {
+        background: white;
+        border-radius: 12px;
+        padding: 16px 20px;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+        border-left: 4px solid #e5e7eb;
+      }
+
+      .message.user {
+        border-left-color: #667eea;
+      }
+
+      .message.assistant {
+        border-left-color: #10a37f;
+      }
+
+      .message.api-only {
+        opacity: 0.6;
+        border-style: dashed;
+      }
+
+      .message-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+
+      .message-role {
+        font-weight: 600;
+        text-transform: capitalize;
+      }
+
+      .message-header .timestamp {
+        margin-left: auto;
+      }
+
+      .message-flag {
+        padding: 2px 6px;
+        border-radius: 4px;
+        background: #f3f4f6;
+        font-size: 11px;
+        color: #666;
+      }
+
+      .message-content {
+        white-space: pre-wrap;
+        line-height: 1.6;
+        font-size: 14px;
+      }
+
+      .message-meta {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 12px;
+        margin-top: 12px;
+        font-size: 12px;
+        color: #666;
+      }
+
+      .replay-controls {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        margin-top: 12px;
+        font-size: 12px;
+        color: #666;
+      }
+
+      .replay-timeline {
+        position: relative;
+        height: 16px;
+        margin: 8px 0;
+        background: #f3f4f6;
+        border-radius: 4px;
+      }
+
+      .replay-progress {
+        position: absolute;
+        top: 0;
+        left: 0;
+        height: 100%;
+        width: 0;
+        background: rgba(102,126,234,0.2);
+        border-radius: 4px;
+      }
+
+      .replay-tick {
+        position: absolute;
+        top: 3px;
+        width: 2px;
+        height: 10px;
+        background: #d1d5db;
+      }
+
+      .replay-tick.played {
+        background: #667eea;
+      }
+
+      .replay-tick.thinking.played {
+        background: #a78bfa;
+      }
+
+      .replay-tick.tool_call.played,
+      .replay-tick.tool_result.played,
+      .replay-tick.code_output.played {
+        background: #f59e0b;
+      }
+
+      .replay-chunk.thinking {
+        color: #7c3aed;
+        font-style: italic;
+      }
+
+      .replay-chunk.tool_call,
+      .replay-chunk.tool_result,
+      .replay-chunk.code_output {
+        font-family: monospace;
+        font-size: 12px;
+        color: #b45309;
+      }
+
+      .replay-chunk.citation {
+        color: #2563eb;
+        font-size: 12px;
+      }
+
+      .replay-chunk.citation::before {
+        content: ' [';
+      }
+
+      .replay-chunk.citation::after {
+        content: '] ';
+      }
+
+      .replay-text {
+        white-space: pre-wrap;
+        font-size: 14px;
+        line-height: 1.6;
+        padding: 12px;
+        background: #f9fafb;
+        border-radius: 8px;
+        min-height: 40px;
+      }
+
+      .detail-block {
+        margin-bottom: 12px;
+        font-size: 13px;
+      }
+
+      .message-part {
+        margin: 8px 0;
+        padding-left: 10px;
+        border-left: 3px solid #f59e0b;
+        color: #555;
+      }
+
+      .message-part.thinking {
+        border-left-color: #a78bfa;
+      }
+
+      .message-flag.truncated {
+        background: #fef3c7;
+        color: #92400e;
+      }
+
+      .context-usage {
+        padding: 8px 0;
+        border-bottom: 1px solid #e5e7eb;
+        font-size: 12px;
+      }
+
+      .context-usage-header,
+      .context-contents {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+        color: #666;
+      }
+
+      .capture-warning {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 12px 16px;
+        margin-bottom: 16px;
+        border-radius: 8px;
+        border: 1px solid #f59e0b;
+        background: #fffbeb;
+        color: #92400e;
+      }
+
+      .capture-warning.broken {
+        border-color: #ef4444;
+        background: #fef2f2;
+        color: #991b1b;
+      }
+
+      .context-meter {
+        height: 6px;
+        margin: 6px 0;
+        border-radius: 3px;
+        background: #e5e7eb;
+        overflow: hidden;
+      }
+
+      .context-meter div {
+        height: 100%;
+        background: #3b82f6;
+      }
+
+      .context-meter.high div {
+        background: #f59e0b;
+      }
+
+      .context-meter.full div {
+        background: #ef4444;
+      }
+
+      .part-tokens,
+      .source-url {
+        font-size: 11px;
+        color: #999;
+      }
+
+      .message-attachments {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-top: 12px;
+      }
+
+      .attachment {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 8px;
+        border: 1px dashed #d1d5db;
+        border-radius: 6px;
+        font-size: 12px;
+        color: #555;
+        max-width: 180px;
+      }
+
+      .attachment.stored {
+        border-style: solid;
+      }
+
+      .attachment-thumb {
+        max-width: 160px;
+        max-height: 120px;
+        border-radius: 4px;
+      }
+
+      .attachment-size {
+        font-size: 11px;
+        color: #999;
+      }
+
+      .message-sources {
+        margin-top: 12px;
+        font-size: 12px;
+        color: #555;
+      }
+
+      .message-sources ol {
+        margin: 4px 0 0 20px;
+      }
+
+      .detail-block summary {
+        cursor: pointer;
+      }
+
+      .detail-block pre {
+        white-space: pre-wrap;
+        word-break: break-word;
+        font-size: 12px;
+        background: #f9fafb;
+        padding: 12px;
+        border-radius: 8px;
+        margin: 8px 0;
+        max-height: 300px;
+        overflow-y: auto;
+      }
+
+      .capture {
+        padding: 12px 0;
+        border-bottom: 1px solid #e5e7eb;
+        font-size: 13px;
+      }
+
+      .capture-header {
+        display: flex;
+        justify-content: space-between;
+        font-weight: 600;
+      }
+
+      .capture-url {
+        font-size: 12px;
+        color: #999;
+        word-break: break-all;
+        margin: 4px 0 8px;
+      }
+
+      .param-table {
+        width: 100%;
+        margin-bottom: 8px;
+      }
+
+      .param-table th {
+        text-align: left;
+        font-weight: normal;
+        color: #666;
+      }
+
+      .card-note {
+        font-size: 13px;
+        color: #666;
+        margin-bottom: 16px;
+      }
+
+      .price-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+        margin-bottom: 20px;
+      }
+
+      .price-table th, .price-table td {
+        padding: 8px;
+        text-align: left;
+        border-bottom: 1px solid #e5e7eb;
+      }
+
+      .price-table tr.user td {
+        font-weight: 600;
+      }
+
+      .price-source {
+        color: #999;
+      }
+
+      .link-button {
+        border: none;
+        background: none;
+        color: #667eea;
+        cursor: pointer;
+        font-size: 13px;
+      }
+
+      .price-form, .proxy-form {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .price-form input, .proxy-form input[type="number"], .proxy-form input[type="password"] {
+        padding: 8px 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        font-size: 13px;
+        width: 140px;
+      }
+
+      .price-form button, .proxy-form button {
+        padding: 8px 16px;
+        border: none;
+        border-radius: 8px;
+        background: #667eea;
+        color: white;
+        cursor: pointer;
+      }
+
+      .proxy-status {
+        font-size: 13px;
+        color: #999;
+      }
+
+      .proxy-status.running {
+        color: #10a37f;
+      }
+
+      .retention-report {
+        margin-top: 12px;
+        font-size: 13px;
+      }
+
+      .retention-report ul {
+        margin: 4px 0 0 20px;
+      }
+
+      .settings h4 {
+        margin: 20px 0 8px;
+      }
+
+      .analytics-filters {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 12px;
+        margin-bottom: 24px;
+        font-size: 13px;
+        color: #666;
+      }
+
+      .analytics-filters input, .analytics-filters select {
+        margin-left: 4px;
+        padding: 6px 10px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        font-size: 13px;
+      }
+
+      .range-button {
+        padding: 6px 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: white;
+        cursor: pointer;
+        font-size: 13px;
+      }
+
+      .analytics-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(360px, 1fr));
+        gap: 20px;
+      }
+
+      .chart-box {
+        position: relative;
+        height: 260px;
+      }
+
+      .chart-box.wide {
+        height: 300px;
+      }
+
+      .heatmap {
+        display: grid;
+        grid-template-columns: 40px repeat(24, 1fr);
+        gap: 3px;
+        font-size: 11px;
+        color: #666;
+      }
+
+      .heatmap-cell {
+        height: 20px;
+        border-radius: 3px;
+        background: #667eea;
+      }
+
+      .form-error {
+        color: #dc2626;
+        font-size: 13px;
+        margin-top: 8px;
+      }
+
+      .unlock {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        height: 100vh;
+      }
+
+      .unlock-form {
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+        width: 360px;
+      }
+
+      .unlock-form input {
+        padding: 10px 12px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        font-size: 14px;
+      }
+
+      .unlock-form button {
+        padding: 10px 16px;
+        border: none;
+        border-radius: 8px;
+        background: #667eea;
+        color: white;
+        cursor: pointer;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -497,29 +2040,342 @@ class Dashboard {
   setupEventListeners() {
     // Navigation
     document.querySelectorAll('.nav-item').forEach(item => {
-      item.addEventListener('click', (e) => {
+      item.addEventListener('click', async (e) => {
         this.currentView = e.currentTarget.dataset.view;
+        if (this.currentView === 'analytics') {
+          await this.loadAnalytics();
+        }
         this.render();
         this.setupEventListeners();
       });
     });
 
+    // Analytics filters
+    const applyAnalyticsFilters = async (filters) => {
+      this.analyticsFilters = filters;
+      await this.loadAnalytics();
+      this.render();
+      this.setupEventListeners();
+    };
+
+    document.querySelectorAll('#analytics-start, #analytics-end, #analytics-platform').forEach(input => {
+      input.addEventListener('change', () => {
+        const start = document.getElementById('analytics-start').value;
+        const end = document.getElementById('analytics-end').value;
+        applyAnalyticsFilters({
+          startDate: start ? new Date(`${start}T00:00:00`).getTime() : null,
+          endDate: end ? new Date(`${end}T23:59:59.999`).getTime() : null,
+          platform: document.getElementById('analytics-platform').value || null,
+        });
+      });
+    });
+
+    document.querySelectorAll('.range-button').forEach(button => {
+      button.addEventListener('click', (e) => {
+        applyAnalyticsFilters({
+          days: Number(e.currentTarget.dataset.days),
+          platform: this.analyticsFilters.platform,
+        });
+      });
+    });
+
     // Search
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
-      searchInput.addEventListener('input', async (e) => {
-        if (e.target.value.length > 2) {
-          this.conversations = await window.api.searchConversations(e.target.value);
-        } else {
+      searchInput.value = this.searchQuery;
+      searchInput.addEventListener('input', (e) => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(e.target.value, 0), SEARCH_DELAY_MS);
+      });
+    }
+
+    document.querySelectorAll('.search-page').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.runSearch(this.searchQuery, Number(e.currentTarget.dataset.offset));
+      });
+    });
+
+    document.querySelectorAll('.search-hit:not(.conversation-card)').forEach(hit => {
+      hit.addEventListener('click', () => {
+        this.currentView = 'system-prompts';
+        this.render();
+        this.setupEventListeners();
+      });
+    });
+
+    // Model prices
+    const priceForm = document.getElementById('price-form');
+    if (priceForm) {
+      priceForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(priceForm);
+        const number = (name) => (form.get(name) === '' ? null : Number(form.get(name)));
+
+        try {
+          this.modelPrices = await window.api.setModelPrice({
+            model: form.get('model'),
+            effective_from: form.get('effective_from'),
+            input_price: number('input_price'),
+            cached_input_price: number('cached_input_price'),
+            output_price: number('output_price'),
+            reasoning_price: number('reasoning_price'),
+          });
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('price-error').textContent = err.message;
+        }
+      });
+    }
+
+    // Recording proxy
+    const proxyForm = document.getElementById('proxy-form');
+    if (proxyForm) {
+      proxyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(proxyForm);
+
+        try {
+          this.proxySettings = await window.api.setProxySettings({
+            enabled: form.get('enabled') === 'on',
+            port: Number(form.get('port')),
+          });
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('proxy-error').textContent = err.message;
+        }
+      });
+    }
+
+    document.querySelectorAll('.delete-price').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const { model, from } = e.currentTarget.dataset;
+        this.modelPrices = await window.api.deleteModelPrice(model, from);
+        this.render();
+        this.setupEventListeners();
+      });
+    });
+
+    // Usage sessions
+    const sessionForm = document.getElementById('session-form');
+    if (sessionForm) {
+      sessionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(sessionForm);
+
+        try {
+          this.sessionSettings = await window.api.setSessionSettings({
+            idleTimeoutMinutes: Number(form.get('idleTimeoutMinutes')),
+          });
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('session-error').textContent = err.message;
+        }
+      });
+    }
+
+    // Conversation detail
+    const backButton = document.getElementById('back-to-conversations');
+    if (backButton) {
+      backButton.addEventListener('click', () => {
+        this.currentView = this.conversation.archive ? 'settings' : 'conversations';
+        this.conversation = null;
+        this.render();
+        this.setupEventListeners();
+      });
+    }
+
+    const deleteButton = document.getElementById('delete-conversation');
+    if (deleteButton) {
+      deleteButton.addEventListener('click', async (e) => {
+        if (!confirm('Move this conversation to the trash? It is deleted for good after the retention grace period.')) {
+          return;
+        }
+        await window.api.deleteConversation(e.currentTarget.dataset.id);
+        this.conversation = null;
+        this.currentView = 'conversations';
+        await this.loadData();
+        this.render();
+        this.setupEventListeners();
+      });
+    }
+
+    // Retention
+    const retentionForm = document.getElementById('retention-form');
+    if (retentionForm) {
+      retentionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(retentionForm);
+
+        try {
+          this.retentionSettings = await window.api.setRetentionSettings({
+            retentionDays: Number(form.get('retentionDays')),
+            graceDays: Number(form.get('graceDays')),
+          });
+          this.retentionReport = null;
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('retention-error').textContent = err.message;
+        }
+      });
+    }
+
+    document.querySelectorAll('.run-retention').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const dryRun = Boolean(e.currentTarget.dataset.dryRun);
+        if (!dryRun && !confirm('Archive and purge now, as the retention settings say?')) {
+          return;
+        }
+
+        try {
+          this.retentionReport = await window.api.runRetention({ dryRun });
+          this.archive = null;
           await this.loadData();
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('retention-error').textContent = err.message;
         }
+      });
+    });
+
+    document.querySelectorAll('.restore-conversation').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        await window.api.restoreConversation(e.currentTarget.dataset.id);
+        await this.loadData();
+        this.render();
+        this.setupEventListeners();
+      });
+    });
+
+    document.querySelectorAll('.open-archive').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const { month } = e.currentTarget.dataset;
+        this.archive = this.archive && this.archive.month === month
+          ? null
+          : { month, conversations: await window.api.getArchivedConversations(month) };
         this.render();
         this.setupEventListeners();
       });
+    });
+
+    document.querySelectorAll('.archived-conversation').forEach(item => {
+      item.addEventListener('click', async (e) => {
+        const { id, month } = e.currentTarget.dataset;
+        await this.openConversation(id, month);
+      });
+    });
+
+    // Encryption
+    const encryptionForm = document.getElementById('encryption-form');
+    if (encryptionForm) {
+      encryptionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(encryptionForm);
+        const error = document.getElementById('encryption-error');
+        if (form.get('next') !== form.get('confirm')) {
+          error.textContent = 'The passphrases do not match';
+          return;
+        }
+
+        try {
+          this.lockState = this.lockState.encrypted
+            ? await window.api.changePassphrase(form.get('current'), form.get('next'))
+            : await window.api.encryptDatabase(form.get('next'));
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          error.textContent = err.message;
+        }
+      });
+    }
+
+    const decryptButton = document.getElementById('decrypt-database');
+    if (decryptButton) {
+      decryptButton.addEventListener('click', async () => {
+        const error = document.getElementById('encryption-error');
+        const current = encryptionForm.elements.current.value;
+        if (!current) {
+          error.textContent = 'Enter the current passphrase to decrypt the database';
+          return;
+        }
+        if (!confirm('Decrypt the database, its backups and its archives? They are then stored unencrypted.')) {
+          return;
+        }
+
+        try {
+          this.lockState = await window.api.decryptDatabase(current);
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          error.textContent = err.message;
+        }
+      });
+    }
+
+    const exportForm = document.getElementById('export-form');
+    if (exportForm) {
+      exportForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(exportForm);
+
+        try {
+          const file = await window.api.exportEncrypted(form.get('passphrase'));
+          if (file) {
+            exportForm.reset();
+            document.getElementById('export-status').textContent = `Saved to ${file}`;
+          }
+        } catch (err) {
+          document.getElementById('export-error').textContent = err.message;
+        }
+      });
+    }
+
+    // Attachments
+    const attachmentForm = document.getElementById('attachment-form');
+    if (attachmentForm) {
+      attachmentForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = new FormData(attachmentForm);
+        const kinds = {};
+        Object.keys(this.attachmentSettings.kinds).forEach(kind => {
+          kinds[kind] = form.get(`kind-${kind}`) === 'on';
+        });
+
+        try {
+          this.attachmentSettings = await window.api.setAttachmentSettings({
+            enabled: form.get('enabled') === 'on',
+            maxBytes: Math.round(Number(form.get('maxMegabytes')) * 1024 * 1024),
+            kinds,
+          });
+          this.render();
+          this.setupEventListeners();
+        } catch (err) {
+          document.getElementById('attachment-error').textContent = err.message;
+        }
+      });
     }
 
+    document.querySelectorAll('.attachment-thumb').forEach(async img => {
+      const url = await window.api.getAttachment(img.dataset.sha256, this.conversation?.archive);
+      if (url) {
+        img.src = url;
+      } else {
+        img.remove();
+      }
+    });
+
+    document.querySelectorAll('.replay-stream').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.replayStream(e.currentTarget.dataset.id);
+      });
+    });
+
     // Conversation click
-    document.querySelectorAll('.conversation-card').forEach(card => {
+    document.querySelectorAll('.conversation-card, .conversation-item').forEach(card => {
       card.addEventListener('click', async (e) => {
         const id = e.currentTarget.dataset.id;
         await this.openConversation(id);
@@ -527,15 +2383,119 @@ class Dashboard {
     });
   }
 
-  async openConversation(id) {
+  async runSearch(query, offset) {
+    this.searchQuery = query;
+    try {
+      this.searchResults = query.trim()
+        ? await window.api.search(query, { limit: SEARCH_PAGE_SIZE, offset })
+        : null;
+    } catch (err) {
+      console.error('Search failed:', err);
+      this.searchResults = null;
+    }
+
+    const input = document.getElementById('search-input');
+    const typing = input && document.activeElement === input;
+    this.render();
+    this.setupEventListeners();
+
+    // Rendering replaces the search box; keep typing in the new one
+    if (typing) {
+      const newInput = document.getElementById('search-input');
+      newInput.focus();
+      newInput.setSelectionRange(query.length, query.length);
+    }
+  }
+
+  /**
+   * Show a conversation, from the database or the archive of a month
+   */
+  async openConversation(id, archive = null) {
     try {
-      const data = await window.api.getConversation(id);
-      alert(`Conversation "${data.conversation.title || 'Untitled'}" with ${data.messages.length} messages`);
+      this.conversation = await window.api.getConversation(id, archive);
+      this.currentView = 'conversation';
+      this.render();
+      this.setupEventListeners();
     } catch (err) {
       console.error('Failed to open conversation:', err);
     }
   }
 
+  /**
+   * Replay a streamed response chunk by chunk, with the gaps between chunks
+   * as they were captured (delta_time_ms), scaled by the replay speed
+   */
+  async replayStream(messageId) {
+    this.stopReplay();
+
+    const container = [...document.querySelectorAll('.stream-replay')]
+      .find(element => element.dataset.id === messageId);
+    const chunks = await window.api.getStreamingChunks(messageId, this.conversation?.archive);
+
+    if (chunks.length === 0) {
+      container.innerHTML = '<p class="card-note">No streamed chunks were captured for this message.</p>';
+      return;
+    }
+
+    let offset = 0;
+    const timeline = chunks.map((chunk, index) => {
+      if (index > 0) offset += chunk.delta_time_ms || 0;
+      return { ...chunk, offset };
+    });
+    const duration = Math.max(offset, 1);
+
+    container.innerHTML = `
+      <div class="replay-controls">
+        <span class="replay-clock">0.0s / ${(offset / 1000).toFixed(1)}s • ${chunks.length} chunks</span>
+        <select class="replay-speed">
+          ${[1, 2, 4, 10].map(speed => `
+            <option value="${speed}" ${speed === this.replaySpeed ? 'selected' : ''}>${speed}×</option>
+          `).join('')}
+        </select>
+        <button class="link-button replay-stop">Stop</button>
+      </div>
+      <div class="replay-timeline">
+        <div class="replay-progress"></div>
+        ${timeline.map(chunk => `
+          <span class="replay-tick ${chunk.content_type || 'text'}" style="left: ${(chunk.offset / duration) * 100}%" title="Chunk ${chunk.chunk_index} (${chunk.content_type || 'text'}): +${chunk.delta_time_ms || 0}ms"></span>
+        `).join('')}
+      </div>
+      <div class="replay-text"></div>
+    `;
+
+    const text = container.querySelector('.replay-text');
+    const clock = container.querySelector('.replay-clock');
+    const progress = container.querySelector('.replay-progress');
+    const ticks = container.querySelectorAll('.replay-tick');
+
+    container.querySelector('.replay-speed').addEventListener('change', (e) => {
+      this.replaySpeed = Number(e.target.value);
+      this.replayStream(messageId);
+    });
+    container.querySelector('.replay-stop').addEventListener('click', () => {
+      this.stopReplay();
+    });
+
+    this.replay = {
+      timers: timeline.map((chunk, index) => setTimeout(() => {
+        const piece = document.createElement('span');
+        piece.className = `replay-chunk ${chunk.content_type || 'text'}`;
+        piece.textContent = chunk.content || '';
+        text.appendChild(piece);
+        ticks[index].classList.add('played');
+        progress.style.width = `${(chunk.offset / duration) * 100}%`;
+        clock.textContent = `${(chunk.offset / 1000).toFixed(1)}s / ${(offset / 1000).toFixed(1)}s • ${index + 1} of ${chunks.length} chunks`;
+      }, chunk.offset / this.replaySpeed)),
+    };
+  }
+
+  stopReplay() {
+    if (this.replay) {
+      this.replay.timers.forEach(timer => clearTimeout(timer));
+      this.replay = null;
+    }
+  }
+
   startAutoRefresh() {
     setInterval(() => {
       this.loadData().then(() => {
@@ -563,6 +2523,47 @@ class Dashboard {
     return date.toLocaleDateString();
   }
 
+  formatCost(cost) {
+    if (!cost) return '$0.00';
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  formatDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  formatTimeSpent(ms) {
+    const minutes = Math.round((ms || 0) / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  formatPercent(share) {
+    return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  formatJson(json) {
+    try {
+      return JSON.stringify(JSON.parse(json), null, 2);
+    } catch (err) {
+      return json || '';
+    }
+  }
+
+  formatDateInput(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  }
+
+  formatPrice(price) {
+    return price == null ? '—' : `$${price}`;
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
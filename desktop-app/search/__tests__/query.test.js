@@ -0,0 +1,99 @@
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseSearchQuery,
+  splitSnippet,
+} = require('../query');
+
+describe('parseSearchQuery', () => {
+  const match = (input) => parseSearchQuery(input).match;
+
+  test('should quote words so punctuation is never syntax', () => {
+    expect(match('react hooks')).toBe('"react" AND "hooks"');
+    expect(match('std::vector c++')).toBe('"std::vector" AND "c++"');
+    expect(match('say "hi"')).toBe('"say" AND "hi"');
+  });
+
+  test('should keep phrases and prefixes', () => {
+    expect(match('"react hooks" use*')).toBe('"react hooks" AND "use"*');
+    expect(match('"react ho"*')).toBe('"react ho"*');
+    expect(match('"unterminated phrase')).toBe('"unterminated phrase"');
+  });
+
+  test('should keep operators and groups', () => {
+    expect(match('(react OR vue) NOT angular')).toBe(
+      '("react" OR "vue") NOT "angular"'
+    );
+    expect(match('react and vue')).toBe('"react" AND "and" AND "vue"');
+  });
+
+  test('should join words and groups next to each other with AND', () => {
+    expect(match('f(x)')).toBe('"f" AND ("x")');
+    expect(match('hello (world)')).toBe('"hello" AND ("world")');
+    expect(match('react (hooks OR state)')).toBe(
+      '"react" AND ("hooks" OR "state")'
+    );
+    expect(match('(a) (b)')).toBe('("a") AND ("b")');
+  });
+
+  test('should search for FTS5 keywords as words', () => {
+    expect(match('NEAR(a b)')).toBe('"NEAR" AND ("a" AND "b")');
+  });
+
+  test('should drop operators and parentheses out of place', () => {
+    expect(match('NOT react')).toBe('"react"');
+    expect(match('react OR')).toBe('"react"');
+    expect(match('react AND OR vue')).toBe('"react" AND "vue"');
+    expect(match('react) (vue')).toBe('"react" AND ("vue")');
+    expect(match('() react ( )')).toBe('"react"');
+  });
+
+  test('should find nothing to search for in punctuation alone', () => {
+    expect(match('')).toBeNull();
+    expect(match('- + "" * ()')).toBeNull();
+    expect(match(null)).toBeNull();
+  });
+
+  test('should read filters', () => {
+    const { match: text, filters } = parseSearchQuery(
+      'hooks platform:Claude model:"GPT-4o" role:user before:2024-06-01 after:2024-05-01'
+    );
+
+    expect(text).toBe('"hooks"');
+    expect(filters).toEqual({
+      platform: 'claude',
+      model: 'gpt-4o',
+      role: 'user',
+      before: new Date('2024-06-01T00:00:00').getTime(),
+      after: new Date('2024-05-01T00:00:00').getTime(),
+    });
+  });
+
+  test('should search for filters it does not know as words', () => {
+    const { match: text, filters } = parseSearchQuery(
+      'http://example.com before:yesterday'
+    );
+
+    expect(text).toBe('"http://example.com" AND "before:yesterday"');
+    expect(filters.before).toBeNull();
+  });
+});
+
+describe('splitSnippet', () => {
+  test('should split a snippet at its highlights', () => {
+    expect(
+      splitSnippet(
+        `…about ${HIGHLIGHT_START}React${HIGHLIGHT_END} and ${HIGHLIGHT_START}hooks${HIGHLIGHT_END}`
+      )
+    ).toEqual([
+      { text: '…about ', match: false },
+      { text: 'React', match: true },
+      { text: ' and ', match: false },
+      { text: 'hooks', match: true },
+    ]);
+  });
+
+  test('should return no pieces for an empty snippet', () => {
+    expect(splitSnippet(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Search Query
+ * Turns what is typed in the search box into an FTS5 MATCH expression and
+ * the filters to apply to its hits
+ *
+ * Supported syntax:
+ * - words, all of which must match: `react hooks`
+ * - "quoted phrases"
+ * - prefixes: `hook*`
+ * - AND, OR, NOT (upper case) and parentheses: `(react OR vue) NOT angular`
+ * - filters: `platform:claude`, `model:gpt-4` (models starting with it),
+ *   `role:user`, `before:2024-06-01` and `after:2024-05-01` (dates in local
+ *   time; before is exclusive, after inclusive)
+ *
+ * Anything else is searched for as words, so no input is a syntax error:
+ * other punctuation separates words, and operators or parentheses out of
+ * place are dropped. Words are always quoted, so FTS5 keywords such as
+ * NEAR are searched for too.
+ *
+ * A query of filters alone lists everything they let through.
+ */
+
+const FILTERS = ['platform', 'model', 'role', 'before', 'after'];
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Marks matches in snippets; control characters, so never in the text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const TOKEN_PATTERN =
+  /(\w+):(?:"([^"]*)"?|([^\s()"]+))|"([^"]*)"?(\*?)|(\()|(\))|([^\s()"]+)/g;
+
+/**
+ * @typedef {Object} SearchQuery
+ * @property {?string} match - FTS5 MATCH expression; null when there is
+ *   nothing to search for
+ * @property {{ platform: ?string, model: ?string, role: ?string, before: ?number, after: ?number }} filters
+ */
+
+/**
+ * @param {string} input
+ * @returns {SearchQuery}
+ */
+function parseSearchQuery(input) {
+  const filters = {
+    platform: null,
+    model: null,
+    role: null,
+    before: null,
+    after: null,
+  };
+  const tokens = [];
+
+  for (const [
+    text,
+    key,
+    quotedValue,
+    value,
+    phrase,
+    phrasePrefix,
+    open,
+    close,
+    word,
+  ] of String(input || '').matchAll(TOKEN_PATTERN)) {
+    if (key !== undefined) {
+      const filter = parseFilter(key, quotedValue ?? value);
+      if (filter) {
+        filters[filter.name] = filter.value;
+      } else {
+        tokens.push(...wordTokens(text));
+      }
+    } else if (phrase !== undefined) {
+      if (hasWord(phrase)) {
+        tokens.push({ type: 'operand', text: quote(phrase) + phrasePrefix });
+      }
+    } else if (open) {
+      tokens.push({ type: 'open' });
+    } else if (close) {
+      tokens.push({ type: 'close' });
+    } else {
+      tokens.push(...wordTokens(word));
+    }
+  }
+
+  return { match: buildExpression(tokens) || null, filters };
+}
+
+/**
+ * @returns {?{ name: string, value: (string|number) }} null if the key is
+ *   not a filter or the value is not valid for it
+ */
+function parseFilter(key, value) {
+  const name = key.toLowerCase();
+  if (!FILTERS.includes(name) || !value) {
+    return null;
+  }
+
+  if (name === 'before' || name === 'after') {
+    const time = DATE_PATTERN.test(value)
+      ? new Date(`${value}T00:00:00`).getTime()
+      : NaN;
+    return Number.isNaN(time) ? null : { name, value: time };
+  }
+
+  return { name, value: value.toLowerCase() };
+}
+
+function wordTokens(word) {
+  if (OPERATORS.has(word)) {
+    return [{ type: 'operator', text: word }];
+  }
+
+  const prefix = word.endsWith('*');
+  const text = word.replace(/\*+$/, '');
+  return hasWord(text)
+    ? [{ type: 'operand', text: quote(text) + (prefix ? '*' : '') }]
+    : [];
+}
+
+function hasWord(text) {
+  return /[\p{L}\p{N}]/u.test(text);
+}
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Join tokens into an expression FTS5 accepts: operators only between two
+ * operands, parentheses balanced and never empty. Operands and groups next
+ * to each other are joined with an explicit AND, as FTS5 only allows
+ * leaving it out between two operands.
+ */
+function buildExpression(tokens) {
+  let position = 0;
+
+  const group = (depth) => {
+    const parts = [];
+    const lastIsOperator = () =>
+      parts.length === 0 || OPERATORS.has(parts[parts.length - 1]);
+
+    while (position < tokens.length) {
+      const token = tokens[position++];
+
+      if (token.type === 'close') {
+        if (depth > 0) break;
+      } else if (token.type === 'operator') {
+        if (!lastIsOperator()) parts.push(token.text);
+      } else {
+        const text = token.type === 'open' ? group(depth + 1) : token.text;
+        if (text) {
+          if (!lastIsOperator()) parts.push('AND');
+          parts.push(token.type === 'open' ? `(${text})` : text);
+        }
+      }
+    }
+
+    if (parts.length > 0 && lastIsOperator()) parts.pop();
+    return parts.join(' ');
+  };
+
+  return group(0);
+}
+
+/**
+ * Split a snippet made with the highlight marks into pieces of text, noting
+ * which are matches
+ * @returns {{ text: string, match: boolean }[]}
+ */
+function splitSnippet(snippet) {
+  const pieces = [];
+
+  String(snippet || '')
+    .split(HIGHLIGHT_START)
+    .forEach((part, index) => {
+      const [match, rest] =
+        index === 0 ? [null, part] : part.split(HIGHLIGHT_END);
+      if (match) pieces.push({ text: match, match: true });
+      if (rest) pieces.push({ text: rest, match: false });
+    });
+
+  return pieces;
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseSearchQuery,
+  splitSnippet,
+};
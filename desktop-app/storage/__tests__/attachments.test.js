@@ -0,0 +1,140 @@
+const AttachmentStore = require('../attachments');
+const BlobStore = require('../blob-store');
+const LLMTrackerDatabase = require('../../database');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('AttachmentStore', () => {
+  let db;
+  let dir;
+  let attachments;
+
+  /**
+   * An ATTACHMENT payload for some contents
+   */
+  const attachment = (text, fields = {}) => {
+    const buffer = Buffer.from(text);
+    return {
+      sha256: BlobStore.hash(buffer),
+      data: buffer.toString('base64'),
+      size: buffer.length,
+      mimeType: 'image/png',
+      name: 'chart.png',
+      platform: 'chatgpt',
+      source: 'upload',
+      timestamp: 1700000000000,
+      ...fields,
+    };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-attachments-'));
+    db = new LLMTrackerDatabase(path.join(dir, 'llm-tracker.db'));
+    db.init();
+    attachments = new AttachmentStore(db);
+  });
+
+  afterEach(() => {
+    if (db) {
+      db.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Settings', () => {
+    test('should keep blobs next to the database', () => {
+      expect(attachments.blobs.dir).toBe(path.join(dir, 'blobs'));
+    });
+
+    test('should start with every kind but video', () => {
+      expect(attachments.getPolicy()).toEqual({
+        maxBytes: 25 * 1024 * 1024,
+        kinds: ['image', 'audio', 'file'],
+      });
+    });
+
+    test('should update settings and the policy they give', () => {
+      const settings = attachments.setSettings({
+        enabled: true,
+        maxBytes: 1000,
+        kinds: { image: false, video: true },
+      });
+
+      expect(settings.kinds).toEqual({
+        image: false,
+        audio: true,
+        video: true,
+        file: true,
+      });
+      expect(attachments.getPolicy()).toEqual({
+        maxBytes: 1000,
+        kinds: ['audio', 'video', 'file'],
+      });
+
+      attachments.setSettings({ enabled: false, maxBytes: 1000 });
+      expect(attachments.getPolicy().kinds).toEqual([]);
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() =>
+        attachments.setSettings({ enabled: true, maxBytes: -1 })
+      ).toThrow('Invalid size cap');
+      expect(() =>
+        attachments.setSettings({
+          enabled: true,
+          maxBytes: 10,
+          kinds: { pdf: true },
+        })
+      ).toThrow('Unknown kind of attachment');
+    });
+  });
+
+  describe('Storage', () => {
+    test('should store files once and record them', () => {
+      const first = attachments.store(attachment('png bytes'));
+      const second = attachments.store(
+        attachment('png bytes', { name: 'copy.png', timestamp: 1700000001000 })
+      );
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+
+      const blob = db.getBlob(first.sha256);
+      expect(blob.size).toBe(9);
+      expect(blob.mime_type).toBe('image/png');
+      expect(blob.name).toBe('chart.png');
+      expect(blob.last_seen).toBe(1700000001000);
+
+      expect(attachments.readDataUrl(first.sha256)).toBe(
+        `data:image/png;base64,${Buffer.from('png bytes').toString('base64')}`
+      );
+    });
+
+    test('should skip files the settings exclude', () => {
+      attachments.setSettings({
+        enabled: true,
+        maxBytes: 4,
+        kinds: { image: true },
+      });
+
+      const tooLarge = attachment('too large');
+      const video = attachment('vid', { mimeType: 'video/mp4' });
+      expect(attachments.store(tooLarge)).toBeNull();
+      expect(attachments.store(video)).toBeNull();
+      expect(attachments.blobs.has(tooLarge.sha256)).toBe(false);
+      expect(db.getBlob(video.sha256)).toBeUndefined();
+    });
+
+    test('should refuse contents that do not match their hash', () => {
+      const data = attachment('original', {
+        data: Buffer.from('tampered').toString('base64'),
+      });
+
+      expect(() => attachments.store(data)).toThrow(
+        expect.objectContaining({ code: 'INVALID_PAYLOAD' })
+      );
+      expect(attachments.readDataUrl(data.sha256)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const BlobStore = require('../blob-store');
+const { Cipher, EncryptionError } = require('../encryption');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('BlobStore', () => {
+  let dir;
+  let blobs;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-blobs-'));
+    blobs = new BlobStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should store files under their SHA-256', () => {
+    const stored = blobs.put(Buffer.from('hello'));
+
+    expect(stored).toEqual({
+      sha256:
+        '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824',
+      size: 5,
+      created: true,
+    });
+    expect(blobs.pathFor(stored.sha256)).toBe(
+      path.join(dir, '2c', stored.sha256)
+    );
+    expect(blobs.read(stored.sha256).toString()).toBe('hello');
+  });
+
+  test('should store identical contents once', () => {
+    const first = blobs.put(Buffer.from('same'));
+    const second = blobs.put(Buffer.from('same'));
+
+    expect(second).toEqual({ ...first, created: false });
+    expect(fs.readdirSync(path.join(dir, first.sha256.slice(0, 2)))).toEqual([
+      first.sha256,
+    ]);
+  });
+
+  test('should refuse contents that do not match the expected hash', () => {
+    expect(() => blobs.put(Buffer.from('hello'), 'a'.repeat(64))).toThrow(
+      'Blob hash mismatch'
+    );
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('should reject names that are not hashes', () => {
+    expect(() => blobs.read('../llm-tracker.db')).toThrow('Invalid blob hash');
+  });
+
+  test('should remove blobs', () => {
+    const { sha256 } = blobs.put(Buffer.from('gone'));
+
+    expect(blobs.remove(sha256)).toBe(true);
+    expect(blobs.has(sha256)).toBe(false);
+    expect(blobs.read(sha256)).toBeNull();
+    expect(blobs.remove(sha256)).toBe(false);
+  });
+
+  test('should encrypt blobs with the current key, and rekey them', () => {
+    let cipher = Cipher.create('correct horse battery');
+    blobs = new BlobStore(dir, { cipher: () => cipher });
+
+    const { sha256 } = blobs.put(Buffer.from('secret upload'));
+    const file = blobs.pathFor(sha256);
+    expect(fs.readFileSync(file).includes('secret upload')).toBe(false);
+    expect(blobs.read(sha256).toString()).toBe('secret upload');
+
+    const previous = cipher;
+    cipher = Cipher.create('another passphrase');
+    blobs.rekey(previous, cipher);
+    expect(cipher.open(fs.readFileSync(file)).toString()).toBe('secret upload');
+
+    blobs.rekey(cipher, null);
+    cipher = null;
+    expect(fs.readFileSync(file).toString()).toBe('secret upload');
+    expect(blobs.list()).toEqual([file]);
+  });
+
+  test('should not read encrypted blobs without the key', () => {
+    const cipher = Cipher.create('correct horse battery');
+    const { sha256 } = new BlobStore(dir, { cipher: () => cipher }).put(
+      Buffer.from('secret upload')
+    );
+
+    expect(() => blobs.read(sha256)).toThrow(EncryptionError);
+  });
+});
@@ -0,0 +1,223 @@
+const {
+  Cipher,
+  EncryptionError,
+  reseal,
+  writeFileAtomic,
+} = require('../encryption');
+const LLMTrackerDatabase = require('../../database');
+const WebSocketServer = require('../../websocket-server');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { fork } = require('child_process');
+
+describe('Cipher', () => {
+  const passphrase = 'correct horse battery';
+  let cipher;
+
+  beforeAll(() => {
+    cipher = Cipher.create(passphrase);
+  });
+
+  test('should open what it sealed', () => {
+    const sealed = cipher.seal(Buffer.from('secret conversation'));
+
+    expect(Cipher.isSealed(sealed)).toBe(true);
+    expect(sealed.includes('secret conversation')).toBe(false);
+    expect(cipher.open(sealed).toString()).toBe('secret conversation');
+  });
+
+  test('should unlock a sealed file with its passphrase alone', () => {
+    const sealed = cipher.seal(Buffer.from('hello'));
+
+    const unlocked = Cipher.unlock(sealed, passphrase);
+
+    expect(unlocked.open(sealed).toString()).toBe('hello');
+    expect(unlocked.matches(passphrase)).toBe(true);
+    expect(unlocked.matches('wrong passphrase')).toBe(false);
+  });
+
+  test('should refuse a wrong passphrase or a changed file', () => {
+    const sealed = cipher.seal(Buffer.from('hello'));
+
+    expect(() =>
+      Cipher.unlock(sealed, 'wrong passphrase').open(sealed)
+    ).toThrow(EncryptionError);
+
+    sealed[sealed.length - 1] ^= 1;
+    expect(() => cipher.open(sealed)).toThrow(/Wrong passphrase/);
+    expect(() => cipher.open(Buffer.from('plain'))).toThrow(
+      'Not an encrypted file'
+    );
+  });
+
+  test('should refuse short passphrases', () => {
+    expect(() => Cipher.create('short')).toThrow(/at least 8 characters/);
+  });
+
+  test('should seal files again with another key, or decrypt them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-encryption-'));
+    const file = path.join(dir, 'archive.gz');
+    const other = Cipher.create('another passphrase');
+    try {
+      writeFileAtomic(file, cipher.seal(Buffer.from('archived')));
+
+      reseal([file], cipher, other);
+      expect(other.open(fs.readFileSync(file)).toString()).toBe('archived');
+      expect(() => reseal([file], cipher, null)).toThrow(EncryptionError);
+
+      reseal([file], other, null);
+      expect(fs.readFileSync(file).toString()).toBe('archived');
+      expect(fs.readdirSync(dir)).toEqual(['archive.gz']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Encrypted database', () => {
+  const passphrase = 'correct horse battery';
+  let dir;
+  let dbPath;
+  let db;
+
+  const conversation = (id) =>
+    db.upsertConversation({
+      id,
+      platform: 'claude',
+      started_at: Date.now(),
+      last_activity: Date.now(),
+      title: `Secret plans ${id}`,
+    });
+
+  const reopen = (secret = passphrase) => {
+    db.close();
+    db = new LLMTrackerDatabase(dbPath);
+    return db.init(secret);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-encrypted-db-'));
+    dbPath = path.join(dir, 'llm-tracker.db');
+    db = new LLMTrackerDatabase(dbPath).init();
+    conversation('conv-1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should encrypt an existing database and open it with the passphrase', () => {
+    db.rekey(Cipher.create(passphrase));
+
+    expect(db.isEncrypted()).toBe(true);
+    expect(fs.readFileSync(dbPath).includes('Secret plans')).toBe(false);
+    expect(fs.existsSync(`${dbPath}-wal`)).toBe(false);
+
+    conversation('conv-2');
+    reopen();
+
+    expect(db.getConversation('conv-1')).toBeDefined();
+    expect(db.getConversation('conv-2')).toBeDefined();
+    expect(db.search('plans').total).toBe(2);
+  });
+
+  test('should stay locked without the right passphrase', () => {
+    db.rekey(Cipher.create(passphrase));
+    db.close();
+
+    db = new LLMTrackerDatabase(dbPath);
+    expect(() => db.init()).toThrow('The database is encrypted');
+    expect(() => db.init('wrong passphrase')).toThrow(EncryptionError);
+    expect(db.db).toBeNull();
+  });
+
+  test('should save changes back to the file only when there are some', () => {
+    db.rekey(Cipher.create(passphrase));
+
+    expect(db.save()).toBe(false);
+    conversation('conv-2');
+    expect(db.save()).toBe(true);
+    expect(db.save()).toBe(false);
+  });
+
+  test('should rotate the key and decrypt', () => {
+    db.rekey(Cipher.create(passphrase));
+    db.rekey(Cipher.create('new passphrase'));
+    db.close();
+
+    db = new LLMTrackerDatabase(dbPath);
+    expect(() => db.init(passphrase)).toThrow(EncryptionError);
+    reopen('new passphrase');
+
+    db.rekey(null);
+    reopen(null);
+
+    expect(db.isEncrypted()).toBe(false);
+    expect(db.getConversation('conv-1')).toBeDefined();
+  });
+
+  test('should encrypt the copies saved before migrating', () => {
+    db.rekey(Cipher.create(passphrase));
+    db.db.pragma('user_version = 0');
+    db.save({ force: true });
+    reopen();
+
+    const backups = fs.readdirSync(db.backupDir);
+    expect(backups).toEqual([
+      expect.stringMatching(/^llm-tracker-v0-\d+\.db$/),
+    ]);
+    const backup = fs.readFileSync(path.join(db.backupDir, backups[0]));
+    expect(Cipher.isSealed(backup)).toBe(true);
+    expect(db.cipher.open(backup).includes('Secret plans')).toBe(true);
+  });
+
+  test('should keep what it acknowledged when the app is killed', async () => {
+    db.rekey(Cipher.create(passphrase));
+    db.close();
+
+    const child = fork(
+      path.join(__dirname, 'fixtures', 'ingest-encrypted.js'),
+      [dbPath, passphrase]
+    );
+    try {
+      const ack = await new Promise((resolve, reject) => {
+        child.on('message', resolve);
+        child.on('exit', (code) => reject(new Error(`Exited with ${code}`)));
+      });
+      expect(ack).toMatchObject({ type: 'ACK', data: { messageId: 'm-1' } });
+    } finally {
+      child.kill('SIGKILL');
+    }
+    await new Promise((resolve) => child.on('close', resolve));
+
+    // Acknowledging journaled the message rather than saving the database
+    reopen();
+    expect(db.getConversation('acked')).toBeUndefined();
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    new WebSocketServer(db).replayJournal();
+    expect(db.getConversation('acked').title).toBe(
+      'Acknowledged before the crash'
+    );
+
+    db.save();
+    expect(fs.existsSync(`${dbPath}.journal`)).toBe(false);
+  });
+
+  test('should export a copy that opens with its own passphrase', () => {
+    const file = path.join(dir, 'export.db');
+    db.exportEncrypted(file, Cipher.create('export passphrase'));
+
+    const copy = new LLMTrackerDatabase(file);
+    expect(() => copy.init(passphrase)).toThrow(EncryptionError);
+    copy.init('export passphrase');
+    try {
+      expect(copy.getConversation('conv-1').title).toBe('Secret plans conv-1');
+    } finally {
+      copy.close();
+    }
+  });
+});
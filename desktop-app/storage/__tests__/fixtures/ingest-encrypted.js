@@ -0,0 +1,39 @@
+/**
+ * Opens an encrypted database, ingests one captured message and passes its
+ * ACK to the parent process, then waits to be killed
+ *
+ *     node ingest-encrypted.js <database> <passphrase>
+ */
+
+const WebSocket = require('ws');
+const LLMTrackerDatabase = require('../../../database');
+const WebSocketServer = require('../../../websocket-server');
+const { createMessage } = require('../../../../shared/protocol');
+
+const [dbPath, passphrase] = process.argv.slice(2);
+const server = new WebSocketServer(
+  new LLMTrackerDatabase(dbPath).init(passphrase)
+);
+const ws = {
+  readyState: WebSocket.OPEN,
+  send: (json) => process.send(JSON.parse(json)),
+};
+
+console.log = () => {};
+server.handleMessage(
+  createMessage(
+    'CONVERSATION',
+    {
+      id: 'acked',
+      platform: 'claude',
+      title: 'Acknowledged before the crash',
+      started_at: 1000,
+      last_activity: 1000,
+    },
+    { id: 'm-1', seq: 1 }
+  ),
+  ws
+);
+
+// Not to outlive a test that fails to kill it
+setTimeout(() => process.exit(1), 20000);
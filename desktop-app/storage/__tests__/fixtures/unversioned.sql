@@ -1,5 +1,6 @@
--- database-schema.sql
--- Comprehensive schema for storing full LLM conversation trajectories
+-- A database created before schema migrations: the schema as first released
+-- (no user_version, none of the columns or tables added since) with some data.
+
 
 -- ============================================================================
 -- Conversations Table
@@ -431,3 +432,18 @@ END;
 -- - estimateTokens(text) -> INTEGER
 -- - generatePromptHash(promptText) -> TEXT
 -- - anonymizeContent(content) -> TEXT
+
+-- ============================================================================
+-- Data
+-- ============================================================================
+
+INSERT INTO conversations (id, platform, platform_conversation_id, title, started_at, last_activity, model_used)
+VALUES ('conv-1', 'chatgpt', 'abc-123', 'Old conversation', 1700000000000, 1700000000000, 'gpt-4');
+
+INSERT INTO messages (id, conversation_id, timestamp, role, visible_content, tokens_total)
+VALUES
+  ('msg-1', 'conv-1', 1700000001000, 'user', 'Hello', 2),
+  ('msg-2', 'conv-1', 1700000002000, 'assistant', 'Hi there', 3);
+
+INSERT INTO api_captures (id, message_id, timestamp, request_url, platform, model)
+VALUES ('cap-1', 'msg-2', 1700000002000, 'https://chatgpt.com/backend-api/conversation', 'chatgpt', 'gpt-4');
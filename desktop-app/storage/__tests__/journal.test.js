@@ -0,0 +1,55 @@
+const Journal = require('../journal');
+const { Cipher } = require('../encryption');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('Journal', () => {
+  let dir;
+  let file;
+  let journal;
+  let cipher;
+
+  beforeAll(() => {
+    cipher = Cipher.create('correct horse battery');
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-journal-'));
+    file = path.join(dir, 'llm-tracker.db.journal');
+    journal = new Journal(file);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should read back what was appended, sealed', () => {
+    journal.append({ id: 'm-1', data: { title: 'Secret plans' } }, cipher);
+    journal.append({ id: 'm-2' }, cipher);
+
+    expect(fs.readFileSync(file, 'utf8')).not.toMatch(/Secret plans/);
+    expect(journal.read(cipher)).toEqual([
+      { id: 'm-1', data: { title: 'Secret plans' } },
+      { id: 'm-2' },
+    ]);
+  });
+
+  test('should skip a line truncated by a crash', () => {
+    journal.append({ id: 'm-1' }, cipher);
+    journal.append({ id: 'm-2' }, cipher);
+    fs.truncateSync(file, fs.statSync(file).size - 20);
+
+    expect(journal.read(cipher)).toEqual([{ id: 'm-1' }]);
+  });
+
+  test('should be empty once cleared, or before anything is appended', () => {
+    expect(journal.read(cipher)).toEqual([]);
+
+    journal.append({ id: 'm-1' }, cipher);
+    journal.clear();
+
+    expect(fs.existsSync(file)).toBe(false);
+    expect(journal.read(cipher)).toEqual([]);
+  });
+});
@@ -0,0 +1,245 @@
+const Migrator = require('../migrator');
+const { loadMigrations } = require('../../migrations');
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const FIXTURE = fs.readFileSync(
+  path.join(__dirname, 'fixtures', 'unversioned.sql'),
+  'utf8'
+);
+
+describe('Migrator', () => {
+  let dir;
+  let backupDir;
+  let db;
+
+  const columnsOf = (table) =>
+    db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((c) => c.name);
+
+  const tableNames = () =>
+    db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+      .all()
+      .map((t) => t.name);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-migrator-'));
+    backupDir = path.join(dir, 'backups');
+    db = new Database(path.join(dir, 'tracker.db'));
+    db.exec(FIXTURE);
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should upgrade an unversioned database to the latest version', () => {
+    const migrator = new Migrator(db, { backupDir });
+    const latest = loadMigrations().pop().version;
+
+    const result = migrator.migrate();
+
+    expect(result.from).toBe(0);
+    expect(result.to).toBe(latest);
+    expect(migrator.version).toBe(latest);
+    expect(migrator.pending()).toEqual([]);
+
+    expect(tableNames()).toEqual(
+      expect.arrayContaining(['message_parts', 'blobs', 'capture_health'])
+    );
+    expect(columnsOf('messages')).toEqual(
+      expect.arrayContaining(['tokens_cached', 'tokens_reasoning', 'cost'])
+    );
+    expect(columnsOf('api_captures')).toContain('source');
+    expect(columnsOf('conversation_context')).toEqual(
+      expect.arrayContaining([
+        'api_capture_id',
+        'message_id',
+        'history_truncated',
+      ])
+    );
+
+    expect(
+      db.prepare('SELECT id FROM messages ORDER BY timestamp').all()
+    ).toEqual([{ id: 'msg-1' }, { id: 'msg-2' }]);
+    expect(
+      db
+        .prepare("SELECT message_count FROM conversations WHERE id = 'conv-1'")
+        .get()
+    ).toEqual({ message_count: 2 });
+    expect(
+      db.prepare("SELECT source FROM api_captures WHERE id = 'cap-1'").get()
+    ).toEqual({ source: 'extension' });
+    expect(
+      db
+        .prepare(
+          "SELECT rowid FROM messages_fts WHERE messages_fts MATCH 'hello'"
+        )
+        .all()
+    ).toHaveLength(1);
+    expect(
+      db.prepare('SELECT DISTINCT platform FROM user_analytics_queue').all()
+    ).toEqual([{ platform: 'chatgpt' }]);
+  });
+
+  test('should back the database up before migrating', () => {
+    const { backupPath } = new Migrator(db, { backupDir }).migrate();
+
+    expect(path.dirname(backupPath)).toBe(backupDir);
+    expect(path.basename(backupPath)).toMatch(/^tracker-v0-\d+\.db$/);
+
+    const backup = new Database(backupPath, { readonly: true });
+    try {
+      expect(backup.pragma('user_version', { simple: true })).toBe(0);
+      expect(
+        backup.prepare('SELECT COUNT(*) AS count FROM messages').get()
+      ).toEqual({ count: 2 });
+    } finally {
+      backup.close();
+    }
+  });
+
+  test('should do nothing when the database is up to date', () => {
+    new Migrator(db, { backupDir }).migrate();
+    fs.rmSync(backupDir, { recursive: true });
+
+    const migrator = new Migrator(db, { backupDir });
+    const result = migrator.migrate();
+
+    expect(result).toEqual({
+      from: migrator.latestVersion,
+      to: migrator.latestVersion,
+      backupPath: null,
+    });
+    expect(fs.existsSync(backupDir)).toBe(false);
+  });
+
+  test('should not back up a new, empty database', () => {
+    db.close();
+    db = new Database(path.join(dir, 'new.db'));
+
+    const result = new Migrator(db, { backupDir }).migrate();
+
+    expect(result.backupPath).toBeNull();
+    expect(result.to).toBeGreaterThan(0);
+    expect(tableNames()).toContain('messages');
+  });
+
+  test('should roll back every migration when one fails', () => {
+    const migrations = [
+      ...loadMigrations(),
+      {
+        version: loadMigrations().length + 1,
+        name: 'broken',
+        up: (conn) => {
+          conn.exec('CREATE TABLE half_done (id TEXT)');
+          conn.exec('INSERT INTO no_such_table VALUES (1)');
+        },
+      },
+    ];
+    const migrator = new Migrator(db, { backupDir, migrations });
+
+    let error;
+    try {
+      migrator.migrate();
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(Migrator.MigrationError);
+    expect(error.version).toBe(migrations.length);
+    expect(error.fromVersion).toBe(0);
+    expect(error.message).toMatch(/broken failed: no such table/);
+    expect(fs.existsSync(error.backupPath)).toBe(true);
+
+    expect(migrator.version).toBe(0);
+    expect(tableNames()).not.toContain('half_done');
+    expect(tableNames()).not.toContain('blobs');
+    expect(columnsOf('messages')).not.toContain('cost');
+    expect(db.prepare('SELECT COUNT(*) AS count FROM messages').get()).toEqual({
+      count: 2,
+    });
+  });
+
+  test('should refuse a database from a newer version of the app', () => {
+    const migrator = new Migrator(db, { backupDir });
+    db.pragma(`user_version = ${migrator.latestVersion + 1}`);
+
+    expect(() => migrator.migrate()).toThrow(/newer than this app supports/);
+    expect(fs.existsSync(backupDir)).toBe(false);
+  });
+
+  test('should keep only the newest backups', () => {
+    fs.mkdirSync(backupDir);
+    for (let i = 1; i <= 6; i++) {
+      fs.writeFileSync(path.join(backupDir, `tracker-v0-${i}.db`), '');
+    }
+    fs.writeFileSync(path.join(backupDir, 'other-v0-1.db'), '');
+
+    const { backupPath } = new Migrator(db, { backupDir }).migrate();
+
+    expect(fs.readdirSync(backupDir).sort()).toEqual(
+      [
+        'other-v0-1.db',
+        'tracker-v0-3.db',
+        'tracker-v0-4.db',
+        'tracker-v0-5.db',
+        'tracker-v0-6.db',
+        path.basename(backupPath),
+      ].sort()
+    );
+  });
+});
+
+describe('loadMigrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load migrations in version order', () => {
+    fs.writeFileSync(
+      path.join(dir, '002-add-notes.sql'),
+      'CREATE TABLE notes (id TEXT);'
+    );
+    fs.writeFileSync(
+      path.join(dir, '001-start.sql'),
+      'CREATE TABLE items (id TEXT);'
+    );
+    fs.writeFileSync(path.join(dir, 'README.md'), '');
+
+    const migrations = loadMigrations(dir);
+
+    expect(migrations.map((m) => [m.version, m.name])).toEqual([
+      [1, 'start'],
+      [2, 'add-notes'],
+    ]);
+  });
+
+  test('should reject missing versions', () => {
+    fs.writeFileSync(path.join(dir, '001-start.sql'), '');
+    fs.writeFileSync(path.join(dir, '003-later.sql'), '');
+
+    expect(() => loadMigrations(dir)).toThrow(/Migration 2 is missing/);
+  });
+
+  test('should reject repeated versions', () => {
+    fs.writeFileSync(path.join(dir, '001-start.sql'), '');
+    fs.writeFileSync(path.join(dir, '001-again.sql'), '');
+
+    expect(() => loadMigrations(dir)).toThrow(
+      /Migration 2 is missing or repeated/
+    );
+  });
+});
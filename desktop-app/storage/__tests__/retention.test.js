@@ -0,0 +1,258 @@
+const RetentionEngine = require('../retention');
+const BlobStore = require('../blob-store');
+const { Cipher } = require('../encryption');
+const UsageRollups = require('../../analytics/rollups');
+const LLMTrackerDatabase = require('../../database');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+describe('RetentionEngine', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const now = new Date(2025, 0, 15, 12).getTime();
+
+  let dir;
+  let db;
+  let blobs;
+  let rollups;
+  let retention;
+  let files;
+
+  const count = (table, where = '1') =>
+    db.db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${where}`).get()
+      .count;
+
+  /**
+   * A conversation with a message from each side, a capture and a chunk of
+   * the reply, and optionally a stored file attached to the prompt
+   */
+  const conversation = (id, timestamp, file = null) => {
+    db.upsertConversation({
+      id,
+      platform: 'chatgpt',
+      started_at: timestamp,
+      last_activity: timestamp,
+      title: `Conversation ${id}`,
+    });
+    db.insertMessage({
+      id: `${id}-prompt`,
+      conversation_id: id,
+      timestamp,
+      role: 'user',
+      content: `Question about ${id}`,
+      attachments: file
+        ? [{ name: 'chart.png', type: 'image', sha256: file }]
+        : [],
+    });
+    db.insertMessage({
+      id: `${id}-reply`,
+      conversation_id: id,
+      timestamp: timestamp + 1000,
+      role: 'assistant',
+      content: `Answer about ${id}`,
+    });
+    db.insertApiCapture({
+      id: `${id}-capture`,
+      message_id: `${id}-reply`,
+      timestamp: timestamp + 1000,
+      request_url: 'https://chatgpt.com/backend-api/conversation',
+    });
+    db.insertStreamingChunk({
+      id: `${id}-chunk`,
+      message_id: `${id}-reply`,
+      api_capture_id: `${id}-capture`,
+      chunk_index: 0,
+      timestamp: timestamp + 1000,
+      content: 'Answer',
+    });
+  };
+
+  const store = (text) => {
+    const stored = blobs.put(Buffer.from(text));
+    db.recordBlob({
+      sha256: stored.sha256,
+      size: stored.size,
+      mime_type: 'image/png',
+      timestamp: now - 100 * DAY_MS,
+    });
+    return stored.sha256;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-retention-'));
+    db = new LLMTrackerDatabase(path.join(dir, 'llm-tracker.db'));
+    db.init();
+    blobs = new BlobStore(path.join(dir, 'blobs'));
+    rollups = new UsageRollups(db);
+    retention = new RetentionEngine(db, rollups, { blobs });
+
+    files = {
+      archived: store('archived chart'),
+      purged: store('purged chart'),
+      unused: store('unused chart'),
+    };
+
+    conversation('old', new Date(2023, 4, 10, 9).getTime(), files.archived);
+    conversation('recent', new Date(2024, 11, 1, 9).getTime());
+    conversation('trashed', new Date(2024, 11, 2, 9).getTime(), files.purged);
+    conversation('just-trashed', new Date(2024, 11, 3, 9).getTime());
+    db.deleteConversation('trashed', now - 40 * DAY_MS);
+    db.deleteConversation('just-trashed', now - 5 * DAY_MS);
+
+    db.upsertSystemPrompt({
+      platform: 'chatgpt',
+      prompt_text: 'You are ChatGPT',
+      conversation_ids: ['old'],
+    });
+  });
+
+  afterEach(() => {
+    retention.stop();
+    retention.closeArchives();
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should report what a run would remove without removing it', () => {
+    const report = retention.run({ dryRun: true, now });
+
+    expect(report).toMatchObject({
+      dryRun: true,
+      archive: {
+        before: now - 365 * DAY_MS,
+        months: [{ month: '2023-05', conversations: 1, messages: 2 }],
+        conversations: 1,
+        messages: 2,
+      },
+      purge: {
+        before: now - 30 * DAY_MS,
+        conversations: 1,
+        messages: 2,
+        captures: 1,
+        chunks: 1,
+      },
+      blobs: { count: 3 },
+    });
+
+    expect(count('conversations')).toBe(4);
+    expect(count('blobs')).toBe(3);
+    expect(retention.listArchives()).toEqual([]);
+    expect(retention.getSettings().lastRun).toBeNull();
+  });
+
+  test('should archive old conversations by month and open them read-only', () => {
+    retention.run({ now });
+
+    expect(db.getConversation('old')).toBeUndefined();
+    expect(count('messages', "conversation_id = 'old'")).toBe(0);
+    expect(retention.listArchives()).toEqual([
+      { month: '2023-05', size: expect.any(Number) },
+    ]);
+
+    const archive = retention.openArchive('2023-05');
+    expect(archive.getConversation('old')).toMatchObject({
+      title: 'Conversation old',
+      status: 'archived',
+    });
+    expect(archive.getMessages('old')).toHaveLength(2);
+    expect(archive.getConversationApiCaptures('old')).toHaveLength(1);
+    expect(archive.getStreamingChunks('old-reply')).toHaveLength(1);
+    expect(archive.getConversationSystemPrompts('old')).toHaveLength(1);
+    expect(() => archive.deleteConversation('old')).toThrow(/readonly/);
+
+    expect(blobs.has(files.archived)).toBe(false);
+    expect(retention.readArchivedAttachment('2023-05', files.archived)).toBe(
+      `data:image/png;base64,${Buffer.from('archived chart').toString('base64')}`
+    );
+  });
+
+  test('should add to the archive of a month archived before', () => {
+    retention.run({ now });
+    conversation('also-old', new Date(2023, 4, 20, 9).getTime());
+    retention.openArchive('2023-05');
+
+    retention.run({ now });
+
+    const archive = retention.openArchive('2023-05');
+    expect(
+      archive
+        .getRecentConversations(-1)
+        .map((c) => c.id)
+        .sort()
+    ).toEqual(['also-old', 'old']);
+    expect(archive.getMessages('old')).toHaveLength(2);
+  });
+
+  test('should encrypt the archives of an encrypted database', () => {
+    db.rekey(Cipher.create('correct horse battery'));
+    retention.run({ now });
+
+    const file = retention.archivePath('2023-05');
+    expect(Cipher.isSealed(file)).toBe(true);
+    expect(retention.openArchive('2023-05').getMessages('old')).toHaveLength(2);
+
+    retention.rekeyArchives(db.cipher, null);
+    expect(Cipher.isSealed(file)).toBe(false);
+    expect(retention.openArchive('2023-05').getMessages('old')).toHaveLength(2);
+  });
+
+  test('should keep archived conversations in the usage rollups', () => {
+    rollups.update();
+    retention.run({ now });
+    rollups.update();
+
+    expect(
+      db.db
+        .prepare(
+          "SELECT total_messages FROM user_analytics WHERE date = '2023-05-10'"
+        )
+        .get()
+    ).toEqual({ total_messages: 2 });
+  });
+
+  test('should purge conversations deleted before the grace period', () => {
+    const report = retention.run({ now });
+
+    expect(report.purge.conversations).toBe(1);
+    expect(db.getConversation('trashed')).toBeUndefined();
+    expect(count('messages', "conversation_id = 'trashed'")).toBe(0);
+    expect(count('api_captures', "id = 'trashed-capture'")).toBe(0);
+    expect(count('streaming_chunks', "id = 'trashed-chunk'")).toBe(0);
+    expect(db.search('trashed').total).toBe(0);
+    expect(db.getConversation('just-trashed')).toMatchObject({
+      status: 'deleted',
+    });
+    expect(retention.getSettings().lastRun).toBe(now);
+  });
+
+  test('should delete stored files nothing refers to', () => {
+    const kept = store('kept chart');
+    conversation('newest', now - DAY_MS, kept);
+
+    retention.run({ now });
+
+    expect(blobs.has(files.purged)).toBe(false);
+    expect(blobs.has(files.unused)).toBe(false);
+    expect(blobs.has(kept)).toBe(true);
+    expect(db.getBlob(files.unused)).toBeUndefined();
+    expect(db.getBlob(kept)).toBeDefined();
+  });
+
+  test('should keep conversations forever with a retention of 0 days', () => {
+    retention.setSettings({ retentionDays: 0, graceDays: 30 });
+
+    const report = retention.run({ now });
+
+    expect(report.archive).toMatchObject({ before: null, conversations: 0 });
+    expect(db.getConversation('old')).toBeDefined();
+  });
+
+  test('should refuse invalid settings', () => {
+    expect(() =>
+      retention.setSettings({ retentionDays: -1, graceDays: 30 })
+    ).toThrow('Invalid retention');
+    expect(() =>
+      retention.setSettings({ retentionDays: 365, graceDays: 1.5 })
+    ).toThrow('Invalid grace period');
+  });
+});
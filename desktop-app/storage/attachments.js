@@ -0,0 +1,151 @@
+/**
+ * Attachment Store
+ * Files captured from uploads and rendered replies, kept in the blob store
+ * next to the database (~/.llm-tracker/blobs by default) and recorded in
+ * the blobs table
+ *
+ * What is kept is set in settings: attachments can be turned off, each
+ * kind of file (see AttachmentKind) opted out of, and files over a size
+ * cap skipped. The extension is told the policy on connect, so it does not
+ * send files that would be refused; it is checked again here.
+ */
+
+const path = require('path');
+const BlobStore = require('./blob-store');
+const {
+  AttachmentKind,
+  ErrorCode,
+  ProtocolError,
+  acceptsAttachment,
+} = require('../../shared/protocol');
+
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+
+class AttachmentStore {
+  /**
+   * @param {LLMTrackerDatabase} database
+   * @param {BlobStore} [blobs] - Defaults to a `blobs` directory next to
+   *   the database file, encrypted with it
+   */
+  constructor(database, blobs = null) {
+    this.database = database;
+    this.blobs =
+      blobs ||
+      new BlobStore(path.join(path.dirname(database.dbPath), 'blobs'), {
+        cipher: () => database.cipher,
+      });
+  }
+
+  /**
+   * Attachment settings, for the settings view
+   * @returns {{ enabled: boolean, maxBytes: number, kinds: Object<string, boolean> }}
+   */
+  getSettings() {
+    const kinds = {};
+    for (const kind of Object.values(AttachmentKind)) {
+      kinds[kind] = this.database.getSetting(
+        `capture_attachments_${kind}`,
+        true
+      );
+    }
+
+    return {
+      enabled: this.database.getSetting('capture_attachments', true),
+      maxBytes: this.database.getSetting(
+        'attachment_max_bytes',
+        DEFAULT_MAX_BYTES
+      ),
+      kinds,
+    };
+  }
+
+  /**
+   * Change attachment settings; kinds not given are left as they are
+   */
+  setSettings({ enabled, maxBytes, kinds = {} }) {
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new Error(`Invalid size cap: ${maxBytes}`);
+    }
+    for (const kind of Object.keys(kinds)) {
+      if (!Object.values(AttachmentKind).includes(kind)) {
+        throw new Error(`Unknown kind of attachment: ${kind}`);
+      }
+    }
+
+    this.database.setSetting(
+      'capture_attachments',
+      Boolean(enabled),
+      'tracking'
+    );
+    this.database.setSetting('attachment_max_bytes', maxBytes, 'tracking');
+    for (const [kind, captured] of Object.entries(kinds)) {
+      this.database.setSetting(
+        `capture_attachments_${kind}`,
+        Boolean(captured),
+        'tracking'
+      );
+    }
+    return this.getSettings();
+  }
+
+  /**
+   * Settings as sent to the extension (see INIT_ACK)
+   * @returns {{ maxBytes: number, kinds: string[] }}
+   */
+  getPolicy() {
+    const { enabled, maxBytes, kinds } = this.getSettings();
+    return {
+      maxBytes,
+      kinds: enabled ? Object.keys(kinds).filter((kind) => kinds[kind]) : [],
+    };
+  }
+
+  /**
+   * Store the contents of an ATTACHMENT message
+   * @returns {?{ sha256: string, size: number, created: boolean }} null if
+   *   the settings exclude the file
+   * @throws {ProtocolError} if the contents do not match their hash
+   */
+  store(data) {
+    const buffer = Buffer.from(data.data, 'base64');
+    const file = { mimeType: data.mimeType, size: buffer.length };
+    if (!acceptsAttachment(this.getPolicy(), file)) {
+      return null;
+    }
+
+    if (BlobStore.hash(buffer) !== data.sha256) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PAYLOAD,
+        'Attachment contents do not match their hash',
+        ['data.sha256 must be the SHA-256 of data']
+      );
+    }
+
+    const stored = this.blobs.put(buffer);
+    this.database.recordBlob({
+      sha256: stored.sha256,
+      size: stored.size,
+      mime_type: data.mimeType,
+      name: data.name,
+      source: data.source,
+      timestamp: data.timestamp,
+    });
+    return stored;
+  }
+
+  /**
+   * A stored file as a data: URL, for display; null if it is not stored
+   */
+  readDataUrl(sha256) {
+    const blob = this.database.getBlob(sha256);
+    const contents = blob ? this.blobs.read(sha256) : null;
+    if (!contents) {
+      return null;
+    }
+
+    const type = blob.mime_type || 'application/octet-stream';
+    return `data:${type};base64,${contents.toString('base64')}`;
+  }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,154 @@
+/**
+ * Blob Store
+ * Content-addressed file storage for attachments
+ *
+ * Each file is stored once, named by the SHA-256 of its contents, under a
+ * directory named by the first two hex digits of the hash:
+ *
+ *     blobs/3f/3fa9...e1
+ *
+ * Files are written to a temporary name and renamed into place, so a blob
+ * that exists is always complete. When the database is encrypted, so are
+ * the blobs, with the same key; they are still named by the hash of their
+ * plain contents.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Cipher, EncryptionError, reseal } = require('./encryption');
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+class BlobStore {
+  /**
+   * @param {string} dir - Directory holding the blobs, created on first write
+   * @param {Object} [options]
+   * @param {function(): ?Cipher} [options.cipher] - The key blobs are
+   *   encrypted with, if any; looked up on each use, as it changes when the
+   *   database is rekeyed
+   */
+  constructor(dir, { cipher = () => null } = {}) {
+    this.dir = dir;
+    this.cipher = cipher;
+  }
+
+  /**
+   * SHA-256 of a buffer, as lowercase hex
+   */
+  static hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Path of the blob with a hash
+   */
+  pathFor(sha256) {
+    if (!HASH_PATTERN.test(sha256 || '')) {
+      throw new Error(`Invalid blob hash: ${sha256}`);
+    }
+    return path.join(this.dir, sha256.slice(0, 2), sha256);
+  }
+
+  has(sha256) {
+    return fs.existsSync(this.pathFor(sha256));
+  }
+
+  /**
+   * Store a buffer, unless a blob with the same contents is already stored
+   * @param {Buffer} buffer
+   * @param {string} [expectedSha256] - Hash the sender computed; the buffer
+   *   is refused if it does not match
+   * @returns {{ sha256: string, size: number, created: boolean }}
+   */
+  put(buffer, expectedSha256 = null) {
+    const sha256 = BlobStore.hash(buffer);
+    if (expectedSha256 && expectedSha256 !== sha256) {
+      throw new Error(
+        `Blob hash mismatch: expected ${expectedSha256}, got ${sha256}`
+      );
+    }
+
+    const file = this.pathFor(sha256);
+    if (fs.existsSync(file)) {
+      return { sha256, size: buffer.length, created: false };
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      const cipher = this.cipher();
+      fs.writeFileSync(temp, cipher ? cipher.seal(buffer) : buffer);
+      fs.renameSync(temp, file);
+    } catch (err) {
+      fs.rmSync(temp, { force: true });
+      throw err;
+    }
+
+    return { sha256, size: buffer.length, created: true };
+  }
+
+  /**
+   * Contents of a blob, or null if it is not stored
+   * @throws {EncryptionError} if the blob is encrypted and there is no key
+   */
+  read(sha256) {
+    const file = this.pathFor(sha256);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    const contents = fs.readFileSync(file);
+    if (!Cipher.isSealed(contents)) {
+      return contents;
+    }
+    const cipher = this.cipher();
+    if (!cipher) {
+      throw new EncryptionError(`Blob ${sha256} is encrypted`);
+    }
+    return cipher.open(contents);
+  }
+
+  /**
+   * Delete a blob; returns whether it was stored
+   */
+  remove(sha256) {
+    const file = this.pathFor(sha256);
+    if (!fs.existsSync(file)) {
+      return false;
+    }
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  /**
+   * Encrypt every blob with a new key, or decrypt them without one (see
+   * LLMTrackerDatabase.rekey())
+   * @param {?Cipher} from - The key they are encrypted with
+   * @param {?Cipher} to
+   */
+  rekey(from, to) {
+    reseal(this.list(), from, to);
+  }
+
+  /**
+   * Paths of the stored blobs
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(this.dir)
+      .filter((prefix) => /^[0-9a-f]{2}$/.test(prefix))
+      .flatMap((prefix) =>
+        fs
+          .readdirSync(path.join(this.dir, prefix))
+          .filter((name) => HASH_PATTERN.test(name))
+          .map((name) => path.join(this.dir, prefix, name))
+      );
+  }
+}
+
+module.exports = BlobStore;
@@ -0,0 +1,238 @@
+/**
+ * Encryption
+ * Files sealed with a key derived from a passphrase, for encryption at
+ * rest of the database, its backups and archives, and encrypted exports
+ *
+ * A sealed file is:
+ *
+ *     "LLMTENC1"                 8 bytes
+ *     header length              2 bytes, big-endian
+ *     header                     JSON: { v, kdf, salt, N, r, p, cipher }
+ *     IV                         12 bytes
+ *     authentication tag         16 bytes
+ *     ciphertext
+ *
+ * The key is derived from the passphrase with scrypt, using the salt and
+ * cost parameters in the header, and the contents are encrypted with
+ * AES-256-GCM, authenticating the header too. So a file can be opened with
+ * nothing but its passphrase, and a wrong passphrase or a changed file is
+ * detected rather than producing garbage.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAGIC = Buffer.from('LLMTENC1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost: 32 MB of memory, about 0.1 s on a laptop
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * Error raised when a sealed file cannot be opened: the passphrase is
+ * wrong, or the file is damaged or not sealed
+ */
+class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+class Cipher {
+  /**
+   * @param {Buffer} key
+   * @param {Object} header - KDF parameters the key was derived with
+   */
+  constructor(key, header) {
+    this.key = key;
+    this.header = header;
+  }
+
+  /**
+   * A cipher with a new key, derived from a passphrase and a fresh salt
+   * @throws {Error} if the passphrase is too short
+   */
+  static create(passphrase) {
+    if (typeof passphrase !== 'string') {
+      throw new Error('A passphrase is required');
+    }
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrases must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    const header = {
+      v: 1,
+      kdf: 'scrypt',
+      salt: crypto.randomBytes(SALT_BYTES).toString('base64'),
+      ...KDF_PARAMS,
+      cipher: 'aes-256-gcm',
+    };
+    return new Cipher(deriveKey(passphrase, header), header);
+  }
+
+  /**
+   * The cipher a sealed file was sealed with, from its passphrase. Whether
+   * the passphrase is right shows when the file is opened.
+   * @throws {EncryptionError} if the file is not sealed
+   */
+  static unlock(sealed, passphrase) {
+    const { header } = parse(sealed);
+    return new Cipher(deriveKey(String(passphrase), header), header);
+  }
+
+  /**
+   * Whether a buffer, or the file at a path, is sealed
+   */
+  static isSealed(contents) {
+    if (Buffer.isBuffer(contents)) {
+      return contents.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+    if (!fs.existsSync(contents)) {
+      return false;
+    }
+
+    const start = Buffer.alloc(MAGIC.length);
+    const fd = fs.openSync(contents, 'r');
+    try {
+      fs.readSync(fd, start, 0, MAGIC.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return start.equals(MAGIC);
+  }
+
+  /**
+   * Whether a passphrase is the one this cipher's key was derived from
+   */
+  matches(passphrase) {
+    return crypto.timingSafeEqual(
+      deriveKey(String(passphrase), this.header),
+      this.key
+    );
+  }
+
+  /**
+   * Encrypt contents with a fresh IV
+   * @returns {Buffer}
+   */
+  seal(contents) {
+    const header = Buffer.from(JSON.stringify(this.header));
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(header.length);
+    const iv = crypto.randomBytes(IV_BYTES);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.concat([MAGIC, length, header]));
+    const ciphertext = Buffer.concat([cipher.update(contents), cipher.final()]);
+
+    return Buffer.concat([
+      MAGIC,
+      length,
+      header,
+      iv,
+      cipher.getAuthTag(),
+      ciphertext,
+    ]);
+  }
+
+  /**
+   * Decrypt sealed contents
+   * @returns {Buffer}
+   * @throws {EncryptionError} if they were not sealed with this key
+   */
+  open(sealed) {
+    const { header, aad, iv, tag, ciphertext } = parse(sealed);
+    if (header.salt !== this.header.salt) {
+      throw new EncryptionError('Sealed with another key');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(tag);
+    try {
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch {
+      throw new EncryptionError('Wrong passphrase, or the file is damaged');
+    }
+  }
+}
+
+function deriveKey(passphrase, { N, r, p, salt }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), KEY_BYTES, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  });
+}
+
+/**
+ * Split a sealed buffer into its parts
+ * @throws {EncryptionError} if it is not sealed
+ */
+function parse(sealed) {
+  if (!Cipher.isSealed(sealed)) {
+    throw new EncryptionError('Not an encrypted file');
+  }
+
+  try {
+    const length = sealed.readUInt16BE(MAGIC.length);
+    const headerEnd = MAGIC.length + 2 + length;
+    const tagEnd = headerEnd + IV_BYTES + TAG_BYTES;
+    return {
+      header: JSON.parse(sealed.subarray(MAGIC.length + 2, headerEnd)),
+      aad: sealed.subarray(0, headerEnd),
+      iv: sealed.subarray(headerEnd, headerEnd + IV_BYTES),
+      tag: sealed.subarray(headerEnd + IV_BYTES, tagEnd),
+      ciphertext: sealed.subarray(tagEnd),
+    };
+  } catch {
+    throw new EncryptionError('The encrypted file is damaged');
+  }
+}
+
+/**
+ * Write a file under a temporary name and rename it into place, so it is
+ * never left half-written
+ */
+function writeFileAtomic(file, contents) {
+  const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    fs.writeFileSync(temp, contents);
+    fs.renameSync(temp, file);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Rewrite files for a change of key: open those sealed with `from`, and
+ * seal them with `to`, or leave them in the clear without it
+ */
+function reseal(files, from, to) {
+  for (const file of files) {
+    let contents = fs.readFileSync(file);
+    if (Cipher.isSealed(contents)) {
+      if (!from) {
+        throw new EncryptionError(`${file} is encrypted with an unknown key`);
+      }
+      contents = from.open(contents);
+    }
+    writeFileAtomic(file, to ? to.seal(contents) : contents);
+  }
+}
+
+module.exports = {
+  Cipher,
+  EncryptionError,
+  reseal,
+  writeFileAtomic,
+};
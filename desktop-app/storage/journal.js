@@ -0,0 +1,59 @@
+/**
+ * Journal
+ * Captured messages received since an encrypted database was last saved
+ *
+ * An encrypted database is held in memory and written back to its file as
+ * a whole only now and then (see LLMTrackerDatabase.save()). So that a
+ * message survives a crash once it has been acknowledged, it is sealed on
+ * its own and appended to the journal first, one base64 line per message.
+ * The journal is emptied when the database is saved; what is left in it is
+ * ingested again on startup, and messages already saved are skipped as
+ * duplicates.
+ */
+
+const fs = require('fs');
+
+class Journal {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Seal a message and append it
+   * @param {Object} message
+   * @param {Cipher} cipher
+   */
+  append(message, cipher) {
+    const sealed = cipher.seal(Buffer.from(JSON.stringify(message)));
+    fs.appendFileSync(this.filePath, sealed.toString('base64') + '\n');
+  }
+
+  /**
+   * Messages in the order they were appended, skipping lines truncated by a
+   * crash or sealed with another key
+   * @param {Cipher} cipher
+   */
+  read(cipher) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const messages = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        messages.push(JSON.parse(cipher.open(Buffer.from(line, 'base64'))));
+      } catch (err) {
+        continue;
+      }
+    }
+    return messages;
+  }
+
+  clear() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = Journal;
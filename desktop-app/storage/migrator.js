@@ -0,0 +1,170 @@
+/**
+ * Schema Migrator
+ * Brings a database up to the latest schema by running the migrations it
+ * has not had yet (see migrations/). The version it is at is kept in
+ * PRAGMA user_version.
+ *
+ * Pending migrations run in a single transaction, so if one fails the
+ * database is left exactly as it was. A copy is saved before migrating all
+ * the same, in case a migration does the wrong thing without failing; the
+ * last few copies are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadMigrations } = require('../migrations');
+const { writeFileAtomic } = require('./encryption');
+
+const MAX_BACKUPS = 5;
+
+/**
+ * Error raised when a migration fails. Nothing was applied: the database
+ * is still at `fromVersion`.
+ */
+class MigrationError extends Error {
+  constructor(migration, fromVersion, backupPath, cause) {
+    super(
+      `Migration ${migration.version}-${migration.name} failed: ${cause.message}`
+    );
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.fromVersion = fromVersion;
+    this.backupPath = backupPath;
+    this.cause = cause;
+  }
+}
+
+class Migrator {
+  /**
+   * @param {Database} db - better-sqlite3 connection
+   * @param {Object} [options]
+   * @param {?string} [options.backupDir] - Where copies are saved before
+   *   migrating; none are without one
+   * @param {Migration[]} [options.migrations] - Defaults to those in
+   *   migrations/
+   * @param {?Cipher} [options.cipher] - Encrypts the copies, for an
+   *   encrypted database
+   * @param {string} [options.name] - Name the copies start with; defaults
+   *   to the database file's
+   */
+  constructor(
+    db,
+    {
+      backupDir = null,
+      migrations = loadMigrations(),
+      cipher = null,
+      name = path.basename(db.name, path.extname(db.name)),
+    } = {}
+  ) {
+    this.db = db;
+    this.backupDir = backupDir;
+    this.migrations = migrations;
+    this.cipher = cipher;
+    this.name = name;
+  }
+
+  /**
+   * Schema version of the database; 0 before any migration
+   */
+  get version() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  get latestVersion() {
+    return this.migrations.length > 0
+      ? this.migrations[this.migrations.length - 1].version
+      : 0;
+  }
+
+  pending() {
+    const version = this.version;
+    return this.migrations.filter((migration) => migration.version > version);
+  }
+
+  /**
+   * Run the pending migrations
+   * @returns {{ from: number, to: number, backupPath: ?string }}
+   * @throws {MigrationError} if a migration fails
+   * @throws {Error} if the database was migrated by a newer version of the
+   *   app
+   */
+  migrate() {
+    const from = this.version;
+    if (from > this.latestVersion) {
+      throw new Error(
+        `Database schema version ${from} is newer than this app supports ` +
+          `(${this.latestVersion})`
+      );
+    }
+
+    const pending = this.pending();
+    if (pending.length === 0) {
+      return { from, to: from, backupPath: null };
+    }
+
+    const backupPath = this.backup(from);
+    let current = null;
+    try {
+      this.db.transaction(() => {
+        for (const migration of pending) {
+          current = migration;
+          migration.up(this.db);
+          this.db.pragma(`user_version = ${migration.version}`);
+        }
+      })();
+    } catch (err) {
+      throw new MigrationError(current, from, backupPath, err);
+    }
+
+    return { from, to: this.version, backupPath };
+  }
+
+  /**
+   * Save a copy of the database as it is at a schema version
+   * @returns {?string} Path of the copy; null for a new, empty database or
+   *   without a backup directory
+   */
+  backup(version) {
+    const { count } = this.db
+      .prepare('SELECT COUNT(*) AS count FROM sqlite_master')
+      .get();
+    if (!this.backupDir || count === 0) {
+      return null;
+    }
+
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    const backupPath = path.join(
+      this.backupDir,
+      `${this.name}-v${version}-${Date.now()}.db`
+    );
+    if (this.cipher) {
+      writeFileAtomic(backupPath, this.cipher.seal(this.db.serialize()));
+    } else {
+      this.db.prepare('VACUUM INTO ?').run(backupPath);
+    }
+
+    this.pruneBackups(this.name);
+    return backupPath;
+  }
+
+  /**
+   * Delete all but the newest copies of a database
+   */
+  pruneBackups(name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escaped}-v\\d+-(\\d+)\\.db$`);
+    const backups = fs
+      .readdirSync(this.backupDir)
+      .map((file) => ({ file, match: file.match(pattern) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(b.match[1]) - Number(a.match[1]));
+
+    for (const { file } of backups.slice(MAX_BACKUPS)) {
+      fs.unlinkSync(path.join(this.backupDir, file));
+    }
+  }
+}
+
+Migrator.MigrationError = MigrationError;
+
+module.exports = Migrator;
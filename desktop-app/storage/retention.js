@@ -0,0 +1,626 @@
+/**
+ * Retention
+ * Enforces the retention settings: conversations inactive for longer than
+ * retention_days are archived, and conversations in the trash are purged
+ * retention_grace_days after they were deleted
+ *
+ * Archives are SQLite databases with the conversation tables of the
+ * database, one per month of last activity, gzipped next to it:
+ *
+ *     archives/2024-05.sqlite.gz
+ *
+ * An archived conversation is copied there with its messages, API
+ * captures, streaming chunks, message parts, context windows, system
+ * prompts and attached files, then deleted from the database. The daily
+ * usage rollups it counted towards keep it. openArchive() opens an archive
+ * read-only in memory. Archives of an encrypted database are encrypted
+ * with its key, after compressing.
+ *
+ * Purging deletes a conversation and everything captured in it for good.
+ * Stored files no conversation refers to are deleted from the blob store
+ * once they have not been seen for the grace period.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Database = require('better-sqlite3');
+const BlobStore = require('./blob-store');
+const LLMTrackerDatabase = require('../database');
+const {
+  Cipher,
+  EncryptionError,
+  reseal,
+  writeFileAtomic,
+} = require('./encryption');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = DAY_MS;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const ARCHIVE_FILE_PATTERN = /^(\d{4}-\d{2})\.sqlite\.gz$/;
+
+// Conversations given as a JSON array in @ids, and their messages
+const CONVERSATIONS = 'SELECT value FROM json_each(@ids)';
+const MESSAGES = `SELECT id FROM main.messages WHERE conversation_id IN (${CONVERSATIONS})`;
+const ATTACHMENTS = `
+  SELECT json_extract(a.value, '$.sha256')
+  FROM main.messages m, json_each(m.attachments) a
+  WHERE m.conversation_id IN (${CONVERSATIONS})
+`;
+
+// Tables copied into archives, and which of their rows belong to the
+// archived conversations
+const ARCHIVED_TABLES = {
+  conversations: `id IN (${CONVERSATIONS})`,
+  messages: `conversation_id IN (${CONVERSATIONS})`,
+  api_captures: `message_id IN (${MESSAGES})`,
+  streaming_chunks: `message_id IN (${MESSAGES})`,
+  message_parts: `message_id IN (${MESSAGES})`,
+  conversation_context: `conversation_id IN (${CONVERSATIONS})`,
+  system_prompts: `EXISTS (
+    SELECT 1 FROM json_each(system_prompts.conversation_ids)
+    WHERE value IN (${CONVERSATIONS})
+  )`,
+  blobs: `sha256 IN (${ATTACHMENTS})`,
+};
+
+/**
+ * @typedef {Object} RetentionReport
+ * @property {boolean} dryRun - Whether nothing was actually removed
+ * @property {number} ranAt
+ * @property {{ before: ?number, months: Object[], conversations: number, messages: number }} archive
+ *   Conversations last active before `before`, per month of archive
+ * @property {{ before: number, conversations: number, messages: number, captures: number, chunks: number }} purge
+ *   Conversations deleted before `before`, and what was captured in them
+ * @property {{ count: number, bytes: number }} blobs - Stored files no
+ *   longer referred to
+ */
+
+class RetentionEngine {
+  /**
+   * @param {LLMTrackerDatabase} database
+   * @param {?UsageRollups} rollups - Brought up to date before archiving,
+   *   so archived conversations stay counted in them
+   * @param {Object} [options]
+   * @param {string} [options.archiveDir] - Defaults to an `archives`
+   *   directory next to the database file
+   * @param {BlobStore} [options.blobs] - Defaults to the `blobs` directory
+   *   next to the database file, encrypted with it
+   */
+  constructor(database, rollups = null, { archiveDir, blobs } = {}) {
+    const dataDir = path.dirname(database.dbPath);
+    this.database = database;
+    this.rollups = rollups;
+    this.archiveDir = archiveDir || path.join(dataDir, 'archives');
+    this.blobs =
+      blobs ||
+      new BlobStore(path.join(dataDir, 'blobs'), {
+        cipher: () => database.cipher,
+      });
+    this.openArchives = new Map();
+    this.timer = null;
+  }
+
+  get db() {
+    return this.database.db;
+  }
+
+  /**
+   * Retention settings, for the settings view
+   * @returns {{ retentionDays: number, graceDays: number, lastRun: ?number }}
+   */
+  getSettings() {
+    return {
+      retentionDays: this.database.getSetting('retention_days', 365),
+      graceDays: this.database.getSetting('retention_grace_days', 30),
+      lastRun: this.database.getSetting('retention_last_run', null),
+    };
+  }
+
+  /**
+   * Change retention settings. A retention of 0 days keeps conversations
+   * in the database forever.
+   */
+  setSettings({ retentionDays, graceDays }) {
+    if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+      throw new Error(`Invalid retention: ${retentionDays}`);
+    }
+    if (!Number.isInteger(graceDays) || graceDays < 0) {
+      throw new Error(`Invalid grace period: ${graceDays}`);
+    }
+
+    this.database.setSetting('retention_days', retentionDays, 'privacy');
+    this.database.setSetting('retention_grace_days', graceDays, 'privacy');
+    return this.getSettings();
+  }
+
+  /**
+   * Apply the policies shortly after startup, then periodically
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    this.stop();
+
+    const tick = () => {
+      try {
+        this.run();
+      } catch (err) {
+        console.error('Retention run failed:', err);
+      }
+    };
+    this.timer = setTimeout(() => {
+      tick();
+      this.timer = setInterval(tick, intervalMs);
+      this.timer.unref?.();
+    }, STARTUP_DELAY_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Archive, purge and delete unused files, as the settings say
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be removed
+   * @param {number} [options.now]
+   * @returns {RetentionReport}
+   */
+  run({ dryRun = false, now = Date.now() } = {}) {
+    const { retentionDays, graceDays } = this.getSettings();
+    const archiveBefore =
+      retentionDays > 0 ? now - retentionDays * DAY_MS : null;
+    const purgeBefore = now - graceDays * DAY_MS;
+
+    const archived = this.findArchivable(archiveBefore);
+    const purged = this.findPurgeable(purgeBefore);
+    const blobs = this.findUnusedBlobs(purgeBefore, [
+      ...archived.map((c) => c.id),
+      ...purged.map((c) => c.id),
+    ]);
+
+    const months = new Map();
+    for (const { id, month } of archived) {
+      months.set(month, [...(months.get(month) || []), id]);
+    }
+
+    const report = {
+      dryRun,
+      ranAt: now,
+      archive: {
+        before: archiveBefore,
+        months: [...months].map(([month, ids]) => ({
+          month,
+          conversations: ids.length,
+          messages: archived
+            .filter((c) => c.month === month)
+            .reduce((sum, c) => sum + c.messages, 0),
+        })),
+        conversations: archived.length,
+        messages: archived.reduce((sum, c) => sum + c.messages, 0),
+      },
+      purge: {
+        before: purgeBefore,
+        ...this.countContents(purged.map((c) => c.id)),
+      },
+      blobs: {
+        count: blobs.length,
+        bytes: blobs.reduce((sum, blob) => sum + blob.size, 0),
+      },
+    };
+
+    if (!dryRun) {
+      for (const [month, ids] of months) {
+        this.archiveMonth(month, ids);
+      }
+      this.purge(purged.map((c) => c.id));
+      this.deleteBlobs(blobs.map((blob) => blob.sha256));
+      this.database.setSetting('retention_last_run', now, 'privacy');
+    }
+
+    return report;
+  }
+
+  /**
+   * Conversations last active before a time, oldest first, with the month
+   * they are archived under (local time)
+   */
+  findArchivable(before) {
+    if (before === null) {
+      return [];
+    }
+
+    return this.db
+      .prepare(
+        `
+        SELECT
+          c.id,
+          strftime('%Y-%m', c.last_activity / 1000, 'unixepoch', 'localtime') AS month,
+          (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS messages
+        FROM conversations c
+        WHERE c.status IS NOT 'deleted' AND c.last_activity < ?
+        ORDER BY c.last_activity
+      `
+      )
+      .all(before);
+  }
+
+  /**
+   * Conversations moved to the trash before a time
+   */
+  findPurgeable(before) {
+    return this.db
+      .prepare(
+        `
+        SELECT id FROM conversations
+        WHERE status = 'deleted' AND COALESCE(deleted_at, updated_at) < ?
+      `
+      )
+      .all(before);
+  }
+
+  /**
+   * Stored files not seen since a time that no message refers to, apart
+   * from the messages of conversations about to be removed
+   * @returns {{ sha256: string, size: number }[]}
+   */
+  findUnusedBlobs(before, ignoredConversationIds = []) {
+    return this.db
+      .prepare(
+        `
+        SELECT sha256, size FROM blobs
+        WHERE last_seen < @before
+          AND sha256 NOT IN (
+            SELECT json_extract(a.value, '$.sha256')
+            FROM messages m, json_each(m.attachments) a
+            WHERE m.conversation_id NOT IN (${CONVERSATIONS})
+              AND json_extract(a.value, '$.sha256') IS NOT NULL
+          )
+      `
+      )
+      .all({ before, ids: JSON.stringify(ignoredConversationIds) });
+  }
+
+  /**
+   * How much is stored for some conversations
+   */
+  countContents(ids) {
+    return this.db
+      .prepare(
+        `
+        SELECT
+          (SELECT COUNT(*) FROM conversations WHERE id IN (${CONVERSATIONS})) AS conversations,
+          (SELECT COUNT(*) FROM messages WHERE conversation_id IN (${CONVERSATIONS})) AS messages,
+          (SELECT COUNT(*) FROM api_captures WHERE message_id IN (${MESSAGES})) AS captures,
+          (SELECT COUNT(*) FROM streaming_chunks WHERE message_id IN (${MESSAGES})) AS chunks
+      `
+      )
+      .get({ ids: JSON.stringify(ids) });
+  }
+
+  /**
+   * Move conversations into the archive of a month, adding them to it if
+   * it exists. The archive is built in memory, so nothing is written
+   * unencrypted for an encrypted database.
+   */
+  archiveMonth(month, ids) {
+    const file = this.archivePath(month);
+    const previous = fs.existsSync(file) ? this.readArchive(month) : null;
+    const params = { ids: JSON.stringify(ids) };
+
+    this.closeArchive(month);
+    this.db.exec("ATTACH DATABASE ':memory:' AS archive");
+    let contents;
+    try {
+      this.db.transaction(() => {
+        this.createArchiveTables();
+        if (previous) {
+          this.loadArchive(previous);
+        }
+        for (const [table, where] of Object.entries(ARCHIVED_TABLES)) {
+          this.copyToArchive(table, where, params);
+        }
+        this.copyBlobContents(params);
+        this.db
+          .prepare(
+            `UPDATE archive.conversations SET status = 'archived' WHERE id IN (${CONVERSATIONS})`
+          )
+          .run(params);
+      })();
+      contents = this.db.serialize({ attached: 'archive' });
+    } finally {
+      this.db.exec('DETACH DATABASE archive');
+    }
+
+    const compressed = zlib.gzipSync(contents);
+    const { cipher } = this.database;
+    fs.mkdirSync(this.archiveDir, { recursive: true });
+    writeFileAtomic(file, cipher ? cipher.seal(compressed) : compressed);
+
+    // Only once the archive is safely written
+    this.rollups?.update();
+    this.db.transaction(() => {
+      const { mark } = this.db
+        .prepare(
+          'SELECT COALESCE(MAX(rowid), 0) AS mark FROM user_analytics_queue'
+        )
+        .get();
+      this.db
+        .prepare(`DELETE FROM conversations WHERE id IN (${CONVERSATIONS})`)
+        .run(params);
+      // The days were rolled up with these conversations; keep them so
+      this.db
+        .prepare('DELETE FROM user_analytics_queue WHERE rowid > ?')
+        .run(mark);
+    })();
+  }
+
+  /**
+   * Create the archived tables and their indexes in the attached archive,
+   * as they are in the database, and a table for the stored files
+   */
+  createArchiveTables() {
+    const schema = this.db
+      .prepare(
+        `
+        SELECT type, sql FROM main.sqlite_master
+        WHERE tbl_name IN (SELECT value FROM json_each(?))
+          AND type IN ('table', 'index') AND sql IS NOT NULL
+        ORDER BY type = 'index'
+      `
+      )
+      .all(JSON.stringify(Object.keys(ARCHIVED_TABLES)));
+    for (const { type, sql } of schema) {
+      this.db.exec(
+        type === 'table'
+          ? sql.replace(/^CREATE TABLE\s+"?(\w+)"?/i, 'CREATE TABLE archive.$1')
+          : sql.replace(
+              /^CREATE (UNIQUE )?INDEX\s+"?(\w+)"?/i,
+              'CREATE $1INDEX archive.$2'
+            )
+      );
+    }
+
+    this.db.exec(`
+      CREATE TABLE archive.blob_contents (
+        sha256 TEXT PRIMARY KEY,
+        data BLOB NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Copy the rows of an archive written before into the attached archive,
+   * in the columns both still have
+   * @param {Buffer} contents - The archive database
+   */
+  loadArchive(contents) {
+    const previous = new Database(contents, { readonly: true });
+    try {
+      for (const table of [...Object.keys(ARCHIVED_TABLES), 'blob_contents']) {
+        const existing = previous
+          .prepare(`PRAGMA table_info(${table})`)
+          .all()
+          .map((c) => c.name);
+        const columns = this.db
+          .prepare(`PRAGMA archive.table_info(${table})`)
+          .all()
+          .map((c) => c.name)
+          .filter((c) => existing.includes(c));
+        if (columns.length === 0) {
+          continue;
+        }
+
+        const insert = this.db.prepare(
+          `INSERT INTO archive.${table} (${columns.join(', ')})
+           VALUES (${columns.map((c) => `@${c}`).join(', ')})`
+        );
+        const rows = previous
+          .prepare(`SELECT ${columns.join(', ')} FROM ${table}`)
+          .iterate();
+        for (const row of rows) {
+          insert.run(row);
+        }
+      }
+    } finally {
+      previous.close();
+    }
+  }
+
+  /**
+   * Copy rows of a table into the attached archive. Rows archived before
+   * are updated.
+   */
+  copyToArchive(table, where, params) {
+    const columns = this.db
+      .prepare(`PRAGMA main.table_info(${table})`)
+      .all()
+      .map((c) => c.name);
+
+    const list = columns.join(', ');
+    this.db
+      .prepare(
+        `
+        INSERT INTO archive.${table} (${list})
+        SELECT ${list} FROM main.${table} WHERE ${where}
+        ON CONFLICT DO UPDATE SET
+          ${columns.map((c) => `${c} = excluded.${c}`).join(', ')}
+      `
+      )
+      .run(params);
+  }
+
+  /**
+   * Copy the stored files of the archived conversations into the archive
+   */
+  copyBlobContents(params) {
+    const insert = this.db.prepare(
+      'INSERT OR IGNORE INTO archive.blob_contents (sha256, data) VALUES (?, ?)'
+    );
+    const stored = this.db
+      .prepare(`SELECT sha256 FROM main.blobs WHERE ${ARCHIVED_TABLES.blobs}`)
+      .all(params);
+    for (const { sha256 } of stored) {
+      const contents = this.blobs.read(sha256);
+      if (contents) {
+        insert.run(sha256, contents);
+      }
+    }
+  }
+
+  /**
+   * Delete conversations and everything captured in them, leaving no trace
+   * in free pages or the search index
+   */
+  purge(ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const secureDelete = this.db.pragma('secure_delete', { simple: true });
+    this.db.pragma('secure_delete = ON');
+    try {
+      const { changes } = this.db
+        .prepare(`DELETE FROM conversations WHERE id IN (${CONVERSATIONS})`)
+        .run({ ids: JSON.stringify(ids) });
+
+      this.db.exec(`
+        INSERT INTO messages_fts (messages_fts) VALUES ('optimize');
+        INSERT INTO conversations_fts (conversations_fts) VALUES ('optimize');
+      `);
+      return changes;
+    } finally {
+      this.db.pragma(`secure_delete = ${secureDelete}`);
+    }
+  }
+
+  /**
+   * Delete stored files from the blob store and the blobs table
+   */
+  deleteBlobs(hashes) {
+    const forget = this.db.prepare('DELETE FROM blobs WHERE sha256 = ?');
+    for (const sha256 of hashes) {
+      this.blobs.remove(sha256);
+      forget.run(sha256);
+    }
+  }
+
+  archivePath(month) {
+    if (!MONTH_PATTERN.test(month || '')) {
+      throw new Error(`Invalid archive month: ${month}`);
+    }
+    return path.join(this.archiveDir, `${month}.sqlite.gz`);
+  }
+
+  /**
+   * Archives written so far, newest first
+   * @returns {{ month: string, size: number }[]}
+   */
+  listArchives() {
+    if (!fs.existsSync(this.archiveDir)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(this.archiveDir)
+      .map((file) => file.match(ARCHIVE_FILE_PATTERN))
+      .filter(Boolean)
+      .map(([file, month]) => ({
+        month,
+        size: fs.statSync(path.join(this.archiveDir, file)).size,
+      }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  /**
+   * The archive database of a month, decrypted and decompressed
+   * @returns {Buffer}
+   * @throws {EncryptionError} if it is encrypted with another key
+   */
+  readArchive(month) {
+    const file = this.archivePath(month);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No archive for ${month}`);
+    }
+
+    let contents = fs.readFileSync(file);
+    if (Cipher.isSealed(contents)) {
+      if (!this.database.cipher) {
+        throw new EncryptionError(`The archive of ${month} is encrypted`);
+      }
+      contents = this.database.cipher.open(contents);
+    }
+    return zlib.gunzipSync(contents);
+  }
+
+  /**
+   * Open the archive of a month read-only, in memory until it is closed
+   * @returns {LLMTrackerDatabase}
+   */
+  openArchive(month) {
+    if (this.openArchives.has(month)) {
+      return this.openArchives.get(month);
+    }
+
+    const archive = new LLMTrackerDatabase(this.archivePath(month));
+    archive.openReadOnly(this.readArchive(month));
+    this.openArchives.set(month, archive);
+    return archive;
+  }
+
+  closeArchive(month) {
+    const archive = this.openArchives.get(month);
+    if (archive) {
+      archive.close();
+      this.openArchives.delete(month);
+    }
+  }
+
+  closeArchives() {
+    for (const month of [...this.openArchives.keys()]) {
+      this.closeArchive(month);
+    }
+  }
+
+  /**
+   * Re-encrypt the archives for a change of the database's key (see
+   * LLMTrackerDatabase.rekey()), or decrypt them without one
+   * @param {?Cipher} from - The key they are encrypted with
+   * @param {?Cipher} to
+   */
+  rekeyArchives(from, to) {
+    this.closeArchives();
+    reseal(
+      this.listArchives().map(({ month }) => this.archivePath(month)),
+      from,
+      to
+    );
+  }
+
+  /**
+   * A file stored in an archive as a data: URL, for display; null if it
+   * is not stored there
+   */
+  readArchivedAttachment(month, sha256) {
+    const blob = this.openArchive(month)
+      .db.prepare(
+        `
+        SELECT b.mime_type, c.data FROM blobs b
+        JOIN blob_contents c ON c.sha256 = b.sha256
+        WHERE b.sha256 = ?
+      `
+      )
+      .get(sha256);
+    if (!blob) {
+      return null;
+    }
+
+    const type = blob.mime_type || 'application/octet-stream';
+    return `data:${type};base64,${blob.data.toString('base64')}`;
+  }
+}
+
+module.exports = RetentionEngine;
@@ -0,0 +1,109 @@
+const TokenCounter = require('../counter');
+
+describe('TokenCounter', () => {
+  let counter;
+
+  beforeEach(() => {
+    counter = new TokenCounter();
+  });
+
+  describe('Encodings', () => {
+    test('should pick the vocabulary of each OpenAI model family', () => {
+      expect(counter.resolve({ model: 'gpt-4o-mini' }).encoding).toBe(
+        'o200k_base'
+      );
+      expect(counter.resolve({ model: 'o3' }).encoding).toBe('o200k_base');
+      expect(counter.resolve({ model: 'gpt-4-turbo' }).encoding).toBe(
+        'cl100k_base'
+      );
+      expect(counter.resolve({ model: 'gpt-3.5-turbo' }).encoding).toBe(
+        'cl100k_base'
+      );
+      expect(counter.resolve({ model: 'gpt-4o' }).exact).toBe(true);
+    });
+
+    test('should approximate Claude and Gemini', () => {
+      expect(counter.resolve({ model: 'claude-sonnet-4' })).toMatchObject({
+        encoding: 'cl100k_base',
+        exact: false,
+      });
+      expect(counter.resolve({ platform: 'gemini' }).exact).toBe(false);
+    });
+
+    test('should assume current OpenAI models for unknown ChatGPT models', () => {
+      expect(counter.resolve({ model: 'auto', platform: 'chatgpt' })).toEqual({
+        encoding: 'o200k_base',
+        factor: 1,
+        exact: true,
+      });
+    });
+  });
+
+  describe('Counting', () => {
+    test('should count tokens exactly for OpenAI models', () => {
+      expect(counter.count('Hello, world!', { model: 'gpt-4o' })).toBe(4);
+      expect(counter.count('Hello, world!', { model: 'gpt-4' })).toBe(4);
+    });
+
+    test('should scale approximated counts', () => {
+      expect(counter.count('Hello, world!', { platform: 'claude' })).toBe(
+        Math.ceil(4 * 1.15)
+      );
+    });
+
+    test('should treat special token markers as plain text', () => {
+      expect(
+        counter.count('<|endoftext|>', { model: 'gpt-4o' })
+      ).toBeGreaterThan(1);
+    });
+
+    test('should count nothing for empty text', () => {
+      expect(counter.count('')).toBe(0);
+      expect(counter.count(null)).toBe(0);
+    });
+
+    test('should add chat format overhead to message lists', () => {
+      const options = { model: 'gpt-4o' };
+      const messages = [
+        { role: 'system', text: 'Be brief.' },
+        { role: 'user', text: 'Hello, world!' },
+      ];
+
+      const expected =
+        3 +
+        messages.reduce(
+          (sum, m) =>
+            sum +
+            3 +
+            counter.count(m.role, options) +
+            counter.count(m.text, options),
+          0
+        );
+      expect(counter.countMessages(messages, options)).toBe(expected);
+      expect(counter.countMessages([], options)).toBe(0);
+    });
+  });
+
+  describe('Context windows', () => {
+    test('should match dated and provider-prefixed model names', () => {
+      expect(counter.contextWindow({ model: 'gpt-4o-2024-08-06' })).toEqual({
+        model: 'gpt-4o',
+        size: 128000,
+        assumed: false,
+      });
+      expect(counter.contextWindow({ model: 'gpt-4o-mini' }).model).toBe(
+        'gpt-4o-mini'
+      );
+      expect(
+        counter.contextWindow({ model: 'models/gemini-2.5-pro' }).size
+      ).toBe(1048576);
+    });
+
+    test("should assume the platform's default model", () => {
+      expect(
+        counter.contextWindow({ model: 'auto', platform: 'chatgpt' })
+      ).toEqual({ model: 'gpt-4o', size: 128000, assumed: true });
+      expect(counter.contextWindow({ platform: 'poe' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Context Windows
+ * Published context window sizes, in tokens: the most a request's context
+ * and reply can hold together
+ *
+ * Each model ID also covers its dated and suffixed variants, as in the
+ * pricing catalog (`gpt-4o` covers `gpt-4o-2024-08-06`). Chat apps may give
+ * their users less than the API does; these are the API limits.
+ */
+
+// prettier-ignore
+const CONTEXT_WINDOWS = {
+  // OpenAI
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'chatgpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4.1-nano': 1047576,
+  'gpt-4.5': 128000,
+  'gpt-5': 400000,
+  'gpt-5-mini': 400000,
+  'gpt-5-nano': 400000,
+  'o1': 200000,
+  'o1-mini': 128000,
+  'o3': 200000,
+  'o3-mini': 200000,
+  'o4-mini': 200000,
+
+  // Anthropic
+  'claude-3-haiku': 200000,
+  'claude-3-opus': 200000,
+  'claude-3-5-haiku': 200000,
+  'claude-3-5-sonnet': 200000,
+  'claude-3-7-sonnet': 200000,
+  'claude-sonnet-4': 200000,
+  'claude-opus-4': 200000,
+  'claude-opus-4-1': 200000,
+
+  // Google
+  'gemini-1.5-flash': 1048576,
+  'gemini-1.5-pro': 2097152,
+  'gemini-2.0-flash': 1048576,
+  'gemini-2.5-flash': 1048576,
+  'gemini-2.5-pro': 1048576,
+
+  // Mistral
+  'mistral-large': 131072,
+  'mistral-medium': 131072,
+  'mistral-small': 131072,
+
+  // DeepSeek
+  'deepseek-chat': 65536,
+  'deepseek-reasoner': 65536,
+
+  // Perplexity
+  'sonar': 128000,
+  'sonar-pro': 200000,
+};
+
+module.exports = { CONTEXT_WINDOWS };
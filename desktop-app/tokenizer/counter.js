@@ -0,0 +1,138 @@
+/**
+ * Token Counter
+ * Counts tokens offline for the models tracked by the app
+ *
+ * OpenAI models are counted exactly with their own BPE vocabularies
+ * (o200k_base / cl100k_base). Claude and Gemini tokenizers are not public, so
+ * their counts are approximated from a BPE vocabulary of similar size and a
+ * calibration factor. Exact counts reported by the API (`usage`) should
+ * always be preferred over either.
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+const { CONTEXT_WINDOWS } = require('./context-windows');
+const { PLATFORM_DEFAULT_MODELS } = require('../pricing/default-prices');
+
+// Vocabularies are large, so each is only loaded when first needed
+const VOCABULARIES = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+};
+
+// OpenAI model families, by model name prefix
+const OPENAI_ENCODINGS = [
+  [/^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o\d)/, 'o200k_base'],
+  [/^(gpt-4|gpt-3\.5|text-davinci-002-render)/, 'cl100k_base'],
+];
+
+// Approximations for tokenizers that cannot be run locally. Factors are
+// rough ratios for English prose and code; other text may be further off.
+const APPROXIMATIONS = {
+  claude: { encoding: 'cl100k_base', factor: 1.15 },
+  gemini: { encoding: 'o200k_base', factor: 1.0 },
+};
+
+// Tokens added by the chat format: per message, and to prime the reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+const encoders = new Map();
+
+class TokenCounter {
+  /**
+   * How text for a model is tokenized
+   * @param {{ model?: string, platform?: string }} options
+   * @returns {{ encoding: string, factor: number, exact: boolean }}
+   */
+  resolve({ model, platform } = {}) {
+    const name = (model || '').toLowerCase();
+
+    for (const [pattern, encoding] of OPENAI_ENCODINGS) {
+      if (pattern.test(name)) {
+        return { encoding, factor: 1, exact: true };
+      }
+    }
+
+    const family = /claude/.test(name)
+      ? 'claude'
+      : /gemini/.test(name)
+        ? 'gemini'
+        : platform;
+    if (APPROXIMATIONS[family]) {
+      return { ...APPROXIMATIONS[family], exact: false };
+    }
+
+    // Unknown OpenAI models are assumed to be current ones
+    return { encoding: 'o200k_base', factor: 1, exact: platform === 'chatgpt' };
+  }
+
+  /**
+   * Number of tokens in a piece of text
+   */
+  count(text, options = {}) {
+    if (!text) {
+      return 0;
+    }
+
+    const { encoding, factor } = this.resolve(options);
+    const tokens = this.encoder(encoding).encode(text, [], []).length;
+    return Math.ceil(tokens * factor);
+  }
+
+  /**
+   * Number of tokens in a chat context, including the chat format overhead
+   * @param {Array<{ role: string, text: string }>} messages
+   */
+  countMessages(messages, options = {}) {
+    if (!messages || messages.length === 0) {
+      return 0;
+    }
+
+    let total = TOKENS_PER_REPLY;
+    for (const message of messages) {
+      total +=
+        TOKENS_PER_MESSAGE +
+        this.count(message.role, options) +
+        this.count(message.text, options);
+    }
+    return total;
+  }
+
+  /**
+   * Context window of a model, in tokens. Captures that do not name a
+   * model are assumed to use their platform's default one.
+   * @param {{ model?: string, platform?: string }} options
+   * @returns {?{ model: string, size: number, assumed: boolean }}
+   */
+  contextWindow({ model, platform } = {}) {
+    const name = (model || '').trim().toLowerCase().split('/').pop();
+
+    let best = null;
+    for (const key of Object.keys(CONTEXT_WINDOWS)) {
+      if (
+        (name === key || name.startsWith(`${key}-`)) &&
+        (!best || key.length > best.length)
+      ) {
+        best = key;
+      }
+    }
+    if (best) {
+      return { model: best, size: CONTEXT_WINDOWS[best], assumed: false };
+    }
+
+    const fallback = PLATFORM_DEFAULT_MODELS[platform];
+    return fallback && CONTEXT_WINDOWS[fallback]
+      ? { model: fallback, size: CONTEXT_WINDOWS[fallback], assumed: true }
+      : null;
+  }
+
+  encoder(encoding) {
+    if (!encoders.has(encoding)) {
+      const ranks = VOCABULARIES[encoding]();
+      encoders.set(encoding, new Tiktoken(ranks.default || ranks));
+    }
+    return encoders.get(encoding);
+  }
+}
+
+module.exports = TokenCounter;
@@ -5,6 +5,37 @@
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const {
+  MIN_PROTOCOL_VERSION,
+  MessageType,
+  ErrorCode,
+  ProtocolError,
+  validateMessage,
+  negotiateVersion,
+  requiresAck,
+  validatePayload,
+  SyncRecordKind,
+  CaptureStatus,
+  createMessage,
+  createErrorMessage,
+} = require('../shared/protocol');
+const { ContentType } = require('../shared/platforms');
+const IngestionNormalizer = require('./ingestion/normalizer');
+const TokenCounter = require('./tokenizer/counter');
+const PricingCatalog = require('./pricing/catalog');
+const AttachmentStore = require('./storage/attachments');
+
+// How long ingested message IDs are remembered for deduplication. Must exceed
+// the time the extension keeps undelivered messages in its outbox.
+const RECEIVED_MESSAGE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Inactivity after which the extension ends a usage session, unless set in
+// settings (session_idle_timeout_minutes)
+const DEFAULT_SESSION_IDLE_MINUTES = 5;
+
+// How long after a request an API capture waits for the page to capture the
+// prompt it carries, before a hidden message stands in for it
+const PROMPT_CAPTURE_WAIT_MS = 2 * 60 * 1000;
 
 class WebSocketServer {
   constructor(database, port = 9876) {
@@ -12,12 +43,20 @@ class WebSocketServer {
     this.port = port;
     this.wss = null;
     this.clients = new Set();
+    this.protocolVersions = new Map();
+    this.normalizer = new IngestionNormalizer();
+    this.tokenCounter = new TokenCounter();
+    this.pricing = new PricingCatalog(database);
+    this.attachments = new AttachmentStore(database);
   }
 
   /**
    * Start the WebSocket server
    */
   start() {
+    this.database.pruneReceivedMessages(Date.now() - RECEIVED_MESSAGE_TTL_MS);
+    this.replayJournal();
+
     this.wss = new WebSocket.Server({ port: this.port });
 
     this.wss.on('connection', (ws) => {
@@ -30,25 +69,24 @@ class WebSocketServer {
           this.handleMessage(message, ws);
         } catch (err) {
           console.error('Error parsing message:', err);
-          this.sendError(ws, 'Invalid JSON');
+          this.sendError(
+            ws,
+            new ProtocolError(ErrorCode.INVALID_JSON, 'Invalid JSON', [
+              err.message,
+            ])
+          );
         }
       });
 
       ws.on('close', () => {
         console.log('Native host disconnected');
         this.clients.delete(ws);
+        this.protocolVersions.delete(ws);
       });
 
       ws.on('error', (err) => {
         console.error('WebSocket error:', err);
       });
-
-      // Send welcome message
-      this.send(ws, {
-        type: 'connection',
-        status: 'connected',
-        timestamp: Date.now(),
-      });
     });
 
     console.log(`WebSocket server listening on port ${this.port}`);
@@ -63,54 +101,200 @@ class WebSocketServer {
       this.wss = null;
     }
     this.clients.clear();
+    this.protocolVersions.clear();
   }
 
   /**
    * Handle incoming messages from native host
+   * Invalid messages are rejected with an ERROR and are not acknowledged.
    */
   handleMessage(message, ws) {
+    try {
+      validateMessage(message);
+    } catch (err) {
+      console.warn('Rejected message:', err.message, err.details);
+      this.sendError(ws, err, message);
+      return;
+    }
+
     try {
       switch (message.type) {
-        case 'conversation':
-          this.handleConversation(message.data);
-          break;
+        case MessageType.INIT:
+          this.handleInit(message.data, ws);
+          return;
+
+        case MessageType.PING:
+          this.send(ws, createMessage(MessageType.PONG));
+          return;
+
+        case MessageType.REQUEST_SYNC:
+          this.send(
+            ws,
+            createMessage(MessageType.SYNC_CURSOR, {
+              highWaterMark: this.database.getSyncCursor(),
+            })
+          );
+          return;
+      }
+
+      // Kept until an encrypted database is next saved, as the sender
+      // forgets the message once it is acknowledged
+      if (requiresAck(message.type) && message.id) {
+        this.database.journalMessage(message);
+      }
+      const duplicate = this.ingest(message);
 
-        case 'message':
-          this.handleUserMessage(message.data);
-          break;
+      // Send acknowledgment
+      this.send(
+        ws,
+        createMessage(MessageType.ACK, {
+          messageId: message.id || null,
+          seq: message.seq ?? null,
+          duplicate,
+        })
+      );
+    } catch (err) {
+      console.error('Error handling message:', err);
+      this.sendError(ws, err, message);
+    }
+  }
+
+  /**
+   * Ingest again the messages journaled before the app last stopped (see
+   * LLMTrackerDatabase.journalMessage()); those it saved are duplicates
+   */
+  replayJournal() {
+    const messages = this.database.readJournal();
+    for (const message of messages) {
+      try {
+        this.ingest(message);
+      } catch (err) {
+        console.error('Failed to replay journaled message:', message.id, err);
+      }
+    }
 
-        case 'api_capture':
-          this.handleApiCapture(message.data);
-          break;
+    if (messages.length > 0) {
+      console.log(`Replayed ${messages.length} journaled messages`);
+    }
+  }
 
-        case 'system_prompt':
-          this.handleSystemPrompt(message.data);
-          break;
+  /**
+   * Apply a captured-data message at most once per message ID.
+   * The ID is recorded in the same transaction as the data, so a message
+   * that fails half-way is applied in full when it is redelivered.
+   * Returns true if the message had already been ingested.
+   */
+  ingest(message) {
+    if (!requiresAck(message.type) || !message.id) {
+      this.dispatch(message);
+      return false;
+    }
 
-        case 'streaming_chunk':
-          this.handleStreamingChunk(message.data);
-          break;
+    return this.database.transaction(() => {
+      if (!this.database.recordReceivedMessage(message)) {
+        console.log('Skipping already ingested message:', message.id);
+        return true;
+      }
 
-        case 'ping':
-          this.send(ws, { type: 'pong', timestamp: Date.now() });
-          break;
+      this.dispatch(message);
 
-        default:
-          console.warn('Unknown message type:', message.type);
+      // Live captures carry the revision of the record they came from
+      if (typeof message.data.rev === 'number') {
+        this.database.advanceSyncCursor(message.data.rev);
       }
+      return false;
+    });
+  }
 
-      // Send acknowledgment
-      this.send(ws, {
-        type: 'ack',
-        messageId: message.id,
-        timestamp: Date.now(),
-      });
-    } catch (err) {
-      console.error('Error handling message:', err);
-      this.sendError(ws, err.message);
+  /**
+   * Route a message to its handler
+   */
+  dispatch(message) {
+    switch (message.type) {
+      case MessageType.CONVERSATION:
+        this.handleConversation(message.data);
+        break;
+
+      case MessageType.MESSAGE_STORED:
+      case MessageType.MESSAGE_UPDATED:
+        this.handleUserMessage(message.data);
+        break;
+
+      case MessageType.API_CAPTURED:
+        this.handleApiCapture(message.data);
+        break;
+
+      case MessageType.STREAM_CHUNK:
+        this.handleStreamChunkEvent(message.data);
+        break;
+
+      case MessageType.STREAM_COMPLETE:
+        this.handleStreamComplete(message.data);
+        break;
+
+      case MessageType.SYSTEM_PROMPT:
+        this.handleSystemPrompt(message.data);
+        break;
+
+      case MessageType.STREAMING_CHUNK:
+        this.handleStreamingChunk(message.data);
+        break;
+
+      case MessageType.ATTACHMENT:
+        this.handleAttachment(message.data);
+        break;
+
+      case MessageType.USAGE_SESSION:
+        this.handleUsageSession(message.data);
+        break;
+
+      case MessageType.CAPTURE_HEALTH:
+        this.handleCaptureHealth(message.data);
+        break;
+
+      case MessageType.SYNC_BATCH:
+        this.handleSyncBatch(message.data);
+        break;
+
+      default:
+        console.log('Ignoring message type:', message.type);
     }
   }
 
+  /**
+   * Handle the INIT handshake and agree on a protocol version
+   */
+  handleInit(data, ws) {
+    const version = negotiateVersion(data);
+
+    if (version === null) {
+      throw new ProtocolError(
+        ErrorCode.VERSION_MISMATCH,
+        `Unsupported protocol version: ${data.protocolVersion}`,
+        [`desktop app requires protocol version >= ${MIN_PROTOCOL_VERSION}`]
+      );
+    }
+
+    this.protocolVersions.set(ws, version);
+    console.log(`Extension connected using protocol v${version}`);
+
+    this.send(
+      ws,
+      createMessage(MessageType.INIT_ACK, {
+        protocolVersion: version,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        attachmentPolicy: this.attachments.getPolicy(),
+        sessionIdleTimeoutMs:
+          this.database.getSetting(
+            'session_idle_timeout_minutes',
+            DEFAULT_SESSION_IDLE_MINUTES
+          ) *
+          60 *
+          1000,
+      })
+    );
+  }
+
   /**
    * Handle conversation data
    */
@@ -133,76 +317,218 @@ class WebSocketServer {
   }
 
   /**
-   * Handle user message
+   * Handle a captured message (MESSAGE_STORED / MESSAGE_UPDATED)
+   * The parent conversation is created on first sight so the foreign key
+   * holds. Updates share the original message ID and are applied in place.
    */
   handleUserMessage(data) {
-    const messageData = {
-      id: data.id || crypto.randomUUID(),
-      conversation_id: data.conversation_id,
-      timestamp: data.timestamp || Date.now(),
-      role: data.role,
-      content: data.content,
-      visible_to_user: data.visible_to_user,
-      message_position: data.message_position,
-      edited: data.edited,
-      regenerated: data.regenerated,
-      tokens_prompt: data.tokens_prompt,
-      tokens_completion: data.tokens_completion,
-      tokens_total: data.tokens_total,
-      time_to_first_token_ms: data.time_to_first_token_ms,
-      total_generation_time_ms: data.total_generation_time_ms,
-      attachments: data.attachments,
-    };
-
-    this.database.insertMessage(messageData);
-    console.log('Stored message:', messageData.id);
+    const { conversation, message } = this.normalizer.normalizeMessage(data);
 
-    // Update conversation
-    this.database.upsertConversation({
-      id: data.conversation_id,
-      platform: data.platform,
-      last_activity: Date.now(),
-      message_count: (data.message_position || 0) + 1,
+    this.database.transaction(() => {
+      this.database.ensureConversation(conversation);
+      this.database.upsertMessage(message);
+      this.database.linkMessageTree(conversation.id);
+      this.countMessageText(message, conversation);
     });
+
+    console.log('Stored message:', message.id);
   }
 
   /**
-   * Handle API capture data
+   * Handle API capture data (API_CAPTURED)
+   * Streamed requests name the assistant message they produce. Others are
+   * linked to the prompt they carry once it is captured from the page; until
+   * then the capture is refused so that the extension resends it. A prompt
+   * that is never captured, or that has no ID to find it by, is stored from
+   * the request body as a hidden message instead.
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.waitForPrompt=true] - Refuse the capture while
+   *   its prompt may still be captured
    */
-  handleApiCapture(data) {
-    const captureData = {
-      id: data.id || crypto.randomUUID(),
-      message_id: data.message_id,
-      timestamp: data.timestamp || Date.now(),
-      request_url: data.request_url,
-      request_method: data.request_method,
-      request_headers: data.request_headers,
-      request_body: data.request_body,
-      response_status: data.response_status,
-      response_headers: data.response_headers,
-      response_body: data.response_body,
-      raw_response: data.raw_response,
-      model: data.model,
-      system_prompts: data.system_prompts,
-      temperature: data.temperature,
-      max_tokens: data.max_tokens,
-      stream: data.stream,
-    };
+  handleApiCapture(data, { waitForPrompt = true } = {}) {
+    // Captures are resent by sync after being delivered live
+    if (this.database.hasApiCapture(data.id)) {
+      return;
+    }
 
-    this.database.insertApiCapture(captureData);
-    console.log('Stored API capture:', captureData.id);
+    const {
+      conversation,
+      capture,
+      promptMessage,
+      responseMessage,
+      responseParts,
+      systemPrompts,
+      contextMessages,
+      context,
+      usage,
+    } = this.normalizer.normalizeApiCapture(data);
+    const tokenOptions = { model: capture.model, platform: capture.platform };
+
+    this.database.transaction(() => {
+      this.database.ensureConversation(conversation);
+
+      if (responseMessage) {
+        this.database.insertMessageIfMissing(responseMessage);
+      } else {
+        const prompt = this.database.findMessageByPlatformId(
+          conversation.id,
+          promptMessage.message_id
+        );
+        if (prompt) {
+          capture.message_id = prompt.id;
+        } else if (
+          waitForPrompt &&
+          promptMessage.message_id &&
+          Date.now() - capture.timestamp < PROMPT_CAPTURE_WAIT_MS
+        ) {
+          throw new Error(
+            `Prompt ${promptMessage.message_id} of API capture ${capture.id} is not captured yet`
+          );
+        } else {
+          this.database.insertMessage(promptMessage);
+          capture.message_id = promptMessage.id;
+        }
+      }
 
-    // Extract and store system prompts
-    if (data.system_prompts && data.system_prompts.length > 0) {
-      for (const prompt of data.system_prompts) {
+      this.database.insertApiCapture(capture);
+      this.database.linkMessageTree(conversation.id);
+
+      // The whole context is billed as the prompt of this request
+      const contextTokens = this.tokenCounter.countMessages(
+        contextMessages,
+        tokenOptions
+      );
+      this.recordTokens(
+        capture.message_id,
+        { prompt: contextTokens },
+        'context'
+      );
+      this.recordContext(context, usage?.prompt ?? contextTokens, {
+        ...tokenOptions,
+        tokenSource: usage?.prompt != null ? 'usage' : 'context',
+      });
+      if (responseMessage) {
+        this.recordMessageParts(
+          responseMessage.id,
+          responseParts,
+          conversation.platform
+        );
+      }
+      if (responseMessage?.visible_content) {
+        this.countMessageText(responseMessage, conversation);
+      }
+      if (usage) {
+        this.recordTokens(capture.message_id, usage, 'usage');
+      }
+      for (const id of this.database.clearCountedPrompts(conversation.id)) {
+        this.priceMessage(id);
+      }
+
+      for (const prompt of systemPrompts) {
         this.database.upsertSystemPrompt({
-          platform: data.platform || 'unknown',
+          platform: conversation.platform,
           prompt_text: prompt,
-          first_seen: Date.now(),
-          last_seen: Date.now(),
+          first_seen: capture.timestamp,
+          last_seen: capture.timestamp,
+          conversation_ids: [conversation.id],
+          estimated_tokens: this.tokenCounter.count(prompt, tokenOptions),
         });
       }
+    });
+
+    console.log('Stored API capture:', capture.id);
+  }
+
+  /**
+   * Handle a page of records replayed from the extension's cache.
+   * Records may already have been ingested live, so every handler used here
+   * must be idempotent.
+   */
+  handleSyncBatch(data) {
+    const handlers = {
+      [SyncRecordKind.MESSAGE]: [
+        MessageType.MESSAGE_STORED,
+        (record) => this.handleUserMessage(record),
+      ],
+      // Records come in the order they were cached, so a prompt not synced
+      // before its capture was not captured from the page
+      [SyncRecordKind.API_CAPTURE]: [
+        MessageType.API_CAPTURED,
+        (record) => this.handleApiCapture(record, { waitForPrompt: false }),
+      ],
+    };
+
+    let skipped = 0;
+    for (const record of data.records) {
+      const [type, handle] = handlers[record?.kind] || [];
+      if (!handle || validatePayload(type, record.data).length > 0) {
+        skipped++;
+        continue;
+      }
+      handle(record.data);
     }
+
+    this.database.advanceSyncCursor(data.toRev);
+    console.log(
+      `Synced records ${data.fromRev + 1}-${data.toRev}` +
+        (skipped > 0 ? ` (${skipped} invalid skipped)` : '')
+    );
+  }
+
+  /**
+   * Handle a chunk of a streamed response captured by the extension
+   */
+  handleStreamChunkEvent(data) {
+    const chunk = this.normalizer.normalizeStreamChunk(data);
+    chunk.estimated_tokens = this.tokenCounter.count(
+      chunk.content,
+      this.tokenOptions(chunk.message_id, data.platform)
+    );
+    this.database.insertStreamingChunk(chunk);
+  }
+
+  /**
+   * Handle the end of a streamed response
+   */
+  handleStreamComplete(data) {
+    const completion = this.normalizer.normalizeStreamCompletion(data);
+
+    this.database.transaction(() => {
+      // Refused like a chunk would be, so the extension resends it once the
+      // API capture has created the message
+      if (!this.database.getMessage(completion.message_id)) {
+        throw new Error(
+          `Message ${completion.message_id} of completed stream is not stored yet`
+        );
+      }
+
+      this.database.recordStreamCompletion(completion);
+      this.recordMessageParts(
+        completion.message_id,
+        completion.parts,
+        data.platform
+      );
+
+      if (completion.content || completion.parts.length > 0) {
+        this.countReplyText(
+          completion.message_id,
+          completion.content,
+          data.platform
+        );
+      }
+      if (completion.usage) {
+        this.recordTokens(completion.message_id, completion.usage, 'usage');
+      }
+      if (completion.usage?.prompt != null && completion.api_capture_id) {
+        this.database.updateContextTokens(
+          completion.api_capture_id,
+          completion.usage.prompt
+        );
+      }
+    });
+
+    console.log('Stream complete for message:', completion.message_id);
   }
 
   /**
@@ -215,6 +541,9 @@ class WebSocketServer {
       first_seen: data.first_seen || Date.now(),
       last_seen: data.last_seen || Date.now(),
       context: data.context,
+      estimated_tokens: this.tokenCounter.count(data.prompt_text, {
+        platform: data.platform,
+      }),
     });
 
     console.log('Stored system prompt');
@@ -236,24 +565,222 @@ class WebSocketServer {
     this.database.insertStreamingChunk(chunkData);
   }
 
+  /**
+   * Store an attached file in the blob store. Files the settings exclude
+   * are acknowledged and dropped; messages still refer to them by hash.
+   */
+  handleAttachment(data) {
+    const stored = this.attachments.store(data);
+    if (!stored) {
+      console.log('Skipping attachment excluded by settings:', data.sha256);
+      return;
+    }
+
+    console.log(
+      stored.created ? 'Stored attachment:' : 'Attachment already stored:',
+      stored.sha256
+    );
+  }
+
+  /**
+   * Store the context sent with a request, with how much of the model's
+   * context window it filled, and whether older turns were dropped from it
+   * since the conversation's previous request
+   */
+  recordContext(context, tokens, { model, platform, tokenSource }) {
+    if (context.context_messages.length === 0) {
+      return;
+    }
+
+    const contextWindow = this.tokenCounter.contextWindow({ model, platform });
+    const previous = this.database.getLatestConversationContext(
+      context.conversation_id,
+      context.timestamp
+    );
+
+    this.database.insertConversationContext({
+      ...context,
+      context_tokens: tokens,
+      context_window_size: contextWindow?.size ?? null,
+      tokens_remaining: contextWindow ? contextWindow.size - tokens : null,
+      history_truncated:
+        !!previous &&
+        this.normalizer.isHistoryTruncated(
+          JSON.parse(previous.context_messages),
+          context.context_messages
+        ),
+      metadata: {
+        token_source: tokenSource,
+        window_model: contextWindow?.model,
+        window_assumed: contextWindow?.assumed || undefined,
+      },
+    });
+  }
+
+  /**
+   * Store a usage session the extension has ended
+   */
+  handleUsageSession(data) {
+    const session = this.normalizer.normalizeUsageSession(data);
+    this.database.insertUsageSession(session);
+
+    console.log(
+      `Stored ${session.platform} session:`,
+      session.id,
+      `(${Math.round(session.time_active_ms / 1000)}s active)`
+    );
+  }
+
+  /**
+   * Record how well a platform's pages are being captured
+   */
+  handleCaptureHealth(data) {
+    this.database.upsertCaptureHealth(
+      this.normalizer.normalizeCaptureHealth(data)
+    );
+
+    if (data.status !== CaptureStatus.OK) {
+      // since is optional in the protocol, even when capture is not ok
+      const since = Number.isFinite(data.since)
+        ? ` since ${new Date(data.since).toISOString()}`
+        : '';
+      console.warn(
+        `Capture ${data.status} on ${data.platform}${since}`,
+        `(${data.reason})`
+      );
+    }
+  }
+
+  /**
+   * Count the tokens of a captured message's own text: prompt tokens for
+   * what the user wrote, unless the request it was sent in already counts
+   * them, and completion tokens for the reply
+   */
+  countMessageText(message, conversation) {
+    if (message.role === 'assistant') {
+      this.countReplyText(
+        message.id,
+        message.visible_content,
+        conversation.platform
+      );
+      return;
+    }
+    if (message.role !== 'user' || this.database.isPromptCounted(message.id)) {
+      return;
+    }
+
+    const tokens = this.tokenCounter.count(
+      message.visible_content,
+      this.tokenOptions(message.id, conversation.platform)
+    );
+    this.recordTokens(message.id, { prompt: tokens }, 'text');
+  }
+
+  /**
+   * Count the completion tokens of a reply from its text and the parts
+   * stored for it. Reasoning and tool calls are written by the model too,
+   * so they count as completion tokens; reasoning is also counted on its
+   * own.
+   */
+  countReplyText(messageId, text, platform) {
+    const counts = {
+      completion: this.tokenCounter.count(
+        text,
+        this.tokenOptions(messageId, platform)
+      ),
+    };
+
+    for (const part of this.database.getMessageParts(messageId)) {
+      if (part.part_type === ContentType.THINKING) {
+        counts.reasoning = (counts.reasoning || 0) + part.estimated_tokens;
+        counts.completion += part.estimated_tokens;
+      } else if (part.part_type === ContentType.TOOL_CALL) {
+        counts.completion += part.estimated_tokens;
+      }
+    }
+    this.recordTokens(messageId, counts, 'text');
+  }
+
+  /**
+   * Store the typed parts of a reply, with a token estimate for each
+   */
+  recordMessageParts(messageId, parts, platform) {
+    if (parts.length === 0) {
+      return;
+    }
+
+    const options = this.tokenOptions(messageId, platform);
+    this.database.replaceMessageParts(
+      messageId,
+      parts.map((part) => ({
+        ...part,
+        estimated_tokens: this.tokenCounter.count(part.content, options),
+      }))
+    );
+  }
+
+  /**
+   * Record token counts for a message and, if they changed, price it again
+   */
+  recordTokens(messageId, counts, source) {
+    if (this.database.updateMessageTokens(messageId, counts, source)) {
+      this.priceMessage(messageId);
+    }
+  }
+
+  /**
+   * Price a message's tokens with the price in effect when it was sent.
+   * A prompt whose tokens are counted by its request costs nothing of its
+   * own; the request's cost is on the message that carries its counts.
+   */
+  priceMessage(messageId) {
+    const message = this.database.getMessage(messageId);
+    if (message.tokens_total == null) {
+      this.database.updateMessageCost(messageId, null, null);
+      return;
+    }
+
+    const conversation = this.database.getConversation(message.conversation_id);
+    const capture = this.database.getApiCapture(messageId);
+    const priced = this.pricing.priceMessage(message, {
+      model: capture?.model || conversation.model_used,
+      platform: conversation.platform,
+    });
+
+    if (priced) {
+      this.database.updateMessageCost(messageId, priced.cost, priced.pricing);
+    }
+  }
+
+  /**
+   * Tokenizer options for a message: the model named by its API capture,
+   * if any, else the platform's default
+   */
+  tokenOptions(messageId, platform) {
+    const capture = this.database.getApiCapture(messageId);
+    return { model: capture?.model, platform };
+  }
+
   /**
    * Send message to client
    */
   send(ws, message) {
     if (ws.readyState === WebSocket.OPEN) {
+      const version = this.protocolVersions.get(ws);
+      if (version) {
+        message.protocolVersion = version;
+      }
       ws.send(JSON.stringify(message));
     }
   }
 
   /**
-   * Send error to client
+   * Send a structured ERROR to client
+   * @param {Error} error - ProtocolError or unexpected error
+   * @param {Object} envelope - The offending message, if any
    */
-  sendError(ws, error) {
-    this.send(ws, {
-      type: 'error',
-      error: error,
-      timestamp: Date.now(),
-    });
+  sendError(ws, error, envelope = {}) {
+    this.send(ws, createErrorMessage(error, envelope || {}));
   }
 
   /**
@@ -64,6 +64,13 @@ npm install --loglevel=error > /dev/null 2>&1
 echo -e "${GREEN}✓ Dependencies installed${NC}"
 echo ""
 
+# Copy shared modules (message protocol) into the extension
+echo -e "${BLUE}→ Preparing Chrome extension...${NC}"
+cd "$PROJECT_ROOT"
+npm run build:extension --silent
+echo -e "${GREEN}✓ Shared modules copied to chrome-extension/lib${NC}"
+echo ""
+
 # Step 2: Package Electron app (if electron-builder is available)
 echo -e "${BLUE}→ Building desktop application...${NC}"
 
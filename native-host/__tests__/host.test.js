@@ -1,4 +1,5 @@
 const NativeMessagingHost = require('../host');
+const { createMessage, PROTOCOL_VERSION } = require('../../shared/protocol');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -6,15 +7,23 @@ const os = require('os');
 describe('NativeMessagingHost', () => {
   let host;
   const testLogFile = path.join(os.tmpdir(), 'test-native-host.log');
+  const testOutboxFile = path.join(
+    os.tmpdir(),
+    'test-native-host-outbox.jsonl'
+  );
 
   beforeEach(() => {
     // Clean up log file
     if (fs.existsSync(testLogFile)) {
       fs.unlinkSync(testLogFile);
     }
+    if (fs.existsSync(testOutboxFile)) {
+      fs.unlinkSync(testOutboxFile);
+    }
 
     host = new NativeMessagingHost({
       logFile: testLogFile,
+      outboxFile: testOutboxFile,
       reconnectInterval: 100,
       maxReconnectAttempts: 2,
     });
@@ -27,6 +36,9 @@ describe('NativeMessagingHost', () => {
     if (fs.existsSync(testLogFile)) {
       fs.unlinkSync(testLogFile);
     }
+    if (fs.existsSync(testOutboxFile)) {
+      fs.unlinkSync(testOutboxFile);
+    }
   });
 
   describe('Constructor', () => {
@@ -90,6 +102,48 @@ describe('NativeMessagingHost', () => {
       host.sendMessageToDesktopApp(message);
       expect(host.messageQueue).toContain(message);
     });
+
+    test('should keep captured data in the outbox instead', () => {
+      const message = createMessage(
+        'SYSTEM_PROMPT',
+        { platform: 'claude', prompt_text: 'Be concise' },
+        { id: 'm-1', seq: 1 }
+      );
+      host.sendMessageToDesktopApp(message);
+
+      expect(host.messageQueue).toHaveLength(0);
+      expect(host.outbox.has('m-1')).toBe(true);
+    });
+
+    test('should restore the outbox after a restart', () => {
+      host.sendMessageToDesktopApp(
+        createMessage(
+          'SYSTEM_PROMPT',
+          { platform: 'claude', prompt_text: 'Be concise' },
+          { id: 'm-1', seq: 1 }
+        )
+      );
+
+      const restarted = new NativeMessagingHost({
+        logFile: testLogFile,
+        outboxFile: testOutboxFile,
+      });
+      expect(restarted.outbox.pending().map((m) => m.id)).toEqual(['m-1']);
+    });
+
+    test('should release messages once the desktop app answers', () => {
+      host.sendMessageToChrome = () => {};
+      host.sendMessageToDesktopApp(
+        createMessage(
+          'SYSTEM_PROMPT',
+          { platform: 'claude', prompt_text: 'Be concise' },
+          { id: 'm-1', seq: 1 }
+        )
+      );
+
+      host.handleDesktopMessage(createMessage('ACK', { messageId: 'm-1' }));
+      expect(host.outbox.size).toBe(0);
+    });
   });
 
   describe('Chrome Message Protocol', () => {
@@ -118,6 +172,53 @@ describe('NativeMessagingHost', () => {
     });
   });
 
+  describe('Protocol Validation', () => {
+    let chromeMessages;
+
+    beforeEach(() => {
+      chromeMessages = [];
+      host.sendMessageToChrome = (message) => chromeMessages.push(message);
+    });
+
+    test('should forward valid messages from Chrome', () => {
+      const message = createMessage('PING');
+      expect(host.handleChromeMessage(message)).toBe(true);
+      expect(host.messageQueue).toContain(message);
+      expect(chromeMessages).toHaveLength(0);
+    });
+
+    test('should answer invalid Chrome messages with an ERROR', () => {
+      expect(host.handleChromeMessage({ type: 'bogus' })).toBe(false);
+      expect(host.messageQueue).toHaveLength(0);
+      expect(chromeMessages[0].type).toBe('ERROR');
+      expect(chromeMessages[0].data.code).toBe('UNKNOWN_TYPE');
+    });
+
+    test('should reject INIT with an incompatible version', () => {
+      const init = createMessage('INIT', {
+        protocolVersion: PROTOCOL_VERSION + 2,
+        minProtocolVersion: PROTOCOL_VERSION + 1,
+      });
+      delete init.protocolVersion;
+
+      expect(host.handleChromeMessage(init)).toBe(false);
+      expect(chromeMessages[0].data.code).toBe('VERSION_MISMATCH');
+    });
+
+    test('should record the negotiated version from INIT_ACK', () => {
+      host.handleDesktopMessage(
+        createMessage('INIT_ACK', { protocolVersion: PROTOCOL_VERSION })
+      );
+      expect(host.protocolVersion).toBe(PROTOCOL_VERSION);
+      expect(chromeMessages[0].type).toBe('INIT_ACK');
+    });
+
+    test('should drop invalid messages from the desktop app', () => {
+      expect(host.handleDesktopMessage({ type: 'connection' })).toBe(false);
+      expect(chromeMessages).toHaveLength(0);
+    });
+  });
+
   describe('WebSocket URL Configuration', () => {
     test('should use default WebSocket URL', () => {
       expect(host.wsUrl).toBe('ws://localhost:9876');
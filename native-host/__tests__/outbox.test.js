@@ -0,0 +1,73 @@
+const Outbox = require('../outbox');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+describe('Outbox', () => {
+  const testFile = path.join(os.tmpdir(), 'test-outbox.jsonl');
+  let outbox;
+
+  const message = (id, seq) => ({ id, seq, type: 'SYSTEM_PROMPT', data: {} });
+
+  beforeEach(() => {
+    if (fs.existsSync(testFile)) {
+      fs.unlinkSync(testFile);
+    }
+    outbox = new Outbox(testFile).load();
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testFile)) {
+      fs.unlinkSync(testFile);
+    }
+  });
+
+  test('should start empty without a file', () => {
+    expect(outbox.size).toBe(0);
+    expect(fs.existsSync(testFile)).toBe(false);
+  });
+
+  test('should ignore messages that are already queued', () => {
+    expect(outbox.add(message('a', 1))).toBe(true);
+    expect(outbox.add(message('a', 1))).toBe(false);
+    expect(outbox.size).toBe(1);
+  });
+
+  test('should return pending messages in sequence order', () => {
+    outbox.add(message('b', 2));
+    outbox.add(message('a', 1));
+    expect(outbox.pending().map((m) => m.id)).toEqual(['a', 'b']);
+  });
+
+  test('should replay adds and acks from disk', () => {
+    outbox.add(message('a', 1));
+    outbox.add(message('b', 2));
+    outbox.ack('a');
+
+    const reloaded = new Outbox(testFile).load();
+    expect(reloaded.pending().map((m) => m.id)).toEqual(['b']);
+  });
+
+  test('should skip a record truncated by a crash', () => {
+    outbox.add(message('a', 1));
+    fs.appendFileSync(testFile, '{"add":{"id":"b"');
+
+    const reloaded = new Outbox(testFile).load();
+    expect(reloaded.pending().map((m) => m.id)).toEqual(['a']);
+  });
+
+  test('should compact the log on load', () => {
+    outbox.add(message('a', 1));
+    outbox.add(message('b', 2));
+    outbox.ack('a');
+
+    new Outbox(testFile).load();
+    const lines = fs.readFileSync(testFile, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).add.id).toBe('b');
+  });
+
+  test('should report unknown acks', () => {
+    expect(outbox.ack('missing')).toBe(false);
+  });
+});
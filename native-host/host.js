@@ -14,6 +14,17 @@
 const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const Outbox = require('./outbox');
+const {
+  MIN_PROTOCOL_VERSION,
+  MessageType,
+  ErrorCode,
+  ProtocolError,
+  validateMessage,
+  negotiateVersion,
+  requiresAck,
+  createErrorMessage,
+} = require('../shared/protocol');
 
 class NativeMessagingHost {
   constructor(config = {}) {
@@ -23,8 +34,13 @@ class NativeMessagingHost {
     this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
     this.reconnectAttempts = 0;
     this.messageQueue = [];
+    this.protocolVersion = null;
     this.logFile = config.logFile || path.join(process.env.HOME, '.llm-tracker', 'native-host.log');
 
+    // Messages that need an ACK survive host restarts until they get one
+    const outboxFile = config.outboxFile || path.join(process.env.HOME, '.llm-tracker', 'native-host-outbox.jsonl');
+    this.outbox = new Outbox(outboxFile).load();
+
     // Ensure log directory exists
     const logDir = path.dirname(this.logFile);
     if (!fs.existsSync(logDir)) {
@@ -61,13 +77,21 @@ class NativeMessagingHost {
             this.ws.send(JSON.stringify(msg));
           }
 
+          // Redeliver everything still awaiting an ACK
+          for (const msg of this.outbox.pending()) {
+            this.ws.send(JSON.stringify(msg));
+          }
+          if (this.outbox.size > 0) {
+            this.log(`Redelivered ${this.outbox.size} unacknowledged messages`);
+          }
+
           resolve();
         });
 
         this.ws.on('message', (data) => {
           try {
             const message = JSON.parse(data.toString());
-            this.sendMessageToChrome(message);
+            this.handleDesktopMessage(message);
           } catch (err) {
             this.log(`Error parsing message from desktop app: ${err.message}`, 'ERROR');
           }
@@ -117,9 +141,16 @@ class NativeMessagingHost {
   }
 
   /**
-   * Send message to desktop app via WebSocket
+   * Send message to desktop app via WebSocket.
+   * Messages that need an ACK are persisted to the outbox first, so they are
+   * redelivered after a reconnect or restart; others are queued in memory.
    */
   sendMessageToDesktopApp(message) {
+    const durable = requiresAck(message.type) && typeof message.id === 'string';
+    if (durable) {
+      this.outbox.add(message);
+    }
+
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       try {
         this.ws.send(JSON.stringify(message));
@@ -127,6 +158,14 @@ class NativeMessagingHost {
       } catch (err) {
         this.log(`Error sending to desktop app: ${err.message}`, 'ERROR');
       }
+    } else if (durable) {
+      this.log('Desktop app not connected, message kept in outbox');
+
+      // Reconnection gave up earlier; new captures are worth another try
+      if (!this.ws && this.reconnectAttempts >= this.maxReconnectAttempts) {
+        this.reconnectAttempts = 0;
+        this.connectToDesktopApp().catch(() => {});
+      }
     } else {
       // Queue message for later
       this.messageQueue.push(message);
@@ -134,6 +173,63 @@ class NativeMessagingHost {
     }
   }
 
+  /**
+   * Validate a message from Chrome and forward it to the desktop app.
+   * Invalid messages are answered with an ERROR instead of being forwarded.
+   */
+  handleChromeMessage(message) {
+    try {
+      validateMessage(message);
+
+      if (
+        message.type === MessageType.INIT &&
+        negotiateVersion(message.data) === null
+      ) {
+        throw new ProtocolError(
+          ErrorCode.VERSION_MISMATCH,
+          `Unsupported protocol version: ${message.data.protocolVersion}`,
+          [`native host requires protocol version >= ${MIN_PROTOCOL_VERSION}`]
+        );
+      }
+    } catch (err) {
+      this.log(`Rejected message from Chrome: ${err.message}`, 'WARN');
+      this.sendMessageToChrome(createErrorMessage(err, message));
+      return false;
+    }
+
+    this.sendMessageToDesktopApp(message);
+    return true;
+  }
+
+  /**
+   * Validate a message from the desktop app and forward it to Chrome
+   */
+  handleDesktopMessage(message) {
+    try {
+      validateMessage(message);
+    } catch (err) {
+      this.log(`Dropped invalid message from desktop app: ${err.message}`, 'ERROR');
+      return false;
+    }
+
+    if (message.type === MessageType.INIT_ACK) {
+      this.protocolVersion = message.data.protocolVersion;
+      this.log(`Negotiated protocol v${this.protocolVersion}`);
+    }
+
+    // The desktop app has settled the message either way; the extension
+    // decides whether a rejected message is worth retrying
+    if (
+      (message.type === MessageType.ACK || message.type === MessageType.ERROR) &&
+      message.data.messageId
+    ) {
+      this.outbox.ack(message.data.messageId);
+    }
+
+    this.sendMessageToChrome(message);
+    return true;
+  }
+
   /**
    * Read messages from Chrome extension via stdin
    * Chrome native messaging protocol: 4-byte length + JSON message
@@ -175,7 +271,12 @@ class NativeMessagingHost {
                 const message = JSON.parse(messageBuffer.toString());
                 resolve(message);
               } catch (err) {
-                reject(new Error(`Invalid JSON: ${err.message}`));
+                reject(
+                  new ProtocolError(
+                    ErrorCode.INVALID_JSON,
+                    `Invalid JSON: ${err.message}`
+                  )
+                );
               }
             } else {
               process.stdin.once('readable', readChunk);
@@ -212,8 +313,8 @@ class NativeMessagingHost {
         const message = await this.readMessageFromChrome();
         this.log(`Received from Chrome: ${JSON.stringify(message).substring(0, 100)}...`);
 
-        // Forward to desktop app
-        this.sendMessageToDesktopApp(message);
+        // Validate and forward to desktop app
+        this.handleChromeMessage(message);
 
       } catch (err) {
         if (err.message.includes('EOF')) {
@@ -221,6 +322,10 @@ class NativeMessagingHost {
           break;
         }
         this.log(`Error reading message: ${err.message}`, 'ERROR');
+
+        if (err instanceof ProtocolError) {
+          this.sendMessageToChrome(createErrorMessage(err));
+        }
       }
     }
 
@@ -0,0 +1,134 @@
+/**
+ * Outbox
+ * File-backed queue of messages awaiting acknowledgement from the desktop app
+ *
+ * The queue is kept as an append-only JSON Lines log: one `add` record per
+ * queued message and one `ack` record per acknowledgement. The log is
+ * replayed on startup and compacted once acknowledged records dominate it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Rewrite the log once it holds this many more records than pending messages
+const COMPACTION_SLACK = 500;
+
+class Outbox {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.logLength = 0;
+  }
+
+  /**
+   * Replay the log from disk, skipping records truncated by a crash
+   */
+  load() {
+    this.entries.clear();
+    this.logLength = 0;
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+
+      if (record.add) {
+        this.entries.set(record.add.id, record.add);
+      } else if (record.ack) {
+        this.entries.delete(record.ack);
+      }
+      this.logLength++;
+    }
+
+    this.compact();
+    return this;
+  }
+
+  /**
+   * Number of messages awaiting acknowledgement
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Persist a message until it is acknowledged.
+   * Returns false if the message was already queued.
+   */
+  add(message) {
+    if (this.entries.has(message.id)) {
+      return false;
+    }
+
+    this.append({ add: message });
+    this.entries.set(message.id, message);
+    return true;
+  }
+
+  /**
+   * Drop an acknowledged message. Returns false for unknown IDs.
+   */
+  ack(id) {
+    if (!this.entries.has(id)) {
+      return false;
+    }
+
+    this.entries.delete(id);
+    this.append({ ack: id });
+
+    if (this.logLength > this.entries.size + COMPACTION_SLACK) {
+      this.compact();
+    }
+    return true;
+  }
+
+  /**
+   * Pending messages in the order they were sent
+   */
+  pending() {
+    return [...this.entries.values()].sort(
+      (a, b) => (a.seq ?? 0) - (b.seq ?? 0)
+    );
+  }
+
+  append(record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.logLength++;
+  }
+
+  /**
+   * Rewrite the log with only the pending messages
+   */
+  compact() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = this.pending().map((message) =>
+      JSON.stringify({ add: message })
+    );
+
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.logLength = lines.length;
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,669 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const platforms = require('../platforms');
+
+/**
+ * Read a recorded stream with the platform's reader, in pieces of the
+ * given size
+ */
+function readStream(platform, contentType, fixture, size) {
+  const text = fs.readFileSync(
+    path.join(__dirname, 'fixtures', 'streams', fixture),
+    'utf8'
+  );
+  const reader = platforms.get(platform).createStreamReader(contentType);
+  for (let i = 0; i < text.length; i += size) {
+    reader.push(text.slice(i, i + size));
+  }
+  reader.end();
+  return reader.result;
+}
+
+describe('Platform Adapters', () => {
+  describe('Registry', () => {
+    test('should register every bundled adapter', () => {
+      expect(platforms.all().map((adapter) => adapter.id)).toEqual([
+        'chatgpt',
+        'claude',
+        'copilot',
+        'deepseek',
+        'gemini',
+        'mistral',
+        'perplexity',
+        'poe',
+      ]);
+    });
+
+    test('should find adapters by page host and by API URL', () => {
+      expect(platforms.forHostname('chatgpt.com').id).toBe('chatgpt');
+      expect(platforms.forHostname('example.com')).toBe(null);
+      expect(platforms.forUrl('https://api.anthropic.com/v1/messages').id).toBe(
+        'claude'
+      );
+      expect(
+        platforms.forUrl(
+          'https://generativelanguage.googleapis.com/v1beta/models'
+        ).id
+      ).toBe('gemini');
+      expect(platforms.forUrl('not a url')).toBe(null);
+    });
+
+    test('should list endpoint and page patterns', () => {
+      expect(platforms.endpointPatterns()).toContain(
+        'https://chatgpt.com/backend-api/*'
+      );
+      expect(platforms.pagePatterns()).toContain('https://claude.ai/*');
+    });
+  });
+
+  describe('Requests', () => {
+    test('should recognize API requests made by the page', () => {
+      const chatgpt = platforms.get('chatgpt');
+      expect(
+        chatgpt.isApiRequest('https://chatgpt.com/backend-api/conversation')
+      ).toBe(true);
+      expect(chatgpt.isApiRequest('https://chatgpt.com/assets/app.js')).toBe(
+        false
+      );
+    });
+
+    test('should leave requests captured in the page out of webRequest', () => {
+      const conversation = 'https://chatgpt.com/backend-api/conversation';
+
+      // The content script captures it, so webRequest must not
+      expect(
+        platforms.isCapturedInPage(conversation, 'https://chatgpt.com')
+      ).toBe(true);
+      expect(
+        platforms.isCapturedInPage(
+          'https://claude.ai/api/organizations/org/chat_conversations/c/completion',
+          'https://claude.ai'
+        )
+      ).toBe(true);
+
+      // No content script sees these
+      expect(
+        platforms.isCapturedInPage(
+          'https://api.openai.com/v1/chat/completions',
+          'https://example.com'
+        )
+      ).toBe(false);
+      expect(platforms.isCapturedInPage(conversation, undefined)).toBe(false);
+      expect(
+        platforms.isCapturedInPage(
+          'https://chatgpt.com/assets/app.js',
+          'https://chatgpt.com'
+        )
+      ).toBe(false);
+    });
+
+    test('should ignore request bodies that are not JSON', () => {
+      const claude = platforms.get('claude');
+      expect(claude.parseRequestBody('{"prompt":"hi"}')).toEqual({
+        prompt: 'hi',
+      });
+      expect(claude.parseRequestBody('prompt=hi')).toBe(null);
+      expect(claude.parseRequestBody(new Blob(['x']))).toBe(null);
+    });
+
+    test('should parse Gemini form bodies', () => {
+      const body = new URLSearchParams({
+        'f.req': JSON.stringify([null, '["hello"]']),
+        at: 'session-token',
+      }).toString();
+
+      expect(platforms.get('gemini').parseRequestBody(body)).toEqual({
+        'f.req': [null, '["hello"]'],
+      });
+    });
+  });
+
+  describe('Streams', () => {
+    test('should extract content per platform', () => {
+      expect(
+        platforms
+          .get('chatgpt')
+          .parseStreamEvent({ choices: [{ delta: { content: 'Hi' } }] })
+      ).toEqual({ content: 'Hi', usage: null });
+      expect(
+        platforms.get('claude').parseStreamEvent({
+          type: 'content_block_delta',
+          delta: { text: 'Hi' },
+        }).content
+      ).toBe('Hi');
+      expect(
+        platforms.get('gemini').parseStreamEvent({
+          candidates: [{ content: { parts: [{ text: 'Hi' }] } }],
+          usageMetadata: { promptTokenCount: 3 },
+        })
+      ).toEqual({ content: 'Hi', usage: { promptTokenCount: 3 } });
+    });
+
+    test('should return empty content for events without text', () => {
+      expect(
+        platforms.get('chatgpt').parseStreamEvent({ choices: [] }).content
+      ).toBe('');
+    });
+  });
+
+  describe('Recorded Streams', () => {
+    const SSE = 'text/event-stream; charset=utf-8';
+    const none = { thinking: '', toolCalls: [], citations: [], usage: null };
+
+    test.each([
+      [
+        'chatgpt',
+        SSE,
+        'openai-chat-completions.txt',
+        {
+          text: 'Let me check the weather.',
+          thinking: '',
+          toolCalls: [
+            {
+              id: 'call_abc',
+              name: 'get_weather',
+              arguments: '{"city":"Paris"}',
+            },
+          ],
+          citations: [
+            { url: 'https://weather.example/paris', title: 'Paris weather' },
+          ],
+          stopReason: 'tool_calls',
+          usage: { prompt_tokens: 82, completion_tokens: 17, total_tokens: 99 },
+        },
+        ['text', 'citation', 'tool_call'],
+      ],
+      [
+        'chatgpt',
+        SSE,
+        'chatgpt-web-delta.txt',
+        { ...none, text: 'Bonjour, comment ça va ?', stopReason: 'stop' },
+        ['text'],
+      ],
+      [
+        'chatgpt',
+        SSE,
+        'chatgpt-web-legacy.txt',
+        {
+          ...none,
+          text: '2 + 2 = 4',
+          thinking: 'Two plus two is four.',
+          toolCalls: [{ id: 'p-1', name: 'python', arguments: 'print(2 + 2)' }],
+          citations: [{ url: 'https://example.com/math', title: 'Arithmetic' }],
+          stopReason: 'stop',
+        },
+        ['thinking', 'tool_call', 'code_output', 'text', 'citation'],
+      ],
+      [
+        'claude',
+        SSE,
+        'anthropic-messages.txt',
+        {
+          text: "It is foggy. I'll log that.",
+          thinking: 'The user wants the weather in San Francisco.',
+          toolCalls: [
+            {
+              id: 'srvtoolu_01',
+              name: 'web_search',
+              arguments: '{"query": "sf weather"}',
+            },
+            {
+              id: 'toolu_01',
+              name: 'log_weather',
+              arguments: '{"location": "San Francisco, CA"}',
+            },
+          ],
+          citations: [
+            { url: 'https://weather.example/sf', title: 'SF Forecast' },
+          ],
+          stopReason: 'tool_use',
+          usage: {
+            input_tokens: 472,
+            cache_read_input_tokens: 0,
+            output_tokens: 89,
+          },
+        },
+        [
+          'thinking',
+          'tool_call',
+          'tool_result',
+          'citation',
+          'text',
+          'tool_call',
+        ],
+      ],
+      [
+        'gemini',
+        SSE,
+        'gemini-api.txt',
+        {
+          text: 'Sunny and 24°C.',
+          thinking: 'Checking the forecast',
+          toolCalls: [
+            { id: null, name: 'code_execution', arguments: 'print(20 + 4)' },
+            { id: null, name: 'log_forecast', arguments: '{"city":"Rome"}' },
+          ],
+          citations: [
+            { url: 'https://meteo.example/rome', title: 'meteo.example' },
+          ],
+          stopReason: 'STOP',
+          usage: {
+            promptTokenCount: 31,
+            candidatesTokenCount: 9,
+            thoughtsTokenCount: 5,
+            totalTokenCount: 45,
+          },
+        },
+        [
+          'thinking',
+          'tool_call',
+          'code_output',
+          'text',
+          'tool_call',
+          'citation',
+        ],
+      ],
+      [
+        'gemini',
+        'application/x-protobuf',
+        'gemini-web.txt',
+        { ...none, text: 'Hello, wörld! [1]', stopReason: null },
+        ['text'],
+      ],
+      [
+        'deepseek',
+        SSE,
+        'deepseek-web.txt',
+        {
+          ...none,
+          text: 'Hi there!',
+          thinking: 'Greeting received.',
+          citations: [
+            { url: 'https://news.example/a', title: 'A' },
+            { url: 'https://news.example/b', title: 'B' },
+          ],
+          stopReason: 'finished',
+        },
+        ['thinking', 'citation', 'citation', 'text'],
+      ],
+      [
+        'deepseek',
+        SSE,
+        'deepseek-web-legacy.txt',
+        { ...none, text: 'Sure thing', thinking: 'Hmm', stopReason: 'stop' },
+        ['thinking', 'text'],
+      ],
+      [
+        'mistral',
+        'text/plain',
+        'lechat.txt',
+        {
+          ...none,
+          text: 'Here you go.',
+          thinking: 'Considering options',
+          toolCalls: [
+            {
+              id: 'call-1',
+              name: 'web_search',
+              arguments: '{"query":"mistral"}',
+            },
+          ],
+          stopReason: 'stop',
+          usage: { prompt_tokens: 12, completion_tokens: 6 },
+        },
+        ['thinking', 'text', 'tool_call', 'tool_result', 'text'],
+      ],
+      [
+        'perplexity',
+        SSE,
+        'perplexity.txt',
+        {
+          ...none,
+          text: 'Paris is the capital[1].',
+          citations: [
+            {
+              url: 'https://en.wikipedia.org/wiki/Paris',
+              title: 'Paris - Wikipedia',
+            },
+          ],
+          stopReason: 'final',
+        },
+        ['text', 'citation', 'text'],
+      ],
+    ])(
+      'should read a %s stream (%s, %s)',
+      (platform, type, fixture, expected, partTypes) => {
+        for (const size of [1, 7, 64, Infinity]) {
+          const { parts, ...result } = readStream(
+            platform,
+            type,
+            fixture,
+            size
+          );
+          expect(result).toEqual(expected);
+          expect(parts.map((part) => part.type)).toEqual(partTypes);
+        }
+      }
+    );
+
+    test('should keep the details of each part', () => {
+      const { parts } = readStream(
+        'claude',
+        SSE,
+        'anthropic-messages.txt',
+        Infinity
+      );
+
+      expect(parts[1]).toEqual({
+        type: 'tool_call',
+        content: '{"query": "sf weather"}',
+        metadata: { id: 'srvtoolu_01', name: 'web_search' },
+      });
+      expect(parts[2]).toEqual({
+        type: 'tool_result',
+        content: 'SF Forecast\nhttps://weather.example/sf',
+        metadata: { id: 'srvtoolu_01', name: 'web_search' },
+      });
+      expect(parts[3]).toEqual({
+        type: 'citation',
+        content: 'https://weather.example/sf',
+        metadata: { title: 'SF Forecast' },
+      });
+    });
+
+    test('should split stream events into typed pieces', () => {
+      expect(
+        platforms.deltaParts({
+          content: 'Hi',
+          thinking: 'Hmm',
+          toolCalls: [{ key: 0, name: 'search', arguments: '{' }],
+          codeOutputs: [{ key: 1, content: '4' }],
+        })
+      ).toEqual([
+        { type: 'thinking', key: undefined, content: 'Hmm', metadata: null },
+        { type: 'text', key: undefined, content: 'Hi', metadata: null },
+        {
+          type: 'tool_call',
+          key: 0,
+          content: '{',
+          metadata: { name: 'search' },
+        },
+        { type: 'code_output', key: 1, content: '4', metadata: null },
+      ]);
+    });
+  });
+
+  describe('Additional Platforms', () => {
+    test('should diff answers that are resent in full', () => {
+      const perplexity = platforms.get('perplexity');
+      const state = {};
+      const events = [
+        { blocks: [{ markdown_block: { answer: 'The' } }] },
+        { blocks: [{ markdown_block: { answer: 'The answer' } }] },
+      ];
+
+      expect(
+        events.map((event) => perplexity.parseStreamEvent(event, state).content)
+      ).toEqual(['The', ' answer']);
+      expect(
+        perplexity.extractModel({ params: { model_preference: 'pplx_pro' } })
+      ).toBe('pplx_pro');
+    });
+
+    test('should follow DeepSeek patches and skip thinking', () => {
+      const deepseek = platforms.get('deepseek');
+      const state = {};
+      const events = [
+        { p: 'response/thinking_content', o: 'APPEND', v: 'Hmm' },
+        { v: ' ok' },
+        { p: 'response/content', o: 'APPEND', v: 'Yes' },
+        { v: '!' },
+        { choices: [{ delta: { type: 'thinking', content: 'x' } }] },
+        { choices: [{ delta: { type: 'text', content: 'Hi' } }] },
+      ];
+
+      expect(
+        events.map((event) => deepseek.parseStreamEvent(event, state).content)
+      ).toEqual(['', '', 'Yes', '!', '', 'Hi']);
+      expect(deepseek.extractModel({ thinking_enabled: true })).toBe(
+        'deepseek-reasoner'
+      );
+      expect(deepseek.extractModel({ thinking_enabled: false })).toBe(
+        'deepseek-chat'
+      );
+    });
+
+    test('should parse Le Chat data-stream lines', () => {
+      const mistral = platforms.get('mistral');
+      const reader = mistral.createStreamReader('text/plain');
+      const deltas = [
+        ...reader.push('0:"Bon"\n\n0:"jour"\nd:{"finishReason":"stop",'),
+        ...reader.push('"usage":{"promptTokens":5,"completionTokens":2}}'),
+        ...reader.end(),
+      ];
+
+      expect(deltas.map((delta) => delta.content)).toEqual(['Bon', 'jour', '']);
+      expect(reader.result.text).toBe('Bonjour');
+      expect(reader.result.stopReason).toBe('stop');
+      expect(reader.result.usage).toEqual({
+        prompt_tokens: 5,
+        completion_tokens: 2,
+      });
+    });
+
+    test('should read Copilot replies from its WebSocket', () => {
+      const copilot = platforms.get('copilot');
+      const send = {
+        event: 'send',
+        conversationId: 'c1',
+        content: [{ type: 'text', text: 'Hi' }],
+        mode: 'smart',
+      };
+
+      expect(
+        copilot.isSocketUrl('wss://copilot.microsoft.com/c/api/chat')
+      ).toBe(true);
+      expect(copilot.repliesOverSocket(send)).toBe(true);
+      expect(copilot.extractModel(send)).toBe('copilot-smart');
+      expect(copilot.extractPromptText(send)).toBe('Hi');
+      expect(
+        copilot.parseSocketMessage(
+          JSON.stringify({ event: 'appendText', messageId: 'm1', text: 'Hel' }),
+          {}
+        )
+      ).toEqual([{ streamId: 'm1', content: 'Hel' }]);
+      expect(
+        copilot.parseSocketMessage(
+          JSON.stringify({ event: 'done', messageId: 'm1' }),
+          {}
+        )
+      ).toEqual([{ streamId: 'm1', done: true }]);
+    });
+
+    test('should read Poe replies from subscription updates', () => {
+      const poe = platforms.get('poe');
+      const state = {};
+      const frame = (text, state, author = 'GPT-4o') =>
+        JSON.stringify({
+          messages: [
+            JSON.stringify({
+              message_type: 'subscriptionUpdate',
+              payload: {
+                subscription_name: 'messageAdded',
+                data: { messageAdded: { messageId: 9, text, state, author } },
+              },
+            }),
+          ],
+        });
+
+      expect(
+        poe.parseSocketMessage(frame('Hi', 'complete', 'human'), state)
+      ).toEqual([]);
+      expect(poe.parseSocketMessage(frame('Hel', 'incomplete'), state)).toEqual(
+        [{ streamId: '9', content: 'Hel', done: false }]
+      );
+      expect(poe.parseSocketMessage(frame('Hello', 'complete'), state)).toEqual(
+        [{ streamId: '9', content: 'lo', done: true }]
+      );
+      expect(
+        poe.repliesOverSocket({
+          queryName: 'sendMessageMutation',
+          variables: { bot: 'Claude-Sonnet-4' },
+        })
+      ).toBe(true);
+    });
+
+    test('should read conversation IDs of the additional platforms', () => {
+      const id = (platform, url) =>
+        platforms.get(platform).extractConversationId(new URL(url));
+
+      expect(id('perplexity', 'https://www.perplexity.ai/search/why-abc')).toBe(
+        'why-abc'
+      );
+      expect(id('copilot', 'https://copilot.microsoft.com/chats/x1')).toBe(
+        'x1'
+      );
+      expect(id('mistral', 'https://chat.mistral.ai/chat/m1')).toBe('m1');
+      expect(id('poe', 'https://poe.com/chat/p1')).toBe('p1');
+      expect(id('deepseek', 'https://chat.deepseek.com/a/chat/s/d1')).toBe(
+        'd1'
+      );
+    });
+  });
+
+  describe('Conversation IDs', () => {
+    test('should read the conversation ID from page URLs', () => {
+      expect(
+        platforms
+          .get('chatgpt')
+          .extractConversationId(new URL('https://chatgpt.com/c/abc-123?x=1'))
+      ).toBe('abc-123');
+      expect(
+        platforms
+          .get('chatgpt')
+          .extractConversationId(new URL('https://chatgpt.com/'))
+      ).toBe(null);
+      expect(
+        platforms
+          .get('claude')
+          .extractConversationId(new URL('https://claude.ai/chat/xyz'))
+      ).toBe('xyz');
+      expect(
+        platforms
+          .get('gemini')
+          .extractConversationId(new URL('https://gemini.google.com/app?c=g1'))
+      ).toBe('g1');
+    });
+  });
+
+  describe('System Prompts', () => {
+    test('should extract system prompts in each request format', () => {
+      expect(
+        platforms.get('chatgpt').extractSystemPrompts({
+          messages: [
+            { author: { role: 'system' }, content: { parts: ['Be brief'] } },
+            { author: { role: 'user' }, content: { parts: ['Hi'] } },
+          ],
+        })
+      ).toEqual(['Be brief']);
+      expect(
+        platforms.get('claude').extractSystemPrompts({
+          system: [{ type: 'text', text: 'Be kind' }],
+          messages: [{ role: 'user', content: 'Hi' }],
+        })
+      ).toEqual(['Be kind']);
+      expect(
+        platforms.get('gemini').extractSystemPrompts({
+          systemInstruction: { parts: [{ text: 'Be exact' }] },
+        })
+      ).toEqual(['Be exact']);
+    });
+
+    test('should handle requests without a body', () => {
+      for (const adapter of platforms.all()) {
+        expect(adapter.extractSystemPrompts(null)).toEqual([]);
+      }
+    });
+  });
+
+  describe('DOM', () => {
+    test('should find messages and detect their roles', () => {
+      document.body.innerHTML = `
+        <div data-message-author-role="user">Hi</div>
+        <div data-message-author-role="assistant">Hello</div>
+      `;
+      const chatgpt = platforms.get('chatgpt');
+      const messages = chatgpt.findMessageElements(document);
+
+      expect(messages).toHaveLength(2);
+      expect(chatgpt.isMessageElement(messages[0])).toBe(true);
+      expect(messages.map((el) => chatgpt.detectRole(el))).toEqual([
+        'user',
+        'assistant',
+      ]);
+    });
+
+    test('should detect Claude and Gemini roles', () => {
+      document.body.innerHTML = `
+        <div data-test-render-count="1"><div data-is-user-message>Hi</div></div>
+        <div class="conversation-turn user-turn">Hi</div>
+        <div class="conversation-turn">Hello</div>
+      `;
+      const [claudeTurn] = platforms
+        .get('claude')
+        .findMessageElements(document);
+      const geminiTurns = platforms.get('gemini').findMessageElements(document);
+
+      expect(platforms.get('claude').detectRole(claudeTurn)).toBe('user');
+      expect(
+        geminiTurns.map((el) => platforms.get('gemini').detectRole(el))
+      ).toEqual(['user', 'assistant']);
+    });
+
+    test('should fall back to the next strategy that finds messages', () => {
+      document.body.innerHTML = `
+        <user-query>Hi</user-query>
+        <model-response>Hello</model-response>
+      `;
+      const gemini = platforms.get('gemini');
+      const { strategy, elements } = gemini.selectStrategy(document);
+
+      expect(strategy.name).toBe('query-response');
+      expect(gemini.isMessageElement(elements[0], strategy)).toBe(true);
+      expect(elements.map((el) => gemini.detectRole(el, strategy))).toEqual([
+        'user',
+        'assistant',
+      ]);
+    });
+
+    test('should try generic strategies after the platform ones', () => {
+      document.body.innerHTML = `
+        <div data-role="user">Hi</div>
+        <div data-role="assistant">Hello</div>
+      `;
+      const poe = platforms.get('poe');
+      const { strategy, elements } = poe.selectStrategy(document);
+
+      expect(poe.strategies.indexOf(strategy)).toBeGreaterThan(0);
+      expect(elements).toHaveLength(2);
+      expect(poe.detectRole(elements[1], strategy)).toBe('assistant');
+    });
+
+    test('should report unknown roles and pages without messages', () => {
+      document.body.innerHTML = `
+        <div data-test-render-count="1"><p>No role markup</p></div>
+      `;
+      const claude = platforms.get('claude');
+      const [turn] = claude.findMessageElements(document);
+
+      expect(claude.detectRole(turn)).toBe('unknown');
+
+      document.body.innerHTML = '<main></main>';
+      expect(claude.selectStrategy(document)).toBeNull();
+    });
+  });
+});
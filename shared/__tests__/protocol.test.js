@@ -0,0 +1,252 @@
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  MessageType,
+  ErrorCode,
+  ProtocolError,
+  validateMessage,
+  negotiateVersion,
+  requiresAck,
+  attachmentKind,
+  acceptsAttachment,
+  assessCapture,
+  CaptureStatus,
+  createMessage,
+  createErrorMessage,
+} = require('../protocol');
+
+describe('Message Protocol', () => {
+  describe('Schemas', () => {
+    test('should define a schema for every message type', () => {
+      const { SCHEMAS } = require('../protocol');
+      for (const type of Object.values(MessageType)) {
+        expect(SCHEMAS).toHaveProperty(type);
+      }
+    });
+  });
+
+  describe('createMessage', () => {
+    test('should stamp type, version and timestamp', () => {
+      const message = createMessage(MessageType.PING);
+      expect(message.type).toBe('PING');
+      expect(message.protocolVersion).toBe(PROTOCOL_VERSION);
+      expect(typeof message.timestamp).toBe('number');
+      expect(message.data).toEqual({});
+    });
+
+    test('should include id when given', () => {
+      const message = createMessage(MessageType.PING, {}, { id: 'abc' });
+      expect(message.id).toBe('abc');
+    });
+
+    test('should include seq when given', () => {
+      const message = createMessage(MessageType.PING, {}, { seq: 0 });
+      expect(message.seq).toBe(0);
+      expect(createMessage(MessageType.PING)).not.toHaveProperty('seq');
+    });
+  });
+
+  describe('validateMessage', () => {
+    const validCapture = {
+      id: 'msg-1',
+      conversationId: 'conv-1',
+      timestamp: Date.now(),
+      platform: 'chatgpt',
+      role: 'user',
+      visibleContent: 'Hello',
+    };
+
+    test('should accept a valid message', () => {
+      const message = createMessage(MessageType.MESSAGE_STORED, validCapture);
+      expect(validateMessage(message)).toBe(message);
+    });
+
+    test('should reject non-object messages', () => {
+      expect(() => validateMessage('hello')).toThrow(ProtocolError);
+    });
+
+    test('should reject unknown types', () => {
+      try {
+        validateMessage({ type: 'message', data: {} });
+        throw new Error('expected to throw');
+      } catch (err) {
+        expect(err.code).toBe(ErrorCode.UNKNOWN_TYPE);
+      }
+    });
+
+    test('should report missing and mistyped fields', () => {
+      try {
+        validateMessage(
+          createMessage(MessageType.MESSAGE_STORED, {
+            ...validCapture,
+            conversationId: undefined,
+            timestamp: 'yesterday',
+          })
+        );
+        throw new Error('expected to throw');
+      } catch (err) {
+        expect(err.code).toBe(ErrorCode.INVALID_PAYLOAD);
+        expect(err.details).toContain('data.conversationId is required');
+        expect(err.details).toContain(
+          'data.timestamp must be number, got string'
+        );
+      }
+    });
+
+    test('should allow nullable fields', () => {
+      const message = createMessage(MessageType.MESSAGE_STORED, {
+        ...validCapture,
+        role: null,
+      });
+      expect(() => validateMessage(message)).not.toThrow();
+    });
+
+    test('should reject a non-numeric seq', () => {
+      const message = { ...createMessage(MessageType.PING), seq: '1' };
+      expect(() => validateMessage(message)).toThrow(
+        expect.objectContaining({ code: ErrorCode.INVALID_ENVELOPE })
+      );
+    });
+
+    test('should reject unsupported protocol versions', () => {
+      const message = createMessage(
+        MessageType.PING,
+        {},
+        { protocolVersion: PROTOCOL_VERSION + 1 }
+      );
+      expect(() => validateMessage(message)).toThrow(
+        expect.objectContaining({ code: ErrorCode.VERSION_MISMATCH })
+      );
+    });
+  });
+
+  describe('requiresAck', () => {
+    test('should require acknowledgement for captured data only', () => {
+      expect(requiresAck(MessageType.API_CAPTURED)).toBe(true);
+      expect(requiresAck(MessageType.STREAM_CHUNK)).toBe(true);
+      expect(requiresAck(MessageType.PING)).toBe(false);
+      expect(requiresAck(MessageType.INIT)).toBe(false);
+    });
+  });
+
+  describe('negotiateVersion', () => {
+    test('should agree on the highest common version', () => {
+      expect(
+        negotiateVersion({
+          protocolVersion: PROTOCOL_VERSION + 3,
+          minProtocolVersion: MIN_PROTOCOL_VERSION,
+        })
+      ).toBe(PROTOCOL_VERSION);
+    });
+
+    test('should return null when ranges do not overlap', () => {
+      expect(
+        negotiateVersion({
+          protocolVersion: PROTOCOL_VERSION + 3,
+          minProtocolVersion: PROTOCOL_VERSION + 1,
+        })
+      ).toBeNull();
+      expect(negotiateVersion({})).toBeNull();
+    });
+
+    test('should refuse peers from before cursor-based sync', () => {
+      expect(MIN_PROTOCOL_VERSION).toBe(4);
+      expect(negotiateVersion({ protocolVersion: 3 })).toBeNull();
+      expect(
+        negotiateVersion({ protocolVersion: 4, minProtocolVersion: 1 })
+      ).toBe(4);
+      expect(MessageType.FULL_SYNC).toBeUndefined();
+      expect(MessageType.SYNC_BATCH).toBeDefined();
+    });
+  });
+
+  describe('Attachments', () => {
+    test('should tell kinds of file apart by MIME type', () => {
+      expect(attachmentKind('image/png')).toBe('image');
+      expect(attachmentKind('audio/webm')).toBe('audio');
+      expect(attachmentKind('video/mp4')).toBe('video');
+      expect(attachmentKind('application/pdf')).toBe('file');
+      expect(attachmentKind(null)).toBe('file');
+    });
+
+    test('should accept files within the policy', () => {
+      const policy = { maxBytes: 1000, kinds: ['image', 'file'] };
+
+      expect(
+        acceptsAttachment(policy, { mimeType: 'image/png', size: 1000 })
+      ).toBe(true);
+      expect(
+        acceptsAttachment(policy, { mimeType: 'image/png', size: 1001 })
+      ).toBe(false);
+      expect(
+        acceptsAttachment(policy, { mimeType: 'video/mp4', size: 10 })
+      ).toBe(false);
+      expect(
+        acceptsAttachment(null, { mimeType: 'text/plain', size: 10 })
+      ).toBe(false);
+    });
+  });
+
+  describe('Capture health', () => {
+    const report = {
+      strategy: 'author-role',
+      strategyIndex: 0,
+      messagesFound: 4,
+      rolesDetected: 4,
+      rolesAttempted: 4,
+      expectsMessages: true,
+    };
+
+    test('should be ok when the first strategy finds messages with roles', () => {
+      expect(assessCapture(report)).toEqual({
+        status: CaptureStatus.OK,
+        reason: null,
+      });
+      expect(
+        assessCapture({ ...report, messagesFound: 0, expectsMessages: false })
+          .status
+      ).toBe(CaptureStatus.OK);
+    });
+
+    test('should be broken when a conversation page shows no messages', () => {
+      expect(assessCapture({ ...report, messagesFound: 0 }).status).toBe(
+        CaptureStatus.BROKEN
+      );
+    });
+
+    test('should be degraded on fallbacks or missing roles', () => {
+      expect(
+        assessCapture({ ...report, strategy: 'data-role', strategyIndex: 2 })
+      ).toEqual({
+        status: CaptureStatus.DEGRADED,
+        reason: 'Messages found only by fallback selectors (data-role)',
+      });
+      expect(assessCapture({ ...report, rolesDetected: 3 }).reason).toBe(
+        'Role recognized for 3 of 4 messages'
+      );
+    });
+  });
+
+  describe('createErrorMessage', () => {
+    test('should reference the offending message', () => {
+      const err = new ProtocolError(ErrorCode.INVALID_PAYLOAD, 'Bad', ['x']);
+      const message = createErrorMessage(err, { id: 'm-1', type: 'PING' });
+
+      expect(message.type).toBe(MessageType.ERROR);
+      expect(message.data).toEqual({
+        code: 'INVALID_PAYLOAD',
+        message: 'Bad',
+        details: ['x'],
+        messageId: 'm-1',
+        messageType: 'PING',
+      });
+      expect(() => validateMessage(message)).not.toThrow();
+    });
+
+    test('should wrap unexpected errors as INTERNAL_ERROR', () => {
+      const message = createErrorMessage(new Error('boom'));
+      expect(message.data.code).toBe(ErrorCode.INTERNAL_ERROR);
+      expect(message.data.message).toBe('boom');
+    });
+  });
+});
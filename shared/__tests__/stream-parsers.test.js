@@ -0,0 +1,125 @@
+const {
+  LineSplitter,
+  SSEParser,
+  LineParser,
+  LengthPrefixedParser,
+} = require('../platforms/stream-parsers');
+
+/**
+ * Feed a parser the text in pieces of the given size and collect every
+ * message, including those completed by the end of the stream
+ */
+function parseAll(parser, text, size = text.length) {
+  const messages = [];
+  for (let i = 0; i < text.length; i += size) {
+    messages.push(...parser.push(text.slice(i, i + size)));
+  }
+  messages.push(...parser.end());
+  return messages;
+}
+
+describe('Stream Parsers', () => {
+  describe('LineSplitter', () => {
+    test('should split on every kind of line break', () => {
+      const lines = new LineSplitter();
+      expect(lines.push('a\nb\r\nc\rd')).toEqual(['a', 'b', 'c']);
+      expect(lines.end()).toEqual(['d']);
+    });
+
+    test('should treat a CRLF split across pieces as one break', () => {
+      const lines = new LineSplitter();
+      expect(lines.push('a\r')).toEqual(['a']);
+      expect(lines.push('\nb\n')).toEqual(['b']);
+      expect(lines.end()).toEqual([]);
+    });
+  });
+
+  describe('SSEParser', () => {
+    const stream =
+      '\uFEFF: comment\n' +
+      'event: delta\n' +
+      'id: 7\n' +
+      'data: {"a":\n' +
+      'data:1}\n' +
+      '\n' +
+      'retry: 3000\n' +
+      'data: second\r\n' +
+      '\r\n' +
+      'data\n' +
+      '\n' +
+      'event: ignored\n' +
+      '\n' +
+      'data: unterminated';
+
+    test('should parse events as specified', () => {
+      const parser = new SSEParser();
+      expect(parseAll(parser, stream)).toEqual([
+        { type: 'delta', data: '{"a":\n1}', id: '7' },
+        { type: 'message', data: 'second', id: '7' },
+        { type: 'message', data: '', id: '7' },
+      ]);
+      expect(parser.retry).toBe(3000);
+    });
+
+    test('should give the same events whatever the pieces', () => {
+      const whole = parseAll(new SSEParser(), stream);
+      for (const size of [1, 2, 5, 13]) {
+        expect(parseAll(new SSEParser(), stream, size)).toEqual(whole);
+      }
+    });
+
+    test('should keep one leading space of values only', () => {
+      expect(parseAll(new SSEParser(), 'data:  two\n\n')).toEqual([
+        { type: 'message', data: ' two', id: '' },
+      ]);
+    });
+  });
+
+  describe('LineParser', () => {
+    test('should read one message per line, including the last', () => {
+      const parser = new LineParser();
+      expect(parseAll(parser, '{"a":1}\n\n{"b":2}', 3)).toEqual([
+        { type: 'message', data: '{"a":1}' },
+        { type: 'message', data: '{"b":2}' },
+      ]);
+    });
+
+    test('should skip lines mapped to null', () => {
+      const parser = new LineParser((line) =>
+        line.startsWith('#') ? null : { type: 'line', data: line }
+      );
+      expect(parseAll(parser, '#skip\nkeep\n')).toEqual([
+        { type: 'line', data: 'keep' },
+      ]);
+    });
+  });
+
+  describe('LengthPrefixedParser', () => {
+    const stream =
+      ")]}'\n\n" + '23\n[["wrb.fr",null,"]\\""]]\n' + '12\n[["di",120]]\n';
+
+    test('should read each value to its closing bracket', () => {
+      const messages = parseAll(new LengthPrefixedParser(), stream);
+      expect(messages.map((message) => JSON.parse(message.data))).toEqual([
+        [['wrb.fr', null, ']"']],
+        [['di', 120]],
+      ]);
+    });
+
+    test('should give the same values whatever the pieces', () => {
+      const whole = parseAll(new LengthPrefixedParser(), stream);
+      for (const size of [1, 3, 8]) {
+        expect(parseAll(new LengthPrefixedParser(), stream, size)).toEqual(
+          whole
+        );
+      }
+    });
+
+    test('should read a JSON array without a prefix', () => {
+      const parser = new LengthPrefixedParser();
+      expect(parseAll(parser, '[{"a":1},\n{"b":[2]}]', 4)).toEqual([
+        { type: 'message', data: '[{"a":1},\n{"b":[2]}]' },
+      ]);
+    });
+  });
+});
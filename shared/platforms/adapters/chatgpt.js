@@ -0,0 +1,279 @@
+/**
+ * ChatGPT (chatgpt.com) and the OpenAI API
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class ChatGPTAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        hostnames: ['chat.openai.com', 'chatgpt.com'],
+        endpoints: [
+          'https://chat.openai.com/backend-api/*',
+          'https://chatgpt.com/backend-api/*',
+          'https://api.openai.com/v1/chat/completions',
+        ],
+        apiPatterns: ['/backend-api/', 'chat/completions'],
+        strategies: [
+          {
+            name: 'author-role',
+            message: '[data-message-author-role]',
+            role: (element) => element.getAttribute('data-message-author-role'),
+          },
+          {
+            name: 'conversation-turn',
+            message: 'article[data-testid^="conversation-turn"]',
+            role: turnRole,
+          },
+        ],
+        selectors: {
+          variantContainer: '[data-testid^="conversation-turn"], article',
+        },
+      });
+    }
+
+    // Three formats: OpenAI API chunks, and the web app's messages, either
+    // resent in full with every update or, after a `delta_encoding` event,
+    // built up by `delta` events patching the first one
+    parseStreamEvent(event, state = {}, type = 'message') {
+      if (Array.isArray(event?.choices)) {
+        return platforms.completionChunkDelta(event);
+      }
+      if (!event || typeof event !== 'object') {
+        return { content: '' };
+      }
+
+      if (type === 'delta') {
+        applyPatch(state, event);
+      } else if (event.message) {
+        state.document = event;
+      } else {
+        return { content: '' };
+      }
+      return messageDelta(state);
+    }
+
+    // chatgpt.com/c/<id>, also under custom GPTs and projects (/g/<gpt>/c/<id>)
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/c\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+
+    // The web app sends `author.role` rather than `role`
+    extractSystemPrompts(body) {
+      if (!Array.isArray(body?.messages)) {
+        return [];
+      }
+      return body.messages
+        .filter(
+          (message) => (message.role || message.author?.role) === 'system'
+        )
+        .map((message) => platforms.textOf(message.content))
+        .filter(Boolean);
+    }
+  }
+
+  /**
+   * Role of a whole turn: from its `data-turn` attribute, or the heading
+   * read out to screen readers ("You said:", "ChatGPT said:")
+   */
+  function turnRole(element) {
+    const turn = element.getAttribute('data-turn');
+    if (turn) {
+      return turn;
+    }
+
+    const heading = element.querySelector('.sr-only')?.textContent.trim() || '';
+    if (/^you said/i.test(heading)) {
+      return 'user';
+    }
+    return /said:?$/i.test(heading) ? 'assistant' : null;
+  }
+
+  /**
+   * What the latest version of the message being streamed adds. A turn
+   * can stream several messages: reasoning, calls to tools addressed by
+   * `recipient`, their results from the tool, and the answer with its
+   * citations.
+   */
+  function messageDelta(state) {
+    const message = state.document?.message;
+    const role = message?.author?.role;
+    if (role === 'tool') {
+      return toolDelta(state, message);
+    }
+    if (role !== 'assistant') {
+      return { content: '' };
+    }
+
+    const id = message.id || '';
+    const content = message.content || {};
+    const delta = { content: '', citations: messageCitations(message) };
+
+    if (message.recipient && message.recipient !== 'all') {
+      delta.toolCalls = [
+        {
+          key: id,
+          id,
+          name: message.recipient,
+          arguments: platforms.appendedText(
+            state,
+            `tool:${id}`,
+            platforms.textOf(content.parts ?? content.text)
+          ),
+        },
+      ];
+    } else if (content.content_type === 'thoughts') {
+      const thoughts = (content.thoughts || [])
+        .map((thought) => thought.content || '')
+        .join('\n\n');
+      delta.thinking = platforms.appendedText(
+        state,
+        `thinking:${id}`,
+        thoughts
+      );
+    } else if (Array.isArray(content.parts)) {
+      delta.content = platforms.appendedText(
+        state,
+        `text:${id}`,
+        platforms.textOf(content.parts)
+      );
+    }
+
+    delta.stopReason = message.metadata?.finish_details?.type || null;
+    return delta;
+  }
+
+  /**
+   * What a message from a tool adds: the output of the code interpreter
+   * (`python`), or the result of another tool such as the browser
+   */
+  function toolDelta(state, message) {
+    const id = message.id || '';
+    const content = message.content || {};
+
+    if (content.content_type === 'execution_output') {
+      return {
+        content: '',
+        codeOutputs: [
+          {
+            key: id,
+            content: platforms.appendedText(
+              state,
+              `output:${id}`,
+              content.text || ''
+            ),
+          },
+        ],
+      };
+    }
+    return {
+      content: '',
+      toolResults: [
+        {
+          key: id,
+          id,
+          name: message.author.name,
+          content: platforms.appendedText(
+            state,
+            `result:${id}`,
+            platforms.textOf(content.parts ?? content.text ?? content.result)
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Sources cited by a message, from `metadata.citations` or the web pages
+   * grouped in `metadata.content_references`
+   */
+  function messageCitations(message) {
+    const metadata = message.metadata || {};
+    const cited = (metadata.citations || []).map(
+      (citation) => citation.metadata || {}
+    );
+    const referenced = (metadata.content_references || []).flatMap(
+      (reference) => reference.items || []
+    );
+    return [...cited, ...referenced]
+      .filter((source) => source.url)
+      .map((source) => ({ url: source.url, title: source.title }));
+  }
+
+  /**
+   * Apply a `delta` event: `{ p, o, v }` applies operation `o` with value
+   * `v` at JSON pointer `p` of the document. `p` and `o` are left out
+   * while they stay the same; `patch` applies a list of operations.
+   */
+  function applyPatch(state, { p, o, v }) {
+    if (p !== undefined) state.path = p;
+    if (o !== undefined) state.op = o;
+
+    if (state.op === 'patch') {
+      for (const operation of Array.isArray(v) ? v : []) {
+        applyOperation(state, operation.p, operation.o, operation.v);
+      }
+    } else {
+      applyOperation(state, state.path ?? '', state.op ?? 'append', v);
+    }
+  }
+
+  function applyOperation(state, path, op, value) {
+    if (!path) {
+      if (op === 'add' || op === 'replace') {
+        state.document = value;
+      }
+      return;
+    }
+
+    const keys = path
+      .split('/')
+      .slice(1)
+      .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    let parent = (state.document ??= {});
+    for (const key of keys) {
+      if (parent[key] === null || typeof parent[key] !== 'object') {
+        parent[key] = {};
+      }
+      parent = parent[key];
+    }
+
+    const current = parent[last];
+    switch (op) {
+      case 'add':
+      case 'replace':
+        parent[last] = value;
+        break;
+      case 'append':
+        if (typeof value === 'string') {
+          parent[last] = (typeof current === 'string' ? current : '') + value;
+        } else if (Array.isArray(value)) {
+          parent[last] = (Array.isArray(current) ? current : []).concat(value);
+        } else if (value && typeof value === 'object') {
+          parent[last] = { ...current, ...value };
+        }
+        break;
+      case 'truncate':
+        if (typeof current === 'string' || Array.isArray(current)) {
+          parent[last] = current.slice(0, value);
+        }
+        break;
+      case 'remove':
+        delete parent[last];
+        break;
+    }
+  }
+
+  return platforms.register(new ChatGPTAdapter());
+});
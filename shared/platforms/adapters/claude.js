@@ -0,0 +1,202 @@
+/**
+ * Claude (claude.ai) and the Anthropic API
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  const USER_MESSAGE = '[data-is-user-message], [data-testid="user-message"]';
+  const ASSISTANT_MESSAGE = '[data-is-streaming], .font-claude-message';
+
+  class ClaudeAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'claude',
+        name: 'Claude',
+        hostnames: ['claude.ai'],
+        endpoints: [
+          'https://claude.ai/api/*/chat_conversations/*',
+          'https://api.anthropic.com/v1/messages',
+        ],
+        apiPatterns: ['/chat_conversations/', '/completion', '/v1/messages'],
+        strategies: [
+          {
+            name: 'render-count',
+            message: '[data-test-render-count]',
+            role: messageRole,
+          },
+          {
+            name: 'message-body',
+            message: `${USER_MESSAGE}, ${ASSISTANT_MESSAGE}`,
+            role: messageRole,
+          },
+        ],
+        selectors: {
+          variantContainer: '[data-test-render-count]',
+        },
+      });
+    }
+
+    // Messages API events, shared by claude.ai and the Anthropic API.
+    // Content arrives in numbered blocks of text, thinking, tool input and
+    // the results of tools run server-side; text deltas may cite sources.
+    // Older claude.ai streams send `completion` events with text only.
+    parseStreamEvent(event, _state = {}, type = 'message') {
+      const kind = event?.type || type;
+
+      switch (kind) {
+        case 'completion':
+          return {
+            content: event.completion || '',
+            stopReason: event.stop_reason || null,
+          };
+
+        case 'message_start':
+          return { content: '', usage: event.message?.usage || null };
+
+        case 'content_block_start':
+          return blockDelta(event.content_block || {}, event.index);
+
+        case 'content_block_delta': {
+          const delta = event.delta || {};
+          if (delta.type === 'input_json_delta') {
+            return {
+              content: '',
+              toolCalls: [{ key: event.index, arguments: delta.partial_json }],
+            };
+          }
+          if (delta.type === 'thinking_delta') {
+            return { content: '', thinking: delta.thinking || '' };
+          }
+          if (
+            delta.type === 'citations_delta' ||
+            delta.type === 'citation_start_delta'
+          ) {
+            const { url, title } = delta.citation || {};
+            return { content: '', citations: [{ url, title }] };
+          }
+          return { content: delta.text || '' };
+        }
+
+        case 'message_delta':
+          return {
+            content: '',
+            stopReason: event.delta?.stop_reason || null,
+            usage: event.usage || null,
+          };
+
+        default:
+          return { content: '' };
+      }
+    }
+
+    // claude.ai/chat/<id>
+    extractConversationId(url) {
+      return url.pathname.split('/').pop() || null;
+    }
+
+    // Top-level `system`, as a string or text blocks, plus any system-role
+    // messages
+    extractSystemPrompts(body) {
+      const prompts = super.extractSystemPrompts(body);
+      const system = platforms.textOf(body?.system);
+      return system ? [system, ...prompts] : prompts;
+    }
+  }
+
+  /**
+   * Role of a turn, or of the message body inside it
+   */
+  function messageRole(element) {
+    if (element.matches(USER_MESSAGE) || element.querySelector(USER_MESSAGE)) {
+      return 'user';
+    }
+    if (
+      element.matches(ASSISTANT_MESSAGE) ||
+      element.querySelector(ASSISTANT_MESSAGE)
+    ) {
+      return 'assistant';
+    }
+    return null;
+  }
+
+  /**
+   * Decode the start of a content block. Tool results arrive whole:
+   * `tool_result` on claude.ai, and results of server tools such as web
+   * search and code execution from the API.
+   */
+  function blockDelta(block, index) {
+    switch (block.type) {
+      case 'text':
+        return { content: block.text || '' };
+
+      case 'thinking':
+        return { content: '', thinking: block.thinking || '' };
+
+      case 'tool_use':
+      case 'server_tool_use':
+        return {
+          content: '',
+          toolCalls: [{ key: index, id: block.id, name: block.name }],
+        };
+
+      case 'web_search_tool_result': {
+        const results = Array.isArray(block.content) ? block.content : [];
+        return {
+          content: '',
+          toolResults: [
+            {
+              key: index,
+              id: block.tool_use_id,
+              name: 'web_search',
+              content: results
+                .map((result) => `${result.title}\n${result.url}`)
+                .join('\n\n'),
+            },
+          ],
+        };
+      }
+
+      case 'tool_result':
+        return {
+          content: '',
+          toolResults: [
+            {
+              key: index,
+              id: block.tool_use_id,
+              name: block.name,
+              content:
+                platforms.textOf(block.content) ||
+                JSON.stringify(block.content ?? null),
+            },
+          ],
+        };
+
+      default:
+        // code_execution_tool_result, bash_code_execution_tool_result...
+        if (/code_execution_tool_result$/.test(block.type || '')) {
+          const result = block.content || {};
+          return {
+            content: '',
+            codeOutputs: [
+              {
+                key: index,
+                content: [result.stdout, result.stderr]
+                  .filter(Boolean)
+                  .join('\n'),
+              },
+            ],
+          };
+        }
+        return { content: '' };
+    }
+  }
+
+  return platforms.register(new ClaudeAdapter());
+});
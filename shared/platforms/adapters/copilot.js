@@ -0,0 +1,92 @@
+/**
+ * Microsoft Copilot (copilot.microsoft.com)
+ *
+ * Prompts are sent and replies streamed over one WebSocket.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class CopilotAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'copilot',
+        name: 'Copilot',
+        hostnames: ['copilot.microsoft.com'],
+        endpoints: ['https://copilot.microsoft.com/c/api/*'],
+        apiPatterns: [],
+        socketPatterns: ['/c/api/chat'],
+        strategies: [
+          {
+            name: 'data-content',
+            message:
+              '[data-content="user-message"], [data-content="ai-message"]',
+            role: (element) =>
+              element.dataset.content === 'user-message' ? 'user' : 'assistant',
+          },
+          {
+            name: 'test-id',
+            message: '[data-testid="user-message"], [data-testid="ai-message"]',
+            role: (element) =>
+              element.dataset.testid === 'user-message' ? 'user' : 'assistant',
+          },
+        ],
+      });
+    }
+
+    repliesOverSocket(body) {
+      return body?.event === 'send';
+    }
+
+    // Copilot does not name its models, only the mode picked by the user
+    // ("chat", "smart", "reasoning")
+    extractModel(body) {
+      return body?.mode ? `copilot-${body.mode}` : null;
+    }
+
+    extractRequestConversationId(body) {
+      return body?.conversationId || null;
+    }
+
+    extractPromptText(body) {
+      return Array.isArray(body?.content)
+        ? platforms.textOf(body.content)
+        : null;
+    }
+
+    parseSocketMessage(data) {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        return [];
+      }
+
+      if (message.event === 'appendText' && message.messageId) {
+        return [{ streamId: message.messageId, content: message.text || '' }];
+      }
+      if (message.event === 'done' && message.messageId) {
+        return [{ streamId: message.messageId, done: true }];
+      }
+      return [];
+    }
+
+    // copilot.microsoft.com/chats/<id>
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/chats\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+
+    extractSystemPrompts(_body) {
+      return [];
+    }
+  }
+
+  return platforms.register(new CopilotAdapter());
+});
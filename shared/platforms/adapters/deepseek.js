@@ -0,0 +1,136 @@
+/**
+ * DeepSeek (chat.deepseek.com)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class DeepSeekAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'deepseek',
+        name: 'DeepSeek',
+        hostnames: ['chat.deepseek.com'],
+        endpoints: ['https://chat.deepseek.com/api/*'],
+        apiPatterns: ['/api/v0/chat/completion'],
+        strategies: [
+          {
+            name: 'ds-message',
+            message: '.ds-message',
+            role: (element) =>
+              element.querySelector('.ds-markdown') ? 'assistant' : 'user',
+          },
+        ],
+      });
+    }
+
+    // DeepThink switches to the reasoning model
+    extractModel(body) {
+      if (!body || typeof body !== 'object') {
+        return null;
+      }
+      return body.thinking_enabled ? 'deepseek-reasoner' : 'deepseek-chat';
+    }
+
+    extractRequestConversationId(body) {
+      return body?.chat_session_id || null;
+    }
+
+    // Two stream formats: OpenAI-style deltas typed as `thinking` or
+    // `text`, and patches `{ p, o, v }` to the response, where `p` is left
+    // out while it stays the same. Patches either append to
+    // `thinking_content` and `content`, or add typed fragments (THINK,
+    // RESPONSE, SEARCH with its results) and append to the last one.
+    parseStreamEvent(event, state = {}, _type = 'message') {
+      if (Array.isArray(event?.choices)) {
+        const delta = platforms.completionChunkDelta(event);
+        return event.choices[0]?.delta?.type === 'thinking'
+          ? { ...delta, content: '', thinking: delta.content }
+          : delta;
+      }
+      if (!event || typeof event !== 'object') {
+        return { content: '' };
+      }
+
+      if (typeof event.p === 'string') {
+        state.path = event.p;
+      }
+      const path = state.path;
+      const value = event.v;
+
+      if (!path && value?.response) {
+        return fragmentsDelta(state, value.response.fragments);
+      }
+      if (path === 'response/fragments' && Array.isArray(value)) {
+        return fragmentsDelta(state, value);
+      }
+      if (/^response\/(?:fragments\/-1\/results|search_results)$/.test(path)) {
+        return { content: '', citations: searchCitations(value) };
+      }
+      if (path === 'response/status' && typeof value === 'string') {
+        return {
+          content: '',
+          stopReason: value === 'WIP' ? null : value.toLowerCase(),
+        };
+      }
+      if (typeof value !== 'string') {
+        return { content: '' };
+      }
+
+      if (path === 'response/fragments/-1/content') {
+        return textDelta(state.fragmentType, value);
+      }
+      if (path === 'response/thinking_content') {
+        return { content: '', thinking: value };
+      }
+      return { content: !path || path === 'response/content' ? value : '' };
+    }
+
+    // chat.deepseek.com/a/chat/s/<id>
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/chat\/s\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+
+    extractSystemPrompts(_body) {
+      return [];
+    }
+  }
+
+  /**
+   * Text of new fragments; later appends go to the last one
+   */
+  function fragmentsDelta(state, fragments) {
+    const delta = { content: '', thinking: '', citations: [] };
+    for (const fragment of Array.isArray(fragments) ? fragments : []) {
+      state.fragmentType = fragment.type;
+      const text = textDelta(fragment.type, fragment.content || '');
+      delta.content += text.content;
+      delta.thinking += text.thinking || '';
+      delta.citations.push(...searchCitations(fragment.results));
+    }
+    return delta;
+  }
+
+  function searchCitations(results) {
+    return (Array.isArray(results) ? results : []).map((result) => ({
+      url: result.url,
+      title: result.title,
+    }));
+  }
+
+  function textDelta(fragmentType, text) {
+    if (fragmentType === 'THINK') {
+      return { content: '', thinking: text };
+    }
+    return { content: fragmentType === 'RESPONSE' ? text : '' };
+  }
+
+  return platforms.register(new DeepSeekAdapter());
+});
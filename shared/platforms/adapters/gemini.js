@@ -0,0 +1,202 @@
+/**
+ * Gemini (gemini.google.com) and the Gemini API
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class GeminiAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'gemini',
+        name: 'Gemini',
+        hostnames: ['gemini.google.com', 'bard.google.com'],
+        endpoints: [
+          'https://gemini.google.com/api/*',
+          'https://generativelanguage.googleapis.com/*',
+        ],
+        apiPatterns: [
+          'StreamGenerate',
+          ':generateContent',
+          ':streamGenerateContent',
+        ],
+        strategies: [
+          {
+            name: 'conversation-turn',
+            message: '.conversation-turn',
+            role: (element) =>
+              element.classList.contains('user-turn') ? 'user' : 'assistant',
+          },
+          {
+            name: 'query-response',
+            message: 'user-query, model-response',
+            role: (element) =>
+              element.localName === 'user-query' ? 'user' : 'assistant',
+          },
+        ],
+        selectors: {
+          variantContainer: '.conversation-turn',
+        },
+      });
+    }
+
+    // The web app posts a form with the request as JSON in `f.req`. The
+    // other fields (e.g. the `at` session token) are left out.
+    parseRequestBody(body) {
+      const parsed = super.parseRequestBody(body);
+      if (
+        parsed ||
+        (typeof body !== 'string' && !(body instanceof URLSearchParams))
+      ) {
+        return parsed;
+      }
+
+      const request = new URLSearchParams(body).get('f.req');
+      try {
+        return request ? { 'f.req': JSON.parse(request) } : null;
+      } catch (err) {
+        return null;
+      }
+    }
+
+    // The API streams server-sent events with `alt=sse` and a JSON array
+    // otherwise; the web app streams length-prefixed JSON arrays
+    createStreamParser(contentType) {
+      return /event-stream/.test(contentType || '')
+        ? new platforms.SSEParser()
+        : new platforms.LengthPrefixedParser();
+    }
+
+    parseStreamEvent(event, state = {}, _type = 'message') {
+      if (!Array.isArray(event)) {
+        return apiChunkDelta(event, state);
+      }
+
+      // A web app message holds envelopes; an API response read as one
+      // array holds every chunk
+      const deltas = event.map((item) =>
+        Array.isArray(item)
+          ? envelopeDelta(item, state)
+          : apiChunkDelta(item, state)
+      );
+      return {
+        content: deltas.map((delta) => delta.content).join(''),
+        thinking: deltas.map((delta) => delta.thinking || '').join(''),
+        toolCalls: deltas.flatMap((delta) => delta.toolCalls || []),
+        codeOutputs: deltas.flatMap((delta) => delta.codeOutputs || []),
+        citations: deltas.flatMap((delta) => delta.citations || []),
+        stopReason: deltas.reduce(
+          (reason, delta) => delta.stopReason || reason,
+          null
+        ),
+        usage: deltas.reduce((usage, delta) => delta.usage || usage, null),
+      };
+    }
+
+    // gemini.google.com/app?c=<id>
+    extractConversationId(url) {
+      return url.searchParams.get('c');
+    }
+
+    extractSystemPrompts(body) {
+      const system = platforms.textOf(body?.systemInstruction);
+      return system ? [system] : [];
+    }
+  }
+
+  /**
+   * Decode an API chunk: parts of text, thoughts, function calls, or code
+   * run by the code execution tool and its output, and the web sources
+   * the answer is grounded in
+   */
+  function apiChunkDelta(event, state) {
+    const candidate = event?.candidates?.[0];
+    const delta = { content: '', usage: event?.usageMetadata || null };
+    const thinking = [];
+    const toolCalls = [];
+    const codeOutputs = [];
+
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        state.calls = (state.calls || 0) + 1;
+        toolCalls.push({
+          key: state.calls,
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args ?? {}),
+        });
+      } else if (part.executableCode) {
+        state.calls = (state.calls || 0) + 1;
+        toolCalls.push({
+          key: state.calls,
+          name: 'code_execution',
+          arguments: part.executableCode.code || '',
+        });
+      } else if (part.codeExecutionResult) {
+        codeOutputs.push({
+          key: state.calls,
+          content: part.codeExecutionResult.output || '',
+        });
+      } else if (typeof part.text === 'string') {
+        if (part.thought) {
+          thinking.push(part.text);
+        } else {
+          delta.content += part.text;
+        }
+      }
+    }
+
+    if (thinking.length > 0) {
+      delta.thinking = thinking.join('');
+    }
+    if (toolCalls.length > 0) {
+      delta.toolCalls = toolCalls;
+    }
+    if (codeOutputs.length > 0) {
+      delta.codeOutputs = codeOutputs;
+    }
+    const sources = candidate?.groundingMetadata?.groundingChunks || [];
+    if (sources.length > 0) {
+      delta.citations = sources
+        .filter((source) => source.web)
+        .map((source) => ({ url: source.web.uri, title: source.web.title }));
+    }
+    if (candidate?.finishReason) {
+      delta.stopReason = candidate.finishReason;
+    }
+    return delta;
+  }
+
+  /**
+   * Decode a web app envelope, `["wrb.fr", null, "<JSON>"]`. The JSON
+   * holds the candidates, each with the whole answer so far.
+   */
+  function envelopeDelta(item, state) {
+    if (item[0] !== 'wrb.fr' || typeof item[2] !== 'string') {
+      return { content: '' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(item[2]);
+    } catch (err) {
+      return { content: '' };
+    }
+
+    const candidate = payload?.[4]?.[0];
+    const text = candidate?.[1]?.[0];
+    if (typeof text !== 'string') {
+      return { content: '' };
+    }
+    return {
+      content: platforms.appendedText(state, `text:${candidate[0]}`, text),
+    };
+  }
+
+  return platforms.register(new GeminiAdapter());
+});
@@ -0,0 +1,141 @@
+/**
+ * Mistral Le Chat (chat.mistral.ai)
+ *
+ * Replies stream as data-stream lines, `<type>:<json>`: type 0 carries
+ * text, types d and e the finish reason and usage.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  const LINE_PATTERN = /^([0-9a-z]+):(.*)$/;
+
+  class MistralAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'mistral',
+        name: 'Le Chat',
+        hostnames: ['chat.mistral.ai'],
+        endpoints: ['https://chat.mistral.ai/api/*'],
+        apiPatterns: ['/api/chat'],
+        strategies: [
+          {
+            name: 'author-role',
+            message: '[data-message-author-role]',
+            role: (element) => element.getAttribute('data-message-author-role'),
+          },
+        ],
+      });
+    }
+
+    extractRequestConversationId(body) {
+      return body?.chatId || null;
+    }
+
+    extractPromptText(body) {
+      return typeof body?.messageInput === 'string' ? body.messageInput : null;
+    }
+
+    // Lines of `<type>:<JSON>` stream parts: text (0), reasoning (g),
+    // tool calls whole (9) or streamed (b, c), their results (a), and the
+    // finish (d, e) with token usage
+    createStreamParser(_contentType) {
+      return new platforms.LineParser((line) => {
+        const match = line.match(LINE_PATTERN);
+        return match ? { type: match[1], data: match[2] } : null;
+      });
+    }
+
+    parseStreamEvent(event, _state = {}, type = 'message') {
+      switch (type) {
+        case '0':
+          return { content: typeof event === 'string' ? event : '' };
+
+        case 'g':
+          return {
+            content: '',
+            thinking: typeof event === 'string' ? event : '',
+          };
+
+        case '9':
+          return {
+            content: '',
+            toolCalls: [
+              {
+                key: event?.toolCallId,
+                id: event?.toolCallId,
+                name: event?.toolName,
+                arguments: JSON.stringify(event?.args ?? {}),
+              },
+            ],
+          };
+
+        case 'b':
+          return {
+            content: '',
+            toolCalls: [
+              {
+                key: event?.toolCallId,
+                id: event?.toolCallId,
+                name: event?.toolName,
+              },
+            ],
+          };
+
+        case 'c':
+          return {
+            content: '',
+            toolCalls: [
+              { key: event?.toolCallId, arguments: event?.argsTextDelta },
+            ],
+          };
+
+        case 'a':
+          return {
+            content: '',
+            toolResults: [
+              {
+                key: event?.toolCallId,
+                id: event?.toolCallId,
+                content:
+                  platforms.textOf(event?.result) ||
+                  JSON.stringify(event?.result ?? null),
+              },
+            ],
+          };
+
+        case 'd':
+        case 'e': {
+          const usage = event?.usage;
+          return {
+            content: '',
+            stopReason: event?.finishReason || null,
+            usage: usage
+              ? {
+                  prompt_tokens: usage.promptTokens,
+                  completion_tokens: usage.completionTokens,
+                }
+              : null,
+          };
+        }
+
+        default:
+          return { content: '' };
+      }
+    }
+
+    // chat.mistral.ai/chat/<id>
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/chat\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+  }
+
+  return platforms.register(new MistralAdapter());
+});
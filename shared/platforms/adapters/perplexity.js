@@ -0,0 +1,84 @@
+/**
+ * Perplexity (perplexity.ai)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class PerplexityAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'perplexity',
+        name: 'Perplexity',
+        hostnames: ['www.perplexity.ai', 'perplexity.ai'],
+        endpoints: ['https://www.perplexity.ai/rest/sse/*'],
+        apiPatterns: ['/rest/sse/perplexity_ask'],
+        strategies: [
+          {
+            name: 'query-markdown',
+            message: '[class*="group/query"], [id^="markdown-content-"]',
+            role: (element) =>
+              element.id.startsWith('markdown-content-') ? 'assistant' : 'user',
+          },
+        ],
+      });
+    }
+
+    extractModel(body) {
+      return body?.params?.model_preference || null;
+    }
+
+    extractPromptText(body) {
+      return typeof body?.query_str === 'string' ? body.query_str : null;
+    }
+
+    // Events list the sources found so far; the last event is flagged
+    // `final`
+    parseStreamEvent(event, state = {}, type = 'message') {
+      const block = event?.blocks?.find(
+        (candidate) => candidate.web_result_block
+      );
+      const sources = block?.web_result_block.web_results ?? event?.web_results;
+
+      return {
+        ...super.parseStreamEvent(event, state, type),
+        citations: (Array.isArray(sources) ? sources : []).map((source) => ({
+          url: source.url,
+          title: source.name,
+        })),
+        stopReason:
+          event?.final || event?.status === 'COMPLETED' ? 'final' : null,
+      };
+    }
+
+    // Every event carries the whole answer so far, either as `text` or in
+    // the markdown block of the answer
+    extractStreamContent(event, state) {
+      const block = event.blocks?.find(
+        (candidate) => candidate.markdown_block?.answer != null
+      );
+      const answer = block ? block.markdown_block.answer : event.answer;
+      return typeof answer === 'string'
+        ? platforms.appendedText(state, 'answer', answer)
+        : '';
+    }
+
+    // perplexity.ai/search/<slug>
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/search\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+
+    extractSystemPrompts(_body) {
+      return [];
+    }
+  }
+
+  return platforms.register(new PerplexityAdapter());
+});
@@ -0,0 +1,102 @@
+/**
+ * Poe (poe.com)
+ *
+ * Prompts are sent with a GraphQL mutation; replies arrive over a
+ * subscription WebSocket, each update carrying the whole reply so far.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../platform-adapter'));
+  } else {
+    factory(root.LLMTrackerPlatforms);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (platforms) {
+  'use strict';
+
+  class PoeAdapter extends platforms.PlatformAdapter {
+    constructor() {
+      super({
+        id: 'poe',
+        name: 'Poe',
+        hostnames: ['poe.com'],
+        endpoints: ['https://poe.com/api/gql_POST'],
+        apiPatterns: ['/api/gql_POST'],
+        socketPatterns: ['.poe.com/up/'],
+        strategies: [
+          {
+            name: 'chat-message',
+            message: '[class*="ChatMessage_chatMessage__"]',
+            role: (element) =>
+              element.querySelector('[class*="Message_rightSideMessageBubble"]')
+                ? 'user'
+                : 'assistant',
+          },
+        ],
+      });
+    }
+
+    repliesOverSocket(body) {
+      return /sendMessage/i.test(body?.queryName || '');
+    }
+
+    // Bots are named after their model (GPT-4o, Claude-Sonnet-4, ...)
+    extractModel(body) {
+      return body?.variables?.bot || null;
+    }
+
+    extractRequestConversationId(body) {
+      const chatId = body?.variables?.chatId;
+      return chatId != null ? String(chatId) : null;
+    }
+
+    extractPromptText(body) {
+      const query = body?.variables?.query;
+      return typeof query === 'string' ? query : null;
+    }
+
+    parseSocketMessage(data, state) {
+      let frame;
+      try {
+        frame = JSON.parse(data);
+      } catch (err) {
+        return [];
+      }
+
+      const replies = [];
+      for (const raw of frame.messages || []) {
+        let update;
+        try {
+          update = JSON.parse(raw);
+        } catch (err) {
+          continue;
+        }
+
+        const message = update.payload?.data?.messageAdded;
+        if (!message || message.author === 'human' || !message.messageId) {
+          continue;
+        }
+
+        const streamId = String(message.messageId);
+        replies.push({
+          streamId,
+          content: platforms.appendedText(state, streamId, message.text || ''),
+          done: message.state === 'complete',
+        });
+      }
+      return replies;
+    }
+
+    // poe.com/chat/<code>
+    extractConversationId(url) {
+      const match = url.pathname.match(/\/chat\/([^/]+)/);
+      return match ? match[1] : null;
+    }
+
+    extractSystemPrompts(_body) {
+      return [];
+    }
+  }
+
+  return platforms.register(new PoeAdapter());
+});
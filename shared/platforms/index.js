@@ -0,0 +1,18 @@
+/**
+ * Platform registry with every adapter in adapters/ registered
+ * (CommonJS only; the extension loads the concatenated lib/platforms.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const platforms = require('./platform-adapter');
+
+const ADAPTERS_DIR = path.join(__dirname, 'adapters');
+
+for (const file of fs.readdirSync(ADAPTERS_DIR).sort()) {
+  if (file.endsWith('.js')) {
+    require(path.join(ADAPTERS_DIR, file));
+  }
+}
+
+module.exports = platforms;
@@ -0,0 +1,690 @@
+/**
+ * Platform Adapters
+ * Everything the extension needs to know about one LLM site: where its API
+ * lives, how its requests and streamed responses are shaped, and how its
+ * pages render messages.
+ *
+ * Each site is a PlatformAdapter subclass in adapters/ that registers
+ * itself with `register()`. Loaded as CommonJS through index.js, and by the
+ * extension as one concatenated script (lib/platforms.js, see the
+ * build:extension script) exposed as `LLMTrackerPlatforms` on the global
+ * object.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./stream-parsers'));
+  } else {
+    root.LLMTrackerPlatforms = factory(root.LLMTrackerStreamParsers);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (parsers) {
+  'use strict';
+
+  // Kinds of content a reply is made of, as stored in
+  // streaming_chunks.content_type and message_parts.part_type
+  const ContentType = {
+    TEXT: 'text',
+    THINKING: 'thinking',
+    TOOL_CALL: 'tool_call',
+    TOOL_RESULT: 'tool_result',
+    CODE_OUTPUT: 'code_output',
+    CITATION: 'citation',
+  };
+
+  class PlatformAdapter {
+    /**
+     * @param {Object} config
+     * @param {string} config.id - Platform ID stored with captured data
+     * @param {string} config.name - Display name
+     * @param {string[]} config.hostnames - Hosts of the chat pages
+     * @param {string[]} config.endpoints - Match patterns of the API
+     *   endpoints, as used by chrome.webRequest
+     * @param {string[]} config.apiPatterns - Substrings of the URLs the
+     *   pages fetch that carry conversations
+     * @param {string[]} [config.socketPatterns] - Substrings of the URLs of
+     *   WebSockets that carry replies
+     * @param {MessageStrategy[]} [config.strategies] - Ways to find
+     *   rendered messages, most reliable first; the generic strategies are
+     *   tried after them
+     * @param {{ variantContainer?: string }} [config.selectors] - CSS
+     *   selector for the element holding a message with its variant
+     *   switcher
+     */
+    constructor({
+      id,
+      name,
+      hostnames = [],
+      endpoints = [],
+      apiPatterns = [],
+      socketPatterns = [],
+      strategies = [],
+      selectors = {},
+    }) {
+      this.id = id;
+      this.name = name;
+      this.hostnames = hostnames;
+      this.endpoints = endpoints;
+      this.apiPatterns = apiPatterns;
+      this.socketPatterns = socketPatterns;
+      this.strategies = [
+        ...strategies,
+        ...GENERIC_STRATEGIES.filter(
+          (generic) =>
+            !strategies.some((strategy) => strategy.message === generic.message)
+        ),
+      ];
+      this.selectors = selectors;
+    }
+
+    /**
+     * Match patterns of the chat pages
+     */
+    get pagePatterns() {
+      return this.hostnames.map((hostname) => `https://${hostname}/*`);
+    }
+
+    /**
+     * Whether a URL belongs to this platform, either a chat page or an API
+     * endpoint
+     */
+    matchesUrl(url) {
+      let hostname;
+      try {
+        hostname = new URL(String(url)).hostname;
+      } catch (err) {
+        return false;
+      }
+
+      return (
+        this.hostnames.includes(hostname) ||
+        this.endpoints.some((pattern) => pattern.split('/')[2] === hostname)
+      );
+    }
+
+    /**
+     * Whether a request made by the page carries a conversation
+     */
+    isApiRequest(url) {
+      const href = String(url);
+      return this.apiPatterns.some((pattern) => href.includes(pattern));
+    }
+
+    /**
+     * Whether a WebSocket opened by the page carries replies
+     */
+    isSocketUrl(url) {
+      const href = String(url);
+      return this.socketPatterns.some((pattern) => href.includes(pattern));
+    }
+
+    /**
+     * Whether a request is answered over a WebSocket rather than in its own
+     * response. Such requests are held until the reply starts streaming.
+     */
+    repliesOverSocket(_body) {
+      return false;
+    }
+
+    /**
+     * Parse a request body as sent by the page
+     * @returns {?Object} null if the body is not in a known format
+     */
+    parseRequestBody(body) {
+      if (typeof body !== 'string') {
+        return null;
+      }
+      try {
+        return JSON.parse(body);
+      } catch (err) {
+        return null;
+      }
+    }
+
+    /**
+     * Model named in a request body
+     * @returns {?string}
+     */
+    extractModel(body) {
+      return typeof body?.model === 'string' ? body.model : null;
+    }
+
+    /**
+     * Conversation ID named in a request body
+     * @returns {?string}
+     */
+    extractRequestConversationId(body) {
+      return body?.conversation_id || null;
+    }
+
+    /**
+     * Text of the prompt in a request body, for request formats the desktop
+     * app does not read itself (`messages`, `contents`, `prompt`)
+     * @returns {?string}
+     */
+    extractPromptText(_body) {
+      return null;
+    }
+
+    /**
+     * Parser for a streamed response body (see stream-parsers.js).
+     * Responses are server-sent events unless the adapter says otherwise.
+     * @param {?string} _contentType - Content-Type of the response
+     */
+    createStreamParser(_contentType) {
+      return new parsers.SSEParser();
+    }
+
+    /**
+     * Reader that parses and decodes a streamed response
+     * @param {?string} contentType - Content-Type of the response
+     * @returns {StreamReader}
+     */
+    createStreamReader(contentType) {
+      return new StreamReader(this, this.createStreamParser(contentType));
+    }
+
+    /**
+     * Decode one event of a streamed response. Adapters for formats that
+     * carry more than text override this; others only need
+     * extractStreamContent().
+     * @param {*} event - The message data, parsed as JSON
+     * @param {Object} [state] - Kept for the length of one stream, for
+     *   formats that only make sense in sequence
+     * @param {string} [type] - The message type, e.g. the SSE event name
+     * @returns {StreamDelta}
+     */
+    parseStreamEvent(event, state = {}, _type = 'message') {
+      return {
+        content: this.extractStreamContent(event, state) || '',
+        usage: this.extractUsage(event),
+      };
+    }
+
+    /**
+     * Text added by one stream event
+     */
+    extractStreamContent(_event, _state) {
+      return '';
+    }
+
+    /**
+     * Replies carried by one WebSocket message. `streamId` tells replies
+     * apart, `done` marks the end of one.
+     * @param {*} _data - Message data as received
+     * @param {Object} _state - Kept for the life of the socket
+     * @returns {Array<{ streamId: string, content?: string, usage?: Object, done?: boolean }>}
+     */
+    parseSocketMessage(_data, _state) {
+      return [];
+    }
+
+    /**
+     * Token usage reported by one stream event. Usage may be split across
+     * events (Anthropic reports input tokens first and output tokens last),
+     * so callers merge what they get.
+     */
+    extractUsage(event) {
+      return (
+        event?.usage || event?.message?.usage || event?.usageMetadata || null
+      );
+    }
+
+    /**
+     * Conversation ID in a chat page URL
+     * @param {URL} _url
+     * @returns {?string}
+     */
+    extractConversationId(_url) {
+      return null;
+    }
+
+    /**
+     * System prompts sent in a request body
+     * @returns {string[]}
+     */
+    extractSystemPrompts(body) {
+      if (!Array.isArray(body?.messages)) {
+        return [];
+      }
+      return body.messages
+        .filter((message) => message.role === 'system')
+        .map((message) => textOf(message.content))
+        .filter(Boolean);
+    }
+
+    /**
+     * The first strategy that finds messages in a page
+     * @returns {?{ strategy: MessageStrategy, elements: Element[] }} null if
+     *   none does
+     */
+    selectStrategy(root) {
+      for (const strategy of this.strategies) {
+        const elements = this.findMessageElements(root, strategy);
+        if (elements.length > 0) {
+          return { strategy, elements };
+        }
+      }
+      return null;
+    }
+
+    findMessageElements(root, strategy = this.strategies[0]) {
+      return Array.from(root.querySelectorAll(strategy.message));
+    }
+
+    isMessageElement(element, strategy = this.strategies[0]) {
+      return element.matches(strategy.message);
+    }
+
+    /**
+     * Role of a rendered message: 'user', 'assistant' or 'unknown'
+     */
+    detectRole(element, strategy = this.strategies[0]) {
+      return strategy.role(element) || 'unknown';
+    }
+  }
+
+  /**
+   * One way to find the messages rendered in a page. Sites change their
+   * markup without notice, so adapters list fallbacks after the strategy
+   * that matches the current design.
+   * @typedef {Object} MessageStrategy
+   * @property {string} name - Reported in capture health
+   * @property {string} message - CSS selector matching each message
+   * @property {function(Element): ?string} role - Role of a matched
+   *   message, or null if its markup does not tell
+   */
+
+  // Markup chat apps commonly give their messages, tried on every platform
+  // once its own strategies find nothing
+  const GENERIC_STRATEGIES = [
+    {
+      name: 'author-role',
+      message: '[data-message-author-role]',
+      role: (element) => element.getAttribute('data-message-author-role'),
+    },
+    {
+      name: 'data-role',
+      message: '[data-role="user"], [data-role="assistant"]',
+      role: (element) => element.getAttribute('data-role'),
+    },
+  ];
+
+  /**
+   * What one stream event adds to a reply. Only `content` is always set.
+   * @typedef {Object} StreamDelta
+   * @property {string} content - Answer text
+   * @property {string} [thinking] - Reasoning text
+   * @property {Array<{ key: *, id?: string, name?: string, arguments?: string }>} [toolCalls]
+   *   - Tool calls started or continued; `key` tells them apart within the
+   *   stream, `arguments` is appended to what came before
+   * @property {Array<{ key: *, id?: string, name?: string, content?: string }>} [toolResults]
+   *   - Output of tools the platform ran itself, such as web search;
+   *   `content` is appended like tool call arguments
+   * @property {Array<{ key: *, content?: string }>} [codeOutputs] - Output
+   *   of code run by a code interpreter, appended in the same way
+   * @property {Array<{ url: string, title?: string }>} [citations] - Sources
+   *   cited; sources cited before are ignored
+   * @property {?string} [stopReason] - Why the reply ended
+   * @property {?Object} [usage] - Token usage, in the API's own shape; may
+   *   be split across events
+   */
+
+  /**
+   * A typed piece of a reply
+   * @typedef {Object} ContentPart
+   * @property {string} type - One of ContentType
+   * @property {string} content - Text, tool call arguments, tool or code
+   *   output, or the URL of a citation
+   * @property {?Object} metadata - Tool call ID and name, or citation title
+   */
+
+  /**
+   * Parses a streamed response with the platform's parser and decoder,
+   * and puts the reply back together. Besides the text, thinking and tool
+   * calls, the result lists the parts of the reply in the order they
+   * streamed.
+   */
+  class StreamReader {
+    constructor(adapter, parser) {
+      this.adapter = adapter;
+      this.parser = parser;
+      this.state = {};
+      this.toolCalls = new Map();
+      this.keyedParts = new Map();
+      this.citedUrls = new Set();
+      this.result = {
+        text: '',
+        thinking: '',
+        toolCalls: [],
+        citations: [],
+        parts: [],
+        stopReason: null,
+        usage: null,
+      };
+    }
+
+    /**
+     * Read the next piece of the body
+     * @param {string} text
+     * @returns {Array<StreamDelta & { raw: string }>} what each event
+     *   completed by the piece adds
+     */
+    push(text) {
+      return this.decode(this.parser.push(text));
+    }
+
+    /**
+     * Read the end of the body
+     */
+    end() {
+      return this.decode(this.parser.end());
+    }
+
+    decode(messages) {
+      const deltas = [];
+      for (const message of messages) {
+        if (message.data === '[DONE]') {
+          continue;
+        }
+
+        let event;
+        try {
+          event = JSON.parse(message.data);
+        } catch (err) {
+          continue;
+        }
+
+        const delta = this.read(event, message.type);
+        deltas.push({ ...delta, raw: message.data });
+      }
+      return deltas;
+    }
+
+    /**
+     * Decode one event, parsed already, and add it to the reply
+     * @returns {StreamDelta}
+     */
+    read(event, type = 'message') {
+      const delta = this.adapter.parseStreamEvent(event, this.state, type);
+      if (delta.citations) {
+        delta.citations = delta.citations.filter(
+          ({ url }) => url && !this.citedUrls.has(url)
+        );
+      }
+      this.apply(delta);
+      return delta;
+    }
+
+    apply(delta) {
+      const result = this.result;
+      result.text += delta.content || '';
+      result.thinking += delta.thinking || '';
+      if (delta.stopReason) {
+        result.stopReason = delta.stopReason;
+      }
+      if (delta.usage) {
+        result.usage = { ...result.usage, ...delta.usage };
+      }
+
+      for (const { key, id, name, arguments: args } of delta.toolCalls || []) {
+        let call = this.toolCalls.get(key);
+        if (!call) {
+          call = { id: null, name: null, arguments: '' };
+          this.toolCalls.set(key, call);
+          result.toolCalls.push(call);
+        }
+        if (id) call.id = id;
+        if (name) call.name = name;
+        call.arguments += args || '';
+      }
+
+      for (const { url, title } of delta.citations || []) {
+        this.citedUrls.add(url);
+        result.citations.push({ url, title: title || null });
+      }
+
+      for (const part of deltaParts(delta)) {
+        this.addPart(part);
+      }
+    }
+
+    /**
+     * Add a piece to the parts of the reply. Text and thinking continue
+     * the part before them if it has the same type; tool calls and outputs
+     * continue the part with the same key.
+     */
+    addPart({ type, key, content, metadata }) {
+      const parts = this.result.parts;
+      const last = parts[parts.length - 1];
+      let part = null;
+      if (key !== undefined) {
+        part = this.keyedParts.get(`${type}:${key}`);
+      } else if (type !== ContentType.CITATION && last?.type === type) {
+        part = last;
+      }
+
+      if (!part) {
+        part = { type, content: '', metadata: null };
+        parts.push(part);
+        if (key !== undefined) {
+          this.keyedParts.set(`${type}:${key}`, part);
+        }
+      }
+      part.content += content;
+      if (metadata) {
+        part.metadata = { ...part.metadata, ...metadata };
+      }
+    }
+  }
+
+  /**
+   * The typed pieces of content one stream event adds, as sent and stored
+   * as streaming chunks. `key` tells apart the tool calls and outputs a
+   * piece belongs to.
+   * @param {StreamDelta} delta
+   * @returns {Array<ContentPart & { key?: * }>}
+   */
+  function deltaParts(delta) {
+    const parts = [];
+    const add = (type, content, metadata = null, key = undefined) => {
+      parts.push({
+        type,
+        key,
+        content: content || '',
+        metadata: metadata && compact(metadata),
+      });
+    };
+
+    if (delta.thinking) {
+      add(ContentType.THINKING, delta.thinking);
+    }
+    if (delta.content) {
+      add(ContentType.TEXT, delta.content);
+    }
+    for (const call of delta.toolCalls || []) {
+      add(
+        ContentType.TOOL_CALL,
+        call.arguments,
+        { id: call.id, name: call.name },
+        call.key
+      );
+    }
+    for (const output of delta.toolResults || []) {
+      add(
+        ContentType.TOOL_RESULT,
+        output.content,
+        { id: output.id, name: output.name },
+        output.key
+      );
+    }
+    for (const output of delta.codeOutputs || []) {
+      add(ContentType.CODE_OUTPUT, output.content, null, output.key);
+    }
+    for (const citation of delta.citations || []) {
+      add(ContentType.CITATION, citation.url, { title: citation.title });
+    }
+    return parts;
+  }
+
+  /**
+   * An object without its null and undefined fields, or null if none are
+   * left
+   */
+  function compact(object) {
+    const entries = Object.entries(object).filter(([, value]) => value != null);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+
+  /**
+   * Decode an OpenAI-style chat completion chunk (`choices[].delta`), as
+   * streamed by the OpenAI API and the APIs modelled on it
+   * @returns {StreamDelta}
+   */
+  function completionChunkDelta(event) {
+    const choice = event.choices?.[0];
+    const delta = choice?.delta || {};
+    const reasoning = delta.reasoning_content ?? delta.reasoning;
+
+    const result = {
+      content: typeof delta.content === 'string' ? delta.content : '',
+      usage: event.usage || null,
+    };
+    if (typeof reasoning === 'string') {
+      result.thinking = reasoning;
+    }
+    if (delta.tool_calls) {
+      result.toolCalls = delta.tool_calls.map((call) => ({
+        key: call.index ?? call.id,
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments,
+      }));
+    }
+    if (delta.annotations) {
+      result.citations = delta.annotations
+        .filter((annotation) => annotation.type === 'url_citation')
+        .map(({ url_citation: citation }) => ({
+          url: citation?.url,
+          title: citation?.title,
+        }));
+    }
+    if (choice?.finish_reason) {
+      result.stopReason = choice.finish_reason;
+    }
+    return result;
+  }
+
+  /**
+   * Text added to a reply that is resent in full with every update
+   */
+  function appendedText(state, key, text) {
+    const previous = state[key] || '';
+    state[key] = text;
+    return text.startsWith(previous) ? text.slice(previous.length) : text;
+  }
+
+  /**
+   * Plain text of message content, which may be a string, a list of content
+   * blocks or an object with text parts
+   */
+  function textOf(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content.map(textOf).join('');
+    }
+    if (content && typeof content === 'object') {
+      if (typeof content.text === 'string') return content.text;
+      if (Array.isArray(content.parts)) return textOf(content.parts);
+    }
+    return '';
+  }
+
+  const adapters = new Map();
+
+  /**
+   * Add an adapter, replacing any with the same ID
+   */
+  function register(adapter) {
+    adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  function get(id) {
+    return adapters.get(id) || null;
+  }
+
+  function all() {
+    return Array.from(adapters.values());
+  }
+
+  /**
+   * Adapter for a chat page host
+   */
+  function forHostname(hostname) {
+    return (
+      all().find((adapter) => adapter.hostnames.includes(hostname)) || null
+    );
+  }
+
+  /**
+   * Adapter for a chat page or API URL
+   */
+  function forUrl(url) {
+    return all().find((adapter) => adapter.matchesUrl(url)) || null;
+  }
+
+  /**
+   * Whether a request is captured in the page that made it: by injected.js
+   * and the content script, which run on every chat page and relay the
+   * page's API requests. chrome.webRequest sees the same requests, and
+   * leaves these alone so each is captured once.
+   * @param {string} url
+   * @param {?string} initiator - Origin of the page that made the request
+   */
+  function isCapturedInPage(url, initiator) {
+    let hostname;
+    try {
+      hostname = new URL(String(initiator)).hostname;
+    } catch (err) {
+      return false;
+    }
+
+    const adapter = forHostname(hostname);
+    return Boolean(adapter && adapter.isApiRequest(url));
+  }
+
+  /**
+   * API endpoint match patterns of every platform
+   */
+  function endpointPatterns() {
+    return all().flatMap((adapter) => adapter.endpoints);
+  }
+
+  /**
+   * Chat page match patterns of every platform
+   */
+  function pagePatterns() {
+    return all().flatMap((adapter) => adapter.pagePatterns);
+  }
+
+  return {
+    ContentType,
+    PlatformAdapter,
+    StreamReader,
+    deltaParts,
+    ...parsers,
+    completionChunkDelta,
+    textOf,
+    appendedText,
+    register,
+    get,
+    all,
+    forHostname,
+    forUrl,
+    isCapturedInPage,
+    endpointPatterns,
+    pagePatterns,
+  };
+});
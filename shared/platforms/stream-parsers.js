@@ -0,0 +1,296 @@
+/**
+ * Stream Parsers
+ * Split streamed response bodies into messages, whatever network chunks
+ * they arrive in. Each parser is fed decoded text with `push()` and returns
+ * the messages completed so far; `end()` returns what the end of the
+ * stream completes.
+ *
+ * Messages are `{ type, data, id }` with `data` as text; platform adapters
+ * decode it (see StreamReader in platform-adapter.js). Loaded before
+ * platform-adapter.js, as `LLMTrackerStreamParsers` outside CommonJS.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LLMTrackerStreamParsers = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  /**
+   * Splits text into lines ending in CRLF, LF or CR. A CR at the end of
+   * one chunk may be the first half of a CRLF split across chunks.
+   */
+  class LineSplitter {
+    constructor() {
+      this.buffer = '';
+      this.skipLineFeed = false;
+    }
+
+    push(text) {
+      if (this.skipLineFeed && text.startsWith('\n')) {
+        text = text.slice(1);
+      }
+      this.skipLineFeed = false;
+      this.buffer += text;
+
+      const lines = [];
+      let start = 0;
+      for (let i = 0; i < this.buffer.length; i++) {
+        const char = this.buffer[i];
+        if (char !== '\r' && char !== '\n') {
+          continue;
+        }
+
+        lines.push(this.buffer.slice(start, i));
+        if (char === '\r') {
+          if (i + 1 === this.buffer.length) {
+            this.skipLineFeed = true;
+          } else if (this.buffer[i + 1] === '\n') {
+            i++;
+          }
+        }
+        start = i + 1;
+      }
+
+      this.buffer = this.buffer.slice(start);
+      return lines;
+    }
+
+    /**
+     * The last line, if the text did not end with a line break
+     */
+    end() {
+      const rest = this.buffer;
+      this.buffer = '';
+      return rest ? [rest] : [];
+    }
+  }
+
+  /**
+   * Server-sent events, as specified by the HTML standard
+   * (https://html.spec.whatwg.org/multipage/server-sent-events.html).
+   * Multi-line data is joined with newlines, comments are skipped, and an
+   * event still open when the stream ends is dropped.
+   */
+  class SSEParser {
+    constructor() {
+      this.lines = new LineSplitter();
+      this.started = false;
+      this.type = '';
+      this.data = '';
+      this.lastEventId = '';
+      this.retry = null;
+    }
+
+    push(text) {
+      if (!this.started && text.length > 0) {
+        this.started = true;
+        if (text.charCodeAt(0) === 0xfeff) {
+          text = text.slice(1);
+        }
+      }
+
+      const messages = [];
+      for (const line of this.lines.push(text)) {
+        const message = this.processLine(line);
+        if (message) {
+          messages.push(message);
+        }
+      }
+      return messages;
+    }
+
+    end() {
+      this.lines.end();
+      this.type = '';
+      this.data = '';
+      return [];
+    }
+
+    processLine(line) {
+      if (line === '') {
+        return this.dispatch();
+      }
+      if (line.startsWith(':')) {
+        return null;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      switch (field) {
+        case 'event':
+          this.type = value;
+          break;
+        case 'data':
+          this.data += `${value}\n`;
+          break;
+        case 'id':
+          if (!value.includes('\0')) {
+            this.lastEventId = value;
+          }
+          break;
+        case 'retry':
+          if (/^\d+$/.test(value)) {
+            this.retry = Number(value);
+          }
+          break;
+      }
+      return null;
+    }
+
+    dispatch() {
+      const { type, data } = this;
+      this.type = '';
+      this.data = '';
+      if (data === '') {
+        return null;
+      }
+
+      return {
+        type: type || 'message',
+        data: data.slice(0, -1),
+        id: this.lastEventId,
+      };
+    }
+  }
+
+  /**
+   * One message per non-empty line, as in newline-delimited JSON. A line
+   * can be mapped to a message of another shape, or to null to skip it.
+   */
+  class LineParser {
+    /**
+     * @param {function(string): ?{ type: string, data: string }} [toMessage]
+     */
+    constructor(toMessage = (line) => ({ type: 'message', data: line })) {
+      this.lines = new LineSplitter();
+      this.toMessage = toMessage;
+    }
+
+    push(text) {
+      return this.messages(this.lines.push(text));
+    }
+
+    end() {
+      return this.messages(this.lines.end());
+    }
+
+    messages(lines) {
+      return lines
+        .filter((line) => line.trim() !== '')
+        .map((line) => this.toMessage(line))
+        .filter(Boolean);
+    }
+  }
+
+  /**
+   * JSON values preceded by their length, after an anti-XSSI prefix:
+   *
+   *     )]}'
+   *
+   *     123
+   *     [["wrb.fr",...]]
+   *
+   * as streamed by Google web apps. Lengths are not relied on, as they are
+   * not counted in the units the text is decoded to; each value is read up
+   * to its closing bracket instead.
+   */
+  class LengthPrefixedParser {
+    constructor() {
+      this.buffer = '';
+      this.started = false;
+    }
+
+    push(text) {
+      this.buffer += text;
+
+      if (!this.started) {
+        const trimmed = this.buffer.trimStart();
+        if (")]}'".startsWith(trimmed)) {
+          return [];
+        }
+        this.started = true;
+        if (trimmed.startsWith(")]}'")) {
+          this.buffer = trimmed.slice(4);
+        }
+      }
+
+      const messages = [];
+      for (;;) {
+        this.buffer = this.buffer.replace(/^\s*(?:\d+\s*?\n)?\s*/, '');
+        const first = this.buffer[0];
+        if (first === undefined || /^\d+$/.test(this.buffer.trim())) {
+          break;
+        }
+
+        if (first !== '[' && first !== '{') {
+          // Not a value: skip the line
+          const newline = this.buffer.indexOf('\n');
+          if (newline === -1) {
+            break;
+          }
+          this.buffer = this.buffer.slice(newline + 1);
+          continue;
+        }
+
+        const end = closingIndex(this.buffer);
+        if (end === -1) {
+          break;
+        }
+        messages.push({ type: 'message', data: this.buffer.slice(0, end + 1) });
+        this.buffer = this.buffer.slice(end + 1);
+      }
+      return messages;
+    }
+
+    end() {
+      this.buffer = '';
+      return [];
+    }
+  }
+
+  /**
+   * Index of the bracket closing the JSON array or object `text` starts
+   * with, or -1 if it has not arrived yet
+   */
+  function closingIndex(text) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  return {
+    LineSplitter,
+    SSEParser,
+    LineParser,
+    LengthPrefixedParser,
+  };
+});
@@ -0,0 +1,653 @@
+/**
+ * Message Protocol
+ * Shared definition of every message exchanged between the Chrome extension,
+ * the native messaging host and the desktop app.
+ *
+ * Loaded as a CommonJS module by the native host and desktop app, and as a
+ * plain script by the extension (exposed as `LLMTrackerProtocol` on the
+ * global object).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LLMTrackerProtocol = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // Bump PROTOCOL_VERSION for every change to a message schema. Raise
+  // MIN_PROTOCOL_VERSION only when older peers can no longer be understood.
+  const PROTOCOL_VERSION = 13;
+  // 4 replaced FULL_SYNC with SYNC_CURSOR and SYNC_BATCH
+  const MIN_PROTOCOL_VERSION = 4;
+
+  const MessageType = {
+    // Handshake
+    INIT: 'INIT',
+    INIT_ACK: 'INIT_ACK',
+
+    // Liveness
+    PING: 'PING',
+    PONG: 'PONG',
+
+    // Captured data (extension -> desktop app)
+    CONVERSATION: 'CONVERSATION',
+    MESSAGE_STORED: 'MESSAGE_STORED',
+    MESSAGE_UPDATED: 'MESSAGE_UPDATED',
+    API_CAPTURED: 'API_CAPTURED',
+    STREAM_CHUNK: 'STREAM_CHUNK',
+    STREAM_COMPLETE: 'STREAM_COMPLETE',
+    SYSTEM_PROMPT: 'SYSTEM_PROMPT',
+    STREAMING_CHUNK: 'STREAMING_CHUNK',
+    ATTACHMENT: 'ATTACHMENT',
+    USAGE_SESSION: 'USAGE_SESSION',
+
+    // Status (extension -> desktop app), latest wins
+    CAPTURE_HEALTH: 'CAPTURE_HEALTH',
+
+    // Sync of records cached by the extension
+    REQUEST_SYNC: 'REQUEST_SYNC',
+    SYNC_CURSOR: 'SYNC_CURSOR',
+    SYNC_BATCH: 'SYNC_BATCH',
+
+    // Control
+    OPEN_DASHBOARD: 'OPEN_DASHBOARD',
+    SUGGESTION: 'SUGGESTION',
+
+    // Delivery
+    ACK: 'ACK',
+    ERROR: 'ERROR',
+  };
+
+  // Captured data is delivered at least once: the sender keeps each of these
+  // messages in its outbox until the desktop app acknowledges its id
+  const ACKNOWLEDGED_TYPES = [
+    MessageType.CONVERSATION,
+    MessageType.MESSAGE_STORED,
+    MessageType.MESSAGE_UPDATED,
+    MessageType.API_CAPTURED,
+    MessageType.STREAM_CHUNK,
+    MessageType.STREAM_COMPLETE,
+    MessageType.SYSTEM_PROMPT,
+    MessageType.STREAMING_CHUNK,
+    MessageType.ATTACHMENT,
+    MessageType.USAGE_SESSION,
+    MessageType.SYNC_BATCH,
+  ];
+
+  // Kinds of cached record carried by SYNC_BATCH, as `{ kind, data }` where
+  // data is the payload of the matching capture message
+  const SyncRecordKind = {
+    MESSAGE: 'message',
+    API_CAPTURE: 'api_capture',
+  };
+
+  // Kinds of attached file, each of which can be opted out of in settings
+  const AttachmentKind = {
+    IMAGE: 'image',
+    AUDIO: 'audio',
+    VIDEO: 'video',
+    FILE: 'file',
+  };
+
+  // How the prompt of a sent message was written
+  const InputMethod = {
+    TYPED: 'typed',
+    PASTED: 'pasted',
+    VOICE: 'voice',
+    EDITED: 'edited',
+  };
+
+  // How well messages are captured from a platform's pages
+  const CaptureStatus = {
+    OK: 'ok',
+    // Captured, but with fallback selectors or missing roles
+    DEGRADED: 'degraded',
+    // No messages found where there should be some
+    BROKEN: 'broken',
+  };
+
+  // Share of captured messages whose role must be recognized for capture
+  // to count as working
+  const MIN_ROLE_DETECTION_RATE = 0.8;
+
+  const ErrorCode = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_ENVELOPE: 'INVALID_ENVELOPE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    VERSION_MISMATCH: 'VERSION_MISMATCH',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+  };
+
+  // Captured DOM message, as stored and later updated in place
+  const MESSAGE_FIELDS = {
+    id: { type: 'string', required: true },
+    conversationId: { type: 'string', required: true },
+    timestamp: { type: 'number', required: true },
+    platform: { type: 'string', required: true },
+    messageId: { type: 'string' },
+    role: { type: ['string', 'null'] },
+    visibleContent: { type: 'string' },
+    html: { type: 'string' },
+    position: { type: ['number', 'null'] },
+    attachments: { type: 'array' },
+    codeBlocks: { type: 'array' },
+    isInitial: { type: 'boolean' },
+    // Message this one replies to: stored ID, and platform/DOM ID
+    parentId: { type: ['string', 'null'] },
+    parentMessageId: { type: ['string', 'null'] },
+    // Position in the platform's variant switcher ("2 / 3"), if shown
+    variantIndex: { type: ['number', 'null'] },
+    variantCount: { type: ['number', 'null'] },
+    // How a prompt was written (InputMethod), if seen
+    inputMethod: { type: ['string', 'null'] },
+    // Revision of the record in the extension's cache (see SYNC_CURSOR)
+    rev: { type: 'number' },
+  };
+
+  // Fields that tie a stream event to its request, capture and message
+  const STREAM_FIELDS = {
+    requestId: { type: 'string', required: true },
+    captureId: { type: 'string', required: true },
+    messageId: { type: 'string', required: true },
+    conversationId: { type: 'string', required: true },
+    platform: { type: 'string', required: true },
+    timestamp: { type: 'number', required: true },
+  };
+
+  /**
+   * Payload schemas, keyed by message type.
+   * Each field lists its accepted JSON types and whether it is required.
+   * Fields not listed are allowed and passed through untouched.
+   */
+  const SCHEMAS = {
+    INIT: {
+      extensionVersion: { type: 'string' },
+      protocolVersion: { type: 'number', required: true },
+      minProtocolVersion: { type: 'number' },
+    },
+    INIT_ACK: {
+      protocolVersion: { type: 'number', required: true },
+      minProtocolVersion: { type: 'number' },
+      appVersion: { type: 'string' },
+      // Files the desktop app stores: `{ maxBytes, kinds }`, where kinds
+      // lists the AttachmentKind values still captured
+      attachmentPolicy: { type: ['object', 'null'] },
+      // Inactivity after which the extension ends a usage session
+      sessionIdleTimeoutMs: { type: 'number' },
+    },
+    PING: {},
+    PONG: {},
+    CONVERSATION: {
+      id: { type: 'string' },
+      platform: { type: 'string', required: true },
+      conversation_id: { type: ['string', 'null'] },
+      title: { type: ['string', 'null'] },
+      started_at: { type: 'number' },
+      last_activity: { type: 'number' },
+      model_used: { type: ['string', 'null'] },
+      metadata: { type: ['object', 'null'] },
+    },
+    MESSAGE_STORED: MESSAGE_FIELDS,
+    MESSAGE_UPDATED: {
+      ...MESSAGE_FIELDS,
+      lastUpdated: { type: 'number' },
+    },
+    API_CAPTURED: {
+      id: { type: 'string', required: true },
+      timestamp: { type: 'number', required: true },
+      platform: { type: 'string', required: true },
+      url: { type: 'string', required: true },
+      requestId: { type: 'string' },
+      // Model detected by the platform adapter, for requests that do not
+      // name it in a `model` field
+      model: { type: ['string', 'null'] },
+      // Where the capture was made: 'extension' (the default) or
+      // 'proxy:<client>' for the desktop app's recording proxy
+      source: { type: 'string' },
+      // Stored message the capture belongs to (streamed responses, and
+      // proxied responses read in full)
+      messageId: { type: 'string' },
+      method: { type: 'string' },
+      conversationId: { type: ['string', 'null'] },
+      requestBody: { type: ['object', 'null'] },
+      responseBody: { type: ['object', 'array', 'null'] },
+      rawResponse: { type: ['string', 'null'] },
+      requestHeaders: { type: 'array' },
+      responseHeaders: { type: 'array' },
+      statusCode: { type: 'number' },
+      responseTime: { type: 'number' },
+      streaming: { type: 'boolean' },
+      streamingInProgress: { type: 'boolean' },
+      rev: { type: 'number' },
+    },
+    STREAM_CHUNK: {
+      ...STREAM_FIELDS,
+      chunkIndex: { type: 'number', required: true },
+      content: { type: 'string' },
+      // What the content is: 'text' (the default), 'thinking', 'tool_call',
+      // 'tool_result', 'code_output' or 'citation' (see ContentType in
+      // shared/platforms), with the tool call or source it belongs to
+      contentType: { type: 'string' },
+      metadata: { type: ['object', 'null'] },
+      deltaTime: { type: ['number', 'null'] },
+    },
+    STREAM_COMPLETE: {
+      ...STREAM_FIELDS,
+      startTime: { type: 'number', required: true },
+      firstChunkTime: { type: ['number', 'null'] },
+      totalChunks: { type: 'number' },
+      fullContent: { type: 'string' },
+      // Token usage reported by the API in the stream, in the API's own shape
+      usage: { type: ['object', 'null'] },
+      // Why the reply ended, as reported by the platform (e.g. 'stop',
+      // 'end_turn', 'max_tokens')
+      stopReason: { type: ['string', 'null'] },
+      // The reply as typed parts, `{ type, content, metadata }`, in order
+      parts: { type: ['array', 'null'] },
+    },
+    SYSTEM_PROMPT: {
+      platform: { type: 'string', required: true },
+      prompt_text: { type: 'string', required: true },
+      first_seen: { type: 'number' },
+      last_seen: { type: 'number' },
+    },
+    STREAMING_CHUNK: {
+      id: { type: 'string' },
+      message_id: { type: 'string', required: true },
+      chunk_index: { type: 'number', required: true },
+      timestamp: { type: 'number' },
+      content: { type: ['string', 'null'] },
+      delta_time_ms: { type: ['number', 'null'] },
+    },
+    // Contents of an uploaded or rendered file, stored once per SHA-256.
+    // Messages refer to it by hash in their attachments.
+    ATTACHMENT: {
+      sha256: { type: 'string', required: true },
+      data: { type: 'string', required: true }, // base64
+      size: { type: 'number', required: true },
+      mimeType: { type: ['string', 'null'] },
+      name: { type: ['string', 'null'] },
+      platform: { type: 'string' },
+      // 'upload' (sent by the user) or 'rendered' (shown in a reply)
+      source: { type: 'string' },
+      url: { type: ['string', 'null'] },
+      timestamp: { type: 'number' },
+    },
+    // Time spent on a platform in one tab, sent once the session has ended
+    // (tab closed or navigated away, or inactive for the idle timeout)
+    USAGE_SESSION: {
+      id: { type: 'string', required: true },
+      platform: { type: 'string', required: true },
+      startedAt: { type: 'number', required: true },
+      endedAt: { type: 'number', required: true },
+      // Time the tab was focused, visible and the user not idle, and the rest
+      activeMs: { type: 'number', required: true },
+      inactiveMs: { type: 'number', required: true },
+      tabId: { type: ['number', 'null'] },
+      pageUrl: { type: ['string', 'null'] },
+      // Platform conversation IDs visited, in order
+      conversationIds: { type: 'array' },
+      messagesSent: { type: 'number' },
+      messagesReceived: { type: 'number' },
+      // Prompts sent, counted by InputMethod
+      inputMethods: { type: 'object' },
+      // 'closed', 'navigated' or 'idle'
+      endReason: { type: 'string' },
+      timestamp: { type: 'number' },
+    },
+    // DOM capture on a platform, sent when the extension checks a page and
+    // again on connect
+    CAPTURE_HEALTH: {
+      platform: { type: 'string', required: true },
+      // CaptureStatus, and why if not ok
+      status: { type: 'string', required: true },
+      reason: { type: ['string', 'null'] },
+      // Name of the selector strategy messages were found with
+      strategy: { type: ['string', 'null'] },
+      messagesFound: { type: 'number' },
+      rolesDetected: { type: 'number' },
+      rolesAttempted: { type: 'number' },
+      pageUrl: { type: ['string', 'null'] },
+      // Since when capture has not been ok; null when it is
+      since: { type: ['number', 'null'] },
+      timestamp: { type: 'number', required: true },
+    },
+    REQUEST_SYNC: {},
+    // Highest record revision the desktop app has ingested
+    SYNC_CURSOR: {
+      highWaterMark: { type: 'number', required: true },
+    },
+    // Cached records with revisions in (fromRev, toRev], oldest first
+    SYNC_BATCH: {
+      records: { type: 'array', required: true },
+      fromRev: { type: 'number', required: true },
+      toRev: { type: 'number', required: true },
+      final: { type: 'boolean' },
+    },
+    OPEN_DASHBOARD: {},
+    SUGGESTION: {
+      title: { type: 'string', required: true },
+      message: { type: 'string', required: true },
+    },
+    ACK: {
+      messageId: { type: ['string', 'null'] },
+      seq: { type: ['number', 'null'] },
+      // The message had already been ingested and was not applied again
+      duplicate: { type: 'boolean' },
+    },
+    ERROR: {
+      code: { type: 'string', required: true },
+      message: { type: 'string', required: true },
+      details: { type: 'array' },
+      messageId: { type: ['string', 'null'] },
+      messageType: { type: ['string', 'null'] },
+    },
+  };
+
+  /**
+   * Error raised when a message does not conform to the protocol
+   */
+  class ProtocolError extends Error {
+    constructor(code, message, details = []) {
+      super(message);
+      this.name = 'ProtocolError';
+      this.code = code;
+      this.details = details;
+    }
+
+    /**
+     * Serialize as the payload of an ERROR message
+     */
+    toPayload(envelope = {}) {
+      return {
+        code: this.code,
+        message: this.message,
+        details: this.details,
+        messageId: typeof envelope.id === 'string' ? envelope.id : null,
+        messageType: typeof envelope.type === 'string' ? envelope.type : null,
+      };
+    }
+  }
+
+  /**
+   * JSON type of a value ('null' and 'array' are distinguished from 'object')
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Validate a payload against the schema for a message type.
+   * Returns a list of human-readable problems (empty when valid).
+   */
+  function validatePayload(type, data) {
+    const schema = SCHEMAS[type];
+    const problems = [];
+
+    if (data === undefined) {
+      data = {};
+    }
+
+    if (typeOf(data) !== 'object') {
+      return [`data must be an object, got ${typeOf(data)}`];
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+      const value = data[field];
+      const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+
+      if (value === undefined) {
+        if (rule.required) {
+          problems.push(`data.${field} is required`);
+        }
+        continue;
+      }
+
+      if (!allowed.includes(typeOf(value))) {
+        problems.push(
+          `data.${field} must be ${allowed.join(' or ')}, got ${typeOf(value)}`
+        );
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Whether a peer advertising the given version range can talk to us
+   */
+  function isVersionSupported(version) {
+    return (
+      typeof version === 'number' &&
+      version >= MIN_PROTOCOL_VERSION &&
+      version <= PROTOCOL_VERSION
+    );
+  }
+
+  /**
+   * Pick the highest protocol version both sides understand.
+   * Returns null when the ranges do not overlap.
+   */
+  function negotiateVersion(peer = {}) {
+    const peerMax = peer.protocolVersion;
+    const peerMin = peer.minProtocolVersion ?? peerMax;
+
+    if (typeof peerMax !== 'number' || typeof peerMin !== 'number') {
+      return null;
+    }
+
+    const version = Math.min(PROTOCOL_VERSION, peerMax);
+    if (version < Math.max(MIN_PROTOCOL_VERSION, peerMin)) {
+      return null;
+    }
+
+    return version;
+  }
+
+  /**
+   * Validate a decoded message envelope and its payload.
+   * Throws a ProtocolError describing the first class of problem found.
+   */
+  function validateMessage(message) {
+    if (typeOf(message) !== 'object') {
+      throw new ProtocolError(
+        ErrorCode.INVALID_ENVELOPE,
+        'Message must be a JSON object'
+      );
+    }
+
+    if (typeof message.type !== 'string') {
+      throw new ProtocolError(
+        ErrorCode.INVALID_ENVELOPE,
+        'Message type is missing',
+        ['type is required']
+      );
+    }
+
+    if (message.id !== undefined && typeof message.id !== 'string') {
+      throw new ProtocolError(
+        ErrorCode.INVALID_ENVELOPE,
+        'Message id must be a string',
+        [`id must be string, got ${typeOf(message.id)}`]
+      );
+    }
+
+    if (message.seq !== undefined && typeof message.seq !== 'number') {
+      throw new ProtocolError(
+        ErrorCode.INVALID_ENVELOPE,
+        'Message seq must be a number',
+        [`seq must be number, got ${typeOf(message.seq)}`]
+      );
+    }
+
+    if (!SCHEMAS[message.type]) {
+      throw new ProtocolError(
+        ErrorCode.UNKNOWN_TYPE,
+        `Unknown message type: ${message.type}`
+      );
+    }
+
+    if (
+      message.protocolVersion !== undefined &&
+      !isVersionSupported(message.protocolVersion)
+    ) {
+      throw new ProtocolError(
+        ErrorCode.VERSION_MISMATCH,
+        `Unsupported protocol version: ${message.protocolVersion}`,
+        [`supported versions are ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`]
+      );
+    }
+
+    const problems = validatePayload(message.type, message.data);
+    if (problems.length > 0) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_PAYLOAD,
+        `Invalid ${message.type} payload`,
+        problems
+      );
+    }
+
+    return message;
+  }
+
+  /**
+   * Kind of an attached file, from its MIME type
+   */
+  function attachmentKind(mimeType) {
+    const type = String(mimeType || '').split('/')[0];
+    switch (type) {
+      case 'image':
+        return AttachmentKind.IMAGE;
+      case 'audio':
+        return AttachmentKind.AUDIO;
+      case 'video':
+        return AttachmentKind.VIDEO;
+      default:
+        return AttachmentKind.FILE;
+    }
+  }
+
+  /**
+   * Whether the desktop app stores a file under an attachment policy
+   */
+  function acceptsAttachment(policy, { mimeType, size }) {
+    return Boolean(
+      policy &&
+      size <= policy.maxBytes &&
+      policy.kinds.includes(attachmentKind(mimeType))
+    );
+  }
+
+  /**
+   * Status of DOM capture from what a page check found
+   * @param {Object} report
+   * @param {number} report.strategyIndex - Position of the strategy in
+   *   use among the platform's strategies; above 0 is a fallback
+   * @param {string} report.strategy - Its name
+   * @param {number} report.messagesFound
+   * @param {number} report.rolesDetected - Messages captured with a role
+   * @param {number} report.rolesAttempted - Messages captured
+   * @param {boolean} report.expectsMessages - Whether the page shows a
+   *   saved conversation, which must have messages
+   * @returns {{ status: string, reason: ?string }}
+   */
+  function assessCapture(report) {
+    if (report.messagesFound === 0 && report.expectsMessages) {
+      return {
+        status: CaptureStatus.BROKEN,
+        reason: 'No messages found on a conversation page',
+      };
+    }
+
+    const { rolesDetected, rolesAttempted } = report;
+    if (
+      rolesAttempted > 0 &&
+      rolesDetected / rolesAttempted < MIN_ROLE_DETECTION_RATE
+    ) {
+      return {
+        status: CaptureStatus.DEGRADED,
+        reason: `Role recognized for ${rolesDetected} of ${rolesAttempted} messages`,
+      };
+    }
+
+    if (report.strategyIndex > 0) {
+      return {
+        status: CaptureStatus.DEGRADED,
+        reason: `Messages found only by fallback selectors (${report.strategy})`,
+      };
+    }
+
+    return { status: CaptureStatus.OK, reason: null };
+  }
+
+  /**
+   * Whether messages of this type must be acknowledged by the desktop app
+   */
+  function requiresAck(type) {
+    return ACKNOWLEDGED_TYPES.includes(type);
+  }
+
+  /**
+   * Build a message envelope stamped with the current protocol version
+   */
+  function createMessage(type, data = {}, options = {}) {
+    const message = {
+      type,
+      protocolVersion: options.protocolVersion || PROTOCOL_VERSION,
+      timestamp: Date.now(),
+      data,
+    };
+
+    if (options.id) {
+      message.id = options.id;
+    }
+
+    if (options.seq !== undefined) {
+      message.seq = options.seq;
+    }
+
+    return message;
+  }
+
+  /**
+   * Build an ERROR message from a ProtocolError (or any Error)
+   */
+  function createErrorMessage(err, envelope = {}) {
+    const protocolError =
+      err instanceof ProtocolError
+        ? err
+        : new ProtocolError(ErrorCode.INTERNAL_ERROR, err.message);
+
+    return createMessage(MessageType.ERROR, protocolError.toPayload(envelope));
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MessageType,
+    ErrorCode,
+    SyncRecordKind,
+    AttachmentKind,
+    InputMethod,
+    CaptureStatus,
+    SCHEMAS,
+    ACKNOWLEDGED_TYPES,
+    ProtocolError,
+    validateMessage,
+    validatePayload,
+    isVersionSupported,
+    negotiateVersion,
+    requiresAck,
+    attachmentKind,
+    acceptsAttachment,
+    assessCapture,
+    createMessage,
+    createErrorMessage,
+  };
+});